@@ -3,6 +3,18 @@
  * 各プラットフォーム固有のAPIクライアントの基底クラスとなる共通機能を提供します
  */
 import EventEmitter from '../utils/EventEmitter';
+import { sleep } from '../utils/Concurrency';
+
+/**
+ * 配信者（チャンネル）の検索結果
+ * @typedef {Object} ChannelSearchResult
+ * @property {string} platformType - プラットフォーム種別
+ * @property {string} channelId - 配信者（チャンネル）ID（Stream.channelId と同じ値。お気に入りの登録に使う）
+ * @property {string} watchId - ウォッチリストに登録するときのチャンネルID（channelId と異なるプラットフォームがある）
+ * @property {string} displayName - 表示名
+ * @property {string} avatarUrl - アイコンURL
+ * @property {boolean} isLive - 配信中かどうか（わからない場合false）
+ */
 
 class BaseAPIClient {
   constructor(platformType) {
@@ -18,6 +30,8 @@ class BaseAPIClient {
       remaining: null,
       resetTime: null
     };
+    this.maxRateLimitWait = 60000; // レート制限解除を待つ最大時間（ms）
+    this.failedChannelIds = {}; // 直前の取得で確認に失敗したチャンネルID（取得処理ごと）
   }
 
   /**
@@ -49,13 +63,13 @@ class BaseAPIClient {
         ...options.headers
       }
     };
-
+    
     // タイムアウト処理用
     const controller = new AbortController();
     const timeoutId = setTimeout(() => {
       controller.abort();
     }, this.requestTimeout);
-
+    
     const requestId = `${this.platformType}_${endpoint}_${Date.now()}`;
     
     // リクエスト実行
@@ -197,6 +211,32 @@ class BaseAPIClient {
     });
   }
 
+  /**
+   * レート制限の残り回数が少ない場合、リセット時刻まで待機します
+   * @param {number} [minRemaining=1] - この回数を下回ったら待機する
+   * @return {Promise<void>}
+   * @protected
+   */
+  async waitForRateLimit(minRemaining = 1) {
+    const { remaining, resetTime } = this.rateLimitInfo;
+    if (remaining === null || remaining >= minRemaining || !resetTime) {
+      return;
+    }
+    
+    const waitMs = Math.min(resetTime - Date.now(), this.maxRateLimitWait);
+    if (waitMs <= 0) {
+      return;
+    }
+    
+    this.eventEmitter.emit('client:rateLimitWait', {
+      platformType: this.platformType,
+      waitMs
+    });
+    await sleep(waitMs);
+    // 待機後はリセットされたものとして扱い、次のレスポンスで再取得する
+    this.rateLimitInfo.remaining = null;
+  }
+
   /**
    * APIエラーを処理します
    * @param {Error} error - エラーオブジェクト
@@ -219,6 +259,27 @@ class BaseAPIClient {
     return apiError;
   }
 
+  /**
+   * 直前の取得で確認に失敗したチャンネルIDを取得します
+   * チャンネルごとに確認するプラットフォームでは、一部のチャンネルが失敗しても取得全体は成功として扱うため、
+   * 呼び出し側はこれらのチャンネルを「配信していない」ではなく「不明」として前回の状態を引き継ぎます
+   * @param {string} operation - 取得処理（'getStreams' または 'getSchedules'）
+   * @return {Array<string>} - チャンネルID（Stream.channelId / Schedule.channelId と同じ値）
+   */
+  getFailedChannelIds(operation) {
+    return [...(this.failedChannelIds[operation] || [])];
+  }
+
+  /**
+   * 取得で確認に失敗したチャンネルIDを記録します（取得のたびに上書きします）
+   * @param {string} operation - 取得処理（'getStreams' または 'getSchedules'）
+   * @param {Array<string>} channelIds - 確認に失敗したチャンネルID
+   * @protected
+   */
+  setFailedChannelIds(operation, channelIds) {
+    this.failedChannelIds[operation] = [...new Set(channelIds.map(String))];
+  }
+
   /**
    * すべてのアクティブなリクエストをキャンセルします
    */
@@ -247,6 +308,16 @@ class BaseAPIClient {
     throw new Error('getSchedules メソッドが実装されていません');
   }
 
+  /**
+   * 配信者（チャンネル）を名前で検索します（子クラスで実装）
+   * @param {string} query - 検索キーワード
+   * @param {Object} options - オプション
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果
+   */
+  async searchChannels(query, options = {}) {
+    throw new Error('searchChannels メソッドが実装されていません');
+  }
+
   /**
    * 認証を行います（子クラスで実装）
    * @param {Object} options - 認証オプション
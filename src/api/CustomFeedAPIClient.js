@@ -0,0 +1,468 @@
+/**
+ * カスタムソース API クライアント
+ * ユーザーが定義したRSS/Atomフィード・JSONエンドポイントから、フィールドの対応付けに従って配信・配信予定を読み取ります
+ */
+import BaseAPIClient from './BaseAPIClient';
+import { Stream, Schedule, CustomFeed } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+import { parseFeed, findChild } from '../utils/FeedParser';
+import { selectAll, selectFirst, isValidPath } from '../utils/JsonPath';
+
+const FEED_CONCURRENCY = 2; // ソース取得の同時リクエスト数
+const FEED_CACHE_TTL = 30000; // 取得結果を再利用する時間（ms）。配信と配信予定の取得で同じソースを2回取得しないため
+
+/**
+ * フィード形式で項目から直接読み取れるフィールド名
+ * @type {Array<string>}
+ */
+const FEED_ENTRY_FIELDS = ['id', 'title', 'link', 'published', 'updated', 'author'];
+
+/**
+ * 形式ごとのフィールドの既定のセレクター
+ * @type {Object<string, Object<string, string>>}
+ */
+const DEFAULT_FIELDS = {
+  json: {
+    id: 'id',
+    title: 'title',
+    url: 'url',
+    startTime: 'startTime'
+  },
+  feed: {
+    id: 'id',
+    title: 'title',
+    url: 'link',
+    startTime: 'published',
+    streamerName: 'author'
+  }
+};
+
+class CustomFeedAPIClient extends BaseAPIClient {
+  constructor() {
+    super('custom');
+    this.feeds = null; // 明示的に設定されたソース（nullの場合は取得のたびに設定から読み込む）
+    this.feedCache = new Map(); // ソースIDごとの取得結果 { fetchedAt, items }
+  }
+
+  /**
+   * ソースの定義を検証します
+   * @param {CustomFeed|Object} feed - ソースの定義
+   * @return {Array<string>} - エラーメッセージの配列（問題がなければ空配列）
+   */
+  static validateFeed(feed) {
+    const source = new CustomFeed(feed);
+    const errors = [];
+    
+    if (!source.name.trim()) {
+      errors.push('ソース名を入力してください');
+    }
+    if (!CustomFeedAPIClient.getOriginPattern(source.url)) {
+      errors.push('URLは http:// または https:// で始まる形式で入力してください');
+    }
+    if (!['json', 'feed'].includes(source.format)) {
+      errors.push(`対応していない形式です: ${source.format}`);
+    }
+    if (source.format === 'json') {
+      Object.entries({ itemsPath: source.itemsPath, ...source.fields })
+        .filter(([, path]) => path && !isValidPath(path))
+        .forEach(([key]) => errors.push(`セレクターの形式が正しくありません: ${key}`));
+    }
+    return errors;
+  }
+
+  /**
+   * 形式ごとのフィールドの既定のセレクターを取得します
+   * @param {string} format - 形式（'json' または 'feed'）
+   * @return {Object<string, string>} - フィールド名とセレクターのオブジェクト
+   */
+  static getDefaultFields(format) {
+    return { ...DEFAULT_FIELDS[format] };
+  }
+
+  /**
+   * URLから、ホスト権限の要求に使うオリジンのパターンを取得します
+   * @param {string} url - ソースのURL
+   * @return {string|null} - オリジンのパターン（例: 'https://example.com/*'、URLが正しくない場合null）
+   */
+  static getOriginPattern(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol) ? `${parsed.origin}/*` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 日時の値を時刻に変換します
+   * 数値（数字のみの文字列を含む）は 10^12 未満を秒、それ以外をミリ秒として扱います
+   * @param {*} value - 日時の値
+   * @return {number|null} - 時刻（ms、解釈できない場合null）
+   */
+  static parseTime(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+      const number = Number(value);
+      return number < 1e12 ? Math.round(number * 1000) : number;
+    }
+    const time = new Date(String(value).trim()).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * 値が配信中を表すかどうかを判定します
+   * @param {*} value - 配信中フラグのフィールドの値
+   * @param {string} [liveValue=''] - 配信中を表す値（空文字の場合は値が真と評価できるかで判定）
+   * @return {boolean} - 配信中の場合true
+   */
+  static isLiveValue(value, liveValue = '') {
+    if (liveValue) {
+      return String(value).trim().toLowerCase() === liveValue.trim().toLowerCase();
+    }
+    if (typeof value === 'string') {
+      return !['', '0', 'false', 'no', 'off'].includes(value.trim().toLowerCase());
+    }
+    return !!value;
+  }
+
+  /**
+   * 取得したデータからフィールドの対応付けに従って項目を読み取ります
+   * @param {CustomFeed|Object} feed - ソースの定義
+   * @param {Object|string} payload - 取得したデータ（JSONは解析済みのオブジェクト、フィードはXML文字列）
+   * @return {Array<Object>} - 項目（id, title, url, startTime, endTime, isLive, hasLiveFlag, streamerName, thumbnailUrl, category）
+   * @throws {Error} - データが形式に合わない場合
+   */
+  static extractItems(feed, payload) {
+    const source = new CustomFeed(feed);
+    const fields = CustomFeedAPIClient.getDefaultFields(source.format);
+    Object.entries(source.fields)
+      .filter(([, selector]) => selector)
+      .forEach(([key, selector]) => {
+        fields[key] = selector;
+      });
+    
+    let entries;
+    let select;
+    if (source.format === 'feed') {
+      entries = parseFeed(payload).entries;
+      select = CustomFeedAPIClient.selectFeedValue;
+    } else {
+      const items = source.itemsPath ? selectAll(payload, source.itemsPath) : payload;
+      entries = (Array.isArray(items) ? items : [items])
+        .filter(item => item !== null && typeof item === 'object');
+      select = selectFirst;
+    }
+    
+    const read = (entry, key) => {
+      const value = fields[key] ? select(entry, fields[key]) : undefined;
+      return value === null || value === undefined ? '' : value;
+    };
+    
+    return entries
+      .map(entry => ({
+        id: String(read(entry, 'id')),
+        title: String(read(entry, 'title')).trim(),
+        url: String(read(entry, 'url')).trim(),
+        startTime: CustomFeedAPIClient.parseTime(read(entry, 'startTime')),
+        endTime: CustomFeedAPIClient.parseTime(read(entry, 'endTime')),
+        isLive: !!fields.live && CustomFeedAPIClient.isLiveValue(read(entry, 'live'), source.liveValue),
+        hasLiveFlag: !!fields.live,
+        streamerName: String(read(entry, 'streamerName')).trim(),
+        thumbnailUrl: String(read(entry, 'thumbnailUrl')).trim(),
+        category: String(read(entry, 'category')).trim()
+      }))
+      .filter(item => item.title || item.url);
+  }
+
+  /**
+   * フィードの項目から値を読み取ります
+   * 項目名（id, title, link, published, updated, author）のほか、子要素の名前を / 区切りで指定でき、
+   * 末尾に @属性名 を付けると属性の値を読み取ります（例: 'media:group/media:thumbnail@url'）
+   * @param {Object} entry - parseFeed が返す項目
+   * @param {string} selector - セレクター
+   * @return {string} - 値（見つからない場合空文字）
+   */
+  static selectFeedValue(entry, selector) {
+    if (FEED_ENTRY_FIELDS.includes(selector)) {
+      return entry[selector];
+    }
+    
+    const [elementPath, attribute] = selector.split('@');
+    const element = elementPath
+      ? elementPath.split('/').reduce((current, name) => findChild(current, name), entry.element)
+      : entry.element;
+    if (!element) {
+      return '';
+    }
+    return attribute ? element.attributes[attribute] || '' : element.text.trim();
+  }
+
+  /**
+   * 項目を配信中・配信予定に振り分けます
+   * 配信中フラグを指定した場合はその値で、指定していない場合は開始・終了時刻の間にあるかで配信中と判定します。
+   * 配信中でなく開始時刻が未来の項目は配信予定になり、それ以外（終了した配信など）は除外します
+   * @param {Array<Object>} items - extractItems が返す項目
+   * @param {number} [now=Date.now()] - 現在時刻
+   * @return {{live: Array<Object>, upcoming: Array<Object>}} - 配信中の項目と配信予定の項目
+   */
+  static classifyItems(items, now = Date.now()) {
+    const live = [];
+    const upcoming = [];
+    
+    items.forEach(item => {
+      const isLive = item.hasLiveFlag
+        ? item.isLive
+        : !!item.startTime && !!item.endTime && item.startTime <= now && now < item.endTime;
+      
+      if (isLive) {
+        live.push(item);
+      } else if (item.startTime && item.startTime > now) {
+        upcoming.push(item);
+      }
+    });
+    return { live, upcoming };
+  }
+
+  /**
+   * 文字列から短いハッシュ値を作成します（項目にIDがない場合の識別子に使用）
+   * @param {string} text - 文字列
+   * @return {string} - 36進数のハッシュ値
+   * @private
+   */
+  static hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  /**
+   * 取得するソースを設定します（省略時は取得のたびに設定から読み込みます）
+   * @param {Array<CustomFeed|Object>|null} feeds - ソースの定義
+   */
+  setFeeds(feeds) {
+    this.feeds = feeds ? feeds.map(feed => new CustomFeed(feed)) : null;
+    this.feedCache.clear();
+  }
+
+  /**
+   * ライブ配信情報を取得します
+   * @param {Object} options - 取得オプション
+   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
+   * @override
+   */
+  async getStreams(options = {}) {
+    try {
+      const results = await this.fetchAllFeeds('getStreams');
+      return results.flatMap(({ feed, items }) =>
+        CustomFeedAPIClient.classifyItems(items).live.map(item => this.toStream(feed, item)));
+    } catch (error) {
+      throw this.handleApiError(error, 'getStreams');
+    }
+  }
+
+  /**
+   * 配信予定をスケジュールとして取得します
+   * @param {Object} options - 取得オプション
+   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
+   * @override
+   */
+  async getSchedules(options = {}) {
+    try {
+      const results = await this.fetchAllFeeds('getSchedules');
+      return results
+        .flatMap(({ feed, items }) =>
+          CustomFeedAPIClient.classifyItems(items).upcoming.map(item => this.toSchedule(feed, item)))
+        .sort((a, b) => a.scheduledStartTime - b.scheduledStartTime);
+    } catch (error) {
+      throw this.handleApiError(error, 'getSchedules');
+    }
+  }
+
+  /**
+   * ソースを1件取得して項目を返します（設定画面での取得テスト用、キャッシュは使用しません）
+   * @param {CustomFeed|Object} feed - ソースの定義
+   * @return {Promise<{live: Array<Object>, upcoming: Array<Object>, total: number}>} - 振り分けた項目と項目の総数
+   */
+  async previewFeed(feed) {
+    const items = await this.fetchItems(new CustomFeed(feed));
+    return { ...CustomFeedAPIClient.classifyItems(items), total: items.length };
+  }
+
+  /**
+   * 有効なソースの定義を取得します
+   * @return {Promise<Array<CustomFeed>>} - ソースの定義
+   * @private
+   */
+  async getFeeds() {
+    if (this.feeds) {
+      return this.feeds.filter(feed => feed.enabled);
+    }
+    const result = await chrome.storage.local.get('settings');
+    const feeds = (result.settings && result.settings.customFeeds) || [];
+    return feeds.map(feed => new CustomFeed(feed)).filter(feed => feed.enabled);
+  }
+
+  /**
+   * 有効なソースをすべて取得します
+   * 取得に失敗したソースやホスト権限が許可されていないソースは読み飛ばします。取得に失敗したソースは確認に失敗したチャンネルとして記録します
+   * @param {string} operation - 取得処理（'getStreams' または 'getSchedules'）
+   * @return {Promise<Array<{feed: CustomFeed, items: Array<Object>}>>} - ソースごとの項目
+   * @private
+   */
+  async fetchAllFeeds(operation) {
+    const feeds = await this.getFeeds();
+    const failedFeedIds = [];
+    const results = await mapWithConcurrency(feeds, FEED_CONCURRENCY, async feed => {
+      try {
+        if (!(await this.hasPermission(feed))) {
+          console.warn(`[カスタムソース] ${feed.name} のホストへのアクセスが許可されていません`);
+          return null;
+        }
+        return { feed, items: await this.getCachedItems(feed) };
+      } catch (error) {
+        console.warn(`[カスタムソース] ${feed.name} の取得に失敗しました`, error);
+        failedFeedIds.push(feed.id);
+        return null;
+      }
+    });
+    this.setFailedChannelIds(operation, failedFeedIds);
+    return results.filter(Boolean);
+  }
+
+  /**
+   * ソースのホストへのアクセスが許可されているかを確認します
+   * @param {CustomFeed} feed - ソースの定義
+   * @return {Promise<boolean>} - 許可されている場合true
+   * @private
+   */
+  async hasPermission(feed) {
+    const origin = CustomFeedAPIClient.getOriginPattern(feed.url);
+    if (!origin) {
+      return false;
+    }
+    if (!chrome.permissions || !chrome.permissions.contains) {
+      return true;
+    }
+    return await chrome.permissions.contains({ origins: [origin] });
+  }
+
+  /**
+   * 直近の取得結果があれば再利用し、なければソースを取得します
+   * @param {CustomFeed} feed - ソースの定義
+   * @return {Promise<Array<Object>>} - 項目
+   * @private
+   */
+  async getCachedItems(feed) {
+    const cacheKey = `${feed.id}:${feed.url}`;
+    const cached = this.feedCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < FEED_CACHE_TTL) {
+      return cached.items;
+    }
+    
+    const items = await this.fetchItems(feed);
+    this.feedCache.set(cacheKey, { fetchedAt: Date.now(), items });
+    return items;
+  }
+
+  /**
+   * ソースを取得して項目を読み取ります
+   * @param {CustomFeed} feed - ソースの定義
+   * @return {Promise<Array<Object>>} - 項目
+   * @private
+   */
+  async fetchItems(feed) {
+    const data = await this.request(feed.url, {
+      headers: {
+        'Accept': feed.format === 'feed'
+          ? 'application/atom+xml, application/rss+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8'
+          : 'application/json, application/feed+json;q=0.9, */*;q=0.8'
+      }
+    });
+    
+    if (feed.format === 'feed') {
+      return CustomFeedAPIClient.extractItems(feed, typeof data === 'string' ? data : String(data));
+    }
+    // Content-Type が application/json でないエンドポイントは文字列として返るため解析する
+    return CustomFeedAPIClient.extractItems(feed, typeof data === 'string' ? JSON.parse(data) : data);
+  }
+
+  /**
+   * デフォルトのリクエストオプションを取得します
+   * 任意のサーバーに送信するため Content-Type は付けません
+   * @return {Object} - デフォルトオプション
+   * @override
+   */
+  getDefaultRequestOptions() {
+    return {
+      method: 'GET',
+      headers: {},
+      credentials: 'omit'
+    };
+  }
+
+  /**
+   * 項目のIDを作成します
+   * 通知IDの区切り文字（_）を含まないよう、項目のIDやURLはハッシュ値にします
+   * @param {CustomFeed} feed - ソースの定義
+   * @param {Object} item - 項目
+   * @return {string} - ID
+   * @private
+   */
+  getItemId(feed, item) {
+    const key = item.id || item.url || `${item.title}:${item.startTime}`;
+    return `${feed.id}-${CustomFeedAPIClient.hashString(key)}`;
+  }
+
+  /**
+   * 配信中の項目をStreamモデルに変換します
+   * @param {CustomFeed} feed - ソースの定義
+   * @param {Object} item - 項目
+   * @return {Stream} - ストリームモデル
+   */
+  toStream(feed, item) {
+    return new Stream({
+      id: this.getItemId(feed, item),
+      title: item.title || `${feed.name}の配信`,
+      streamerName: item.streamerName || feed.name,
+      channelId: feed.id,
+      thumbnailUrl: item.thumbnailUrl,
+      platformType: 'custom',
+      platformLabel: feed.name,
+      startedAt: item.startTime || Date.now(),
+      viewerCount: 0,
+      gameOrCategory: item.category,
+      url: item.url || feed.url,
+      isFavorite: false,
+      notified: false
+    });
+  }
+
+  /**
+   * 配信予定の項目をScheduleモデルに変換します
+   * @param {CustomFeed} feed - ソースの定義
+   * @param {Object} item - 項目
+   * @return {Schedule} - スケジュールモデル
+   */
+  toSchedule(feed, item) {
+    return new Schedule({
+      id: this.getItemId(feed, item),
+      title: item.title || `${feed.name}の配信予定`,
+      streamerName: item.streamerName || feed.name,
+      platformType: 'custom',
+      platformLabel: feed.name,
+      channelId: feed.id,
+      scheduledStartTime: item.startTime,
+      scheduledEndTime: item.endTime,
+      thumbnailUrl: item.thumbnailUrl,
+      gameOrCategory: item.category,
+      url: item.url || feed.url,
+      notified: false
+    });
+  }
+}
+
+export default CustomFeedAPIClient;
@@ -0,0 +1,180 @@
+/**
+ * Kick API クライアント
+ * ウォッチリストのチャンネル（スラッグ）ごとに配信状態を確認します
+ */
+import BaseAPIClient from './BaseAPIClient';
+import { Stream } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+
+const LIVE_CHECK_CONCURRENCY = 3; // 配信状態確認の同時リクエスト数
+
+class KickAPIClient extends BaseAPIClient {
+  constructor() {
+    super('kick');
+    this.baseUrl = 'https://kick.com/api/v2';
+    this.channelUrl = 'https://kick.com';
+    this.watchedSlugs = []; // 配信を確認するチャンネルのスラッグ
+  }
+
+  /**
+   * 入力されたチャンネル名またはURLをスラッグに正規化します
+   * @param {string} input - チャンネルのスラッグまたはチャンネルページのURL
+   * @return {string|null} - スラッグ（解釈できない場合null）
+   */
+  static normalizeSlug(input) {
+    const value = (input || '').trim();
+    const match = value.match(/^(?:https?:\/\/)?(?:www\.)?kick\.com\/([\w-]+)/i) || value.match(/^([\w-]+)$/);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * KickのAPIが返す日時を時刻に変換します
+   * タイムゾーンの指定がない日時（"YYYY-MM-DD HH:MM:SS"）はUTCとして扱います
+   * @param {string} value - 日時文字列
+   * @return {number|null} - 時刻（ms、解釈できない場合null）
+   */
+  static parseTime(value) {
+    if (!value) {
+      return null;
+    }
+    const normalized = /(?:[zZ]|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+    const time = new Date(normalized).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * 配信を確認するチャンネルを設定します
+   * @param {Array<string>} slugs - チャンネルのスラッグ
+   */
+  setChannelIds(slugs) {
+    this.watchedSlugs = [...new Set(slugs
+      .map(KickAPIClient.normalizeSlug)
+      .filter(Boolean))];
+  }
+
+  /**
+   * ライブ配信情報を取得します
+   * 各チャンネルの配信状態を並列数を抑えて確認し、配信中のものだけを返します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認するチャンネルのスラッグ（省略時はウォッチリスト）
+   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
+   * @override
+   */
+  async getStreams(options = {}) {
+    const slugs = options.channelIds && options.channelIds.length > 0
+      ? options.channelIds.map(KickAPIClient.normalizeSlug).filter(Boolean)
+      : this.watchedSlugs;
+    
+    try {
+      const failedSlugs = [];
+      const streams = await mapWithConcurrency(slugs, LIVE_CHECK_CONCURRENCY, async slug => {
+        await this.waitForRateLimit(LIVE_CHECK_CONCURRENCY);
+        try {
+          return await this.getChannelLive(slug);
+        } catch (error) {
+          console.warn(`[Kick] ${slug} の配信状態の確認に失敗しました`, error);
+          failedSlugs.push(slug);
+          return null;
+        }
+      });
+      this.setFailedChannelIds('getStreams', failedSlugs);
+      return streams.filter(Boolean);
+    } catch (error) {
+      throw this.handleApiError(error, 'getStreams');
+    }
+  }
+
+  /**
+   * チャンネルの現在の配信を取得します
+   * @param {string} slug - チャンネルのスラッグ
+   * @return {Promise<Stream|null>} - 配信中ならストリーム、配信していなければnull
+   * @private
+   */
+  async getChannelLive(slug) {
+    try {
+      const channel = await this.request(`${this.baseUrl}/channels/${encodeURIComponent(slug)}`);
+      return channel.livestream && channel.livestream.is_live !== false
+        ? this.toStream(channel)
+        : null;
+    } catch (error) {
+      // 存在しないチャンネル（名前の変更・削除）は配信していないものとして扱う
+      if (error.originalError && error.originalError.status === 404) {
+        console.warn(`[Kick] チャンネルが見つかりません: ${slug}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * チャンネル情報をStreamモデルに変換します
+   * @param {Object} channel - チャンネル情報（livestreamを含む）
+   * @return {Stream} - ストリームモデル
+   */
+  toStream(channel) {
+    const livestream = channel.livestream;
+    const user = channel.user || {};
+    const category = (livestream.categories && livestream.categories[0]) || channel.recent_categories?.[0];
+    
+    return new Stream({
+      id: String(livestream.id),
+      title: livestream.session_title || `${user.username || channel.slug}の配信`,
+      streamerName: user.username || channel.slug,
+      channelId: channel.slug,
+      thumbnailUrl: (livestream.thumbnail && livestream.thumbnail.url) || user.profile_pic || '',
+      platformType: 'kick',
+      startedAt: KickAPIClient.parseTime(livestream.start_time || livestream.created_at) || Date.now(),
+      viewerCount: livestream.viewer_count || 0,
+      gameOrCategory: category ? category.name : '',
+      url: `${this.channelUrl}/${channel.slug}`,
+      isFavorite: false,
+      notified: false
+    });
+  }
+
+  /**
+   * チャンネルを検索します
+   * 名前で検索する公開APIはないため、入力をスラッグ（またはチャンネルページのURL）として完全一致で確認します
+   * @param {string} query - チャンネルのスラッグまたはチャンネルページのURL
+   * @param {Object} options - オプション
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果（見つからない場合は空の配列）
+   * @override
+   */
+  async searchChannels(query, options = {}) {
+    const slug = KickAPIClient.normalizeSlug(query);
+    if (!slug) {
+      return [];
+    }
+    
+    try {
+      const channel = await this.request(`${this.baseUrl}/channels/${encodeURIComponent(slug)}`);
+      const user = channel.user || {};
+      return [{
+        platformType: 'kick',
+        channelId: channel.slug,
+        watchId: channel.slug,
+        displayName: user.username || channel.slug,
+        avatarUrl: user.profile_pic || '',
+        isLive: !!(channel.livestream && channel.livestream.is_live !== false)
+      }];
+    } catch (error) {
+      if (error.originalError && error.originalError.status === 404) {
+        return [];
+      }
+      throw this.handleApiError(error, 'searchChannels');
+    }
+  }
+
+  /**
+   * スケジュール情報を取得します
+   * @param {Object} options - 取得オプション
+   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
+   * @override
+   */
+  async getSchedules(options = {}) {
+    // Kickには配信予定を取得するAPIがないため、空の配列を返す
+    return [];
+  }
+}
+
+export default KickAPIClient;
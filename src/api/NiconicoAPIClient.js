@@ -0,0 +1,332 @@
+/**
+ * ニコニコ生放送 API クライアント
+ * ニコニコ生放送のコンテンツ検索APIを使って、フォロー中のコミュニティ・チャンネル・ユーザーの番組を取得します
+ */
+import BaseAPIClient from './BaseAPIClient';
+import { Stream, Schedule } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+
+const SEARCH_CONTEXT = 'MPStreamNotifier'; // 検索APIに送るアプリケーション名
+const SEARCH_PAGE_SIZE = 100; // 1リクエストの最大取得件数（APIの上限）
+const IDS_PER_REQUEST = 40; // 1リクエストで絞り込む放送元の数（URLの長さを抑えるため）
+const SEARCH_CONCURRENCY = 2; // 検索の同時リクエスト数
+const SCHEDULE_HORIZON_DAYS = 7; // 予約番組を取得する期間（日）
+const SEARCH_FIELDS = [
+  'contentId',
+  'title',
+  'tags',
+  'categoryTags',
+  'thumbnailUrl',
+  'communityIcon',
+  'communityText',
+  'viewCounter',
+  'liveStatus',
+  'startTime',
+  'liveEndTime',
+  'providerType',
+  'communityId',
+  'channelId',
+  'userId'
+];
+
+/**
+ * 放送元IDの接頭辞と検索APIのフィールドの対応
+ * @type {Object<string, string>}
+ */
+const ID_FIELDS = {
+  co: 'communityId',
+  ch: 'channelId',
+  user: 'userId'
+};
+
+class NiconicoAPIClient extends BaseAPIClient {
+  constructor() {
+    super('niconico');
+    this.baseUrl = 'https://api.search.nicovideo.jp/api/v2/live/contents/search';
+    this.watchUrl = 'https://live.nicovideo.jp/watch';
+    this.watchedIds = []; // 番組を確認する放送元（co12345 / ch12345 / ユーザーID）
+  }
+
+  /**
+   * 入力された放送元IDまたはURLを、ウォッチリストで使う形式に正規化します
+   * コミュニティは「co + 数字」、チャンネルは「ch + 数字」、ユーザーは数字のみの形式になります
+   * @param {string} input - 放送元ID（co12345, ch12345, 12345）またはコミュニティ・チャンネル・ユーザーページのURL
+   * @return {string|null} - 正規化した放送元ID（解釈できない場合null）
+   */
+  static normalizeWatchId(input) {
+    const value = (input || '').trim();
+    const prefixed = value.match(/(?:^|\/)(co|ch)(\d+)(?:[/?#]|$)/i);
+    if (prefixed) {
+      return `${prefixed[1].toLowerCase()}${prefixed[2]}`;
+    }
+    const user = value.match(/(?:^|\/)user\/(\d+)(?:[/?#]|$)/) || value.match(/^(\d+)$/);
+    return user ? user[1] : null;
+  }
+
+  /**
+   * 放送元IDを検索APIの絞り込み条件に変換します
+   * @param {string} watchId - 正規化済みの放送元ID
+   * @return {{type: string, field: string, value: number}|null} - 絞り込み条件（解釈できない場合null）
+   */
+  static toIdFilter(watchId) {
+    const match = (watchId || '').match(/^(co|ch)?(\d+)$/);
+    if (!match) {
+      return null;
+    }
+    return {
+      type: 'equal',
+      field: ID_FIELDS[match[1] || 'user'],
+      value: parseInt(match[2], 10)
+    };
+  }
+
+  /**
+   * 番組の状態と放送元で絞り込む検索条件（jsonFilter）を作成します
+   * @param {string} liveStatus - 番組の状態（'onair' または 'reserved'）
+   * @param {Array<string>} watchIds - 正規化済みの放送元ID
+   * @param {Object} [range] - 開始時刻の範囲
+   * @param {string} [range.from] - 開始時刻の下限（ISO 8601）
+   * @param {string} [range.to] - 開始時刻の上限（ISO 8601）
+   * @return {Object} - jsonFilter
+   */
+  static buildJsonFilter(liveStatus, watchIds, range = {}) {
+    const filters = [
+      { type: 'equal', field: 'liveStatus', value: liveStatus },
+      {
+        type: 'or',
+        filters: watchIds.map(NiconicoAPIClient.toIdFilter).filter(Boolean)
+      }
+    ];
+    
+    if (range.from || range.to) {
+      filters.push({
+        type: 'range',
+        field: 'startTime',
+        ...(range.from ? { from: range.from, include_lower: true } : {}),
+        ...(range.to ? { to: range.to, include_upper: true } : {})
+      });
+    }
+    
+    return { type: 'and', filters };
+  }
+
+  /**
+   * 番組を確認する放送元を設定します
+   * @param {Array<string>} watchIds - 放送元ID（co12345 / ch12345 / ユーザーID）
+   */
+  setChannelIds(watchIds) {
+    this.watchedIds = [...new Set(watchIds
+      .map(NiconicoAPIClient.normalizeWatchId)
+      .filter(Boolean))];
+  }
+
+  /**
+   * 放送中の番組を取得します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認する放送元ID（省略時はウォッチリスト）
+   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
+   * @override
+   */
+  async getStreams(options = {}) {
+    try {
+      const programs = await this.searchPrograms('onair', this.getWatchIds(options.channelIds));
+      return programs.map(program => this.toStream(program));
+    } catch (error) {
+      throw this.handleApiError(error, 'getStreams');
+    }
+  }
+
+  /**
+   * 放送元（コミュニティ・チャンネル・ユーザー）を検索します
+   * 放送元を直接検索するAPIはないため、キーワードに一致する番組を検索して放送元ごとにまとめます
+   * @param {string} query - 検索キーワード
+   * @param {Object} options - オプション
+   * @param {number} [options.limit=50] - 検索する番組数
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果（新しい番組の放送元から順に並びます）
+   * @override
+   */
+  async searchChannels(query, options = {}) {
+    try {
+      const endpoint = new URL(this.baseUrl);
+      endpoint.searchParams.append('q', query);
+      endpoint.searchParams.append('targets', 'title,description,tags');
+      endpoint.searchParams.append('fields', SEARCH_FIELDS.join(','));
+      endpoint.searchParams.append('_sort', '-startTime');
+      endpoint.searchParams.append('_limit', options.limit || 50);
+      endpoint.searchParams.append('_context', SEARCH_CONTEXT);
+      
+      const data = await this.request(endpoint.toString());
+      const results = new Map();
+      (data.data || []).forEach(program => {
+        const providerId = this.getProviderId(program);
+        if (!providerId) {
+          return;
+        }
+        const result = results.get(providerId) || {
+          platformType: 'niconico',
+          channelId: providerId,
+          watchId: providerId,
+          displayName: program.communityText || providerId,
+          avatarUrl: program.communityIcon || '',
+          isLive: false
+        };
+        result.isLive = result.isLive || program.liveStatus === 'onair';
+        results.set(providerId, result);
+      });
+      return [...results.values()];
+    } catch (error) {
+      throw this.handleApiError(error, 'searchChannels');
+    }
+  }
+
+  /**
+   * 予約中の番組をスケジュールとして取得します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認する放送元ID（省略時はウォッチリスト）
+   * @param {number} [options.horizonDays=7] - 取得する期間（日）
+   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
+   * @override
+   */
+  async getSchedules(options = {}) {
+    const now = Date.now();
+    const horizonDays = options.horizonDays || SCHEDULE_HORIZON_DAYS;
+    
+    try {
+      const programs = await this.searchPrograms('reserved', this.getWatchIds(options.channelIds), {
+        from: new Date(now).toISOString(),
+        to: new Date(now + horizonDays * 24 * 60 * 60 * 1000).toISOString()
+      });
+      return programs
+        .map(program => this.toSchedule(program))
+        .sort((a, b) => a.scheduledStartTime - b.scheduledStartTime);
+    } catch (error) {
+      throw this.handleApiError(error, 'getSchedules');
+    }
+  }
+
+  /**
+   * 確認する放送元IDを取得します
+   * @param {Array<string>} [override] - 指定された放送元ID
+   * @return {Array<string>} - 正規化済みの放送元ID
+   * @private
+   */
+  getWatchIds(override) {
+    if (override && override.length > 0) {
+      return [...new Set(override.map(NiconicoAPIClient.normalizeWatchId).filter(Boolean))];
+    }
+    return this.watchedIds;
+  }
+
+  /**
+   * 放送元を分割して番組を検索します
+   * 検索APIには放送元でのフォロー状態を取得する仕組みがないため、ウォッチリストの放送元で絞り込みます
+   * @param {string} liveStatus - 番組の状態（'onair' または 'reserved'）
+   * @param {Array<string>} watchIds - 正規化済みの放送元ID
+   * @param {Object} [range] - 開始時刻の範囲
+   * @return {Promise<Array<Object>>} - 検索結果の番組データ
+   * @private
+   */
+  async searchPrograms(liveStatus, watchIds, range = {}) {
+    if (watchIds.length === 0) {
+      return [];
+    }
+    
+    const chunks = [];
+    for (let i = 0; i < watchIds.length; i += IDS_PER_REQUEST) {
+      chunks.push(watchIds.slice(i, i + IDS_PER_REQUEST));
+    }
+    
+    const results = await mapWithConcurrency(chunks, SEARCH_CONCURRENCY, async chunk => {
+      const endpoint = new URL(this.baseUrl);
+      endpoint.searchParams.append('q', '');
+      endpoint.searchParams.append('targets', 'title,description,tags');
+      endpoint.searchParams.append('fields', SEARCH_FIELDS.join(','));
+      endpoint.searchParams.append('jsonFilter', JSON.stringify(NiconicoAPIClient.buildJsonFilter(liveStatus, chunk, range)));
+      endpoint.searchParams.append('_sort', liveStatus === 'reserved' ? '+startTime' : '-startTime');
+      endpoint.searchParams.append('_limit', SEARCH_PAGE_SIZE);
+      endpoint.searchParams.append('_context', SEARCH_CONTEXT);
+      
+      const data = await this.request(endpoint.toString());
+      return data.data || [];
+    });
+    
+    // 放送元の分割をまたいで同じ番組が含まれないよう番組IDで重複を除く
+    const programs = new Map();
+    results.flat().forEach(program => programs.set(program.contentId, program));
+    return [...programs.values()];
+  }
+
+  /**
+   * 番組データから放送元IDを取得します
+   * @param {Object} program - 検索結果の番組データ
+   * @return {string} - 放送元ID（co12345 / ch12345 / ユーザーID）
+   * @private
+   */
+  getProviderId(program) {
+    if (program.providerType === 'channel' && program.channelId) {
+      return `ch${program.channelId}`;
+    }
+    if (program.communityId) {
+      return `co${program.communityId}`;
+    }
+    return program.userId ? String(program.userId) : '';
+  }
+
+  /**
+   * 番組データのカテゴリを取得します
+   * @param {Object} program - 検索結果の番組データ
+   * @return {string} - カテゴリ名
+   * @private
+   */
+  getCategory(program) {
+    const categoryTags = program.categoryTags || '';
+    return categoryTags.split(/\s+/).filter(Boolean)[0] || '';
+  }
+
+  /**
+   * 放送中の番組データをStreamモデルに変換します
+   * @param {Object} program - 検索結果の番組データ
+   * @return {Stream} - ストリームモデル
+   * @private
+   */
+  toStream(program) {
+    return new Stream({
+      id: program.contentId,
+      title: program.title,
+      streamerName: program.communityText || '',
+      channelId: this.getProviderId(program),
+      thumbnailUrl: program.thumbnailUrl || program.communityIcon || '',
+      platformType: 'niconico',
+      startedAt: program.startTime ? new Date(program.startTime).getTime() : Date.now(),
+      viewerCount: program.viewCounter || 0,
+      gameOrCategory: this.getCategory(program),
+      url: `${this.watchUrl}/${program.contentId}`,
+      isFavorite: false,
+      notified: false
+    });
+  }
+
+  /**
+   * 予約中の番組データをScheduleモデルに変換します
+   * @param {Object} program - 検索結果の番組データ
+   * @return {Schedule} - スケジュールモデル
+   * @private
+   */
+  toSchedule(program) {
+    return new Schedule({
+      id: program.contentId,
+      title: program.title,
+      streamerName: program.communityText || '',
+      platformType: 'niconico',
+      channelId: this.getProviderId(program),
+      scheduledStartTime: new Date(program.startTime).getTime(),
+      scheduledEndTime: program.liveEndTime ? new Date(program.liveEndTime).getTime() : null,
+      thumbnailUrl: program.thumbnailUrl || program.communityIcon || '',
+      gameOrCategory: this.getCategory(program),
+      url: `${this.watchUrl}/${program.contentId}`,
+      notified: false
+    });
+  }
+}
+
+export default NiconicoAPIClient;
@@ -0,0 +1,222 @@
+/**
+ * OPENREC.tv API クライアント
+ * ウォッチリストのチャンネルの配信中・予約中の枠を取得します
+ */
+import BaseAPIClient from './BaseAPIClient';
+import { Stream, Schedule } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+
+const CHANNELS_PER_REQUEST = 20; // 1リクエストで指定するチャンネル数
+const REQUEST_CONCURRENCY = 2; // 同時リクエスト数
+
+/**
+ * 枠の配信状態（onair_status）
+ * @type {Object<string, number>}
+ */
+const ONAIR_STATUS = {
+  reserved: 0,
+  onair: 1
+};
+
+class OpenrecAPIClient extends BaseAPIClient {
+  constructor() {
+    super('openrec');
+    this.baseUrl = 'https://public.openrec.tv/external/api/v5';
+    this.siteUrl = 'https://www.openrec.tv';
+    this.watchedChannelIds = []; // 配信を確認するチャンネルID
+  }
+
+  /**
+   * 入力されたチャンネルIDまたはURLをチャンネルIDに正規化します
+   * @param {string} input - チャンネルIDまたはチャンネルページ（/user/{id}）のURL
+   * @return {string|null} - チャンネルID（解釈できない場合null）
+   */
+  static normalizeChannelId(input) {
+    const value = (input || '').trim();
+    const match = value.match(/openrec\.tv\/user\/([\w-]+)/i) || value.match(/^([\w-]+)$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 配信を確認するチャンネルを設定します
+   * @param {Array<string>} channelIds - チャンネルID
+   */
+  setChannelIds(channelIds) {
+    this.watchedChannelIds = [...new Set(channelIds
+      .map(OpenrecAPIClient.normalizeChannelId)
+      .filter(Boolean))];
+  }
+
+  /**
+   * ライブ配信情報を取得します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認するチャンネルID（省略時はウォッチリスト）
+   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
+   * @override
+   */
+  async getStreams(options = {}) {
+    try {
+      const movies = await this.getMovies('onair', this.getChannelIds(options.channelIds));
+      return movies.map(movie => this.toStream(movie));
+    } catch (error) {
+      throw this.handleApiError(error, 'getStreams');
+    }
+  }
+
+  /**
+   * チャンネルを検索します
+   * 名前で検索する公開APIはないため、入力をチャンネルID（またはチャンネルページのURL）として完全一致で確認します
+   * @param {string} query - チャンネルIDまたはチャンネルページのURL
+   * @param {Object} options - オプション
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果（見つからない場合は空の配列）
+   * @override
+   */
+  async searchChannels(query, options = {}) {
+    const channelId = OpenrecAPIClient.normalizeChannelId(query);
+    if (!channelId) {
+      return [];
+    }
+    
+    try {
+      const channel = await this.request(`${this.baseUrl}/channels/${encodeURIComponent(channelId)}`);
+      return [{
+        platformType: 'openrec',
+        channelId: channel.id || channelId,
+        watchId: channel.id || channelId,
+        displayName: channel.nickname || channel.id || channelId,
+        avatarUrl: channel.l_icon_image_url || channel.icon_image_url || '',
+        isLive: !!channel.is_live
+      }];
+    } catch (error) {
+      if (error.originalError && error.originalError.status === 404) {
+        return [];
+      }
+      throw this.handleApiError(error, 'searchChannels');
+    }
+  }
+
+  /**
+   * 予約中の枠をスケジュールとして取得します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認するチャンネルID（省略時はウォッチリスト）
+   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
+   * @override
+   */
+  async getSchedules(options = {}) {
+    const now = Date.now();
+    
+    try {
+      const movies = await this.getMovies('reserved', this.getChannelIds(options.channelIds));
+      return movies
+        .map(movie => this.toSchedule(movie))
+        .filter(schedule => schedule.scheduledStartTime && schedule.scheduledStartTime >= now)
+        .sort((a, b) => a.scheduledStartTime - b.scheduledStartTime);
+    } catch (error) {
+      throw this.handleApiError(error, 'getSchedules');
+    }
+  }
+
+  /**
+   * 確認するチャンネルIDを取得します
+   * @param {Array<string>} [override] - 指定されたチャンネルID
+   * @return {Array<string>} - チャンネルID
+   * @private
+   */
+  getChannelIds(override) {
+    if (override && override.length > 0) {
+      return [...new Set(override.map(OpenrecAPIClient.normalizeChannelId).filter(Boolean))];
+    }
+    return this.watchedChannelIds;
+  }
+
+  /**
+   * チャンネルを分割して指定した配信状態の枠を取得します
+   * @param {string} status - 配信状態（'onair' または 'reserved'）
+   * @param {Array<string>} channelIds - チャンネルID
+   * @return {Promise<Array<Object>>} - 枠データ
+   * @private
+   */
+  async getMovies(status, channelIds) {
+    if (channelIds.length === 0) {
+      return [];
+    }
+    
+    const chunks = [];
+    for (let i = 0; i < channelIds.length; i += CHANNELS_PER_REQUEST) {
+      chunks.push(channelIds.slice(i, i + CHANNELS_PER_REQUEST));
+    }
+    
+    const results = await mapWithConcurrency(chunks, REQUEST_CONCURRENCY, async chunk => {
+      const endpoint = new URL(`${this.baseUrl}/movies`);
+      endpoint.searchParams.append('channel_ids', chunk.join(','));
+      endpoint.searchParams.append('onair_status', ONAIR_STATUS[status]);
+      endpoint.searchParams.append('is_upload', 'false');
+      
+      const data = await this.request(endpoint.toString());
+      return Array.isArray(data) ? data : [];
+    });
+    
+    // APIの絞り込みに頼らず、指定した配信状態の枠だけを残す
+    return results.flat().filter(movie => movie.onair_status === ONAIR_STATUS[status]);
+  }
+
+  /**
+   * 枠データのサムネイルURLを取得します
+   * @param {Object} movie - 枠データ
+   * @return {string} - サムネイルURL
+   * @private
+   */
+  getThumbnailUrl(movie) {
+    const channel = movie.channel || {};
+    return movie.thumbnail_url || channel.l_icon_image_url || channel.icon_image_url || '';
+  }
+
+  /**
+   * 配信中の枠データをStreamモデルに変換します
+   * @param {Object} movie - 枠データ
+   * @return {Stream} - ストリームモデル
+   */
+  toStream(movie) {
+    const channel = movie.channel || {};
+    
+    return new Stream({
+      id: movie.id,
+      title: movie.title || `${channel.nickname}の配信`,
+      streamerName: channel.nickname || channel.id || '',
+      channelId: channel.id || '',
+      thumbnailUrl: this.getThumbnailUrl(movie),
+      platformType: 'openrec',
+      startedAt: movie.started_at ? new Date(movie.started_at).getTime() : Date.now(),
+      viewerCount: movie.live_views || 0,
+      gameOrCategory: movie.game ? movie.game.title || '' : '',
+      url: `${this.siteUrl}/live/${movie.id}`,
+      isFavorite: false,
+      notified: false
+    });
+  }
+
+  /**
+   * 予約中の枠データをScheduleモデルに変換します
+   * @param {Object} movie - 枠データ
+   * @return {Schedule} - スケジュールモデル
+   */
+  toSchedule(movie) {
+    const channel = movie.channel || {};
+    const startTime = movie.schedule_at || movie.reserved_at || movie.started_at;
+    
+    return new Schedule({
+      id: movie.id,
+      title: movie.title || `${channel.nickname}の配信`,
+      streamerName: channel.nickname || channel.id || '',
+      platformType: 'openrec',
+      channelId: channel.id || '',
+      scheduledStartTime: startTime ? new Date(startTime).getTime() : null,
+      thumbnailUrl: this.getThumbnailUrl(movie),
+      gameOrCategory: movie.game ? movie.game.title || '' : '',
+      url: `${this.siteUrl}/live/${movie.id}`,
+      notified: false
+    });
+  }
+}
+
+export default OpenrecAPIClient;
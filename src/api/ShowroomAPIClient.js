@@ -0,0 +1,252 @@
+/**
+ * SHOWROOM API クライアント
+ * ウォッチリストのルームごとに配信状態と次回の配信予定を確認します
+ */
+import BaseAPIClient from './BaseAPIClient';
+import { Stream, Schedule } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+
+const ROOM_CHECK_CONCURRENCY = 3; // ルーム確認の同時リクエスト数
+
+class ShowroomAPIClient extends BaseAPIClient {
+  constructor() {
+    super('showroom');
+    this.baseUrl = 'https://www.showroom-live.com/api';
+    this.siteUrl = 'https://www.showroom-live.com';
+    this.watchedRooms = []; // 配信を確認するルーム（ルームIDまたはルームのURLキー）
+    this.roomIdCache = new Map(); // ルームのURLキーとルームIDの対応
+  }
+
+  /**
+   * 入力されたルームIDまたはURLを、ウォッチリストで使うルームの指定に正規化します
+   * 数字のみの場合はルームID、それ以外はルームのURLキーとして扱います
+   * @param {string} input - ルームID、ルームのURLキーまたはルームページのURL
+   * @return {string|null} - ルームIDまたはURLキー（解釈できない場合null）
+   */
+  static normalizeRoom(input) {
+    const value = (input || '').trim();
+    const idMatch = value.match(/[?&]room_id=(\d+)/);
+    if (idMatch) {
+      return idMatch[1];
+    }
+    const match = value.match(/showroom-live\.com\/(?:r\/)?([\w-]+)/i) || value.match(/^([\w-]+)$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 配信を確認するルームを設定します
+   * @param {Array<string>} rooms - ルームIDまたはルームのURLキー
+   */
+  setChannelIds(rooms) {
+    this.watchedRooms = [...new Set(rooms
+      .map(ShowroomAPIClient.normalizeRoom)
+      .filter(Boolean))];
+  }
+
+  /**
+   * ライブ配信情報を取得します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認するルーム（省略時はウォッチリスト）
+   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
+   * @override
+   */
+  async getStreams(options = {}) {
+    try {
+      const profiles = await this.forEachRoom('getStreams', this.getRooms(options.channelIds), roomId => this.getRoomProfile(roomId));
+      return profiles
+        .filter(profile => profile && profile.is_onlive)
+        .map(profile => this.toStream(profile));
+    } catch (error) {
+      throw this.handleApiError(error, 'getStreams');
+    }
+  }
+
+  /**
+   * ルームを検索します
+   * 名前で検索する公開APIはないため、入力をルームID・ルームのURLキー（またはルームページのURL）として完全一致で確認します
+   * @param {string} query - ルームID、ルームのURLキーまたはルームページのURL
+   * @param {Object} options - オプション
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果（見つからない場合は空の配列）
+   * @override
+   */
+  async searchChannels(query, options = {}) {
+    const room = ShowroomAPIClient.normalizeRoom(query);
+    if (!room) {
+      return [];
+    }
+    
+    try {
+      const roomId = await this.resolveRoomId(room);
+      if (!roomId) {
+        return [];
+      }
+      
+      const profile = await this.getRoomProfile(roomId);
+      return [{
+        platformType: 'showroom',
+        channelId: String(profile.room_id),
+        watchId: String(profile.room_id),
+        displayName: profile.main_name || profile.room_name || String(profile.room_id),
+        avatarUrl: profile.image || '',
+        isLive: !!profile.is_onlive
+      }];
+    } catch (error) {
+      if (error.originalError && error.originalError.status === 404) {
+        return [];
+      }
+      throw this.handleApiError(error, 'searchChannels');
+    }
+  }
+
+  /**
+   * 次回の配信予定をスケジュールとして取得します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認するルーム（省略時はウォッチリスト）
+   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
+   * @override
+   */
+  async getSchedules(options = {}) {
+    const now = Date.now();
+    
+    try {
+      const schedules = await this.forEachRoom('getSchedules', this.getRooms(options.channelIds), async roomId => {
+        const nextLive = await this.request(`${this.baseUrl}/room/next_live?room_id=${roomId}`);
+        if (!nextLive || !nextLive.epoch || nextLive.epoch * 1000 < now) {
+          return null;
+        }
+        return this.toSchedule(await this.getRoomProfile(roomId), nextLive);
+      });
+      return schedules
+        .filter(Boolean)
+        .sort((a, b) => a.scheduledStartTime - b.scheduledStartTime);
+    } catch (error) {
+      throw this.handleApiError(error, 'getSchedules');
+    }
+  }
+
+  /**
+   * 確認するルームを取得します
+   * @param {Array<string>} [override] - 指定されたルーム
+   * @return {Array<string>} - ルームIDまたはルームのURLキー
+   * @private
+   */
+  getRooms(override) {
+    if (override && override.length > 0) {
+      return [...new Set(override.map(ShowroomAPIClient.normalizeRoom).filter(Boolean))];
+    }
+    return this.watchedRooms;
+  }
+
+  /**
+   * ルームごとの処理を並列数を抑えて実行します
+   * ルームのURLキーはルームIDに変換してから処理し、失敗したルームは結果をnullにして確認に失敗したチャンネルとして記録します
+   * @param {string} operation - 取得処理（'getStreams' または 'getSchedules'）
+   * @param {Array<string>} rooms - ルームIDまたはルームのURLキー
+   * @param {function(string): Promise<any>} handler - ルームIDを受け取る処理
+   * @return {Promise<Array<any>>} - ルームごとの結果
+   * @private
+   */
+  async forEachRoom(operation, rooms, handler) {
+    const failedRoomIds = [];
+    const results = await mapWithConcurrency(rooms, ROOM_CHECK_CONCURRENCY, async room => {
+      try {
+        const roomId = await this.resolveRoomId(room);
+        return roomId ? await handler(roomId) : null;
+      } catch (error) {
+        console.warn(`[SHOWROOM] ${room} の確認に失敗しました`, error);
+        // 前回の配信と照合できるよう、わかればストリームのチャンネルID（ルームID）で記録する
+        failedRoomIds.push(this.roomIdCache.get(room) || room);
+        return null;
+      }
+    });
+    this.setFailedChannelIds(operation, failedRoomIds);
+    return results;
+  }
+
+  /**
+   * ルームのURLキーをルームIDに変換します
+   * @param {string} room - ルームIDまたはルームのURLキー
+   * @return {Promise<string|null>} - ルームID（ルームが見つからない場合null）
+   * @private
+   */
+  async resolveRoomId(room) {
+    if (/^\d+$/.test(room)) {
+      return room;
+    }
+    if (!this.roomIdCache.has(room)) {
+      const status = await this.request(`${this.baseUrl}/room/status?room_url_key=${encodeURIComponent(room)}`);
+      this.roomIdCache.set(room, status && status.room_id ? String(status.room_id) : null);
+    }
+    return this.roomIdCache.get(room);
+  }
+
+  /**
+   * ルームのプロフィール（配信状態を含む）を取得します
+   * @param {string} roomId - ルームID
+   * @return {Promise<Object>} - プロフィール
+   * @private
+   */
+  async getRoomProfile(roomId) {
+    const profile = await this.request(`${this.baseUrl}/room/profile?room_id=${roomId}`);
+    return { ...profile, room_id: profile.room_id || roomId };
+  }
+
+  /**
+   * ルームページのURLを取得します
+   * @param {Object} profile - ルームのプロフィール
+   * @return {string} - ルームページのURL
+   * @private
+   */
+  getRoomUrl(profile) {
+    return profile.room_url_key
+      ? `${this.siteUrl}/r/${profile.room_url_key}`
+      : `${this.siteUrl}/room/profile?room_id=${profile.room_id}`;
+  }
+
+  /**
+   * 配信中のルームのプロフィールをStreamモデルに変換します
+   * @param {Object} profile - ルームのプロフィール
+   * @return {Stream} - ストリームモデル
+   */
+  toStream(profile) {
+    const startedAt = profile.current_live_started_at ? profile.current_live_started_at * 1000 : Date.now();
+    
+    return new Stream({
+      id: profile.live_id ? String(profile.live_id) : `${profile.room_id}_${startedAt}`,
+      title: profile.room_name || profile.main_name || '',
+      streamerName: profile.main_name || profile.room_name || '',
+      channelId: String(profile.room_id),
+      thumbnailUrl: profile.image || '',
+      platformType: 'showroom',
+      startedAt,
+      viewerCount: profile.view_num || 0,
+      gameOrCategory: profile.genre_name || '',
+      url: this.getRoomUrl(profile),
+      isFavorite: false,
+      notified: false
+    });
+  }
+
+  /**
+   * 次回の配信予定をScheduleモデルに変換します
+   * @param {Object} profile - ルームのプロフィール
+   * @param {{epoch: number, text: string}} nextLive - 次回の配信予定
+   * @return {Schedule} - スケジュールモデル
+   */
+  toSchedule(profile, nextLive) {
+    return new Schedule({
+      id: `${profile.room_id}_${nextLive.epoch}`,
+      title: `${profile.room_name || profile.main_name || ''}の配信予定`,
+      streamerName: profile.main_name || profile.room_name || '',
+      platformType: 'showroom',
+      channelId: String(profile.room_id),
+      scheduledStartTime: nextLive.epoch * 1000,
+      thumbnailUrl: profile.image || '',
+      gameOrCategory: profile.genre_name || '',
+      url: this.getRoomUrl(profile),
+      notified: false
+    });
+  }
+}
+
+export default ShowroomAPIClient;
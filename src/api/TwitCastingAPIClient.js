@@ -3,7 +3,11 @@
  * TwitCastingプラットフォーム固有のAPI機能を提供します
  */
 import BaseAPIClient from './BaseAPIClient';
-import { Stream, Schedule, Auth } from '../core/models';
+import { Stream, Auth } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+
+const LIVE_CHECK_CONCURRENCY = 4; // 配信状態確認の同時リクエスト数
+const SUPPORTING_PAGE_SIZE = 20; // サポーター一覧の1ページの取得件数（APIの上限）
 
 class TwitCastingAPIClient extends BaseAPIClient {
   constructor() {
@@ -15,6 +19,8 @@ class TwitCastingAPIClient extends BaseAPIClient {
     this.auth = new Auth({ platformType: 'twitcasting' });
     this.redirectUri = chrome.identity.getRedirectURL('twitcasting');
     this.scopes = ['read']; // 基本的な読み取り権限のみ
+    this.watchedUserIds = []; // 配信を確認するユーザー（screen_id）
+    this.userIdsByScreenId = new Map(); // 配信を確認したユーザーの screen_id と Stream.channelId（ユーザーID）の対応
   }
 
   /**
@@ -47,6 +53,22 @@ class TwitCastingAPIClient extends BaseAPIClient {
           ...result.twitcasting_auth
         });
       }
+      
+      // 設定からクライアントID・シークレットを読み込む（オプションになければ）
+      if (!this.clientId || !this.clientSecret) {
+        const settings = await chrome.storage.local.get('settings');
+        if (settings && settings.settings) {
+          this.clientId = this.clientId || settings.settings.twitcastingClientId || null;
+          this.clientSecret = this.clientSecret || settings.settings.twitcastingClientSecret || null;
+        }
+      }
+      
+      // 配信を確認したユーザーの screen_id とユーザーIDの対応を読み込む
+      // （サービスワーカーの再起動後も、確認に失敗したユーザーを前回のストリームと照合できるようにする）
+      const cached = await chrome.storage.local.get('twitcasting_user_ids');
+      if (cached.twitcasting_user_ids) {
+        this.userIdsByScreenId = new Map(Object.entries(cached.twitcasting_user_ids));
+      }
     } catch (error) {
       console.error('TwitCastingの認証情報の読み込みに失敗しました', error);
     }
@@ -221,71 +243,155 @@ class TwitCastingAPIClient extends BaseAPIClient {
     return await response.json();
   }
 
+  /**
+   * 配信を確認するユーザーを設定します
+   * @param {Array<string>} userIds - ユーザーID（screen_id）
+   */
+  setChannelIds(userIds) {
+    this.watchedUserIds = [...new Set(userIds.filter(Boolean))];
+  }
+
   /**
    * ライブ配信情報を取得します
+   * 確認するユーザーが指定・設定されている場合は各ユーザーの配信状態を並列数を抑えて確認し、
+   * ない場合は配信中のライブ一覧を検索します
    * @param {Object} options - 取得オプション
+   * @param {string|Array<string>} [options.userId] - 確認するユーザーID（screen_id）
    * @return {Promise<Array<Stream>>} - ストリーム情報の配列
    * @override
    */
   async getStreams(options = {}) {
     try {
-      let streams = [];
-      
       // 認証情報が必要
-      if (!this.clientId || !this.clientSecret) {
+      if (!this.auth.accessToken && !(this.clientId && this.clientSecret)) {
         throw new Error('TwitCasting Client IDとClient Secretが設定されていません');
       }
       
-      // オプションに基づいて取得方法を決定
-      if (options.userId) {
-        // 特定のユーザーの配信を取得
-        const userIds = Array.isArray(options.userId) ? options.userId : [options.userId];
-        
-        for (const userId of userIds) {
-          const liveInfo = await this.getUserLiveInfo(userId);
-          if (liveInfo.is_live) {
-            streams.push(this.convertToStreamModel(liveInfo));
+      const userIds = options.userId
+        ? (Array.isArray(options.userId) ? options.userId : [options.userId])
+        : this.watchedUserIds;
+      
+      if (userIds.length > 0) {
+        const knownUserCount = this.userIdsByScreenId.size;
+        const failedUserIds = [];
+        const lives = await mapWithConcurrency(userIds, LIVE_CHECK_CONCURRENCY, async userId => {
+          // 残りリクエスト数が並列数を下回ったらリセットまで待つ
+          await this.waitForRateLimit(LIVE_CHECK_CONCURRENCY);
+          try {
+            return await this.getCurrentLive(userId);
+          } catch (error) {
+            console.warn(`[TwitCasting] ${userId} の配信状態の確認に失敗しました`, error);
+            // 前回の配信と照合できるよう、わかればストリームのチャンネルID（ユーザーID）で記録する
+            failedUserIds.push(this.userIdsByScreenId.get(userId) || userId);
+            return null;
           }
+        });
+        this.setFailedChannelIds('getStreams', failedUserIds);
+        if (this.userIdsByScreenId.size !== knownUserCount) {
+          await this.saveUserIds();
         }
+        return lives.filter(Boolean);
+      }
+      
+      this.setFailedChannelIds('getStreams', []);
+      
+      // 現在の配信一覧を取得（カテゴリ指定可能）
+      const endpoint = new URL(`${this.baseUrl}/search/lives`);
+      
+      if (options.type) {
+        endpoint.searchParams.append('type', options.type);
+      }
+      
+      if (options.limit) {
+        endpoint.searchParams.append('limit', options.limit);
       } else {
-        // 現在の配信一覧を取得（カテゴリ指定可能）
-        const endpoint = new URL(`${this.baseUrl}/search/lives`);
-        
-        if (options.type) {
-          endpoint.searchParams.append('type', options.type);
-        }
-        
-        if (options.limit) {
-          endpoint.searchParams.append('limit', options.limit);
-        } else {
-          endpoint.searchParams.append('limit', 50); // デフォルト
-        }
-        
-        if (options.lang) {
-          endpoint.searchParams.append('lang', options.lang);
-        }
-        
-        const data = await this.request(endpoint.toString());
-        
-        // レスポンスデータをStreamモデルに変換
-        streams = data.movies.map(this.convertToStreamModel.bind(this));
+        endpoint.searchParams.append('limit', 50); // デフォルト
+      }
+      
+      if (options.lang) {
+        endpoint.searchParams.append('lang', options.lang);
       }
       
-      return streams;
+      const data = await this.request(endpoint.toString());
+      
+      // レスポンスデータをStreamモデルに変換
+      return data.movies.map(this.convertToStreamModel.bind(this));
     } catch (error) {
       throw this.handleApiError(error, 'getStreams');
     }
   }
 
   /**
-   * 特定のユーザーのライブ情報を取得します
-   * @param {string} userId - ユーザーID
-   * @return {Promise<Object>} - ライブ情報
+   * ユーザーの現在の配信を取得します
+   * @param {string} userId - ユーザーID（screen_id）
+   * @return {Promise<Stream|null>} - 配信中ならストリーム、配信していなければnull
+   * @private
+   */
+  async getCurrentLive(userId) {
+    try {
+      const data = await this.request(`${this.baseUrl}/users/${encodeURIComponent(userId)}/current_live`);
+      const stream = this.convertToStreamModel(data);
+      if (stream.channelId) {
+        this.userIdsByScreenId.set(userId, String(stream.channelId));
+      }
+      return stream;
+    } catch (error) {
+      // 配信していないユーザーは404を返す
+      if (error.originalError && error.originalError.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * screen_id とユーザーIDの対応を保存します
+   * @return {Promise<void>}
    * @private
    */
-  async getUserLiveInfo(userId) {
-    const endpoint = `${this.baseUrl}/users/${userId}`;
-    return await this.request(endpoint);
+  async saveUserIds() {
+    await chrome.storage.local.set({ twitcasting_user_ids: Object.fromEntries(this.userIdsByScreenId) });
+  }
+
+  /**
+   * ユーザーがサポートしているユーザーの一覧をすべて取得します
+   * @param {string} [userId] - ユーザーID（省略時は認証ユーザー）
+   * @return {Promise<Array<{id: string, name: string, thumbnailUrl: string}>>} - サポート中のユーザーの配列（idはscreen_id）
+   */
+  async getSupportingUsers(userId = null) {
+    userId = userId || this.auth.userId;
+    if (!userId) {
+      throw new Error('ユーザーIDが指定されていません');
+    }
+    
+    try {
+      const users = [];
+      let total = Infinity;
+      
+      while (users.length < total) {
+        const endpoint = new URL(`${this.baseUrl}/users/${encodeURIComponent(userId)}/supporting`);
+        endpoint.searchParams.append('offset', users.length);
+        endpoint.searchParams.append('limit', SUPPORTING_PAGE_SIZE);
+        
+        await this.waitForRateLimit();
+        const data = await this.request(endpoint.toString());
+        const page = data.supporting || [];
+        users.push(...page.map(user => ({
+          id: user.screen_id,
+          name: user.name,
+          thumbnailUrl: user.image || ''
+        })));
+        
+        total = data.total || 0;
+        if (page.length === 0) {
+          break;
+        }
+      }
+      
+      return users;
+    } catch (error) {
+      throw this.handleApiError(error, 'getSupportingUsers');
+    }
   }
 
   /**
@@ -307,6 +413,7 @@ class TwitCastingAPIClient extends BaseAPIClient {
         id: liveData.movie.id,
         title: liveData.movie.title || `${liveData.broadcaster.name}の配信`,
         streamerName: liveData.broadcaster.name,
+        channelId: liveData.broadcaster.id,
         thumbnailUrl: thumbnail,
         platformType: 'twitcasting',
         startedAt: new Date(liveData.movie.created * 1000).getTime(),
@@ -325,6 +432,7 @@ class TwitCastingAPIClient extends BaseAPIClient {
         id: liveData.movie?.id || `${liveData.user.id}_live`,
         title: liveData.movie?.title || `${liveData.user.name}の配信`,
         streamerName: liveData.user.name,
+        channelId: liveData.user.id,
         thumbnailUrl: thumbnail,
         platformType: 'twitcasting',
         startedAt: liveData.movie?.created ? new Date(liveData.movie.created * 1000).getTime() : Date.now(),
@@ -352,6 +460,40 @@ class TwitCastingAPIClient extends BaseAPIClient {
     });
   }
 
+  /**
+   * ユーザーを名前で検索します
+   * @param {string} query - 検索キーワード（スペース区切りでAND検索）
+   * @param {Object} options - オプション
+   * @param {number} [options.limit=20] - 取得件数
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果（watchId は screen_id）
+   * @override
+   */
+  async searchChannels(query, options = {}) {
+    try {
+      if (!this.auth.accessToken && !(this.clientId && this.clientSecret)) {
+        throw new Error('TwitCasting Client IDとClient Secretが設定されていません');
+      }
+      
+      const endpoint = new URL(`${this.baseUrl}/search/users`);
+      endpoint.searchParams.append('words', query);
+      endpoint.searchParams.append('limit', options.limit || 20);
+      endpoint.searchParams.append('lang', 'ja');
+      
+      const data = await this.request(endpoint.toString());
+      return (data.users || []).map(user => ({
+        platformType: 'twitcasting',
+        // 配信の channelId はユーザーの数値ID、ウォッチリストは screen_id で管理している
+        channelId: user.id,
+        watchId: user.screen_id,
+        displayName: user.name || user.screen_id,
+        avatarUrl: user.image || '',
+        isLive: !!user.is_live
+      }));
+    } catch (error) {
+      throw this.handleApiError(error, 'searchChannels');
+    }
+  }
+
   /**
    * スケジュール情報を取得します
    * @param {Object} options - 取得オプション
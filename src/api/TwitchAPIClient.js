@@ -4,6 +4,11 @@
  */
 import BaseAPIClient from './BaseAPIClient';
 import { Stream, Schedule, Auth } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+
+const SCHEDULE_CONCURRENCY = 5; // スケジュール取得の同時リクエスト数
+const SCHEDULE_MAX_PAGES = 4; // 配信者ごとのスケジュール取得の最大ページ数
+const SCHEDULE_HORIZON_DAYS = 7; // 取得するスケジュールの期間（日）
 
 class TwitchAPIClient extends BaseAPIClient {
   constructor() {
@@ -322,7 +327,10 @@ class TwitchAPIClient extends BaseAPIClient {
    * 指定したユーザーがフォローしている配信者の情報を取得します
    * @param {string} userId - ユーザーID
    * @param {Object} options - オプション
-   * @return {Promise<Array>} - フォロー情報の配列
+   * @param {number} [options.first] - 1ページの取得件数
+   * @param {string} [options.after] - ページネーションカーソル
+   * @param {boolean} [options.withPagination] - trueの場合ページネーション情報を含むレスポンス全体を返す
+   * @return {Promise<Array|Object>} - フォロー情報の配列（broadcaster_id, broadcaster_login, broadcaster_name, followed_at）
    */
   async getFollowedChannels(userId = null, options = {}) {
     if (!userId && this.auth.userId) {
@@ -335,8 +343,8 @@ class TwitchAPIClient extends BaseAPIClient {
     
     try {
       // APIエンドポイントの構築
-      const endpoint = new URL(`${this.baseUrl}/users/follows`);
-      endpoint.searchParams.append('from_id', userId);
+      const endpoint = new URL(`${this.baseUrl}/channels/followed`);
+      endpoint.searchParams.append('user_id', userId);
       
       // ページネーション
       if (options.first) {
@@ -352,22 +360,85 @@ class TwitchAPIClient extends BaseAPIClient {
       // APIリクエスト
       const data = await this.request(endpoint.toString());
       
-      return data.data;
+      // ページネーション情報が必要な場合はレスポンス全体を返す
+      return options.withPagination ? data : data.data;
     } catch (error) {
       throw this.handleApiError(error, 'getFollowedChannels');
     }
   }
 
+  /**
+   * フォロー中の配信者を全ページ取得し、ストレージに保存します
+   * @return {Promise<Array<Object>>} - フォロー情報の配列
+   */
+  async syncFollowedChannels() {
+    const channels = [];
+    let cursor = null;
+    
+    do {
+      await this.waitForRateLimit();
+      const page = await this.getFollowedChannels(null, { after: cursor, withPagination: true });
+      channels.push(...page.data);
+      cursor = page.pagination && page.pagination.cursor;
+    } while (cursor);
+    
+    const followedChannels = {
+      userId: this.auth.userId,
+      channels: channels.map(channel => ({
+        id: channel.broadcaster_id,
+        login: channel.broadcaster_login,
+        name: channel.broadcaster_name,
+        followedAt: channel.followed_at
+      })),
+      syncedAt: Date.now()
+    };
+    
+    await chrome.storage.local.set({ twitch_followed_channels: followedChannels });
+    
+    this.eventEmitter.emit('client:followsSynced', {
+      platformType: this.platformType,
+      count: followedChannels.channels.length
+    });
+    
+    return followedChannels.channels;
+  }
+
+  /**
+   * 保存済みのフォロー一覧を取得します
+   * 現在の認証ユーザーのものでない、または古くなっている場合は再同期します
+   * @param {Object} [options] - オプション
+   * @param {number} [options.maxAge=3600000] - 保存済み一覧を使う最大経過時間（ms）
+   * @return {Promise<Array<Object>>} - フォロー情報の配列 { id, login, name, followedAt }
+   */
+  async getSyncedFollowedChannels(options = {}) {
+    const maxAge = options.maxAge || 60 * 60 * 1000;
+    const result = await chrome.storage.local.get('twitch_followed_channels');
+    const cached = result && result.twitch_followed_channels;
+    
+    if (cached && cached.userId === this.auth.userId && Date.now() - cached.syncedAt < maxAge) {
+      return cached.channels;
+    }
+    return await this.syncFollowedChannels();
+  }
+
   /**
    * ストリーム情報を取得します
+   * 認証済みの場合はフォロー中の配信者のライブ配信（/streams/followed）を、
+   * 未認証またはユーザー・ゲームを指定した場合は /streams の結果を返します
    * @param {Object} options - 取得オプション
+   * @param {boolean} [options.followedOnly=true] - 認証済みの場合にフォロー中の配信のみを取得するか
    * @return {Promise<Array<Stream>>} - ストリーム情報の配列
    * @override
    */
   async getStreams(options = {}) {
     try {
       // 認証状態の確認
-      await this.checkTokenExpiration();
+      const isAuthenticated = await this.checkTokenExpiration();
+      const followedOnly = options.followedOnly !== false && !options.userId && !options.gameId;
+      
+      if (isAuthenticated && followedOnly && this.auth.userId) {
+        return await this.getFollowedStreams();
+      }
       
       // オプションの準備
       const endpoint = new URL(`${this.baseUrl}/streams`);
@@ -379,7 +450,8 @@ class TwitchAPIClient extends BaseAPIClient {
       
       // 特定のユーザーのストリームを取得
       if (options.userId) {
-        endpoint.searchParams.append('user_id', Array.isArray(options.userId) ? options.userId.join('&user_id=') : options.userId);
+        const userIds = Array.isArray(options.userId) ? options.userId : [options.userId];
+        userIds.forEach(userId => endpoint.searchParams.append('user_id', userId));
       }
       
       // 言語フィルタリング
@@ -402,346 +474,231 @@ class TwitchAPIClient extends BaseAPIClient {
       const data = await this.request(endpoint.toString());
       
       // レスポンスデータをStreamモデルに変換
-      return data.data.map(stream => new Stream({
-        id: stream.id,
-        title: stream.title,
-        streamerName: stream.user_name,
-        thumbnailUrl: stream.thumbnail_url
-          .replace('{width}', '320')
-          .replace('{height}', '180'),
-        platformType: 'twitch',
-        startedAt: new Date(stream.started_at).getTime(),
-        viewerCount: stream.viewer_count,
-        gameOrCategory: stream.game_name,
-        url: `https://twitch.tv/${stream.user_login}`,
-        isFavorite: false, // お気に入り状態は別途設定
-        notified: false // 通知済みかどうかも別途設定
-      }));
+      return data.data.map(stream => this.toStream(stream));
     } catch (error) {
       throw this.handleApiError(error, 'getStreams');
     }
   }
 
   /**
-   * スケジュール情報を取得します
-   * @param {Object} options - 取得オプション
-   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
-   * @override
-   */
-  async getSchedules(options = {}) {
-    // スケジュール機能の実装は今後のフェーズで行う
-    return Promise.resolve([]);
-  }
-}
-
-export default TwitchAPIClient;
-
-  /**
-   * デフォルトのリクエストオプションを取得します
-   * @return {Object} - デフォルトオプション
-   * @protected
-   * @override
+   * 認証ユーザーがフォローしている配信者のライブ配信をすべて取得します
+   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
+   * @private
    */
-  getDefaultRequestOptions() {
-    const options = super.getDefaultRequestOptions();
-    
-    // 認証ヘッダーを追加
-    if (this.auth.accessToken) {
-      options.headers['Authorization'] = `Bearer ${this.auth.accessToken}`;
-    }
-    
-    // Client-IDヘッダーを追加
-    if (this.clientId) {
-      options.headers['Client-ID'] = this.clientId;
-    }
+  async getFollowedStreams() {
+    const streams = [];
+    let cursor = null;
+    
+    do {
+      const endpoint = new URL(`${this.baseUrl}/streams/followed`);
+      endpoint.searchParams.append('user_id', this.auth.userId);
+      endpoint.searchParams.append('first', 100);
+      if (cursor) {
+        endpoint.searchParams.append('after', cursor);
+      }
+      
+      await this.waitForRateLimit();
+      const data = await this.request(endpoint.toString());
+      streams.push(...data.data.map(stream => this.toStream(stream)));
+      cursor = data.pagination && data.pagination.cursor;
+    } while (cursor);
     
-    return options;
+    return streams;
   }
 
   /**
-   * レートリミット情報を更新します
-   * @param {Response} response - フェッチレスポンス
-   * @protected
-   * @override
+   * APIレスポンスのストリーム情報をStreamモデルに変換します
+   * @param {Object} stream - APIレスポンスのストリーム情報
+   * @return {Stream} - Streamモデル
+   * @private
    */
-  updateRateLimitInfo(response) {
-    // Twitchのレートリミットヘッダーを解析
-    const rateLimit = response.headers.get('Ratelimit-Limit');
-    const rateRemaining = response.headers.get('Ratelimit-Remaining');
-    const rateReset = response.headers.get('Ratelimit-Reset');
-    
-    if (rateLimit) {
-      this.rateLimitInfo.limit = parseInt(rateLimit, 10);
-    }
-    
-    if (rateRemaining) {
-      this.rateLimitInfo.remaining = parseInt(rateRemaining, 10);
-    }
-    
-    if (rateReset) {
-      this.rateLimitInfo.resetTime = parseInt(rateReset, 10) * 1000; // 秒からミリ秒に変換
-    }
+  toStream(stream) {
+    return new Stream({
+      id: stream.id,
+      title: stream.title,
+      streamerName: stream.user_name,
+      channelId: stream.user_id,
+      thumbnailUrl: stream.thumbnail_url
+        .replace('{width}', '320')
+        .replace('{height}', '180'),
+      platformType: 'twitch',
+      startedAt: new Date(stream.started_at).getTime(),
+      viewerCount: stream.viewer_count,
+      gameOrCategory: stream.game_name,
+      language: stream.language || '',
+      url: `https://twitch.tv/${stream.user_login}`,
+      isFavorite: false, // お気に入り状態は別途設定
+      notified: false // 通知済みかどうかも別途設定
+    });
   }
 
   /**
-   * APIエラーを処理します
-   * @param {Error} error - エラーオブジェクト
-   * @param {string} endpoint - APIエンドポイント
-   * @return {Error} - 処理されたエラー
-   * @protected
+   * 配信者（チャンネル）を名前で検索します
+   * @param {string} query - 検索キーワード
+   * @param {Object} options - オプション
+   * @param {number} [options.first=20] - 取得件数
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果
    * @override
    */
-  handleApiError(error, endpoint) {
-    // 401エラーの場合は認証切れとして処理
-    if (error.status === 401) {
-      this.eventEmitter.emit('client:authError', {
-        platformType: this.platformType,
-        error,
-        reason: 'token_invalid',
-        endpoint
-      });
-      
-      // クライアント側で非認証状態に戻す
-      this.clearAuth();
+  async searchChannels(query, options = {}) {
+    try {
+      await this.checkTokenExpiration();
       
-      const authError = new Error('認証が無効になりました。再認証が必要です。');
-      authError.originalError = error;
-      authError.endpoint = endpoint;
-      authError.platformType = this.platformType;
-      authError.code = 'AUTH_ERROR';
+      const endpoint = new URL(`${this.baseUrl}/search/channels`);
+      endpoint.searchParams.append('query', query);
+      endpoint.searchParams.append('first', options.first || 20);
       
-      return authError;
+      const data = await this.request(endpoint.toString());
+      return data.data.map(channel => ({
+        platformType: 'twitch',
+        channelId: channel.id,
+        watchId: channel.id,
+        displayName: channel.display_name || channel.broadcaster_login,
+        avatarUrl: channel.thumbnail_url || '',
+        isLive: !!channel.is_live
+      }));
+    } catch (error) {
+      throw this.handleApiError(error, 'searchChannels');
     }
-    
-    return super.handleApiError(error, endpoint);
   }
 
   /**
-   * Twitchで認証を行います
-   * @param {Object} options - 認証オプション
-   * @return {Promise<Auth>} - 認証情報
+   * スケジュール情報を取得します
+   * フォロー中の配信者ごとに /schedule を取得し、同時リクエスト数とレート制限を守りながら一括処理します
+   * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.broadcasterIds] - 対象の配信者ID（省略時はフォロー中の配信者）
+   * @param {number} [options.horizonDays] - 取得する期間（日）
+   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
    * @override
    */
-  async authenticate(options = {}) {
-    if (!this.clientId) {
-      throw new Error('Twitch Client IDが設定されていません');
-    }
-    
+  async getSchedules(options = {}) {
     try {
-      // 認証URLの構築
-      const authUrl = new URL(`${this.authUrl}/authorize`);
-      authUrl.searchParams.append('client_id', this.clientId);
-      authUrl.searchParams.append('redirect_uri', this.redirectUri);
-      authUrl.searchParams.append('response_type', 'token');
-      authUrl.searchParams.append('scope', this.scopes.join(' '));
-      
-      // Chrome拡張機能のOAuth認証フロー
-      const responseUrl = await new Promise((resolve, reject) => {
-        chrome.identity.launchWebAuthFlow({
-          url: authUrl.toString(),
-          interactive: true
-        }, (redirectUrl) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(redirectUrl);
-          }
-        });
-      });
-      
-      // リダイレクトURLからトークン情報を抽出
-      const hashParams = new URLSearchParams(new URL(responseUrl).hash.substring(1));
-      const accessToken = hashParams.get('access_token');
-      const expiresIn = parseInt(hashParams.get('expires_in'), 10);
-      
-      if (!accessToken) {
-        throw new Error('アクセストークンの取得に失敗しました');
+      // フォロー情報の取得には認証が必要
+      if (!options.broadcasterIds && !(await this.isAuthenticated())) {
+        this.setFailedChannelIds('getSchedules', []);
+        return [];
       }
       
-      // ユーザー情報の取得
-      const userInfo = await this.getUserInfo(accessToken);
-      
-      // 認証情報の更新
-      this.auth = new Auth({
-        platformType: 'twitch',
-        clientId: this.clientId,
-        accessToken,
-        expiresAt: Date.now() + (expiresIn * 1000),
-        isAuthorized: true,
-        userId: userInfo.id,
-        userName: userInfo.login
-      });
-      
-      // chromeストレージに保存
-      await this.saveAuthToStorage();
-      
-      this.eventEmitter.emit('client:authenticated', {
-        platformType: this.platformType,
-        userId: userInfo.id,
-        userName: userInfo.login
+      const broadcasterIds = options.broadcasterIds || await this.getFollowedBroadcasterIds();
+      const horizon = Date.now() + (options.horizonDays || SCHEDULE_HORIZON_DAYS) * 24 * 60 * 60 * 1000;
+      
+      const failedBroadcasterIds = [];
+      const results = await mapWithConcurrency(broadcasterIds, SCHEDULE_CONCURRENCY, async broadcasterId => {
+        await this.waitForRateLimit(SCHEDULE_CONCURRENCY);
+        try {
+          return await this.getBroadcasterSchedule(broadcasterId, { horizon });
+        } catch (error) {
+          // 1人分の失敗で全体を止めない（予定がないのではなく不明として記録する）
+          console.warn(`[Twitch] 配信者 ${broadcasterId} のスケジュール取得に失敗しました`, error);
+          failedBroadcasterIds.push(broadcasterId);
+          return [];
+        }
       });
+      this.setFailedChannelIds('getSchedules', failedBroadcasterIds);
       
-      return this.auth;
+      return results
+        .flat()
+        .sort((a, b) => new Date(a.scheduledStartTime) - new Date(b.scheduledStartTime));
     } catch (error) {
-      this.eventEmitter.emit('client:authError', {
-        platformType: this.platformType,
-        error,
-        reason: 'authentication_failed'
-      });
-      throw this.handleApiError(error, 'authenticate');
+      throw this.handleApiError(error, 'getSchedules');
     }
   }
 
   /**
-   * ユーザー情報を取得します
-   * @param {string} accessToken - アクセストークン
-   * @return {Promise<Object>} - ユーザー情報
-   * @private
+   * フォロー中の配信者IDをすべて取得します
+   * @return {Promise<Array<string>>} - 配信者IDの配列
    */
-  async getUserInfo(accessToken) {
-    const response = await fetch(`${this.baseUrl}/users`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Client-ID': this.clientId
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`ユーザー情報の取得に失敗しました: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data.data[0] || {};
+  async getFollowedBroadcasterIds() {
+    const channels = await this.getSyncedFollowedChannels();
+    return channels.map(channel => channel.id);
   }
 
   /**
-   * 認証状態を確認します
-   * @return {Promise<boolean>} - 認証が有効かどうか
-   */
-  async isAuthenticated() {
-    // 認証情報が無い場合
-    if (!this.auth.isAuthorized || !this.auth.accessToken) {
-      return false;
-    }
-    
-    // トークンの有効期限チェック
-    return await this.checkTokenExpiration();
-  }
-
-  /**
-   * 指定したユーザーがフォローしている配信者の情報を取得します
-   * @param {string} userId - ユーザーID
-   * @param {Object} options - オプション
-   * @return {Promise<Array>} - フォロー情報の配列
-   */
-  async getFollowedChannels(userId = null, options = {}) {
-    if (!userId && this.auth.userId) {
-      userId = this.auth.userId;
-    }
-    
-    if (!userId) {
-      throw new Error('ユーザーIDが指定されていません');
-    }
-    
-    try {
-      // APIエンドポイントの構築
-      const endpoint = new URL(`${this.baseUrl}/users/follows`);
-      endpoint.searchParams.append('from_id', userId);
-      
-      // ページネーション
-      if (options.first) {
-        endpoint.searchParams.append('first', options.first);
-      } else {
-        endpoint.searchParams.append('first', 100); // デフォルト最大値
-      }
-      
-      if (options.after) {
-        endpoint.searchParams.append('after', options.after);
-      }
-      
-      // APIリクエスト
-      const data = await this.request(endpoint.toString());
-      
-      return data.data;
-    } catch (error) {
-      throw this.handleApiError(error, 'getFollowedChannels');
-    }
-  }
-
-  /**
-   * ストリーム情報を取得します
+   * 1人の配信者のスケジュールを取得します
+   * 繰り返し枠は発生日ごとのセグメントとして返されるため、そのまま個別のスケジュールとして扱います。
+   * キャンセルされた枠と休止期間中の枠は除外します
+   * @param {string} broadcasterId - 配信者ID
    * @param {Object} options - 取得オプション
-   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
-   * @override
+   * @param {number} options.horizon - この時刻（ms）より後に始まる枠は取得しない
+   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
+   * @private
    */
-  async getStreams(options = {}) {
-    try {
-      // 認証状態の確認
-      await this.checkTokenExpiration();
-      
-      // オプションの準備
-      const endpoint = new URL(`${this.baseUrl}/streams`);
-      
-      // ゲーム/カテゴリによるフィルタリング
-      if (options.gameId) {
-        endpoint.searchParams.append('game_id', options.gameId);
+  async getBroadcasterSchedule(broadcasterId, options = {}) {
+    const schedules = [];
+    let cursor = null;
+    
+    for (let page = 0; page < SCHEDULE_MAX_PAGES; page++) {
+      const endpoint = new URL(`${this.baseUrl}/schedule`);
+      endpoint.searchParams.append('broadcaster_id', broadcasterId);
+      endpoint.searchParams.append('first', 25);
+      if (cursor) {
+        endpoint.searchParams.append('after', cursor);
       }
       
-      // 特定のユーザーのストリームを取得
-      if (options.userId) {
-        endpoint.searchParams.append('user_id', Array.isArray(options.userId) ? options.userId.join('&user_id=') : options.userId);
+      let data;
+      try {
+        data = await this.request(endpoint.toString());
+      } catch (error) {
+        // スケジュールを設定していない配信者は404を返す
+        if (error.originalError && error.originalError.status === 404) {
+          return schedules;
+        }
+        throw error;
       }
       
-      // 言語フィルタリング
-      if (options.language) {
-        endpoint.searchParams.append('language', options.language);
-      }
+      const schedule = data.data || {};
+      const segments = schedule.segments || [];
+      const vacation = schedule.vacation;
+      let reachedHorizon = false;
       
-      // ページネーション
-      if (options.first) {
-        endpoint.searchParams.append('first', options.first);
-      } else {
-        endpoint.searchParams.append('first', 20); // デフォルト
-      }
+      segments.forEach(segment => {
+        const startTime = new Date(segment.start_time).getTime();
+        if (startTime > options.horizon) {
+          reachedHorizon = true;
+          return;
+        }
+        if (segment.canceled_until || this.isDuringVacation(startTime, vacation)) {
+          return;
+        }
+        
+        schedules.push(new Schedule({
+          id: segment.id,
+          title: segment.title || `${schedule.broadcaster_name}の配信予定`,
+          streamerName: schedule.broadcaster_name,
+          channelId: schedule.broadcaster_id,
+          platformType: 'twitch',
+          scheduledStartTime: segment.start_time,
+          scheduledEndTime: segment.end_time,
+          gameOrCategory: segment.category ? segment.category.name : '',
+          url: `https://twitch.tv/${schedule.broadcaster_login}/schedule`,
+          isRecurring: !!segment.is_recurring
+        }));
+      });
       
-      if (options.after) {
-        endpoint.searchParams.append('after', options.after);
+      cursor = data.pagination && data.pagination.cursor;
+      if (!cursor || reachedHorizon) {
+        break;
       }
-      
-      // APIリクエスト
-      const data = await this.request(endpoint.toString());
-      
-      // レスポンスデータをStreamモデルに変換
-      return data.data.map(stream => new Stream({
-        id: stream.id,
-        title: stream.title,
-        streamerName: stream.user_name,
-        thumbnailUrl: stream.thumbnail_url
-          .replace('{width}', '320')
-          .replace('{height}', '180'),
-        platformType: 'twitch',
-        startedAt: new Date(stream.started_at).getTime(),
-        viewerCount: stream.viewer_count,
-        gameOrCategory: stream.game_name,
-        url: `https://twitch.tv/${stream.user_login}`,
-        isFavorite: false, // お気に入り状態は別途設定
-        notified: false // 通知済みかどうかも別途設定
-      }));
-    } catch (error) {
-      throw this.handleApiError(error, 'getStreams');
+      await this.waitForRateLimit(SCHEDULE_CONCURRENCY);
     }
+    
+    return schedules;
   }
 
   /**
-   * スケジュール情報を取得します
-   * @param {Object} options - 取得オプション
-   * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
-   * @override
+   * 指定時刻が配信者の休止期間中かどうかを判定します
+   * @param {number} time - 判定する時刻（ms）
+   * @param {Object|null} vacation - 休止期間 { start_time, end_time }
+   * @return {boolean} - 休止期間中の場合true
+   * @private
    */
-  async getSchedules(options = {}) {
-    // スケジュール機能の実装は今後のフェーズで行う
-    return Promise.resolve([]);
+  isDuringVacation(time, vacation) {
+    if (!vacation || !vacation.start_time || !vacation.end_time) {
+      return false;
+    }
+    return time >= new Date(vacation.start_time).getTime() &&
+      time < new Date(vacation.end_time).getTime();
   }
 }
 
-export default TwitchAPIClient;
\ No newline at end of file
+export default TwitchAPIClient;
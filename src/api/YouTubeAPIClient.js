@@ -3,7 +3,18 @@
  * YouTubeプラットフォーム固有のAPI機能を提供します
  */
 import BaseAPIClient from './BaseAPIClient';
+import YouTubeQuotaTracker, { YOUTUBE_QUOTA_COSTS } from './YouTubeQuotaTracker';
 import { Stream, Schedule, Auth } from '../core/models';
+import { mapWithConcurrency } from '../utils/Concurrency';
+import { parseFeed, getChildText } from '../utils/FeedParser';
+
+const VIDEOS_BATCH_SIZE = 50; // videos.list で一度に取得できる動画数
+const FEED_CONCURRENCY = 5; // チャンネルフィード取得の同時リクエスト数
+const FEED_LOOKBACK = 14 * 24 * 60 * 60 * 1000; // ライブ・予定配信の候補とする動画の公開期間（ms）
+const FEED_CANDIDATES_PER_CHANNEL = 3; // クォータ見積もり用の1チャンネルあたりの候補動画数
+const SCHEDULE_MIN_INTERVAL = 30 * 60 * 1000; // 予定配信の最小取得間隔（ms）
+const INTERVAL_TOLERANCE = 5000; // アラームの揺らぎを吸収するための許容時間（ms）
+const MAX_KNOWN_CHANNELS = 50; // 検索で見つけたチャンネルを覚えておく上限
 
 class YouTubeAPIClient extends BaseAPIClient {
   constructor() {
@@ -18,6 +29,11 @@ class YouTubeAPIClient extends BaseAPIClient {
     this.scopes = [
       'https://www.googleapis.com/auth/youtube.readonly'
     ];
+    this.quotaTracker = new YouTubeQuotaTracker();
+    this.pollInterval = 60 * 1000; // 希望する取得間隔（ms）
+    this.cache = { streams: [], schedules: [], channelIds: [] };
+    this.channelIds = []; // 配信を確認するチャンネルID（登録チャンネルなど）
+    this.feedCache = {}; // チャンネルごとの最近の動画ID { [channelId]: { videos, trackedIds, fetchedAt } }
   }
 
   /**
@@ -54,6 +70,25 @@ class YouTubeAPIClient extends BaseAPIClient {
           ...result.youtube_auth
         });
       }
+      
+      // 設定からAPIキーとClient IDを読み込む（オプションになければ）
+      if (!this.apiKey || !this.clientId) {
+        const settings = await chrome.storage.local.get('settings');
+        if (settings && settings.settings) {
+          this.apiKey = this.apiKey || settings.settings.youtubeApiKey || null;
+          this.clientId = this.clientId || settings.settings.youtubeClientId || null;
+        }
+      }
+      
+      // クォータ使用量と前回の取得結果を読み込む
+      await this.quotaTracker.load();
+      const cached = await chrome.storage.local.get(['youtube_fetch_cache', 'youtube_feed_cache']);
+      if (cached.youtube_fetch_cache) {
+        this.cache = { ...this.cache, ...cached.youtube_fetch_cache };
+      }
+      if (cached.youtube_feed_cache) {
+        this.feedCache = cached.youtube_feed_cache;
+      }
     } catch (error) {
       console.error('YouTubeの認証情報の読み込みに失敗しました', error);
     }
@@ -89,6 +124,93 @@ class YouTubeAPIClient extends BaseAPIClient {
     // 実装は省略（APIのエラーレスポンスで確認が必要）
   }
 
+  /**
+   * APIリクエストを送信し、消費したクォータを記録します
+   * YouTubeは失敗したリクエストにもクォータを課すため、送信前に記録します
+   * @param {string} endpoint - APIエンドポイント
+   * @param {Object} options - リクエストオプション
+   * @return {Promise<any>} - レスポンスデータ
+   * @override
+   */
+  async request(endpoint, options = {}) {
+    this.quotaTracker.record(YouTubeQuotaTracker.getEndpointName(endpoint));
+    
+    try {
+      return await super.request(endpoint, options);
+    } catch (error) {
+      if (await this.isQuotaExceededError(error)) {
+        this.quotaTracker.markExhausted();
+        this.eventEmitter.emit('client:quotaExhausted', {
+          platformType: this.platformType,
+          resetAt: YouTubeQuotaTracker.getNextResetTime(new Date())
+        });
+      }
+      throw error;
+    } finally {
+      await this.quotaTracker.save();
+    }
+  }
+
+  /**
+   * クォータ超過によるエラーかどうかを判定します
+   * @param {Error} error - エラーオブジェクト
+   * @return {Promise<boolean>} - クォータ超過の場合true
+   * @private
+   */
+  async isQuotaExceededError(error) {
+    const originalError = error.originalError || error;
+    if (originalError.status !== 403 || !originalError.response) {
+      return false;
+    }
+    
+    try {
+      const body = await originalError.response.clone().json();
+      const errors = (body.error && body.error.errors) || [];
+      return errors.some(item => item.reason === 'quotaExceeded' || item.reason === 'dailyLimitExceeded');
+    } catch (parseError) {
+      return false;
+    }
+  }
+
+  /**
+   * 希望する取得間隔を設定します
+   * クォータが足りない場合、実際の取得はこれより長い間隔で行われます
+   * @param {number} intervalMs - 取得間隔（ms）
+   */
+  setPollInterval(intervalMs) {
+    this.pollInterval = intervalMs;
+  }
+
+  /**
+   * 配信を確認するチャンネルを設定します
+   * 設定されている場合、検索APIの代わりに各チャンネルのフィードから配信を検出します
+   * @param {Array<string>} channelIds - チャンネルID（UC...）
+   */
+  setChannelIds(channelIds) {
+    this.channelIds = [...new Set(channelIds.filter(Boolean))];
+  }
+
+  /**
+   * 配信を確認するチャンネルを取得します
+   * 明示的に設定されていなければ、過去の検索で見つけたチャンネルを使います
+   * @param {Array<string>} [override] - 呼び出し元が指定したチャンネルID
+   * @return {Array<string>} - チャンネルID
+   * @private
+   */
+  getWatchedChannelIds(override) {
+    if (override && override.length > 0) return override;
+    if (this.channelIds.length > 0) return this.channelIds;
+    return this.cache.channelIds;
+  }
+
+  /**
+   * クォータの使用状況を取得します
+   * @return {Object} - 使用状況（YouTubeQuotaTracker#getSummary の戻り値）
+   */
+  getQuotaSummary() {
+    return this.quotaTracker.getSummary();
+  }
+
   /**
    * YouTubeで認証を行います
    * @param {Object} options - 認証オプション
@@ -184,9 +306,52 @@ class YouTubeAPIClient extends BaseAPIClient {
     return data.items[0] || {};
   }
 
+  /**
+   * 認証ユーザーの登録チャンネルをすべて取得します
+   * 1ページ（最大50件）ごとに1ユニットを消費します
+   * @return {Promise<Array<{id: string, name: string, thumbnailUrl: string}>>} - 登録チャンネルの配列
+   */
+  async getSubscriptions() {
+    if (!this.auth.accessToken || (this.auth.expiresAt && this.auth.expiresAt <= Date.now())) {
+      throw new Error('YouTubeの登録チャンネルを取得するには認証が必要です');
+    }
+    
+    try {
+      const channels = [];
+      let pageToken = null;
+      
+      do {
+        const endpoint = new URL(`${this.baseUrl}/subscriptions`);
+        endpoint.searchParams.append('part', 'snippet');
+        endpoint.searchParams.append('mine', 'true');
+        endpoint.searchParams.append('maxResults', 50);
+        if (pageToken) {
+          endpoint.searchParams.append('pageToken', pageToken);
+        }
+        
+        const data = await this.request(endpoint.toString());
+        channels.push(...data.items.map(item => ({
+          id: item.snippet.resourceId.channelId,
+          name: item.snippet.title,
+          thumbnailUrl: item.snippet.thumbnails?.default?.url || ''
+        })));
+        pageToken = data.nextPageToken;
+      } while (pageToken);
+      
+      return channels;
+    } catch (error) {
+      throw this.handleApiError(error, 'getSubscriptions');
+    }
+  }
+
   /**
    * ライブストリーム情報を取得します
+   * 確認するチャンネルがある場合は各チャンネルのフィード（クォータ消費なし）から候補動画を集めて
+   * videos.list（50件で1ユニット）で配信状態を確認し、ない場合は検索API（100ユニット）を使います。
+   * 取得間隔に達していない場合やクォータが足りない場合は前回の結果を返します
    * @param {Object} options - 取得オプション
+   * @param {Array<string>} [options.channelIds] - 確認するチャンネルID
+   * @param {boolean} [options.force] - trueの場合、取得間隔に関係なく取得する
    * @return {Promise<Array<Stream>>} - ストリーム情報の配列
    * @override
    */
@@ -197,76 +362,328 @@ class YouTubeAPIClient extends BaseAPIClient {
         throw new Error('YouTube API Keyまたはアクセストークンがありません');
       }
       
-      // オプションの準備
-      const endpoint = new URL(`${this.baseUrl}/search`);
+      const now = Date.now();
+      if (!options.force && now < this.quotaTracker.getNextFetchAt('streams')) {
+        return this.cache.streams.map(data => new Stream(data));
+      }
       
-      // APIキーまたはアクセストークンを使用
-      if (!this.auth.accessToken) {
-        endpoint.searchParams.append('key', this.apiKey);
+      const channelIds = this.getWatchedChannelIds(options.channelIds);
+      const candidates = [];
+      if (channelIds.length > 0) {
+        candidates.push({
+          strategy: 'feeds',
+          cost: Math.max(1, Math.ceil(channelIds.length * FEED_CANDIDATES_PER_CHANNEL / VIDEOS_BATCH_SIZE)) *
+            YOUTUBE_QUOTA_COSTS.videos
+        });
       }
+      candidates.push({ strategy: 'search', cost: YOUTUBE_QUOTA_COSTS.search + YOUTUBE_QUOTA_COSTS.videos });
       
-      // ライブストリームを検索
-      endpoint.searchParams.append('part', 'snippet');
-      endpoint.searchParams.append('eventType', 'live');
-      endpoint.searchParams.append('type', 'video');
-      endpoint.searchParams.append('maxResults', options.maxResults || 25);
+      const plan = this.quotaTracker.planCycle('streams', candidates, this.pollInterval);
+      this.quotaTracker.setNextFetchAt('streams', now + plan.intervalMs - INTERVAL_TOLERANCE);
       
-      // 特定のチャンネルの検索
-      if (options.channelId) {
-        endpoint.searchParams.append('channelId', options.channelId);
+      if (!plan.strategy) {
+        await this.quotaTracker.save();
+        this.eventEmitter.emit('client:quotaExhausted', {
+          platformType: this.platformType,
+          resetAt: now + plan.intervalMs
+        });
+        return this.cache.streams.map(data => new Stream(data));
       }
       
-      // 検索クエリ
-      if (options.query) {
-        endpoint.searchParams.append('q', options.query);
+      if (plan.strategy === 'feeds') {
+        // フィードからはライブ配信と予定配信を同時に取得できる
+        const { streams, schedules } = await this.getBroadcastsFromFeeds(channelIds);
+        await this.saveCache({ streams, schedules });
+        return streams;
       }
       
-      // ページネーション
-      if (options.pageToken) {
-        endpoint.searchParams.append('pageToken', options.pageToken);
+      const streams = await this.searchLiveStreams(options);
+      
+      // 検索で見つかったチャンネルを、次回以降のフィード確認用に覚えておく
+      const knownChannelIds = new Set([...streams.map(stream => stream.channelId), ...this.cache.channelIds]);
+      await this.saveCache({
+        streams,
+        channelIds: [...knownChannelIds].filter(Boolean).slice(0, MAX_KNOWN_CHANNELS)
+      });
+      
+      return streams;
+    } catch (error) {
+      throw this.handleApiError(error, 'getStreams');
+    }
+  }
+
+  /**
+   * 検索APIでライブ配信を取得します
+   * @param {Object} options - 取得オプション
+   * @return {Promise<Array<Stream>>} - ストリーム情報の配列
+   * @private
+   */
+  async searchLiveStreams(options = {}) {
+    // オプションの準備
+    const endpoint = new URL(`${this.baseUrl}/search`);
+    
+    // APIキーまたはアクセストークンを使用
+    if (!this.auth.accessToken) {
+      endpoint.searchParams.append('key', this.apiKey);
+    }
+    
+    // ライブストリームを検索
+    endpoint.searchParams.append('part', 'snippet');
+    endpoint.searchParams.append('eventType', 'live');
+    endpoint.searchParams.append('type', 'video');
+    endpoint.searchParams.append('maxResults', options.maxResults || 25);
+    
+    // 特定のチャンネルの検索
+    if (options.channelId) {
+      endpoint.searchParams.append('channelId', options.channelId);
+    }
+    
+    // 検索クエリ
+    if (options.query) {
+      endpoint.searchParams.append('q', options.query);
+    }
+    
+    // ページネーション
+    if (options.pageToken) {
+      endpoint.searchParams.append('pageToken', options.pageToken);
+    }
+    
+    // APIリクエスト
+    const data = await this.request(endpoint.toString());
+    
+    // 動画詳細情報を取得（視聴者数を含む）
+    const videos = await this.getVideoDetails(data.items.map(item => item.id.videoId));
+    return videos.map(video => this.toStream(video));
+  }
+
+  /**
+   * 各チャンネルのフィードから候補動画を集め、ライブ配信と予定配信を取得します
+   * フィードを取得できなかったチャンネルはアップロード再生リスト（1ユニット）で代替します
+   * @param {Array<string>} channelIds - チャンネルID
+   * @return {Promise<{streams: Array<Stream>, schedules: Array<Schedule>}>} - ライブ配信と予定配信
+   * @private
+   */
+  async getBroadcastsFromFeeds(channelIds) {
+    const now = Date.now();
+    
+    await mapWithConcurrency(channelIds, FEED_CONCURRENCY, async channelId => {
+      const entry = this.feedCache[channelId] || { videos: [], trackedIds: [], fetchedAt: 0 };
+      let videos;
+      try {
+        videos = await this.getChannelFeedVideos(channelId);
+      } catch (feedError) {
+        try {
+          videos = await this.getUploadVideos(channelId);
+        } catch (uploadsError) {
+          console.warn(`[YouTube] チャンネル ${channelId} の動画一覧取得に失敗しました`, uploadsError);
+          // 前回の結果で確認を続ける
+          videos = entry.videos;
+        }
       }
       
-      // APIリクエスト
-      const data = await this.request(endpoint.toString());
+      this.feedCache[channelId] = { ...entry, videos, fetchedAt: now };
+    });
+    
+    // 最近公開された動画と、前回ライブ・予定配信だった動画を確認対象にする
+    const candidateIds = channelIds.flatMap(channelId => {
+      const entry = this.feedCache[channelId];
+      const recentIds = entry.videos
+        .filter(video => !video.published || now - Date.parse(video.published) <= FEED_LOOKBACK)
+        .map(video => video.id);
+      return [...recentIds, ...entry.trackedIds];
+    });
+    
+    const videos = await this.getVideoDetails(candidateIds);
+    const liveVideos = videos.filter(video => video.snippet.liveBroadcastContent === 'live');
+    const upcomingVideos = videos.filter(video => video.snippet.liveBroadcastContent === 'upcoming');
+    
+    // 配信中・配信予定の動画は、フィードから外れても次回以降も確認する
+    channelIds.forEach(channelId => {
+      this.feedCache[channelId].trackedIds = [...liveVideos, ...upcomingVideos]
+        .filter(video => video.snippet.channelId === channelId)
+        .map(video => video.id);
+    });
+    await this.saveFeedCache(channelIds);
+    
+    return {
+      streams: liveVideos.map(video => this.toStream(video)),
+      schedules: upcomingVideos.map(video => this.toSchedule(video))
+    };
+  }
+
+  /**
+   * チャンネルの公開Atomフィードから最近の動画を取得します（クォータ消費なし）
+   * @param {string} channelId - チャンネルID
+   * @return {Promise<Array<{id: string, published: string}>>} - 動画IDと公開日時
+   * @private
+   */
+  async getChannelFeedVideos(channelId) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    
+    try {
+      const response = await fetch(
+        `https://www.youtube.com/feeds/videos.xml?channel_id=${encodeURIComponent(channelId)}`,
+        { credentials: 'omit', signal: controller.signal }
+      );
+      if (!response.ok) {
+        throw new Error(`フィードの取得に失敗しました: ${response.status}`);
+      }
       
-      // 動画詳細情報を取得（視聴者数を含む）
-      const videoIds = data.items.map(item => item.id.videoId).join(',');
+      const feed = parseFeed(await response.text());
+      return feed.entries
+        .map(entry => ({
+          id: getChildText(entry.element, 'yt:videoId'),
+          published: entry.published
+        }))
+        .filter(video => video.id);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * チャンネルのアップロード再生リストから最近の動画を取得します
+   * @param {string} channelId - チャンネルID
+   * @return {Promise<Array<{id: string, published: string}>>} - 動画IDと公開日時
+   * @private
+   */
+  async getUploadVideos(channelId) {
+    // チャンネルID（UC...）のアップロード再生リストは UU... になる
+    const endpoint = new URL(`${this.baseUrl}/playlistItems`);
+    if (!this.auth.accessToken) {
+      endpoint.searchParams.append('key', this.apiKey);
+    }
+    endpoint.searchParams.append('part', 'contentDetails');
+    endpoint.searchParams.append('playlistId', `UU${channelId.substring(2)}`);
+    endpoint.searchParams.append('maxResults', 15);
+    
+    const data = await this.request(endpoint.toString());
+    return data.items.map(item => ({
+      id: item.contentDetails.videoId,
+      published: item.contentDetails.videoPublishedAt || ''
+    }));
+  }
+
+  /**
+   * フィードのキャッシュを保存します
+   * 確認対象から外れたチャンネルの記録は削除します
+   * @param {Array<string>} channelIds - 確認対象のチャンネルID
+   * @return {Promise<void>}
+   * @private
+   */
+  async saveFeedCache(channelIds) {
+    const feedCache = {};
+    channelIds.forEach(channelId => {
+      if (this.feedCache[channelId]) {
+        feedCache[channelId] = this.feedCache[channelId];
+      }
+    });
+    this.feedCache = feedCache;
+    await chrome.storage.local.set({ youtube_feed_cache: feedCache });
+  }
+
+  /**
+   * 動画の詳細情報を50件ずつまとめて取得します
+   * @param {Array<string>} videoIds - 動画ID
+   * @return {Promise<Array<Object>>} - 動画リソースの配列
+   * @private
+   */
+  async getVideoDetails(videoIds) {
+    const uniqueIds = [...new Set(videoIds.filter(Boolean))];
+    const videos = [];
+    
+    for (let i = 0; i < uniqueIds.length; i += VIDEOS_BATCH_SIZE) {
       const detailsEndpoint = new URL(`${this.baseUrl}/videos`);
       if (!this.auth.accessToken) {
         detailsEndpoint.searchParams.append('key', this.apiKey);
       }
       detailsEndpoint.searchParams.append('part', 'snippet,liveStreamingDetails');
-      detailsEndpoint.searchParams.append('id', videoIds);
+      detailsEndpoint.searchParams.append('id', uniqueIds.slice(i, i + VIDEOS_BATCH_SIZE).join(','));
       
       const detailsData = await this.request(detailsEndpoint.toString());
+      videos.push(...detailsData.items);
+    }
+    
+    return videos;
+  }
+
+  /**
+   * 動画リソースをStreamモデルに変換します
+   * @param {Object} video - 動画リソース
+   * @return {Stream} - Streamモデル
+   * @private
+   */
+  toStream(video) {
+    return new Stream({
+      id: video.id,
+      title: video.snippet.title,
+      streamerName: video.snippet.channelTitle,
+      channelId: video.snippet.channelId,
+      thumbnailUrl: video.snippet.thumbnails.medium.url,
+      platformType: 'youtube',
+      startedAt: video.liveStreamingDetails?.actualStartTime 
+        ? new Date(video.liveStreamingDetails.actualStartTime).getTime() 
+        : Date.now(),
+      viewerCount: parseInt(video.liveStreamingDetails?.concurrentViewers || '0', 10),
+      gameOrCategory: video.snippet.categoryId,
+      language: video.snippet.defaultAudioLanguage || video.snippet.defaultLanguage || '',
+      url: `https://www.youtube.com/watch?v=${video.id}`,
+      isFavorite: false, // お気に入り状態は別途設定
+      notified: false // 通知済みかどうかも別途設定
+    });
+  }
+
+  /**
+   * チャンネルを名前で検索します
+   * 検索APIは1回で100ユニットを消費するため、クォータの残りが足りない場合は検索しません
+   * @param {string} query - 検索キーワード
+   * @param {Object} options - オプション
+   * @param {number} [options.maxResults=10] - 取得件数
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果
+   * @override
+   */
+  async searchChannels(query, options = {}) {
+    try {
+      if (!this.apiKey && !this.auth.accessToken) {
+        throw new Error('YouTube API Keyまたはアクセストークンがありません');
+      }
+      if (this.quotaTracker.getRemaining() < YOUTUBE_QUOTA_COSTS.search) {
+        throw new Error('YouTube API のクォータが不足しているため検索できません');
+      }
       
-      // レスポンスデータをStreamモデルに変換
-      return detailsData.items.map(video => {
-        const stream = new Stream({
-          id: video.id,
-          title: video.snippet.title,
-          streamerName: video.snippet.channelTitle,
-          thumbnailUrl: video.snippet.thumbnails.medium.url,
+      const endpoint = new URL(`${this.baseUrl}/search`);
+      if (!this.auth.accessToken) {
+        endpoint.searchParams.append('key', this.apiKey);
+      }
+      endpoint.searchParams.append('part', 'snippet');
+      endpoint.searchParams.append('type', 'channel');
+      endpoint.searchParams.append('q', query);
+      endpoint.searchParams.append('maxResults', options.maxResults || 10);
+      
+      const data = await this.request(endpoint.toString());
+      return (data.items || []).map(item => {
+        const thumbnails = item.snippet.thumbnails || {};
+        return {
           platformType: 'youtube',
-          startedAt: video.liveStreamingDetails?.actualStartTime 
-            ? new Date(video.liveStreamingDetails.actualStartTime).getTime() 
-            : Date.now(),
-          viewerCount: parseInt(video.liveStreamingDetails?.concurrentViewers || '0', 10),
-          gameOrCategory: video.snippet.categoryId,
-          url: `https://www.youtube.com/watch?v=${video.id}`,
-          isFavorite: false, // お気に入り状態は別途設定
-          notified: false // 通知済みかどうかも別途設定
-        });
-        return stream;
+          channelId: item.snippet.channelId || item.id.channelId,
+          watchId: item.snippet.channelId || item.id.channelId,
+          displayName: item.snippet.channelTitle || item.snippet.title,
+          avatarUrl: (thumbnails.default || thumbnails.medium || {}).url || '',
+          isLive: item.snippet.liveBroadcastContent === 'live'
+        };
       });
     } catch (error) {
-      throw this.handleApiError(error, 'getStreams');
+      throw this.handleApiError(error, 'searchChannels');
     }
   }
 
   /**
    * 今後の配信スケジュール情報を取得します
+   * フィードで確認しているチャンネルがある場合はライブ配信の取得時に得た予定配信を返します。
+   * それ以外は検索APIを使うため、取得間隔は最低30分とし、クォータが足りない場合は前回の結果を返します
    * @param {Object} options - 取得オプション
+   * @param {boolean} [options.force] - trueの場合、取得間隔に関係なく取得する
    * @return {Promise<Array<Schedule>>} - スケジュール情報の配列
    * @override
    */
@@ -277,6 +694,28 @@ class YouTubeAPIClient extends BaseAPIClient {
         throw new Error('YouTube API Keyまたはアクセストークンがありません');
       }
       
+      // フィードで確認している場合は、ライブ配信の取得時に予定配信も取得済み
+      if (this.getWatchedChannelIds(options.channelIds).length > 0) {
+        return this.cache.schedules.map(data => new Schedule(data));
+      }
+      
+      const now = Date.now();
+      if (!options.force && now < this.quotaTracker.getNextFetchAt('schedules')) {
+        return this.cache.schedules.map(data => new Schedule(data));
+      }
+      
+      const plan = this.quotaTracker.planCycle(
+        'schedules',
+        [{ strategy: 'search', cost: YOUTUBE_QUOTA_COSTS.search + YOUTUBE_QUOTA_COSTS.videos }],
+        Math.max(this.pollInterval, SCHEDULE_MIN_INTERVAL)
+      );
+      this.quotaTracker.setNextFetchAt('schedules', now + plan.intervalMs - INTERVAL_TOLERANCE);
+      
+      if (!plan.strategy) {
+        await this.quotaTracker.save();
+        return this.cache.schedules.map(data => new Schedule(data));
+      }
+      
       // オプションの準備
       const endpoint = new URL(`${this.baseUrl}/search`);
       
@@ -305,40 +744,52 @@ class YouTubeAPIClient extends BaseAPIClient {
       const data = await this.request(endpoint.toString());
       
       // 動画詳細情報を取得（予定開始時間を含む）
-      const videoIds = data.items.map(item => item.id.videoId).join(',');
-      if (!videoIds) {
-        return []; // 予定されたライブがない場合
-      }
-      
-      const detailsEndpoint = new URL(`${this.baseUrl}/videos`);
-      if (!this.auth.accessToken) {
-        detailsEndpoint.searchParams.append('key', this.apiKey);
-      }
-      detailsEndpoint.searchParams.append('part', 'snippet,liveStreamingDetails');
-      detailsEndpoint.searchParams.append('id', videoIds);
-      
-      const detailsData = await this.request(detailsEndpoint.toString());
+      const videos = await this.getVideoDetails(data.items.map(item => item.id.videoId));
       
       // レスポンスデータをScheduleモデルに変換
-      return detailsData.items.map(video => {
-        return new Schedule({
-          id: video.id,
-          title: video.snippet.title,
-          streamerName: video.snippet.channelTitle,
-          platformType: 'youtube',
-          scheduledStartTime: video.liveStreamingDetails?.scheduledStartTime 
-            ? new Date(video.liveStreamingDetails.scheduledStartTime).getTime() 
-            : null,
-          thumbnailUrl: video.snippet.thumbnails.medium.url,
-          gameOrCategory: video.snippet.categoryId,
-          url: `https://www.youtube.com/watch?v=${video.id}`,
-          notified: false // リマインダー通知済みかどうかは別途設定
-        });
-      });
+      const schedules = videos.map(video => this.toSchedule(video));
+      await this.saveCache({ schedules });
+      
+      return schedules;
     } catch (error) {
       throw this.handleApiError(error, 'getSchedules');
     }
   }
+
+  /**
+   * 動画リソースをScheduleモデルに変換します
+   * @param {Object} video - 動画リソース
+   * @return {Schedule} - Scheduleモデル
+   * @private
+   */
+  toSchedule(video) {
+    return new Schedule({
+      id: video.id,
+      title: video.snippet.title,
+      streamerName: video.snippet.channelTitle,
+      channelId: video.snippet.channelId,
+      platformType: 'youtube',
+      scheduledStartTime: video.liveStreamingDetails?.scheduledStartTime 
+        ? new Date(video.liveStreamingDetails.scheduledStartTime).getTime() 
+        : null,
+      thumbnailUrl: video.snippet.thumbnails.medium.url,
+      gameOrCategory: video.snippet.categoryId,
+      url: `https://www.youtube.com/watch?v=${video.id}`,
+      notified: false // リマインダー通知済みかどうかは別途設定
+    });
+  }
+
+  /**
+   * 取得結果をキャッシュに保存します
+   * 取得間隔に達していない間やクォータ不足時は、この結果を返します
+   * @param {Object} updates - 更新する項目（streams, schedules, channelIds）
+   * @return {Promise<void>}
+   * @private
+   */
+  async saveCache(updates) {
+    this.cache = { ...this.cache, ...updates };
+    await chrome.storage.local.set({ youtube_fetch_cache: this.cache });
+  }
 }
 
 export default YouTubeAPIClient;
@@ -0,0 +1,286 @@
+/**
+ * YouTube Data API のクォータ管理クラス
+ * エンドポイントごとの消費ユニットを記録し、太平洋時間の0時にリセットされる1日の使用量を管理します。
+ * 残りクォータからリセットまでに実行できる取得方法と取得間隔を算出します
+ */
+
+/**
+ * エンドポイントごとの消費ユニット
+ * @type {Object<string, number>}
+ */
+export const YOUTUBE_QUOTA_COSTS = {
+  search: 100,
+  videos: 1,
+  channels: 1,
+  subscriptions: 1,
+  playlistItems: 1
+};
+
+export const DEFAULT_DAILY_QUOTA = 10000;
+
+const STORAGE_KEY = 'youtube_quota';
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+
+class YouTubeQuotaTracker {
+  /**
+   * @param {Object} [options] - オプション
+   * @param {number} [options.dailyLimit=10000] - 1日のクォータ上限
+   * @param {number} [options.reserveRatio=0.1] - 自動取得で使わずに残しておく割合（手動検索などに使用）
+   */
+  constructor(options = {}) {
+    this.dailyLimit = options.dailyLimit || DEFAULT_DAILY_QUOTA;
+    this.reserveRatio = options.reserveRatio !== undefined ? options.reserveRatio : 0.1;
+    this.state = this.createState(YouTubeQuotaTracker.getQuotaDay(new Date()));
+  }
+
+  /**
+   * エンドポイントの消費ユニットを取得します
+   * @param {string} endpoint - エンドポイント名（'search', 'videos' など）
+   * @return {number} - 消費ユニット（不明なエンドポイントは1）
+   */
+  static getEndpointCost(endpoint) {
+    return YOUTUBE_QUOTA_COSTS[endpoint] || 1;
+  }
+
+  /**
+   * リクエストURLからエンドポイント名を取得します
+   * @param {string} url - リクエストURL
+   * @return {string} - エンドポイント名
+   */
+  static getEndpointName(url) {
+    const path = new URL(url).pathname;
+    return path.substring(path.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * 太平洋時間での日付（YYYY-MM-DD）を取得します
+   * @param {Date} date - 対象の時刻
+   * @return {string} - クォータ集計日
+   */
+  static getQuotaDay(date) {
+    const { year, month, day } = YouTubeQuotaTracker.getPacificParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * 次にクォータがリセットされる時刻（太平洋時間の0時）を取得します
+   * @param {Date} date - 基準時刻
+   * @return {number} - リセット時刻（ms）
+   */
+  static getNextResetTime(date) {
+    const { year, month, day } = YouTubeQuotaTracker.getPacificParts(date);
+    const nextMidnightUtc = Date.UTC(year, month - 1, day + 1);
+    // 夏時間の切り替え日にも正しい時刻になるよう、候補時刻でのオフセットで補正する
+    const estimated = nextMidnightUtc - YouTubeQuotaTracker.getPacificOffset(date);
+    return nextMidnightUtc - YouTubeQuotaTracker.getPacificOffset(new Date(estimated));
+  }
+
+  /**
+   * 太平洋時間での日時の各要素を取得します
+   * @param {Date} date - 対象の時刻
+   * @return {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+   * @private
+   */
+  static getPacificParts(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: QUOTA_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+    return {
+      year: value('year'),
+      month: value('month'),
+      day: value('day'),
+      hour: value('hour'),
+      minute: value('minute'),
+      second: value('second')
+    };
+  }
+
+  /**
+   * 太平洋時間のUTCからのオフセットを取得します
+   * @param {Date} date - 対象の時刻
+   * @return {number} - オフセット（ms、UTCより遅れている場合は負）
+   * @private
+   */
+  static getPacificOffset(date) {
+    const { year, month, day, hour, minute, second } = YouTubeQuotaTracker.getPacificParts(date);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * 空の集計状態を作成します
+   * @param {string} day - クォータ集計日
+   * @return {Object} - 集計状態
+   * @private
+   */
+  createState(day) {
+    return {
+      day,
+      used: 0,
+      byEndpoint: {},
+      plans: {} // 取得の種類ごとの { strategy, cost, intervalMs, nextFetchAt }
+    };
+  }
+
+  /**
+   * 保存された集計状態を読み込みます
+   * @return {Promise<void>}
+   */
+  async load() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    if (result && result[STORAGE_KEY]) {
+      this.state = { ...this.createState(result[STORAGE_KEY].day), ...result[STORAGE_KEY] };
+    }
+    this.ensureCurrentDay();
+  }
+
+  /**
+   * 集計状態を保存します
+   * @return {Promise<void>}
+   */
+  async save() {
+    await chrome.storage.local.set({ [STORAGE_KEY]: this.state });
+  }
+
+  /**
+   * 集計日が変わっていれば使用量をリセットします
+   * @param {Date} [now=new Date()] - 現在時刻
+   * @private
+   */
+  ensureCurrentDay(now = new Date()) {
+    const day = YouTubeQuotaTracker.getQuotaDay(now);
+    if (this.state.day !== day) {
+      this.state = this.createState(day);
+    }
+  }
+
+  /**
+   * エンドポイントの呼び出しを記録します
+   * @param {string} endpoint - エンドポイント名
+   * @param {Date} [now=new Date()] - 呼び出し時刻
+   * @return {number} - 消費したユニット
+   */
+  record(endpoint, now = new Date()) {
+    this.ensureCurrentDay(now);
+    const cost = YouTubeQuotaTracker.getEndpointCost(endpoint);
+    this.state.used += cost;
+    this.state.byEndpoint[endpoint] = (this.state.byEndpoint[endpoint] || 0) + cost;
+    return cost;
+  }
+
+  /**
+   * クォータ超過エラーを受け取った場合に、当日の残りを0として扱います
+   * @param {Date} [now=new Date()] - 現在時刻
+   */
+  markExhausted(now = new Date()) {
+    this.ensureCurrentDay(now);
+    this.state.used = Math.max(this.state.used, this.dailyLimit);
+  }
+
+  /**
+   * 当日の残りクォータを取得します
+   * @param {Date} [now=new Date()] - 現在時刻
+   * @return {number} - 残りユニット
+   */
+  getRemaining(now = new Date()) {
+    this.ensureCurrentDay(now);
+    return Math.max(0, this.dailyLimit - this.state.used);
+  }
+
+  /**
+   * 次回の取得予定時刻を取得します
+   * @param {string} kind - 取得の種類（'streams', 'schedules' など）
+   * @return {number} - 取得予定時刻（ms、未設定なら0）
+   */
+  getNextFetchAt(kind) {
+    const plan = this.state.plans[kind];
+    return plan ? plan.nextFetchAt || 0 : 0;
+  }
+
+  /**
+   * 次回の取得予定時刻を設定します
+   * @param {string} kind - 取得の種類
+   * @param {number} time - 取得予定時刻（ms）
+   */
+  setNextFetchAt(kind, time) {
+    this.state.plans[kind] = { ...this.state.plans[kind], nextFetchAt: time };
+  }
+
+  /**
+   * リセットまでの残りクォータで実行できる取得方法と取得間隔を決定します
+   * 候補を優先順に調べ、指定間隔のままリセットまで続けられる最初の方法を選びます。
+   * どの方法も続けられない場合は、最も安い方法で間隔を延ばします。
+   * 他の種類の取得がリセットまでに使う見込みのユニットは予算から差し引きます
+   * @param {string} kind - 取得の種類（'streams', 'schedules' など）
+   * @param {Array<{strategy: string, cost: number}>} candidates - 1回あたりの消費ユニット付きの取得方法（優先順）
+   * @param {number} intervalMs - 希望する取得間隔（ms）
+   * @param {Date} [now=new Date()] - 現在時刻
+   * @return {{strategy: string|null, cost: number, intervalMs: number}} - 取得方法（実行できない場合null）と取得間隔
+   */
+  planCycle(kind, candidates, intervalMs, now = new Date()) {
+    const msUntilReset = YouTubeQuotaTracker.getNextResetTime(now) - now.getTime();
+    const budget = this.getRemaining(now) -
+      Math.floor(this.dailyLimit * this.reserveRatio) -
+      this.getProjectedUsage(msUntilReset, kind);
+    const cyclesUntilReset = Math.max(1, Math.ceil(msUntilReset / intervalMs));
+
+    let plan = candidates.find(candidate => candidate.cost * cyclesUntilReset <= budget);
+    if (plan) {
+      plan = { ...plan, intervalMs };
+    } else {
+      const cheapest = candidates.reduce((min, candidate) => candidate.cost < min.cost ? candidate : min);
+      const affordableCycles = Math.floor(budget / cheapest.cost);
+      plan = affordableCycles > 0
+        ? { ...cheapest, intervalMs: Math.max(intervalMs, Math.ceil(msUntilReset / affordableCycles)) }
+        : { strategy: null, cost: 0, intervalMs: msUntilReset };
+    }
+
+    this.state.plans[kind] = { ...this.state.plans[kind], ...plan };
+    return plan;
+  }
+
+  /**
+   * 現在の取得方法を続けた場合に、指定時間内に消費する見込みのユニットを取得します
+   * @param {number} durationMs - 対象期間（ms）
+   * @param {string} [excludeKind] - 集計から除く取得の種類
+   * @return {number} - 消費見込みユニット
+   * @private
+   */
+  getProjectedUsage(durationMs, excludeKind = null) {
+    return Object.entries(this.state.plans)
+      .filter(([kind, plan]) => kind !== excludeKind && plan.cost && plan.intervalMs)
+      .reduce((total, [, plan]) => total + plan.cost * Math.floor(durationMs / plan.intervalMs), 0);
+  }
+
+  /**
+   * 当日の使用状況と、現在の取得方法を続けた場合のリセット時点の予測使用量を取得します
+   * @param {Date} [now=new Date()] - 現在時刻
+   * @return {{day: string, used: number, limit: number, remaining: number, projected: number, resetAt: number, plans: Object, byEndpoint: Object}}
+   */
+  getSummary(now = new Date()) {
+    this.ensureCurrentDay(now);
+    const resetAt = YouTubeQuotaTracker.getNextResetTime(now);
+
+    return {
+      day: this.state.day,
+      used: this.state.used,
+      limit: this.dailyLimit,
+      remaining: this.getRemaining(now),
+      projected: this.state.used + this.getProjectedUsage(resetAt - now.getTime()),
+      resetAt,
+      plans: { ...this.state.plans },
+      byEndpoint: { ...this.state.byEndpoint }
+    };
+  }
+}
+
+export default YouTubeQuotaTracker;
@@ -5,61 +5,55 @@ import BaseAPIClient from './BaseAPIClient';
 import TwitchAPIClient from './TwitchAPIClient';
 import YouTubeAPIClient from './YouTubeAPIClient';
 import TwitCastingAPIClient from './TwitCastingAPIClient';
+import NiconicoAPIClient from './NiconicoAPIClient';
+import KickAPIClient from './KickAPIClient';
+import OpenrecAPIClient from './OpenrecAPIClient';
+import ShowroomAPIClient from './ShowroomAPIClient';
+import CustomFeedAPIClient from './CustomFeedAPIClient';
+import { getPlatform, getPlatforms } from '../platforms';
 
 export {
   BaseAPIClient,
   TwitchAPIClient,
   YouTubeAPIClient,
-  TwitCastingAPIClient
+  TwitCastingAPIClient,
+  NiconicoAPIClient,
+  KickAPIClient,
+  OpenrecAPIClient,
+  ShowroomAPIClient,
+  CustomFeedAPIClient
 };
 
 /**
  * プラットフォームに応じたAPIクライアントのインスタンスを生成します
- * @param {string} platformType - プラットフォーム種別 ('twitch', 'youtube', 'twitcasting')
- * @param {Object} options - 初期化オプション
+ * @param {string} platformType - プラットフォーム種別（登録済みのプロバイダーのid）
  * @return {BaseAPIClient} - APIクライアントのインスタンス
  */
-export function createAPIClient(platformType, options = {}) {
-  switch (platformType.toLowerCase()) {
-    case 'twitch':
-      return new TwitchAPIClient(options);
-    case 'youtube':
-      return new YouTubeAPIClient(options);
-    case 'twitcasting':
-      return new TwitCastingAPIClient(options);
-    default:
-      throw new Error(`未対応のプラットフォーム: ${platformType}`);
+export function createAPIClient(platformType) {
+  const provider = getPlatform(platformType.toLowerCase());
+  if (!provider) {
+    throw new Error(`未対応のプラットフォーム: ${platformType}`);
   }
+  return provider.createClient();
 }
 
 /**
  * 全プラットフォームのAPIクライアントを生成します
- * @param {Object} options - 各プラットフォームの初期化オプション
+ * @param {Object} options - 各プラットフォームの初期化オプション（falseを指定したプラットフォームは生成しない）
  * @return {Object} - プラットフォーム名をキーとするAPIクライアントのオブジェクト
  */
 export function createAllAPIClients(options = {}) {
   const clients = {};
   
-  if (options.twitch !== false) {
-    clients.twitch = new TwitchAPIClient();
-    if (options.twitch) {
-      clients.twitch.initialize(options.twitch);
+  getPlatforms().forEach(provider => {
+    if (options[provider.id] === false) {
+      return;
     }
-  }
-  
-  if (options.youtube !== false) {
-    clients.youtube = new YouTubeAPIClient();
-    if (options.youtube) {
-      clients.youtube.initialize(options.youtube);
-    }
-  }
-  
-  if (options.twitcasting !== false) {
-    clients.twitcasting = new TwitCastingAPIClient();
-    if (options.twitcasting) {
-      clients.twitcasting.initialize(options.twitcasting);
+    clients[provider.id] = provider.createClient();
+    if (options[provider.id]) {
+      clients[provider.id].initialize(options[provider.id]);
     }
-  }
+  });
   
   return clients;
 }
@@ -7,10 +7,22 @@ import {
   APIManager,
   SettingsManager,
   NotificationManager,
-  ErrorManager
+  ErrorManager,
+  StreamHistoryManager,
+  NotificationRuleEngine,
+  WatchListManager,
+  StreamerManager,
+  SimulcastDetector,
+  ReminderManager,
+  RuntimeStateManager
 } from '../core';
-import { TwitchAPIClient, YouTubeAPIClient, TwitCastingAPIClient } from '../api';
-import { BACKGROUND_EVENTS, AUTH_EVENTS } from '../utils/EventTypes';
+import { createAllAPIClients } from '../api';
+import { getPlatform, getPlatformLabel, getPlatforms, getPlatformsWithCapability } from '../platforms';
+import { BACKGROUND_EVENTS, getPlatformAuthEvent } from '../utils/EventTypes';
+import StreamDiffEngine, {
+  STREAM_CHANGE_TYPES,
+  DEFAULT_VIEWER_MILESTONES
+} from '../core/StreamDiffEngine';
 
 // シングルトンインスタンスを取得
 const dataManager = DataManager.getInstance();
@@ -18,14 +30,21 @@ const apiManager = APIManager.getInstance();
 const settingsManager = SettingsManager.getInstance();
 const notificationManager = NotificationManager.getInstance();
 const errorManager = ErrorManager.getInstance();
+const streamHistoryManager = StreamHistoryManager.getInstance();
+const watchListManager = WatchListManager.getInstance();
+const streamerManager = StreamerManager.getInstance();
+const reminderManager = ReminderManager.getInstance();
+const runtimeStateManager = RuntimeStateManager.getInstance();
 
 // バックグラウンドサービスのメイン状態
+// 更新処理のロック・最終更新日時・連続失敗回数は、サービスワーカーの再起動後も引き継ぐため RuntimeStateManager で保存する
 let isInitialized = false;
-let isUpdating = false;
-let lastUpdateTime = null;
-let updateAttempts = 0;
+let initializationPromise = null;
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 30000; // 30秒後にリトライ
+const RETRY_ALARM_NAME = 'retryFetchStreamData';
+const QUIET_HOURS_END_ALARM_NAME = 'quietHoursDigest'; // おやすみモードの終了時にダイジェストと保留したリマインダーを通知する
+const MAX_NOTIFICATION_BUTTONS = 2; // Chromeの通知に付けられるボタンの最大数
 
 // エラーログ関数
 const logError = (error, code = 'BACKGROUND_ERROR', source = 'background') => {
@@ -40,8 +59,22 @@ const logError = (error, code = 'BACKGROUND_ERROR', source = 'background') => {
 
 /**
  * バックグラウンドサービスを初期化
+ * 初期化中に呼び出された場合（起動直後のアラームの発火など）は、実行中の初期化の完了を待ちます
+ * @return {Promise<void>}
  */
-async function initializeBackgroundService() {
+function initializeBackgroundService() {
+  if (!initializationPromise) {
+    initializationPromise = runInitialization().finally(() => {
+      initializationPromise = null;
+    });
+  }
+  return initializationPromise;
+}
+
+/**
+ * バックグラウンドサービスの初期化処理
+ */
+async function runInitialization() {
   if (isInitialized) return;
   
   try {
@@ -50,22 +83,42 @@ async function initializeBackgroundService() {
     // 設定マネージャーを初期化
     await settingsManager.initialize();
     
-    // APIクライアントを初期化して、APIマネージャーに登録
-    const twitchClient = new TwitchAPIClient();
-    const youtubeClient = new YouTubeAPIClient();
-    const twitcastingClient = new TwitCastingAPIClient();
-    
-    await apiManager.initialize({
-      twitch: twitchClient,
-      youtube: youtubeClient,
-      twitcasting: twitcastingClient
-    });
+    // 登録済みの全プラットフォームのAPIクライアントを生成して、APIマネージャーに登録
+    await apiManager.initialize(createAllAPIClients());
     
     // データマネージャーを初期化
     await dataManager.initialize();
     
     // 通知マネージャーを初期化
-    await notificationManager.initialize();
+    await notificationManager.initialize(settingsManager.getSettings());
+    
+    // 配信履歴マネージャーを初期化（失敗しても配信取得は継続する）
+    try {
+      await streamHistoryManager.initialize();
+    } catch (historyError) {
+      logError(historyError, 'HISTORY_INIT_ERROR', 'background:history');
+    }
+    
+    // ウォッチリストを初期化（失敗しても配信取得は継続する）
+    try {
+      await watchListManager.initialize();
+    } catch (watchListError) {
+      logError(watchListError, 'WATCH_LIST_INIT_ERROR', 'background:watchList');
+    }
+    
+    // 配信者（人物）を初期化（失敗しても配信取得は継続する）
+    try {
+      await streamerManager.initialize();
+    } catch (streamerError) {
+      logError(streamerError, 'STREAMERS_INIT_ERROR', 'background:streamers');
+    }
+    
+    // リマインダーの通知状態を初期化（失敗しても配信取得は継続する）
+    try {
+      await reminderManager.initialize();
+    } catch (reminderError) {
+      logError(reminderError, 'REMINDERS_INIT_ERROR', 'background:reminders');
+    }
     
     // エラーハンドラーをセットアップ
     setupErrorHandler();
@@ -80,6 +133,9 @@ async function initializeBackgroundService() {
     // 設定に基づいてアラームをセットアップ
     setupAlarms();
     
+    // 保存されている配信予定のリマインダーのアラームを設定し直す
+    await syncReminderAlarms();
+    
     // 起動時更新が有効なら即時更新を実行
     const settings = settingsManager.getSettings();
     if (settings.startupRefresh) {
@@ -119,6 +175,13 @@ function setupEventListeners() {
     logError(error, error.code, error.source || 'api');
   });
   
+  // おやすみモード中に通知がキューに追加されたら、終了時刻にダイジェストを表示する
+  notificationManager.on('notification:queued', ({ resumeAt }) => {
+    if (resumeAt) {
+      chrome.alarms.create(QUIET_HOURS_END_ALARM_NAME, { when: resumeAt });
+    }
+  });
+  
   // 設定変更イベントリスナー
   settingsManager.on('settings:changed', (settings) => {
     console.log('[Background] 設定が変更されました');
@@ -126,7 +189,8 @@ function setupEventListeners() {
   });
   
   // 認証関連イベントリスナー
-  [AUTH_EVENTS.TWITCH_AUTH_CHANGED, AUTH_EVENTS.YOUTUBE_AUTH_CHANGED, AUTH_EVENTS.TWITCASTING_AUTH_CHANGED]
+  getPlatformsWithCapability('auth')
+    .map(provider => getPlatformAuthEvent(provider.id))
     .forEach(eventName => {
       settingsManager.on(eventName, (authData) => {
         console.log(`[Background] 認証情報が更新されました: ${authData.platformType}`);
@@ -151,6 +215,18 @@ function setupAlarms() {
       periodInMinutes: Math.max(1, intervalMinutes) // 最低1分間隔
     });
     
+    // ウォッチリスト（登録チャンネル）の定期同期。同期が必要かどうかは発火時に判定する
+    chrome.alarms.create('syncWatchLists', {
+      delayInMinutes: 1,
+      periodInMinutes: 60
+    });
+    
+    // YouTubeはクォータに応じてこの間隔を基準に取得頻度を調整する
+    const youtubeClient = apiManager.apiClients.youtube;
+    if (youtubeClient && typeof youtubeClient.setPollInterval === 'function') {
+      youtubeClient.setPollInterval(Math.max(1, intervalMinutes) * 60 * 1000);
+    }
+    
     console.log(`[Background] データ更新アラームを設定: ${intervalMinutes}分間隔`);
   });
 }
@@ -159,12 +235,16 @@ function setupAlarms() {
  * ストリームデータを取得・更新
  */
 async function fetchStreamData() {
-  if (isUpdating) {
+  // サービスワーカーの起動直後にアラームで呼び出された場合は初期化の完了を待つ
+  await initializeBackgroundService();
+  
+  // 再起動前のサービスワーカーで実行中の更新処理とも重ならないよう、保存したロックで排他する
+  const lockToken = await runtimeStateManager.acquireLock();
+  if (!lockToken) {
     console.log('[Background] 更新処理が既に実行中です');
     return;
   }
   
-  isUpdating = true;
   updateBadge('...');
   
   try {
@@ -182,28 +262,67 @@ async function fetchStreamData() {
     if (enabledPlatforms.length === 0) {
       console.log('[Background] 有効なプラットフォームがありません');
       updateBadge('0');
-      isUpdating = false;
       return;
     }
     
+    // ウォッチリストの最新の内容（オプションページでの変更を含む）を各クライアントに反映
+    await applyWatchLists();
+    
+    // お気に入りの最新の内容をストリームのお気に入り状態の解決に使う
+    apiManager.setFavorites(settings.favorites);
+    
     // APIマネージャーを使ってデータを取得
     console.log(`[Background] 次のプラットフォームからデータを取得: ${enabledPlatforms.join(', ')}`);
-    const streams = await apiManager.getStreams(enabledPlatforms);
+    const {
+      streams: fetchedStreams,
+      platforms: fetchedPlatforms,
+      failedPlatforms,
+      failedChannels
+    } = await apiManager.getStreams(enabledPlatforms);
+    
+    // 配信者（人物）の紐付けとお気に入り状態を反映（オプションページでの変更を含む）
+    const annotatedStreams = await annotateStreamers(fetchedStreams);
+    
+    // 購読設定の視聴者数の節目も差分検出の対象にする
+    const subscriptionMilestones = settings.eventSubscriptions
+      .flatMap(subscription => subscription.viewerMilestones || []);
+    dataManager.setViewerMilestones([...DEFAULT_VIEWER_MILESTONES, ...subscriptionMilestones]);
+    
+    // 取得したデータをデータマネージャーに保存（前回との差分を検出）
+    // 取得に失敗したプラットフォーム・チャンネルは配信終了にせず、前回のストリームを引き継ぐ
+    const streamChanges = await dataManager.replaceStreams(annotatedStreams, {
+      platforms: fetchedPlatforms,
+      unconfirmed: { platforms: failedPlatforms, channels: failedChannels }
+    });
+    const streams = dataManager.streams;
     
-    // 取得したデータをデータマネージャーに保存
-    await dataManager.replaceStreams(streams);
+    // 配信履歴を記録（履歴の記録エラーは非致命的なので処理を継続）
+    // 取得に失敗したプラットフォームのセッションは終了させず、確認に失敗したチャンネルは引き継いだストリームで継続する
+    try {
+      await streamHistoryManager.recordSnapshot(streams, { platforms: fetchedPlatforms });
+    } catch (historyError) {
+      logError(historyError, 'HISTORY_RECORD_ERROR', 'background:history');
+    }
     
     // スケジュールデータの取得（対応プラットフォームのみ）
     try {
       // スケジュール取得に対応しているプラットフォームを抽出
       const scheduleCapablePlatforms = enabledPlatforms.filter(platform => {
-        const client = apiManager.apiClients[platform];
-        return client && typeof client.getSchedules === 'function';
+        const provider = getPlatform(platform);
+        return provider && provider.capabilities.schedules && apiManager.apiClients[platform];
       });
       
       if (scheduleCapablePlatforms.length > 0) {
-        const schedules = await apiManager.getSchedules(scheduleCapablePlatforms);
-        await dataManager.replaceSchedules(schedules);
+        const { schedules, failedPlatforms, failedChannels } = await apiManager.getSchedules(scheduleCapablePlatforms);
+        // 取得に失敗したプラットフォーム・配信者の配信予定は取り消しと区別できないため、前回のまま引き継ぐ
+        const unconfirmedSchedules = { platforms: failedPlatforms, channels: failedChannels };
+        await dataManager.replaceSchedules(schedules, unconfirmedSchedules);
+        
+        // なくなった配信予定と、開始予定時刻が変わった配信予定のリマインダーの通知状態をリセット
+        await reminderManager.reconcile(schedules, unconfirmedSchedules);
+        
+        // 配信予定の変更に合わせてリマインダーのアラームを設定し直す
+        await syncReminderAlarms();
       }
     } catch (scheduleError) {
       logError(scheduleError, 'SCHEDULE_FETCH_ERROR', 'background:schedules');
@@ -211,14 +330,21 @@ async function fetchStreamData() {
     }
     
     // 新規ストリーム検出とリマインダー通知チェック
-    await checkForNewStreamsAndReminders(streams);
+    await checkForNewStreamsAndReminders(streams, streamChanges);
+    
+    // 購読中の配信者の状態変化を通知
+    await notifyStreamChanges(streamChanges);
+    
+    // おやすみモードが終了していれば溜まった通知をまとめて表示
+    await notificationManager.flushQuietHoursDigest();
     
     // バッジを更新
     updateBadge(streams.length.toString());
     
-    // 更新完了
-    lastUpdateTime = new Date();
-    updateAttempts = 0;
+    // 更新完了（予定していたリトライは不要になる）
+    const lastUpdateTime = new Date();
+    await runtimeStateManager.recordSuccess(lastUpdateTime);
+    chrome.alarms.clear(RETRY_ALARM_NAME);
     dispatchEvent(BACKGROUND_EVENTS.UPDATE_COMPLETED, { 
       streams, 
       timestamp: lastUpdateTime 
@@ -226,7 +352,9 @@ async function fetchStreamData() {
     
     console.log(`[Background] ストリームデータ更新完了: ${streams.length}件`);
   } catch (error) {
-    updateAttempts++;
+    // 失敗回数を保存できない場合は、リトライが際限なく続かないようリトライしない
+    const updateAttempts = await runtimeStateManager.recordFailure()
+      .catch(() => MAX_RETRY_ATTEMPTS);
     const willRetry = updateAttempts < MAX_RETRY_ATTEMPTS;
     
     logError(error, 'DATA_FETCH_ERROR', 'background:fetchData');
@@ -242,21 +370,24 @@ async function fetchStreamData() {
     // エラー表示をバッジに
     updateBadge('!');
     
-    // リトライ
+    // リトライ（サービスワーカーが停止しても実行されるようアラームで予約する）
     if (willRetry) {
       console.log(`[Background] ${RETRY_DELAY_MS / 1000}秒後にリトライします (${updateAttempts}/${MAX_RETRY_ATTEMPTS})`);
-      setTimeout(fetchStreamData, RETRY_DELAY_MS);
+      chrome.alarms.create(RETRY_ALARM_NAME, { when: Date.now() + RETRY_DELAY_MS });
     }
   } finally {
-    isUpdating = false;
+    await runtimeStateManager.releaseLock(lockToken)
+      .catch(error => logError(error, 'RUNTIME_STATE_SAVE_ERROR', 'background:runtimeState'));
   }
 }
 
 /**
  * 新規ストリームの検出とリマインダー通知のチェック
+ * 開始時に通知ルールの条件を満たさなかった配信も、タイトル・カテゴリの変更で条件を満たした時点で通知します
  * @param {Array} currentStreams - 現在のストリーム配列
+ * @param {Array<Object>} [streamChanges=[]] - DataManager.replaceStreams が返す変化の配列
  */
-async function checkForNewStreamsAndReminders(currentStreams) {
+async function checkForNewStreamsAndReminders(currentStreams, streamChanges = []) {
   const settings = settingsManager.getSettings();
   if (!settings.enableNotifications) return;
   
@@ -268,45 +399,61 @@ async function checkForNewStreamsAndReminders(currentStreams) {
       });
     });
     
+    // 配信者・プラットフォームごとの通知ルール
+    const ruleEngine = new NotificationRuleEngine(settings.notificationRules);
+    
+    // 通知済みのストリーム（取得し直したストリームには通知済みフラグがないため、前回のデータから引き継ぐ）
+    const getStreamKey = stream => `${stream.platformType}_${stream.id}`;
+    const notifiedStreams = previousStreamsRaw.filter(stream => stream.notified);
+    const notifiedKeys = new Set(notifiedStreams.map(getStreamKey));
+    
+    // タイトル・カテゴリが変わったストリーム（通知ルールの条件を変更後の内容で判定し直す）
+    const retitledKeys = new Set(streamChanges
+      .filter(change => 
+        change.type === STREAM_CHANGE_TYPES.TITLE_CHANGED || change.type === STREAM_CHANGE_TYPES.CATEGORY_CHANGED
+      )
+      .map(change => getStreamKey(change.stream)));
+    
     // 新規ストリームを検出
     const newStreams = currentStreams.filter(current => {
       // 通知済みのストリームはスキップ
-      if (current.notified) return false;
+      if (current.notified || notifiedKeys.has(getStreamKey(current))) return false;
       
       // お気に入りのみ通知設定がONの場合、お気に入りでなければスキップ
       if (settings.notifyOnlyFavorites && !current.isFavorite) return false;
       
+      // 通知ルールの条件を満たさなければスキップ
+      if (!ruleEngine.shouldNotify(current)) return false;
+      
       // 前回のデータに存在しなければ新規ストリーム
-      return !previousStreamsRaw.some(prev => 
+      const previous = previousStreamsRaw.find(prev => 
         prev.platformType === current.platformType && prev.id === current.id
       );
+      if (!previous) return true;
+      
+      // 配信中のストリームは、タイトル・カテゴリの変更で通知ルールの条件を満たすようになった場合に通知
+      return retitledKeys.has(getStreamKey(current)) && !ruleEngine.shouldNotify(previous);
     });
     
-    // 新規ストリームがあれば通知
+    // 通知済みフラグをセット
+    newStreams.forEach(stream => notifiedKeys.add(getStreamKey(stream)));
+    const updatedStreams = currentStreams.map(stream => 
+      notifiedKeys.has(getStreamKey(stream)) ? { ...stream, notified: true } : stream
+    );
+    
+    // 新規ストリームがあれば通知（前回までに通知した配信は、同時配信の重複通知の判定に使う）
     if (newStreams.length > 0) {
-      await notifyNewStreams(newStreams);
-      
-      // 通知済みフラグをセット
-      const updatedStreams = currentStreams.map(stream => {
-        if (newStreams.some(newStream => 
-          newStream.platformType === stream.platformType && newStream.id === stream.id
-        )) {
-          return { ...stream, notified: true };
-        }
-        return stream;
-      });
+      await notifyNewStreams(newStreams, notifiedStreams);
       
       // 更新したストリーム情報を保存
       await dataManager.replaceStreams(updatedStreams);
     }
     
-    // スケジュールリマインダーをチェック（設定が有効な場合）
-    if (settings.reminders) {
-      await checkScheduleReminders();
-    }
+    // スケジュールリマインダーをチェック（配信予定ごとの上書き設定があるため、全体の設定が無効でも確認する）
+    await checkScheduleReminders();
     
-    // 現在のストリームを前回データとして保存
-    chrome.storage.local.set({ previousStreams: currentStreams });
+    // 現在のストリームを通知済みフラグ付きで前回データとして保存
+    chrome.storage.local.set({ previousStreams: updatedStreams });
   } catch (error) {
     logError(error, 'NOTIFICATION_CHECK_ERROR', 'background:notifications');
   }
@@ -314,113 +461,353 @@ async function checkForNewStreamsAndReminders(currentStreams) {
 
 /**
  * 新規ストリームの通知を表示
+ * 同時配信（サイマル配信）は1件の通知にまとめ、プラットフォームごとの視聴ボタンを付けます。
+ * 前回までに通知した配信の同時配信が後から別のプラットフォームで見つかった場合は通知しません
  * @param {Array} streams - 新規ストリーム配列
+ * @param {Array} [notifiedStreams=[]] - 前回までに通知したストリーム配列
  */
-async function notifyNewStreams(streams) {
+async function notifyNewStreams(streams, notifiedStreams = []) {
   try {
     const maxNotifications = 5; // 一度に表示する最大通知数
-    const streamsToNotify = streams.slice(0, maxNotifications);
+    const settings = settingsManager.getSettings();
+    const simulcastDetection = settings.simulcastDetection || {};
+    const detector = simulcastDetection.enabled === false ? null : new SimulcastDetector(simulcastDetection);
+    const streamsToNotify = detector ? detector.excludeNotifiedSimulcasts(streams, notifiedStreams) : streams;
+    if (streamsToNotify.length < streams.length) {
+      console.log(`[Background] 通知済みの配信の同時配信を${streams.length - streamsToNotify.length}件検出しました`);
+    }
+    if (streamsToNotify.length === 0) return;
+    
+    const groups = detector
+      ? detector.group(streamsToNotify)
+      : streamsToNotify.map(stream => [stream]);
+    const groupsToNotify = groups.slice(0, maxNotifications);
     
-    // 複数のストリームがある場合はまとめて通知
-    if (streamsToNotify.length > 1) {
+    // おやすみモード中は、お気に入りの配信をほかの配信と分けて通知する（お気に入りだけを表示できるようにする）
+    for (const batch of notificationManager.splitForQuietHours(groupsToNotify)) {
+      await showNewStreamNotifications(batch, settings);
+    }
+    
+    console.log(`[Background] ${streamsToNotify.length}件の新規配信を${groupsToNotify.length}件の通知で通知しました`);
+  } catch (error) {
+    logError(error, 'SHOW_NOTIFICATION_ERROR', 'background:notifications');
+  }
+}
+
+/**
+ * 新規ストリームのグループを通知
+ * 複数のグループは1件のリスト通知にまとめ、1件の場合は同時配信のプラットフォームごとの視聴ボタンを付けて通知します
+ * @param {Array<Array>} groups - 同時配信ごとのストリーム配列の配列
+ * @param {Object} settings - 設定
+ */
+async function showNewStreamNotifications(groups, settings) {
+  // 複数の配信がある場合はまとめて通知
+  if (groups.length > 1) {
+    const notificationOptions = {
+      title: '新しい配信が開始されました',
+      message: `${groups.length}件の新規配信があります`,
+      items: groups.map(group => ({
+        title: group[0].streamerName || 'ストリーマー',
+        message: group[0].title || 'タイトルなし'
+      })),
+      contextMessage: 'クリックして詳細を表示',
+      type: 'list',
+      groupId: 'new-streams'
+    };
+    
+    await notificationManager.showNotification('new-streams-group', notificationOptions, null, {
+      isFavorite: groups.every(group => group.some(stream => stream.isFavorite)),
+      isNewStream: true
+    });
+  } else {
+    // 単一の通知の場合（同時配信はプラットフォームごとのボタンを付けて1件にまとめる）
+    for (const group of groups) {
+      const preferred = SimulcastDetector.pickPreferred(group, settings.preferredPlatform);
+      const ordered = [preferred, ...group.filter(stream => stream !== preferred)];
+      const buttonStreams = ordered.slice(0, MAX_NOTIFICATION_BUTTONS);
       const notificationOptions = {
         title: '新しい配信が開始されました',
-        message: `${streamsToNotify.length}件の新規配信があります`,
-        items: streamsToNotify.map(stream => ({
-          title: stream.streamerName || 'ストリーマー',
-          message: stream.title || 'タイトルなし'
-        })),
-        contextMessage: 'クリックして詳細を表示',
-        type: 'list',
-        groupId: 'new-streams'
+        message: preferred.title || 'タイトルなし',
+        contextMessage: `${preferred.streamerName} (${ordered.map(stream => getPlatformLabel(stream)).join('・')})`,
+        type: 'basic',
+        iconUrl: preferred.thumbnailUrl || '/assets/icon128.png',
+        buttons: group.length > 1
+          ? buttonStreams.map(stream => ({ title: `${getPlatformLabel(stream)}で視聴` }))
+          : [{ title: '視聴する' }],
+        priority: 2
       };
       
-      await notificationManager.showNotification('new-streams-group', notificationOptions);
-    } else {
-      // 単一の通知の場合
-      for (const stream of streamsToNotify) {
-        const notificationOptions = {
-          title: '新しい配信が開始されました',
-          message: stream.title || 'タイトルなし',
-          contextMessage: `${stream.streamerName} (${stream.platformType})`,
+      await notificationManager.showNotification(
+        `stream-${preferred.platformType}-${preferred.id}`,
+        notificationOptions,
+        preferred.url,
+        {
+          isFavorite: group.some(stream => stream.isFavorite),
+          isNewStream: true,
+          buttonUrls: buttonStreams.map(stream => stream.url)
+        }
+      );
+    }
+  }
+}
+
+/**
+ * 購読設定に一致する配信の状態変化（終了・タイトル変更・カテゴリ変更・視聴者数の節目）を通知
+ * @param {Array<Object>} changes - DataManager.replaceStreams が返す変化の配列
+ */
+async function notifyStreamChanges(changes) {
+  const settings = settingsManager.getSettings();
+  if (!settings.enableNotifications || settings.eventSubscriptions.length === 0) return;
+  
+  try {
+    const changesToNotify = changes.filter(change => 
+      change.type !== STREAM_CHANGE_TYPES.ONLINE &&
+      settings.eventSubscriptions.some(subscription => 
+        StreamDiffEngine.matchesSubscription(change, subscription)
+      )
+    );
+    
+    for (const change of changesToNotify) {
+      const { stream, previous } = change;
+      let title = '';
+      let message = '';
+      
+      switch (change.type) {
+        case STREAM_CHANGE_TYPES.OFFLINE:
+          title = '配信が終了しました';
+          message = stream.title || 'タイトルなし';
+          break;
+        case STREAM_CHANGE_TYPES.TITLE_CHANGED:
+          title = 'タイトルが変更されました';
+          message = `${previous.title || 'タイトルなし'} → ${stream.title || 'タイトルなし'}`;
+          break;
+        case STREAM_CHANGE_TYPES.CATEGORY_CHANGED:
+          title = 'カテゴリが変更されました';
+          message = `${previous.gameOrCategory || '未設定'} → ${stream.gameOrCategory || '未設定'}`;
+          break;
+        case STREAM_CHANGE_TYPES.VIEWER_MILESTONE:
+          title = `視聴者数が${change.milestone}人を突破しました`;
+          message = stream.title || 'タイトルなし';
+          break;
+        default:
+          continue;
+      }
+      
+      await notificationManager.showNotification(
+        `event-${change.type}-${stream.platformType}-${stream.id}`,
+        {
+          title,
+          message,
+          contextMessage: `${stream.streamerName} (${getPlatformLabel(stream)})`,
           type: 'basic',
           iconUrl: stream.thumbnailUrl || '/assets/icon128.png',
-          buttons: [{ title: '視聴する' }],
-          priority: 2
-        };
-        
-        await notificationManager.showNotification(
-          `stream-${stream.platformType}-${stream.id}`,
-          notificationOptions,
-          stream.url
-        );
-      }
+          buttons: change.type === STREAM_CHANGE_TYPES.OFFLINE ? [] : [{ title: '視聴する' }]
+        },
+        change.type === STREAM_CHANGE_TYPES.OFFLINE ? null : stream.url
+      );
     }
     
-    console.log(`[Background] ${streamsToNotify.length}件の新規配信を通知しました`);
+    if (changesToNotify.length > 0) {
+      console.log(`[Background] ${changesToNotify.length}件の配信状態の変化を通知しました`);
+    }
   } catch (error) {
-    logError(error, 'SHOW_NOTIFICATION_ERROR', 'background:notifications');
+    logError(error, 'STREAM_CHANGE_NOTIFICATION_ERROR', 'background:notifications');
   }
 }
 
+/**
+ * 配信予定のリマインダーの時間を取得（配信予定・配信者・全体の設定の順に優先）
+ * @param {Schedule} schedule - 配信予定
+ * @return {Array<number>} - 開始の何分前に通知するかの配列
+ */
+function getReminderOffsets(schedule) {
+  const streamer = streamerManager.findStreamerByAccount(schedule.platformType, schedule.channelId);
+  return settingsManager.getReminderOffsets(schedule, streamer);
+}
+
 /**
  * スケジュールリマインダーをチェック
+ * 配信予定ごとに複数のリマインダーがあり、通知済みかどうかはリマインダーごとに記録する。
+ * おやすみモード中は通知済みにせずに保留し、終了後に開始前のリマインダーだけを通知する
+ * （開始予定時刻を過ぎた配信予定は getDueReminders の対象外になるため、終了後にまとめて通知せずに破棄される）
  */
 async function checkScheduleReminders() {
   try {
-    const settings = settingsManager.getSettings();
-    if (!settings.reminders) return;
-    
-    const schedules = dataManager.schedules;
-    const reminderMinutes = settings.reminderTime || 10;
     const now = new Date();
-    const reminderThreshold = new Date(now.getTime() + (reminderMinutes * 60 * 1000));
+    const reminders = reminderManager.getDueReminders(dataManager.schedules, getReminderOffsets, now);
+    
+    const quietHours = settingsManager.getSettings().quietHours || {};
+    if (reminders.length > 0 && quietHours.mode !== 'suppress' && notificationManager.isQuietTime(now)) {
+      const resumeAt = notificationManager.getQuietHoursSchedule().getQuietEndTime(now);
+      if (resumeAt) {
+        chrome.alarms.create(QUIET_HOURS_END_ALARM_NAME, { when: resumeAt.getTime() });
+      }
+      console.log(`[Background] おやすみモード中のため${reminders.length}件のスケジュールリマインダーを保留しました`);
+      return;
+    }
     
-    // リマインダー通知対象のスケジュールを抽出
-    const schedulesToRemind = schedules.filter(schedule => {
-      if (!schedule.scheduledStartTime || schedule.notified) return false;
+    for (const reminder of reminders) {
+      const { schedule } = reminder;
+      const minutesToStart = Math.max(0, Math.round((new Date(schedule.scheduledStartTime) - now) / (60 * 1000)));
       
-      const startTime = new Date(schedule.scheduledStartTime);
+      const notificationOptions = {
+        title: minutesToStart <= 60 ? 'まもなく配信が始まります' : '配信予定のリマインダー',
+        message: schedule.title || 'タイトルなし',
+        contextMessage: `${schedule.streamerName} (${ReminderManager.formatMinutes(minutesToStart)}後)`,
+        type: 'basic',
+        iconUrl: schedule.thumbnailUrl || '/assets/icon128.png',
+        buttons: [{ title: 'ページを開く' }],
+      };
       
-      // 現在時刻 <= 開始時刻 <= (現在時刻 + リマインダー時間) の場合に通知
-      return startTime > now && startTime <= reminderThreshold;
-    });
-    
-    if (schedulesToRemind.length > 0) {
-      // リマインダー通知
-      for (const schedule of schedulesToRemind) {
-        const startTime = new Date(schedule.scheduledStartTime);
-        const minutesToStart = Math.round((startTime - now) / (60 * 1000));
-        
-        const notificationOptions = {
-          title: 'まもなく配信が始まります',
-          message: schedule.title || 'タイトルなし',
-          contextMessage: `${schedule.streamerName} (${minutesToStart}分後)`,
-          type: 'basic',
-          iconUrl: schedule.thumbnailUrl || '/assets/icon128.png',
-          buttons: [{ title: 'ページを開く' }],
-        };
-        
-        await notificationManager.showNotification(
-          `schedule-${schedule.platformType}-${schedule.id}`,
-          notificationOptions,
-          schedule.url
-        );
-        
-        // 通知済みフラグをセット
-        await dataManager.updateSchedule({
-          ...schedule,
-          notified: true
-        });
-      }
+      await notificationManager.showNotification(
+        `schedule-${schedule.platformType}-${schedule.id}`,
+        notificationOptions,
+        schedule.url
+      );
       
-      console.log(`[Background] ${schedulesToRemind.length}件のスケジュールリマインダーを通知しました`);
+      // 同時に対象になったリマインダーをまとめて通知済みにする
+      await reminderManager.markDelivered(reminder, now);
+    }
+    
+    if (reminders.length > 0) {
+      console.log(`[Background] ${reminders.length}件のスケジュールリマインダーを通知しました`);
     }
   } catch (error) {
     logError(error, 'REMINDER_CHECK_ERROR', 'background:reminders');
   }
 }
 
+/**
+ * 未通知のリマインダーごとにアラームを設定
+ * アラームの時刻にリマインダーを通知するため、データの取得間隔に左右されない
+ */
+async function syncReminderAlarms() {
+  // 初期化前は配信予定が読み込まれておらず、設定済みのアラームを解除してしまうため何もしない
+  if (!isInitialized) return;
+  
+  try {
+    await reminderManager.syncAlarms(dataManager.schedules, getReminderOffsets);
+  } catch (error) {
+    logError(error, 'REMINDER_ALARM_ERROR', 'background:reminders');
+  }
+}
+
+/**
+ * リマインダーのアラームが発火した時の処理
+ * サービスワーカーの起動直後に発火した場合は初期化の完了を待ってから通知する
+ * @param {string} alarmName - アラーム名
+ */
+async function handleReminderAlarm(alarmName) {
+  await initializeBackgroundService();
+  console.log(`[Background] リマインダーのアラームが発火しました: ${alarmName}`);
+  
+  const settings = settingsManager.getSettings();
+  if (!settings.enableNotifications) return;
+  
+  await checkScheduleReminders();
+}
+
+/**
+ * おやすみモードが終了した時の処理
+ * 期間中に溜まった新規配信の通知をダイジェストで表示し、保留したリマインダーのうち開始前のものを通知する
+ */
+async function handleQuietHoursEnd() {
+  await initializeBackgroundService();
+  await notificationManager.flushQuietHoursDigest();
+  
+  const settings = settingsManager.getSettings();
+  if (!settings.enableNotifications) return;
+  
+  await checkScheduleReminders();
+}
+
+/**
+ * 配信者（人物）を読み込み直し、ストリームに紐付ける
+ * @param {Array} streams - ストリーム配列
+ * @return {Promise<Array>} - 配信者を紐付けたストリーム配列
+ */
+async function annotateStreamers(streams) {
+  try {
+    await streamerManager.loadStreamers();
+    return streamerManager.annotateStreams(streams);
+  } catch (error) {
+    logError(error, 'STREAMERS_LOAD_ERROR', 'background:streamers');
+    return streams;
+  }
+}
+
+/**
+ * ウォッチリストを読み込み直し、配信確認の対象チャンネルを各APIクライアントに設定
+ */
+async function applyWatchLists() {
+  try {
+    await watchListManager.loadWatchLists();
+    
+    getPlatforms().filter(provider => provider.watchList).forEach(({ id: platformType }) => {
+      const client = apiManager.apiClients[platformType];
+      if (client && typeof client.setChannelIds === 'function') {
+        client.setChannelIds(watchListManager.getActiveChannelIds(platformType));
+      }
+    });
+  } catch (error) {
+    logError(error, 'WATCH_LIST_LOAD_ERROR', 'background:watchList');
+  }
+}
+
+/**
+ * プラットフォームの登録チャンネルを取得してウォッチリストを同期
+ * @param {string} platformType - プラットフォーム種別
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.force=false] - 前回の同期からの経過時間に関係なく同期する
+ * @param {string} [options.userId] - 同期元のユーザーID（TwitCastingのサポート一覧の取り込み元）
+ * @return {Promise<Array>} - 同期後のチャンネル配列
+ */
+async function syncWatchList(platformType, options = {}) {
+  // オプションページでの手動追加・対象外の変更を上書きしないよう読み込み直す
+  await watchListManager.loadWatchLists();
+  
+  if (!options.force && !watchListManager.needsSync(platformType)) {
+    return watchListManager.getChannels(platformType, { includeExcluded: true });
+  }
+  
+  const provider = getPlatform(platformType);
+  const client = apiManager.apiClients[platformType];
+  if (!provider || !provider.watchList || !provider.watchList.sync || !client) {
+    throw new Error(`${platformType} のウォッチリスト同期には対応していません`);
+  }
+  
+  const { channels, details } = await provider.watchList.sync.fetchChannels(client, {
+    userId: options.userId || watchListManager.getSourceUserId(platformType)
+  });
+  
+  console.log(`[Background] ${platformType}のウォッチリストを同期しました: ${channels.length}件`);
+  return await watchListManager.syncChannels(platformType, channels, 'subscription', details);
+}
+
+/**
+ * 認証済みのプラットフォームのウォッチリストを定期同期
+ */
+async function syncAllWatchLists() {
+  await watchListManager.loadWatchLists();
+  
+  // 自動同期できる状態（認証済みなど）かどうかはプロバイダーごとに判定する
+  const syncTargets = getPlatforms()
+    .filter(provider => {
+      const client = apiManager.apiClients[provider.id];
+      const sync = provider.watchList && provider.watchList.sync;
+      return client && sync && sync.canAutoSync(client, watchListManager.getSourceUserId(provider.id));
+    })
+    .map(provider => provider.id);
+  
+  for (const platformType of syncTargets) {
+    try {
+      await syncWatchList(platformType);
+    } catch (error) {
+      logError(error, 'WATCH_LIST_SYNC_ERROR', 'background:watchList');
+    }
+  }
+}
+
 /**
  * バッジカウンターを更新
  * @param {string} text - バッジに表示するテキスト
@@ -488,6 +875,17 @@ chrome.alarms.onAlarm.addListener(alarm => {
   if (alarm.name === 'fetchStreamData') {
     console.log('[Background] データ更新アラームが発火しました');
     fetchStreamData();
+  } else if (alarm.name === RETRY_ALARM_NAME) {
+    console.log('[Background] データ更新のリトライを実行します');
+    fetchStreamData();
+  } else if (alarm.name === 'syncWatchLists') {
+    syncAllWatchLists();
+  } else if (alarm.name === QUIET_HOURS_END_ALARM_NAME) {
+    handleQuietHoursEnd()
+      .catch(error => logError(error, 'QUIET_HOURS_DIGEST_ERROR', 'background:notifications'));
+  } else if (ReminderManager.isReminderAlarm(alarm.name)) {
+    handleReminderAlarm(alarm.name)
+      .catch(error => logError(error, 'REMINDER_CHECK_ERROR', 'background:reminders'));
   }
 });
 
@@ -509,8 +907,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // 設定更新通知
   if (message.type === 'settings_updated') {
     settingsManager.loadSettings()
-      .then(() => {
+      .then(async settings => {
+        notificationManager.updateSettings(settings);
         setupAlarms();
+        
+        // リマインダーの設定（配信者ごとの設定を含む）の変更をアラームに反映
+        await streamerManager.loadStreamers()
+          .catch(error => logError(error, 'STREAMERS_LOAD_ERROR', 'background:streamers'));
+        await syncReminderAlarms();
         sendResponse({ success: true });
       })
       .catch(error => sendResponse({ 
@@ -525,33 +929,103 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const { platformType } = message;
     console.log(`[Background] ${platformType}の認証情報が更新されました`);
     
-    // 6秒後にデータを再取得
-    scheduleImmediateUpdate();
+    // 保存された認証情報をクライアントに読み込み直す
+    const client = apiManager.apiClients[platformType];
+    (client ? client.initialize() : Promise.resolve())
+      .then(() => {
+        // 6秒後にデータを再取得
+        scheduleImmediateUpdate();
+        sendResponse({ success: true });
+      })
+      .catch(error => sendResponse({
+        success: false,
+        error: error.message
+      }));
+    return true;
+  }
+  
+  // Twitch認証完了通知
+  if (message.type === 'twitch_authenticated') {
+    const twitchClient = apiManager.apiClients.twitch;
+    if (twitchClient) {
+      // 保存された認証情報を読み込み直し、フォロー一覧を同期する
+      twitchClient.initialize()
+        .then(() => twitchClient.syncFollowedChannels())
+        .catch(error => logError(error, 'TWITCH_FOLLOW_SYNC_ERROR', 'background:twitch'))
+        .finally(() => scheduleImmediateUpdate());
+    }
     sendResponse({ success: true });
     return true;
   }
   
+  // ウォッチリストの同期リクエスト
+  if (message.type === 'sync_watch_list') {
+    syncWatchList(message.platformType, { force: true, userId: message.userId })
+      .then(channels => sendResponse({ success: true, data: channels }))
+      .catch(error => sendResponse({
+        success: false,
+        error: error.message
+      }));
+    return true;
+  }
+  
+  // 配信者（チャンネル）の検索リクエスト
+  if (message.type === 'search_channels') {
+    apiManager.searchChannels(message.platformType, message.query)
+      .then(results => sendResponse({ success: true, data: results }))
+      .catch(error => sendResponse({
+        success: false,
+        error: error.message
+      }));
+    return true;
+  }
+  
   // データ取得リクエスト
   if (message.type === 'get_data') {
     const { dataType } = message;
-    if (dataType === 'streams') {
-      sendResponse({ 
-        success: true, 
-        data: dataManager.streams,
-        lastUpdated: lastUpdateTime
-      });
-    } else if (dataType === 'schedules') {
-      sendResponse({ 
-        success: true, 
-        data: dataManager.schedules,
-        lastUpdated: lastUpdateTime
-      });
-    } else {
+    if (dataType !== 'streams' && dataType !== 'schedules') {
       sendResponse({ 
         success: false, 
         error: '不明なデータタイプです' 
       });
+      return true;
+    }
+    
+    // サービスワーカーの起動直後（初期化前）は保存されているデータを読み込んで返す
+    let request;
+    if (isInitialized) {
+      request = Promise.resolve(dataType === 'streams' ? dataManager.streams : dataManager.schedules);
+    } else {
+      request = dataType === 'streams' ? dataManager.loadStreams() : dataManager.loadSchedules();
     }
+    // 最終更新日時は保存した実行状態から返す（サービスワーカーの再起動後も正しい日時になる）
+    Promise.all([request, runtimeStateManager.loadState()])
+      .then(([data]) => sendResponse({ 
+        success: true, 
+        data,
+        lastUpdated: runtimeStateManager.getLastUpdateTime()
+      }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message 
+      }));
+    return true;
+  }
+  
+  // 配信履歴取得リクエスト
+  if (message.type === 'get_history') {
+    const { streamerKey, limit } = message;
+    
+    // ポップアップからのメッセージでサービスワーカーが起動した場合は、データベースを開くまで待つ
+    initializeBackgroundService()
+      .then(() => streamerKey
+        ? streamHistoryManager.getTimeline(streamerKey, { limit })
+        : streamHistoryManager.getStreamers())
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message 
+      }));
     return true;
   }
 });
@@ -4,6 +4,7 @@
  */
 import Singleton from '../utils/Singleton';
 import EventEmitter from '../utils/EventEmitter';
+import FavoriteIndex from './FavoriteIndex';
 
 class APIManager extends Singleton {
   constructor() {
@@ -12,6 +13,7 @@ class APIManager extends Singleton {
     this.apiClients = {};
     this.isInitialized = false;
     this.currentRequests = new Map();
+    this.favoriteIndex = new FavoriteIndex(); // 取得したストリームのお気に入り状態の解決に使う
   }
 
   /**
@@ -57,11 +59,22 @@ class APIManager extends Singleton {
     }
   }
 
+  /**
+   * 取得したストリームのお気に入り状態の解決に使うお気に入りを設定します
+   * @param {Array<Favorite|Object|string>} favorites - お気に入り
+   */
+  setFavorites(favorites) {
+    this.favoriteIndex = new FavoriteIndex(favorites);
+  }
+
   /**
    * ストリーム情報を取得します
+   * 取得したストリームには、お気に入りに一致するかどうかを isFavorite に設定します。
+   * 一部のプラットフォーム・チャンネルだけが失敗した場合は、それらを結果に含めて返します（配信終了の誤検出を防ぐため）
    * @param {string|Array<string>} platformTypes - 取得対象のプラットフォーム種別
    * @param {Object} options - 取得オプション
-   * @return {Promise<Array>} - 取得したストリーム情報の配列
+   * @return {Promise<{streams: Array<Stream>, platforms: Array<string>, failedPlatforms: Array<string>, failedChannels: Object<string, Array<string>>}>}
+   *   - 取得したストリーム、取得に成功したプラットフォーム、失敗したプラットフォーム、プラットフォームごとの確認に失敗したチャンネルID
    */
   async getStreams(platformTypes, options = {}) {
     const platforms = Array.isArray(platformTypes) ? platformTypes : [platformTypes];
@@ -90,11 +103,18 @@ class APIManager extends Singleton {
       // エラーと成功の結果を処理
       const streams = [];
       const errors = [];
+      const succeededPlatforms = [];
+      const failedChannels = {};
       
       results.forEach((result, index) => {
         const platform = platforms[index];
         if (result.status === 'fulfilled') {
           streams.push(...result.value);
+          succeededPlatforms.push(platform);
+          const failedChannelIds = this.getFailedChannelIds(platform, 'getStreams');
+          if (failedChannelIds.length > 0) {
+            failedChannels[platform] = failedChannelIds;
+          }
         } else {
           errors.push({
             platformType: platform,
@@ -114,8 +134,14 @@ class APIManager extends Singleton {
         throw new Error('すべてのプラットフォームのストリーム取得に失敗しました');
       }
       
-      this.eventEmitter.emit('api:streamsReceived', streams);
-      return streams;
+      const resolvedStreams = this.favoriteIndex.annotate(streams);
+      this.eventEmitter.emit('api:streamsReceived', resolvedStreams);
+      return {
+        streams: resolvedStreams,
+        platforms: succeededPlatforms,
+        failedPlatforms: errors.map(({ platformType }) => platformType),
+        failedChannels
+      };
     } catch (error) {
       this.eventEmitter.emit('error', {
         code: 'API_STREAMS_ERROR',
@@ -128,9 +154,11 @@ class APIManager extends Singleton {
 
   /**
    * スケジュール情報を取得します
+   * 一部のプラットフォーム・チャンネルだけが失敗した場合は、それらを結果に含めて返します（予定の取り消しと区別するため）
    * @param {string|Array<string>} platformTypes - 取得対象のプラットフォーム種別
    * @param {Object} options - 取得オプション
-   * @return {Promise<Array>} - 取得したスケジュール情報の配列
+   * @return {Promise<{schedules: Array<Schedule>, platforms: Array<string>, failedPlatforms: Array<string>, failedChannels: Object<string, Array<string>>}>}
+   *   - 取得したスケジュール、取得に成功したプラットフォーム、失敗したプラットフォーム、プラットフォームごとの確認に失敗したチャンネルID
    */
   async getSchedules(platformTypes, options = {}) {
     const platforms = Array.isArray(platformTypes) ? platformTypes : [platformTypes];
@@ -164,11 +192,18 @@ class APIManager extends Singleton {
       // エラーと成功の結果を処理
       const schedules = [];
       const errors = [];
+      const succeededPlatforms = [];
+      const failedChannels = {};
       
       results.forEach((result, index) => {
         const platform = platforms[index];
         if (result.status === 'fulfilled') {
           schedules.push(...result.value);
+          succeededPlatforms.push(platform);
+          const failedChannelIds = this.getFailedChannelIds(platform, 'getSchedules');
+          if (failedChannelIds.length > 0) {
+            failedChannels[platform] = failedChannelIds;
+          }
         } else {
           errors.push({
             platformType: platform,
@@ -189,7 +224,12 @@ class APIManager extends Singleton {
       }
       
       this.eventEmitter.emit('api:schedulesReceived', schedules);
-      return schedules;
+      return {
+        schedules,
+        platforms: succeededPlatforms,
+        failedPlatforms: errors.map(({ platformType }) => platformType),
+        failedChannels
+      };
     } catch (error) {
       this.eventEmitter.emit('error', {
         code: 'API_SCHEDULES_ERROR',
@@ -200,6 +240,20 @@ class APIManager extends Singleton {
     }
   }
 
+  /**
+   * APIクライアントが直前の取得で確認に失敗したチャンネルIDを取得します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} operation - 取得処理（'getStreams' または 'getSchedules'）
+   * @return {Array<string>} - チャンネルID
+   * @private
+   */
+  getFailedChannelIds(platformType, operation) {
+    const apiClient = this.apiClients[platformType];
+    return apiClient && typeof apiClient.getFailedChannelIds === 'function'
+      ? apiClient.getFailedChannelIds(operation)
+      : [];
+  }
+
   /**
    * 認証を行います
    * @param {string} platformType - プラットフォーム種別
@@ -232,6 +286,38 @@ class APIManager extends Singleton {
     }
   }
 
+  /**
+   * 配信者（チャンネル）を名前で検索します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} query - 検索キーワード
+   * @param {Object} [options] - 検索オプション
+   * @return {Promise<Array<ChannelSearchResult>>} - 検索結果
+   */
+  async searchChannels(platformType, query, options = {}) {
+    try {
+      const apiClient = this.apiClients[platformType];
+      if (!apiClient) {
+        throw new Error(`${platformType} のAPIクライアントが見つかりません`);
+      }
+      
+      if (typeof apiClient.searchChannels !== 'function') {
+        throw new Error(`${platformType} のAPIクライアントは配信者の検索をサポートしていません`);
+      }
+      
+      const results = await apiClient.searchChannels(query, options);
+      this.eventEmitter.emit('api:channelsSearched', { platformType, query, results });
+      return results;
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'API_SEARCH_ERROR',
+        message: `${platformType} の配信者の検索に失敗しました`,
+        details: error,
+        source: platformType
+      });
+      throw error;
+    }
+  }
+
   /**
    * 現在進行中のリクエストをキャンセルします
    * @param {string} [platformType] - プラットフォーム種別（省略時は全てのリクエストをキャンセル）
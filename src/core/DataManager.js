@@ -4,6 +4,8 @@
  */
 import Singleton from '../utils/Singleton';
 import EventEmitter from '../utils/EventEmitter';
+import StreamDiffEngine, { STREAM_CHANGE_EVENTS, STREAM_CHANGE_TYPES } from './StreamDiffEngine';
+import { DATA_EVENTS } from '../utils/EventTypes';
 import { Stream, Schedule } from './models';
 
 class DataManager extends Singleton {
@@ -14,6 +16,15 @@ class DataManager extends Singleton {
     this.schedules = [];
     this.lastUpdated = null;
     this.isLoading = false;
+    this.diffEngine = new StreamDiffEngine();
+  }
+
+  /**
+   * 差分検出で使用する視聴者数の節目を設定します
+   * @param {Array<number>} milestones - 視聴者数の節目
+   */
+  setViewerMilestones(milestones) {
+    this.diffEngine = new StreamDiffEngine({ viewerMilestones: milestones });
   }
 
   /**
@@ -174,21 +185,48 @@ class DataManager extends Singleton {
 
   /**
    * ストリーム配列を置き換えます
+   * 前回のストリーム配列との差分を検出し、変化ごとにイベントを発火します
+   * 確認できなかったプラットフォーム・チャンネルのストリームは前回の状態のまま引き継ぎます
    * @param {Array<Stream|Object>} streams - 新しいストリーム配列
-   * @return {Promise<void>}
+   * @param {Object} [options] - オプション
+   * @param {Array<string>} [options.platforms] - 今回取得に成功したプラットフォーム
+   * @param {Object} [options.unconfirmed] - 確認できなかった対象 { platforms, channels }（StreamDiffEngine.carryOverUnconfirmed を参照）
+   * @return {Promise<Array<Object>>} - 検出した変化の配列
    */
-  async replaceStreams(streams) {
-    this.streams = streams.map(data => data instanceof Stream ? data : new Stream(data));
+  async replaceStreams(streams, options = {}) {
+    const previousStreams = this.streams;
+    this.streams = StreamDiffEngine.carryOverUnconfirmed(
+      previousStreams,
+      streams.map(data => data instanceof Stream ? data : new Stream(data)),
+      options.unconfirmed
+    );
     await this.saveStreams();
+    
+    const changes = this.diffEngine.diff(previousStreams, this.streams, options);
+    changes.forEach(change => {
+      this.eventEmitter.emit(STREAM_CHANGE_EVENTS[change.type], change);
+      
+      // 配信開始・終了は状態変化としても通知
+      if (change.type === STREAM_CHANGE_TYPES.ONLINE || change.type === STREAM_CHANGE_TYPES.OFFLINE) {
+        this.eventEmitter.emit(DATA_EVENTS.STREAM_STATUS_CHANGED, change);
+      }
+    });
+    return changes;
   }
 
   /**
    * スケジュール配列を置き換えます
+   * 確認できなかったプラットフォーム・チャンネルの配信予定は、取り消されたとは限らないため前回のまま引き継ぎます
    * @param {Array<Schedule|Object>} schedules - 新しいスケジュール配列
+   * @param {Object} [unconfirmed] - 確認できなかった対象 { platforms, channels }（StreamDiffEngine.carryOverUnconfirmed を参照）
    * @return {Promise<void>}
    */
-  async replaceSchedules(schedules) {
-    this.schedules = schedules.map(data => data instanceof Schedule ? data : new Schedule(data));
+  async replaceSchedules(schedules, unconfirmed = {}) {
+    this.schedules = StreamDiffEngine.carryOverUnconfirmed(
+      this.schedules,
+      schedules.map(data => data instanceof Schedule ? data : new Schedule(data)),
+      unconfirmed
+    );
     await this.saveSchedules();
   }
 
@@ -0,0 +1,65 @@
+/**
+ * お気に入りの索引
+ * お気に入り配信者をプラットフォームとチャンネルIDで引けるようにし、ストリームのお気に入り状態を解決します
+ */
+import { Favorite, Stream } from './models';
+
+class FavoriteIndex {
+  /**
+   * @param {Array<Favorite|Object|string>} [favorites] - お気に入り（以前の形式の配信者IDを含む）
+   */
+  constructor(favorites = []) {
+    this.favorites = favorites.map(favorite => favorite instanceof Favorite ? favorite : new Favorite(favorite));
+    this.index = new Map();
+    this.favorites.forEach(favorite => {
+      this.index.set(FavoriteIndex.getKey(favorite.platformType, favorite.channelId), favorite);
+    });
+  }
+
+  /**
+   * お気に入りを識別するキーを作成します（チャンネルIDの大文字・小文字は区別しない）
+   * @param {string} platformType - プラットフォーム種別（空文字で全プラットフォーム）
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @return {string} - お気に入りのキー
+   */
+  static getKey(platformType, channelId) {
+    return `${platformType || ''}:${String(channelId).toLowerCase()}`;
+  }
+
+  /**
+   * アカウントに一致するお気に入りを取得します
+   * プラットフォームを指定しないお気に入り（以前の形式から移行したもの）は、どのプラットフォームのアカウントにも一致します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @return {Favorite|null} - お気に入り（一致しない場合null）
+   */
+  find(platformType, channelId) {
+    if (!channelId) {
+      return null;
+    }
+    return this.index.get(FavoriteIndex.getKey(platformType, channelId)) ||
+      this.index.get(FavoriteIndex.getKey('', channelId)) ||
+      null;
+  }
+
+  /**
+   * ストリームにお気に入り状態とお気に入りのタグを反映します
+   * @param {Array<Stream>} streams - ストリームの配列
+   * @return {Array<Stream>} - お気に入り状態を反映したストリームの配列（元の配列は変更しません）
+   */
+  annotate(streams) {
+    return streams.map(stream => {
+      const favorite = this.find(stream.platformType, stream.channelId);
+      if (!favorite) {
+        return stream;
+      }
+      return new Stream({
+        ...stream,
+        isFavorite: true,
+        tags: [...new Set([...(stream.tags || []), ...favorite.tags])]
+      });
+    });
+  }
+}
+
+export default FavoriteIndex;
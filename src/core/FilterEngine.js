@@ -0,0 +1,140 @@
+/**
+ * フィルターエンジン
+ * フィルター条件（Filter）に一致する配信・配信予定を絞り込みます
+ */
+import { Filter } from './models';
+
+class FilterEngine {
+  /**
+   * @param {Filter|Object} [filter] - フィルター条件
+   */
+  constructor(filter = {}) {
+    this.filter = filter instanceof Filter ? filter : new Filter(filter);
+    this.searchTerms = FilterEngine.normalizeText(this.filter.searchText).split(/\s+/).filter(Boolean);
+    this.categories = this.filter.categories.map(category => FilterEngine.normalizeText(category));
+    this.languages = this.filter.languages.map(language => language.trim().toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * 比較用に文字列を正規化します（全角・半角の統一、小文字化、前後の空白の除去）
+   * @param {string} text - 文字列
+   * @return {string} - 正規化した文字列
+   */
+  static normalizeText(text) {
+    return (text || '').normalize('NFKC').toLowerCase().trim();
+  }
+
+  /**
+   * 配信予定かどうかを判定します
+   * @param {Stream|Schedule} item - 配信または配信予定
+   * @return {boolean} - 配信予定の場合true
+   */
+  static isScheduled(item) {
+    return 'scheduledStartTime' in item;
+  }
+
+  /**
+   * 配信開始からの経過時間を取得します
+   * @param {Stream} stream - ストリーム
+   * @param {Date} [now=new Date()] - 現在日時
+   * @return {number|null} - 経過時間（分、開始日時が不明な場合null）
+   */
+  static getUptimeMinutes(stream, now = new Date()) {
+    const startedAt = stream.startedAt ? new Date(stream.startedAt).getTime() : NaN;
+    if (Number.isNaN(startedAt)) {
+      return null;
+    }
+    return Math.max(0, Math.floor((now.getTime() - startedAt) / 60000));
+  }
+
+  /**
+   * 値が範囲内かどうかを判定します
+   * @param {number|null} value - 値（null は不明）
+   * @param {{min: (number|null), max: (number|null)}} range - 範囲（null で制限なし）
+   * @return {boolean} - 範囲内の場合true（範囲の指定がある場合、不明な値は範囲外）
+   */
+  static isInRange(value, range) {
+    const hasMin = range.min !== null && range.min !== undefined;
+    const hasMax = range.max !== null && range.max !== undefined;
+    if (!hasMin && !hasMax) {
+      return true;
+    }
+    if (value === null || value === undefined) {
+      return false;
+    }
+    return (!hasMin || value >= range.min) && (!hasMax || value <= range.max);
+  }
+
+  /**
+   * 言語が条件に一致するかどうかを判定します（'ja' は 'ja-JP' にも一致します）
+   * @param {string} language - 配信の言語
+   * @return {boolean} - 一致する場合true（言語の指定がある場合、言語が不明な配信は一致しない）
+   * @private
+   */
+  matchesLanguage(language) {
+    if (this.languages.length === 0) {
+      return true;
+    }
+    const normalized = (language || '').toLowerCase();
+    return !!normalized && this.languages.some(expected =>
+      normalized === expected || normalized.startsWith(`${expected}-`));
+  }
+
+  /**
+   * 配信・配信予定がフィルター条件に一致するかどうかを判定します
+   * 視聴者数と経過時間の範囲は配信中の配信にだけ適用します
+   * @param {Stream|Schedule} item - 配信または配信予定
+   * @param {Date} [now=new Date()] - 現在日時（経過時間の判定に使用）
+   * @return {boolean} - 一致する場合true
+   */
+  matches(item, now = new Date()) {
+    const filter = this.filter;
+    const scheduled = FilterEngine.isScheduled(item);
+
+    // 登録されていないプラットフォームは表示する
+    if (filter.platforms[item.platformType] === false) {
+      return false;
+    }
+    if (scheduled ? !filter.showScheduled : !filter.showLive) {
+      return false;
+    }
+    if (filter.showOnlyFavorites && !item.isFavorite) {
+      return false;
+    }
+    if (filter.tags.length > 0 && !filter.tags.some(tag => (item.tags || []).includes(tag))) {
+      return false;
+    }
+    if (this.categories.length > 0 && !this.categories.includes(FilterEngine.normalizeText(item.gameOrCategory))) {
+      return false;
+    }
+    if (this.searchTerms.length > 0) {
+      const text = FilterEngine.normalizeText([item.title, item.streamerName, item.gameOrCategory].join(' '));
+      if (!this.searchTerms.every(term => text.includes(term))) {
+        return false;
+      }
+    }
+    // 視聴者数・経過時間・言語は配信予定にはないため、配信中の配信にだけ適用する
+    if (!scheduled) {
+      if (!FilterEngine.isInRange(item.viewerCount, filter.viewerRange)) {
+        return false;
+      }
+      if (!FilterEngine.isInRange(FilterEngine.getUptimeMinutes(item, now), filter.uptimeRange)) {
+        return false;
+      }
+      return this.matchesLanguage(item.language);
+    }
+    return true;
+  }
+
+  /**
+   * フィルター条件に一致する配信・配信予定を取得します
+   * @param {Array<Stream|Schedule>} items - 配信または配信予定の配列
+   * @param {Date} [now=new Date()] - 現在日時
+   * @return {Array<Stream|Schedule>} - 一致した配信・配信予定の配列（元の順序を保ちます）
+   */
+  apply(items, now = new Date()) {
+    return items.filter(item => this.matches(item, now));
+  }
+}
+
+export default FilterEngine;
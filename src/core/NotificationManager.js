@@ -4,7 +4,11 @@
  */
 import Singleton from '../utils/Singleton';
 import EventEmitter from '../utils/EventEmitter';
+import QuietHoursSchedule from './QuietHoursSchedule';
 import { Stream, Schedule } from './models';
+import { getPlatform } from '../platforms/PlatformRegistry';
+
+const QUIET_HOURS_QUEUE_KEY = 'quietHoursQueue';
 
 class NotificationManager extends Singleton {
   constructor() {
@@ -218,21 +222,146 @@ class NotificationManager extends Singleton {
     }
   }
 
+  /**
+   * おやすみモードのスケジュールを取得します
+   * @return {QuietHoursSchedule}
+   */
+  getQuietHoursSchedule() {
+    return new QuietHoursSchedule(this.settings && this.settings.quietHours);
+  }
+
+  /**
+   * 現在おやすみモード中かどうかを判定します
+   * @param {Date} [date=new Date()] - 判定する時刻
+   * @return {boolean}
+   */
+  isQuietTime(date = new Date()) {
+    return this.getQuietHoursSchedule().isQuietAt(date);
+  }
+
+  /**
+   * おやすみモード中でも表示する通知かどうかを判定します
+   * @param {Object} [meta] - 通知の付加情報（showNotification の meta）
+   * @return {boolean} - お気に入りを表示する設定で、お気に入り配信者の通知の場合true
+   */
+  canBypassQuietHours(meta = {}) {
+    const quietHours = (this.settings && this.settings.quietHours) || {};
+    return Boolean(quietHours.allowFavorites && meta.isFavorite);
+  }
+
+  /**
+   * まとめて通知する配信を、おやすみモード中はお気に入り配信者の配信とそれ以外に分けます
+   * 一部だけがお気に入りのまとめた通知では、お気に入りの配信もキューに追加されてしまうためです
+   * @param {Array<Array<Stream>>} groups - 通知する配信のグループ（同時配信ごと）の配列
+   * @param {Date} [date=new Date()] - 判定する時刻
+   * @return {Array<Array<Array<Stream>>>} - 通知ごとのグループの配列（お気に入りの通知が先）
+   */
+  splitForQuietHours(groups, date = new Date()) {
+    if (!this.isQuietTime(date)) {
+      return [groups];
+    }
+    
+    const isFavorite = group => group.some(stream => stream.isFavorite);
+    return [groups.filter(isFavorite), groups.filter(group => !isFavorite(group))]
+      .filter(batch => batch.length > 0);
+  }
+
+  /**
+   * おやすみモード中の通知をダイジェスト用のキューに追加します
+   * @param {Array<{title: string, message: string}>} items - ダイジェストに載せる項目
+   * @return {Promise<void>}
+   * @private
+   */
+  async queueForDigest(items) {
+    const queue = await this.getDigestQueue();
+    const queuedAt = Date.now();
+    queue.push(...items.map(item => ({ ...item, queuedAt })));
+    
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [QUIET_HOURS_QUEUE_KEY]: queue }, resolve);
+    });
+    
+    const resumeAt = this.getQuietHoursSchedule().getQuietEndTime();
+    this.eventEmitter.emit('notification:queued', {
+      count: queue.length,
+      resumeAt: resumeAt ? resumeAt.getTime() : null
+    });
+  }
+
+  /**
+   * ダイジェスト用のキューを取得します
+   * @return {Promise<Array<Object>>}
+   */
+  async getDigestQueue() {
+    const result = await new Promise((resolve) => {
+      chrome.storage.local.get(QUIET_HOURS_QUEUE_KEY, resolve);
+    });
+    return result[QUIET_HOURS_QUEUE_KEY] || [];
+  }
+
+  /**
+   * おやすみモードが終了していれば、期間中に溜まった通知を1件のダイジェストとして表示します
+   * @return {Promise<boolean>} - ダイジェストを表示した場合true
+   */
+  async flushQuietHoursDigest() {
+    if (this.isQuietTime()) return false;
+    
+    const queue = await this.getDigestQueue();
+    if (queue.length === 0) return false;
+    
+    await new Promise((resolve) => {
+      chrome.storage.local.remove(QUIET_HOURS_QUEUE_KEY, resolve);
+    });
+    
+    return this.showNotification('quiet-hours-digest', {
+      type: 'list',
+      title: `おやすみモード中に${queue.length}件の通知がありました`,
+      message: queue.map(item => item.title).join(', '),
+      items: queue.map(item => ({ title: item.title || '', message: item.message || '' })),
+      contextMessage: 'クリックして詳細を表示'
+    });
+  }
+
   /**
    * 汎用的な通知を表示します
+   * おやすみモード中は新規配信の通知をダイジェスト用のキューに追加し、それ以外の通知は破棄します
    * @param {string} notificationId - 通知の一意のID
    * @param {Object} options - 通知オプション
    * @param {string} [linkUrl] - 通知クリック時に開くURL
+   * @param {Object} [meta] - 通知の付加情報
+   * @param {boolean} [meta.isFavorite] - お気に入り配信者の通知かどうか
+   * @param {boolean} [meta.isNewStream] - 新規配信の通知かどうか（おやすみモード中にダイジェストに載せる）
+   * @param {Array<string>} [meta.buttonUrls] - 各ボタンのクリック時に開くURL（ボタンと同じ順序。省略時は linkUrl）
    * @return {Promise<boolean>} - 成功したかどうか
    */
-  async showNotification(notificationId, options, linkUrl = null) {
+  async showNotification(notificationId, options, linkUrl = null, meta = {}) {
     try {
+      const quietHours = (this.settings && this.settings.quietHours) || {};
+      
+      if (!this.canBypassQuietHours(meta) && this.isQuietTime()) {
+        if (quietHours.mode !== 'suppress' && meta.isNewStream) {
+          await this.queueForDigest(options.items || [{
+            title: options.contextMessage || options.title || '',
+            message: options.message || ''
+          }]);
+        }
+        this.eventEmitter.emit('notification:suppressed', { id: notificationId, options });
+        return false;
+      }
+      
       // リンクURLがある場合は保存（通知クリック時に使用）
       if (linkUrl) {
         await new Promise((resolve) => {
           chrome.storage.local.set({ [`notification_url_${notificationId}`]: linkUrl }, resolve);
         });
       }
+      
+      // ボタンごとのURLがある場合は保存（同時配信の通知でプラットフォームごとに開くURLを変える）
+      if (meta.buttonUrls && meta.buttonUrls.length > 0) {
+        await new Promise((resolve) => {
+          chrome.storage.local.set({ [`notification_buttons_${notificationId}`]: meta.buttonUrls }, resolve);
+        });
+      }
 
       // 通知を作成
       await new Promise((resolve) => {
@@ -391,9 +520,9 @@ class NotificationManager extends Singleton {
       const url = result[`notification_url_${notificationId}`];
       if (url) {
         chrome.tabs.create({ url });
-        // 使用後は削除
-        chrome.storage.local.remove(`notification_url_${notificationId}`);
       }
+      // 使用後は削除
+      this.removeNotificationUrls(notificationId);
       
       // イベント発火
       this.eventEmitter.emit('notification:clicked', { id: notificationId });
@@ -409,17 +538,21 @@ class NotificationManager extends Singleton {
    */
   async handleNotificationButtonClicked(notificationId, buttonIndex) {
     try {
-      // 保存されているURLがあれば開く
+      // ボタンごとのURL、なければ通知のURLを開く
       const result = await new Promise((resolve) => {
-        chrome.storage.local.get(`notification_url_${notificationId}`, resolve);
+        chrome.storage.local.get([
+          `notification_url_${notificationId}`,
+          `notification_buttons_${notificationId}`
+        ], resolve);
       });
       
-      const url = result[`notification_url_${notificationId}`];
+      const buttonUrls = result[`notification_buttons_${notificationId}`] || [];
+      const url = buttonUrls[buttonIndex] || result[`notification_url_${notificationId}`];
       if (url) {
         chrome.tabs.create({ url });
-        // 使用後は削除
-        chrome.storage.local.remove(`notification_url_${notificationId}`);
       }
+      // 使用後は削除
+      this.removeNotificationUrls(notificationId);
       
       // イベント発火
       this.eventEmitter.emit('notification:buttonClicked', { 
@@ -431,6 +564,18 @@ class NotificationManager extends Singleton {
     }
   }
 
+  /**
+   * 通知に保存したURLを削除します
+   * @param {string} notificationId - 通知ID
+   * @private
+   */
+  removeNotificationUrls(notificationId) {
+    chrome.storage.local.remove([
+      `notification_url_${notificationId}`,
+      `notification_buttons_${notificationId}`
+    ]);
+  }
+
   /**
    * 開始時間までの残り分数を計算します
    * @param {Date|number|string} scheduledTime - 予定時刻
@@ -451,16 +596,8 @@ class NotificationManager extends Singleton {
    * @private
    */
   getPlatformIcon(platformType) {
-    switch (platformType) {
-      case 'twitch':
-        return '/assets/twitch_icon.png';
-      case 'youtube':
-        return '/assets/youtube_icon.png';
-      case 'twitcasting':
-        return '/assets/twitcasting_icon.png';
-      default:
-        return '/assets/icon128.png';
-    }
+    const provider = getPlatform(platformType);
+    return provider ? provider.icon : '/assets/icon128.png';
   }
 
   /**
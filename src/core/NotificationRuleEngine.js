@@ -0,0 +1,163 @@
+/**
+ * 通知ルール評価クラス
+ * 配信者・プラットフォームごとの通知ルール（カテゴリ、タイトルのキーワード/正規表現、時間帯）を評価し、
+ * ストリームを通知すべきかどうかを判定します
+ */
+import { NotificationRule } from './models';
+
+class NotificationRuleEngine {
+  /**
+   * @param {Array<NotificationRule|Object>} rules - 通知ルールの配列
+   */
+  constructor(rules = []) {
+    this.rules = rules.map(rule => rule instanceof NotificationRule ? rule : new NotificationRule(rule));
+  }
+
+  /**
+   * ルールの入力内容を検証します
+   * @param {NotificationRule|Object} rule - 検証するルール
+   * @return {Array<string>} - エラーメッセージの配列（問題なければ空）
+   */
+  static validateRule(rule) {
+    const errors = [];
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (rule.titleRegex) {
+      try {
+        new RegExp(rule.titleRegex, 'i');
+      } catch (error) {
+        errors.push(`正規表現が不正です: ${error.message}`);
+      }
+    }
+
+    const { start, end } = rule.activeHours || {};
+    if ((start || end) && !(timePattern.test(start) && timePattern.test(end))) {
+      errors.push('時間帯は開始・終了の両方をHH:MM形式で指定してください');
+    }
+
+    return errors;
+  }
+
+  /**
+   * ストリームに適用されるルールを取得します
+   * @param {Stream} stream - ストリーム
+   * @return {Array<NotificationRule>} - 適用対象のルール配列
+   */
+  getApplicableRules(stream) {
+    return this.rules.filter(rule => {
+      if (!rule.enabled) return false;
+      if (rule.platformType && rule.platformType !== stream.platformType) return false;
+      if (rule.streamerId && rule.streamerId !== stream.streamerId) return false;
+      if (rule.tags.length > 0 && !rule.tags.some(tag => (stream.tags || []).includes(tag))) return false;
+      if (!rule.channelId) return true;
+
+      const target = rule.channelId.toLowerCase();
+      return [stream.channelId, stream.streamerName]
+        .filter(Boolean)
+        .some(value => String(value).toLowerCase() === target);
+    });
+  }
+
+  /**
+   * ストリームに対してルールを評価します
+   * 適用対象のルールが全て満たされた場合に通知対象となります
+   * @param {Stream} stream - ストリーム
+   * @param {Date} [now=new Date()] - 評価時刻
+   * @return {{notify: boolean, applicableRules: Array<NotificationRule>, failedRules: Array<NotificationRule>}}
+   */
+  evaluate(stream, now = new Date()) {
+    const applicableRules = this.getApplicableRules(stream);
+    const failedRules = applicableRules.filter(rule => !this.matchesRule(rule, stream, now));
+
+    return {
+      notify: failedRules.length === 0,
+      applicableRules,
+      failedRules
+    };
+  }
+
+  /**
+   * ストリームを通知すべきかどうかを判定します
+   * @param {Stream} stream - ストリーム
+   * @param {Date} [now=new Date()] - 評価時刻
+   * @return {boolean} - 通知すべき場合true
+   */
+  shouldNotify(stream, now = new Date()) {
+    return this.evaluate(stream, now).notify;
+  }
+
+  /**
+   * ルールの条件をストリームが満たすかどうかを判定します
+   * @param {NotificationRule} rule - ルール
+   * @param {Stream} stream - ストリーム
+   * @param {Date} now - 評価時刻
+   * @return {boolean} - 条件を満たす場合true
+   * @private
+   */
+  matchesRule(rule, stream, now) {
+    const title = (stream.title || '').toLowerCase();
+    const category = (stream.gameOrCategory || '').toLowerCase();
+
+    if (rule.categories.length > 0 &&
+        !rule.categories.some(value => value.toLowerCase() === category)) {
+      return false;
+    }
+
+    if (rule.titleIncludes.length > 0 &&
+        !rule.titleIncludes.some(keyword => title.includes(keyword.toLowerCase()))) {
+      return false;
+    }
+
+    if (rule.titleExcludes.some(keyword => title.includes(keyword.toLowerCase()))) {
+      return false;
+    }
+
+    if (rule.titleRegex && !this.testRegex(rule.titleRegex, stream.title || '')) {
+      return false;
+    }
+
+    return this.isWithinActiveHours(rule.activeHours, now);
+  }
+
+  /**
+   * 正規表現でタイトルを判定します（不正な正規表現は条件なしとして扱う）
+   * @param {string} pattern - 正規表現パターン
+   * @param {string} title - タイトル
+   * @return {boolean} - 一致する場合true
+   * @private
+   */
+  testRegex(pattern, title) {
+    try {
+      return new RegExp(pattern, 'i').test(title);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * 評価時刻がルールの時間帯に含まれるかどうかを判定します
+   * 終了時刻が開始時刻より前の場合は日付をまたぐ時間帯、同じ場合は24時間として扱います（おやすみモードと同じ）
+   * @param {{start: string, end: string}} activeHours - 時間帯（HH:MM）
+   * @param {Date} now - 評価時刻
+   * @return {boolean} - 時間帯に含まれる場合（時間帯の指定がない場合も）true
+   * @private
+   */
+  isWithinActiveHours(activeHours, now) {
+    if (!activeHours || !activeHours.start || !activeHours.end) return true;
+
+    const toMinutes = value => {
+      const [hours, minutes] = value.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const start = toMinutes(activeHours.start);
+    const end = toMinutes(activeHours.end);
+    const current = now.getHours() * 60 + now.getMinutes();
+
+    if (start < end) {
+      return current >= start && current < end;
+    }
+    return current >= start || current < end;
+  }
+}
+
+export default NotificationRuleEngine;
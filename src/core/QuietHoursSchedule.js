@@ -0,0 +1,153 @@
+/**
+ * おやすみモード（通知抑制時間帯）のスケジュール判定クラス
+ * 曜日ごとの時間帯とタイムゾーンから、指定時刻が通知抑制中かどうかを判定します
+ */
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTES_PER_DAY = 24 * 60;
+
+class QuietHoursSchedule {
+  /**
+   * @param {Object} [config] - おやすみモード設定
+   * @param {boolean} [config.enabled] - 有効フラグ
+   * @param {string} [config.timezone] - IANAタイムゾーン名（空文字でブラウザのタイムゾーン）
+   * @param {Array<{days: Array<number>, start: string, end: string}>} [config.windows] - 曜日（0=日曜）と時間帯（HH:MM）
+   */
+  constructor(config = {}) {
+    this.enabled = !!config.enabled;
+    this.timezone = QuietHoursSchedule.isValidTimezone(config.timezone) ? config.timezone : '';
+    this.windows = (config.windows || []).filter(window => window.start && window.end);
+  }
+
+  /**
+   * タイムゾーン名が有効かどうかを判定します
+   * @param {string} timezone - IANAタイムゾーン名
+   * @return {boolean} - 有効な場合true
+   */
+  static isValidTimezone(timezone) {
+    if (!timezone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 指定時刻がおやすみモードの時間帯に含まれるかどうかを判定します
+   * 終了時刻が開始時刻以前の時間帯は、開始した曜日の翌日にまたがるものとして扱います
+   * @param {Date} [date=new Date()] - 判定する時刻
+   * @return {boolean} - 時間帯に含まれる場合true
+   */
+  isQuietAt(date = new Date()) {
+    if (!this.enabled || this.windows.length === 0) return false;
+
+    const { day, minutes } = this.getZonedParts(date);
+    const previousDay = (day + 6) % 7;
+
+    return this.windows.some(window => {
+      const start = this.toMinutes(window.start);
+      const end = this.toMinutes(window.end);
+      const days = window.days || [];
+
+      if (start < end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+      }
+      // 日付をまたぐ時間帯
+      return (days.includes(day) && minutes >= start) ||
+        (days.includes(previousDay) && minutes < end);
+    });
+  }
+
+  /**
+   * おやすみモードが終了する時刻を取得します
+   * 連続・重複する時間帯はまとめて1つの時間帯として扱います
+   * @param {Date} [date=new Date()] - 基準時刻
+   * @return {Date|null} - 終了時刻（基準時刻がおやすみモード外ならnull）
+   */
+  getQuietEndTime(date = new Date()) {
+    if (!this.isQuietAt(date)) return null;
+
+    let current = new Date(date.getTime());
+    // 1週間分を超えて時間帯が連続することはない
+    for (let i = 0; i < this.windows.length * 7 + 1; i++) {
+      const remaining = this.getMinutesUntilWindowEnd(current);
+      current = new Date(current.getTime() + remaining * 60 * 1000);
+      current.setSeconds(0, 0);
+      if (!this.isQuietAt(current)) {
+        return current;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * 指定時刻を含む時間帯のうち、最も遅く終わるものの残り分数を取得します
+   * @param {Date} date - 判定する時刻
+   * @return {number} - 残り分数
+   * @private
+   */
+  getMinutesUntilWindowEnd(date) {
+    const { day, minutes } = this.getZonedParts(date);
+    const previousDay = (day + 6) % 7;
+    let remaining = 1;
+
+    this.windows.forEach(window => {
+      const start = this.toMinutes(window.start);
+      const end = this.toMinutes(window.end);
+      const days = window.days || [];
+
+      if (start < end) {
+        if (days.includes(day) && minutes >= start && minutes < end) {
+          remaining = Math.max(remaining, end - minutes);
+        }
+      } else if (days.includes(day) && minutes >= start) {
+        remaining = Math.max(remaining, MINUTES_PER_DAY - minutes + end);
+      } else if (days.includes(previousDay) && minutes < end) {
+        remaining = Math.max(remaining, end - minutes);
+      }
+    });
+
+    return remaining;
+  }
+
+  /**
+   * 設定されたタイムゾーンでの曜日と0時からの経過分数を取得します
+   * @param {Date} date - 対象の時刻
+   * @return {{day: number, minutes: number}}
+   * @private
+   */
+  getZonedParts(date) {
+    if (!this.timezone) {
+      return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => parts.find(part => part.type === type).value;
+
+    return {
+      day: WEEKDAYS[value('weekday')],
+      minutes: parseInt(value('hour'), 10) * 60 + parseInt(value('minute'), 10)
+    };
+  }
+
+  /**
+   * HH:MM形式の時刻を0時からの経過分数に変換します
+   * @param {string} time - HH:MM形式の時刻
+   * @return {number} - 経過分数
+   * @private
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+}
+
+export default QuietHoursSchedule;
@@ -0,0 +1,339 @@
+/**
+ * リマインダー管理クラス
+ * 配信予定ごとに複数のリマインダー（開始の何分前に通知するか）を扱い、リマインダーごとの通知済みの状態を管理します。
+ * 通知済みの状態は通知した時点の開始予定時刻と組で記録するため、開始予定時刻が変更された配信予定のリマインダーは再び通知対象になります
+ */
+import Singleton from '../utils/Singleton';
+import EventEmitter from '../utils/EventEmitter';
+
+const STORAGE_KEY = 'reminderDeliveries';
+
+// リマインダーごとのアラーム名の接頭辞
+const ALARM_PREFIX = 'reminder:';
+
+// リマインダーの時間の単位（分）
+const OFFSET_UNITS = {
+  d: 24 * 60,
+  h: 60,
+  m: 1
+};
+
+class ReminderManager extends Singleton {
+  constructor() {
+    super();
+    this.eventEmitter = new EventEmitter();
+    this.deliveries = {}; // リマインダーのキーと通知済みの記録 { scheduleKey, platformType, channelId, offsetMinutes, scheduledStartTime, deliveredAt }
+  }
+
+  /**
+   * リマインダーを初期化します
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.loadDeliveries();
+      this.eventEmitter.emit('reminders:initialized');
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'REMINDERS_INIT_ERROR',
+        message: 'リマインダーの初期化に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 配信予定を識別するキーを作成します
+   * @param {Schedule} schedule - 配信予定
+   * @return {string} - 配信予定のキー
+   */
+  static getScheduleKey(schedule) {
+    return `${schedule.platformType}:${schedule.id}`;
+  }
+
+  /**
+   * リマインダーを識別するキーを作成します
+   * @param {Schedule} schedule - 配信予定
+   * @param {number} offsetMinutes - 開始の何分前に通知するか
+   * @return {string} - リマインダーのキー
+   */
+  static getReminderKey(schedule, offsetMinutes) {
+    return `${ReminderManager.getScheduleKey(schedule)}@${offsetMinutes}`;
+  }
+
+  /**
+   * リマインダーのアラーム名を作成します
+   * @param {{schedule: Schedule, offsetMinutes: number}} reminder - リマインダー（getReminders の要素）
+   * @return {string} - アラーム名
+   */
+  static getAlarmName(reminder) {
+    return `${ALARM_PREFIX}${ReminderManager.getReminderKey(reminder.schedule, reminder.offsetMinutes)}`;
+  }
+
+  /**
+   * リマインダーのアラームかどうかを判定します
+   * @param {string} alarmName - アラーム名
+   * @return {boolean} - リマインダーのアラームの場合true
+   */
+  static isReminderAlarm(alarmName) {
+    return typeof alarmName === 'string' && alarmName.startsWith(ALARM_PREFIX);
+  }
+
+  /**
+   * リマインダーの入力（例: '1d, 1h, 5m'、単位のない数値は分）を分の配列に変換します
+   * @param {string} text - 入力
+   * @return {Array<number>} - 開始の何分前に通知するかの配列（重複なし、大きい順）
+   */
+  static parseOffsets(text) {
+    const offsets = (text || '').split(/[,、\s]+/)
+      .map(item => item.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([dhm]?)$/))
+      .filter(Boolean)
+      .map(([, value, unit]) => Math.round(parseFloat(value) * OFFSET_UNITS[unit || 'm']))
+      .filter(minutes => minutes > 0);
+    return [...new Set(offsets)].sort((a, b) => b - a);
+  }
+
+  /**
+   * リマインダーの時間を入力欄用の文字列に変換します（例: [1440, 60, 5] → '1d, 1h, 5m'）
+   * @param {Array<number>} offsets - 開始の何分前に通知するかの配列
+   * @return {string} - 入力欄用の文字列
+   */
+  static stringifyOffsets(offsets) {
+    return (offsets || []).map(minutes => {
+      if (minutes % OFFSET_UNITS.d === 0) {
+        return `${minutes / OFFSET_UNITS.d}d`;
+      }
+      return minutes % OFFSET_UNITS.h === 0 ? `${minutes / OFFSET_UNITS.h}h` : `${minutes}m`;
+    }).join(', ');
+  }
+
+  /**
+   * 分を表示用の文字列に変換します（例: 90 → '1時間30分'）
+   * @param {number} minutes - 分
+   * @return {string} - 表示用の文字列
+   */
+  static formatMinutes(minutes) {
+    const days = Math.floor(minutes / OFFSET_UNITS.d);
+    const hours = Math.floor((minutes % OFFSET_UNITS.d) / OFFSET_UNITS.h);
+    const rest = minutes % OFFSET_UNITS.h;
+    return [
+      days > 0 ? `${days}日` : '',
+      hours > 0 ? `${hours}時間` : '',
+      rest > 0 || minutes <= 0 ? `${Math.max(0, rest)}分` : ''
+    ].join('');
+  }
+
+  /**
+   * 通知済みの記録をストレージから読み込みます
+   * @return {Promise<Object>} - 通知済みの記録
+   */
+  async loadDeliveries() {
+    this.deliveries = await new Promise((resolve) => {
+      chrome.storage.local.get(STORAGE_KEY, (result) => {
+        resolve(result[STORAGE_KEY] || {});
+      });
+    });
+    return this.deliveries;
+  }
+
+  /**
+   * 通知済みの記録をストレージに保存します
+   * @return {Promise<void>}
+   * @private
+   */
+  async saveDeliveries() {
+    try {
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [STORAGE_KEY]: this.deliveries }, resolve);
+      });
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'REMINDERS_SAVE_ERROR',
+        message: 'リマインダーの通知状態の保存に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * リマインダーが現在の開始予定時刻に対して通知済みかどうかを判定します
+   * @param {Schedule} schedule - 配信予定
+   * @param {number} offsetMinutes - 開始の何分前に通知するか
+   * @return {boolean} - 通知済みの場合true
+   */
+  isDelivered(schedule, offsetMinutes) {
+    const delivery = this.deliveries[ReminderManager.getReminderKey(schedule, offsetMinutes)];
+    return !!delivery &&
+      new Date(delivery.scheduledStartTime).getTime() === new Date(schedule.scheduledStartTime).getTime();
+  }
+
+  /**
+   * 配信予定のリマインダーの一覧を取得します（通知済みかどうかを含む）
+   * @param {Array<Schedule>} schedules - 配信予定の配列
+   * @param {Function} getOffsets - 配信予定のリマインダーの時間（分の配列）を返す関数
+   * @return {Array<{key: string, schedule: Schedule, offsetMinutes: number, remindAt: number, delivered: boolean}>} - リマインダーの配列（通知する時刻の順）
+   */
+  getReminders(schedules, getOffsets) {
+    return schedules
+      .filter(schedule => schedule.scheduledStartTime)
+      .flatMap(schedule => {
+        const startTime = new Date(schedule.scheduledStartTime).getTime();
+        return getOffsets(schedule).map(offsetMinutes => ({
+          key: ReminderManager.getReminderKey(schedule, offsetMinutes),
+          schedule,
+          offsetMinutes,
+          remindAt: startTime - offsetMinutes * 60 * 1000,
+          delivered: this.isDelivered(schedule, offsetMinutes)
+        }));
+      })
+      .sort((a, b) => a.remindAt - b.remindAt);
+  }
+
+  /**
+   * 通知する時刻になった未通知のリマインダーを、配信予定ごとに1件にまとめて取得します
+   * 同じ配信予定の複数のリマインダーが同時に対象になった場合（PCの休止明けなど）は、開始に最も近いものだけを通知し、残りも通知済みとして扱います
+   * @param {Array<Schedule>} schedules - 配信予定の配列
+   * @param {Function} getOffsets - 配信予定のリマインダーの時間（分の配列）を返す関数
+   * @param {Date} [now=new Date()] - 現在日時
+   * @return {Array<{schedule: Schedule, offsetMinutes: number, offsets: Array<number>}>} - 通知するリマインダーの配列
+   */
+  getDueReminders(schedules, getOffsets, now = new Date()) {
+    const due = new Map();
+    this.getReminders(schedules, getOffsets)
+      .filter(reminder => !reminder.delivered && reminder.remindAt <= now.getTime() &&
+        new Date(reminder.schedule.scheduledStartTime).getTime() > now.getTime())
+      .forEach(reminder => {
+        const key = ReminderManager.getScheduleKey(reminder.schedule);
+        const current = due.get(key) || { schedule: reminder.schedule, offsetMinutes: reminder.offsetMinutes, offsets: [] };
+        current.offsetMinutes = Math.min(current.offsetMinutes, reminder.offsetMinutes);
+        current.offsets.push(reminder.offsetMinutes);
+        due.set(key, current);
+      });
+    return [...due.values()];
+  }
+
+  /**
+   * リマインダーを通知済みにします
+   * @param {{schedule: Schedule, offsets: Array<number>}} reminder - 通知したリマインダー（getDueReminders の要素）
+   * @param {Date} [now=new Date()] - 通知日時
+   * @return {Promise<void>}
+   */
+  async markDelivered(reminder, now = new Date()) {
+    reminder.offsets.forEach(offsetMinutes => {
+      this.deliveries[ReminderManager.getReminderKey(reminder.schedule, offsetMinutes)] = {
+        scheduleKey: ReminderManager.getScheduleKey(reminder.schedule),
+        platformType: reminder.schedule.platformType,
+        channelId: String(reminder.schedule.channelId || ''),
+        offsetMinutes,
+        scheduledStartTime: reminder.schedule.scheduledStartTime,
+        deliveredAt: now.getTime()
+      };
+    });
+    await this.saveDeliveries();
+    this.eventEmitter.emit('reminders:delivered', reminder);
+  }
+
+  /**
+   * 配信予定の最新の一覧に合わせて通知済みの記録を整理します
+   * なくなった配信予定の記録と、開始予定時刻が変わった配信予定の記録を削除し、変更後の時刻に対してリマインダーを再び通知できるようにします。
+   * 取得に失敗したプラットフォーム・チャンネルの配信予定は一覧にないだけで取り消されたとは限らないため、記録を残します
+   * @param {Array<Schedule>} schedules - 配信予定の配列
+   * @param {Object} [unconfirmed] - 確認できなかった対象
+   * @param {Array<string>} [unconfirmed.platforms] - 取得に失敗したプラットフォーム
+   * @param {Object<string, Array<string>>} [unconfirmed.channels] - プラットフォームごとの確認に失敗したチャンネルID
+   * @return {Promise<Array<string>>} - 削除した記録のリマインダーのキー
+   */
+  async reconcile(schedules, unconfirmed = {}) {
+    const startTimes = new Map(schedules.map(schedule => [
+      ReminderManager.getScheduleKey(schedule),
+      new Date(schedule.scheduledStartTime).getTime()
+    ]));
+    const failedPlatforms = new Set(unconfirmed.platforms || []);
+    const failedChannels = unconfirmed.channels || {};
+    const isUnconfirmed = delivery => failedPlatforms.has(delivery.platformType) ||
+      (failedChannels[delivery.platformType] || []).includes(delivery.channelId);
+    
+    const removedKeys = Object.entries(this.deliveries)
+      .filter(([, delivery]) => {
+        const startTime = startTimes.get(delivery.scheduleKey);
+        // 一覧にない配信予定は、確認できなかった場合だけ記録を残す
+        if (startTime === undefined && isUnconfirmed(delivery)) {
+          return false;
+        }
+        return startTime !== new Date(delivery.scheduledStartTime).getTime();
+      })
+      .map(([key]) => key);
+    
+    if (removedKeys.length > 0) {
+      removedKeys.forEach(key => delete this.deliveries[key]);
+      await this.saveDeliveries();
+      this.eventEmitter.emit('reminders:rearmed', removedKeys);
+    }
+    return removedKeys;
+  }
+
+  /**
+   * 未通知のリマインダーごとに、通知する時刻のアラーム（chrome.alarms）を設定します
+   * 不要になったアラームと時刻が変わったアラームは解除し、足りないアラームを作成します。
+   * アラームはサービスワーカーが停止しても残るため、データの取得間隔に関係なく時刻どおりに通知できます
+   * @param {Array<Schedule>} schedules - 配信予定の配列
+   * @param {Function} getOffsets - 配信予定のリマインダーの時間（分の配列）を返す関数
+   * @param {Date} [now=new Date()] - 現在日時
+   * @return {Promise<{created: Array<string>, removed: Array<string>}>} - 作成・解除したアラーム名
+   */
+  async syncAlarms(schedules, getOffsets, now = new Date()) {
+    try {
+      const expected = new Map(this.getReminders(schedules, getOffsets)
+        .filter(reminder => !reminder.delivered && reminder.remindAt > now.getTime())
+        .map(reminder => [ReminderManager.getAlarmName(reminder), reminder.remindAt]));
+      const alarms = await new Promise((resolve) => {
+        chrome.alarms.getAll(resolve);
+      });
+      const current = new Map((alarms || [])
+        .filter(alarm => ReminderManager.isReminderAlarm(alarm.name))
+        .map(alarm => [alarm.name, alarm.scheduledTime]));
+      
+      const removed = [...current.keys()].filter(name => expected.get(name) !== current.get(name));
+      const created = [...expected.keys()].filter(name => current.get(name) !== expected.get(name));
+      
+      await Promise.all(removed.map(name => new Promise((resolve) => {
+        chrome.alarms.clear(name, resolve);
+      })));
+      created.forEach(name => chrome.alarms.create(name, { when: expected.get(name) }));
+      
+      if (created.length > 0 || removed.length > 0) {
+        this.eventEmitter.emit('reminders:alarmsSynced', { created, removed });
+      }
+      return { created, removed };
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'REMINDERS_ALARM_ERROR',
+        message: 'リマインダーのアラームの設定に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * イベントリスナーを登録します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  on(event, callback) {
+    this.eventEmitter.on(event, callback);
+  }
+
+  /**
+   * イベントリスナーを解除します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  off(event, callback) {
+    this.eventEmitter.off(event, callback);
+  }
+}
+
+export default ReminderManager;
@@ -0,0 +1,198 @@
+/**
+ * バックグラウンドの実行状態管理クラス
+ * 最終更新日時・連続失敗回数・更新処理のロックをストレージに保存し、サービスワーカーが停止・再起動しても引き継げるようにします。
+ * ロックには有効期限があるため、処理中にサービスワーカーが停止しても、期限が過ぎれば次の更新処理を実行できます
+ */
+import Singleton from '../utils/Singleton';
+import EventEmitter from '../utils/EventEmitter';
+
+const STORAGE_KEY = 'backgroundRuntimeState';
+
+// デフォルトのロックの有効期限（ミリ秒）
+export const DEFAULT_LOCK_TTL_MS = 5 * 60 * 1000;
+
+const DEFAULT_STATE = {
+  lastUpdateTime: null, // 最後に更新が成功した日時（ISO 8601）
+  updateAttempts: 0, // 連続して失敗した回数
+  lock: null // 更新処理のロック { token, acquiredAt, expiresAt }
+};
+
+class RuntimeStateManager extends Singleton {
+  constructor() {
+    super();
+    this.eventEmitter = new EventEmitter();
+    this.state = { ...DEFAULT_STATE };
+    this.queue = Promise.resolve(); // ストレージの読み書きを順番に実行するためのキュー
+  }
+
+  /**
+   * 実行状態を保存するストレージを取得します
+   * ブラウザの終了までサービスワーカーの再起動をまたいで保持される session を使い、使えない場合は local を使います
+   * @return {Object} - chrome.storage のストレージ領域
+   */
+  static getStorageArea() {
+    return chrome.storage.session || chrome.storage.local;
+  }
+
+  /**
+   * 実行状態をストレージから読み込みます
+   * @return {Promise<Object>} - 実行状態
+   */
+  async loadState() {
+    try {
+      const data = await new Promise((resolve) => {
+        RuntimeStateManager.getStorageArea().get(STORAGE_KEY, (result) => {
+          resolve(result[STORAGE_KEY] || {});
+        });
+      });
+      
+      this.state = { ...DEFAULT_STATE, ...data };
+      return this.getState();
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'RUNTIME_STATE_LOAD_ERROR',
+        message: 'バックグラウンドの実行状態の読み込みに失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 実行状態をストレージに保存します
+   * @return {Promise<void>}
+   * @private
+   */
+  async saveState() {
+    try {
+      await new Promise((resolve) => {
+        RuntimeStateManager.getStorageArea().set({ [STORAGE_KEY]: this.state }, resolve);
+      });
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'RUNTIME_STATE_SAVE_ERROR',
+        message: 'バックグラウンドの実行状態の保存に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 実行状態を読み込み直してから変更し、保存します
+   * 同じサービスワーカー内での読み込みと保存が入れ子にならないよう、順番に実行します
+   * @param {Function} update - 実行状態を変更して結果を返す関数
+   * @return {Promise<*>} - update の戻り値
+   * @private
+   */
+  updateState(update) {
+    const task = this.queue.then(async () => {
+      await this.loadState();
+      const result = update(this.state);
+      await this.saveState();
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 現在の実行状態を取得します
+   * @return {Object} - 実行状態
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * 最後に更新が成功した日時を取得します
+   * @return {Date|null} - 最終更新日時（更新していない場合null）
+   */
+  getLastUpdateTime() {
+    return this.state.lastUpdateTime ? new Date(this.state.lastUpdateTime) : null;
+  }
+
+  /**
+   * 更新処理のロックを取得します
+   * 有効期限内のロックがある場合は取得できません（期限切れのロックは停止したサービスワーカーのものとして上書きします）
+   * @param {number} [ttlMs=DEFAULT_LOCK_TTL_MS] - ロックの有効期限（ミリ秒）
+   * @param {Date} [now=new Date()] - 現在日時
+   * @return {Promise<string|null>} - ロックの解放に使うトークン（取得できない場合null）
+   */
+  acquireLock(ttlMs = DEFAULT_LOCK_TTL_MS, now = new Date()) {
+    return this.updateState(state => {
+      if (state.lock && state.lock.expiresAt > now.getTime()) {
+        return null;
+      }
+      
+      const token = `${now.getTime().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+      state.lock = {
+        token,
+        acquiredAt: now.getTime(),
+        expiresAt: now.getTime() + ttlMs
+      };
+      return token;
+    });
+  }
+
+  /**
+   * 更新処理のロックを解放します（他の処理が取得し直したロックは解放しません）
+   * @param {string} token - acquireLock で取得したトークン
+   * @return {Promise<boolean>} - 解放した場合true
+   */
+  releaseLock(token) {
+    return this.updateState(state => {
+      if (!state.lock || state.lock.token !== token) {
+        return false;
+      }
+      state.lock = null;
+      return true;
+    });
+  }
+
+  /**
+   * 更新の成功を記録します（連続失敗回数をリセットします）
+   * @param {Date} [now=new Date()] - 更新日時
+   * @return {Promise<void>}
+   */
+  async recordSuccess(now = new Date()) {
+    await this.updateState(state => {
+      state.lastUpdateTime = now.toISOString();
+      state.updateAttempts = 0;
+    });
+    this.eventEmitter.emit('runtimeState:updated', this.getState());
+  }
+
+  /**
+   * 更新の失敗を記録します
+   * @return {Promise<number>} - 連続して失敗した回数
+   */
+  async recordFailure() {
+    const attempts = await this.updateState(state => {
+      state.updateAttempts += 1;
+      return state.updateAttempts;
+    });
+    this.eventEmitter.emit('runtimeState:updated', this.getState());
+    return attempts;
+  }
+
+  /**
+   * イベントリスナーを登録します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  on(event, callback) {
+    this.eventEmitter.on(event, callback);
+  }
+
+  /**
+   * イベントリスナーを解除します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  off(event, callback) {
+    this.eventEmitter.off(event, callback);
+  }
+}
+
+export default RuntimeStateManager;
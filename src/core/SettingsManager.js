@@ -4,7 +4,9 @@
  */
 import Singleton from '../utils/Singleton';
 import EventEmitter from '../utils/EventEmitter';
-import { Settings } from './models';
+import { Settings, Favorite } from './models';
+import FavoriteIndex from './FavoriteIndex';
+import ReminderManager from './ReminderManager';
 
 class SettingsManager extends Singleton {
   constructor() {
@@ -75,6 +77,11 @@ class SettingsManager extends Singleton {
         chrome.storage.local.get('settings', (result) => {
           const data = result.settings || {};
           this.settings = new Settings(data);
+          
+          // 以前の形式（配信者IDの文字列）のお気に入りを変換した場合は保存し直す
+          if ((data.favorites || []).some(favorite => typeof favorite === 'string')) {
+            chrome.storage.local.set({ 'settings': this.settings });
+          }
           resolve(this.settings);
         });
       });
@@ -88,6 +95,14 @@ class SettingsManager extends Singleton {
     }
   }
 
+  /**
+   * 現在の設定を取得します
+   * @return {Settings} - 現在の設定
+   */
+  getSettings() {
+    return this.settings;
+  }
+
   /**
    * 特定の設定値を取得します
    * @param {string} key - 設定キー
@@ -182,28 +197,64 @@ class SettingsManager extends Singleton {
     return this.settings;
   }
 
+  /**
+   * お気に入り配信者を取得します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @return {Favorite|null} - お気に入り（登録されていない場合null）
+   */
+  getFavorite(platformType, channelId) {
+    return new FavoriteIndex(this.settings.favorites).find(platformType, channelId);
+  }
+
   /**
    * お気に入り配信者を追加します
-   * @param {string} streamerId - 配信者ID
-   * @return {Promise<Array<string>>} - 更新されたお気に入りリスト
+   * @param {Favorite|Object} favorite - お気に入り { platformType, channelId, displayName, avatarUrl, notes, tags }
+   * @return {Promise<Array<Favorite>>} - 更新されたお気に入りリスト
    */
-  async addFavorite(streamerId) {
-    if (!this.settings.favorites.includes(streamerId)) {
-      const favorites = [...this.settings.favorites, streamerId];
+  async addFavorite(favorite) {
+    const key = FavoriteIndex.getKey(favorite.platformType, favorite.channelId);
+    const exists = this.settings.favorites
+      .some(item => FavoriteIndex.getKey(item.platformType, item.channelId) === key);
+    
+    if (!exists) {
+      const favorites = [...this.settings.favorites, new Favorite({ ...favorite, addedAt: Date.now() })];
       await this.updateSetting('favorites', favorites);
       return favorites;
     }
     return this.settings.favorites;
   }
 
+  /**
+   * お気に入り配信者の付加情報（表示名・メモ・タグなど）を更新します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @param {Object} changes - 変更する項目 { displayName, avatarUrl, notes, tags }
+   * @return {Promise<Array<Favorite>>} - 更新されたお気に入りリスト
+   */
+  async updateFavorite(platformType, channelId, changes) {
+    const key = FavoriteIndex.getKey(platformType, channelId);
+    const favorites = this.settings.favorites.map(item =>
+      FavoriteIndex.getKey(item.platformType, item.channelId) === key
+        ? new Favorite({ ...item, ...changes, platformType: item.platformType, channelId: item.channelId })
+        : item
+    );
+    await this.updateSetting('favorites', favorites);
+    return this.settings.favorites;
+  }
+
   /**
    * お気に入り配信者を削除します
-   * @param {string} streamerId - 配信者ID
-   * @return {Promise<Array<string>>} - 更新されたお気に入りリスト
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @return {Promise<Array<Favorite>>} - 更新されたお気に入りリスト
    */
-  async removeFavorite(streamerId) {
-    if (this.settings.favorites.includes(streamerId)) {
-      const favorites = this.settings.favorites.filter(id => id !== streamerId);
+  async removeFavorite(platformType, channelId) {
+    const key = FavoriteIndex.getKey(platformType, channelId);
+    const favorites = this.settings.favorites
+      .filter(item => FavoriteIndex.getKey(item.platformType, item.channelId) !== key);
+    
+    if (favorites.length !== this.settings.favorites.length) {
       await this.updateSetting('favorites', favorites);
       return favorites;
     }
@@ -212,21 +263,99 @@ class SettingsManager extends Singleton {
 
   /**
    * お気に入り配信者をトグルします
-   * @param {string} streamerId - 配信者ID
-   * @return {Promise<{favorites: Array<string>, isFavorite: boolean}>} - 更新されたお気に入りリストとお気に入り状態
+   * @param {Favorite|Object} favorite - お気に入り { platformType, channelId, displayName, avatarUrl }
+   * @return {Promise<{favorites: Array<Favorite>, isFavorite: boolean}>} - 更新されたお気に入りリストとお気に入り状態
    */
-  async toggleFavorite(streamerId) {
-    const isFavorite = this.settings.favorites.includes(streamerId);
+  async toggleFavorite(favorite) {
+    const key = FavoriteIndex.getKey(favorite.platformType, favorite.channelId);
+    const isFavorite = this.settings.favorites
+      .some(item => FavoriteIndex.getKey(item.platformType, item.channelId) === key);
     
     if (isFavorite) {
-      const favorites = await this.removeFavorite(streamerId);
+      const favorites = await this.removeFavorite(favorite.platformType, favorite.channelId);
       return { favorites, isFavorite: false };
     } else {
-      const favorites = await this.addFavorite(streamerId);
+      const favorites = await this.addFavorite(favorite);
       return { favorites, isFavorite: true };
     }
   }
 
+  /**
+   * 配信予定のリマインダーの時間を取得します
+   * 配信予定ごとの設定、配信者（人物）ごとの設定、全体の設定の順に優先します。
+   * 配信者ごとの時間を設定した配信者の配信予定は、全体のリマインダー設定が無効でも通知します
+   * @param {Schedule} schedule - 配信予定
+   * @param {Streamer|null} [streamer=null] - 配信予定のアカウントを紐付けた配信者
+   * @return {Array<number>} - 開始の何分前に通知するかの配列（空配列でリマインダーなし）
+   */
+  getReminderOffsets(schedule, streamer = null) {
+    const override = this.settings.reminderOverrides[ReminderManager.getScheduleKey(schedule)] || {};
+    if (override.enabled === false) {
+      return [];
+    }
+    if (override.offsets && override.offsets.length > 0) {
+      return override.offsets;
+    }
+    if (streamer && streamer.reminderOffsets.length > 0) {
+      return streamer.reminderOffsets;
+    }
+    return override.enabled || this.settings.reminders ? this.settings.reminderOffsets : [];
+  }
+
+  /**
+   * 配信予定のリマインダーが有効かどうかを取得します
+   * @param {Schedule} schedule - 配信予定
+   * @param {Streamer|null} [streamer=null] - 配信予定のアカウントを紐付けた配信者
+   * @return {boolean} - リマインダーが有効な場合true
+   */
+  isReminderEnabled(schedule, streamer = null) {
+    return this.getReminderOffsets(schedule, streamer).length > 0;
+  }
+
+  /**
+   * 配信予定のリマインダーの有効・無効を上書きします（配信予定ごとの時間の設定は残ります）
+   * @param {Schedule} schedule - 配信予定
+   * @param {boolean} enabled - リマインダーを有効にする場合true
+   * @return {Promise<Settings>}
+   */
+  async setReminderOverride(schedule, enabled) {
+    return await this.updateReminderOverride(schedule, { enabled });
+  }
+
+  /**
+   * 配信予定のリマインダーの時間を設定し、リマインダーを有効にします
+   * @param {Schedule} schedule - 配信予定
+   * @param {Array<number>} offsets - 開始の何分前に通知するかの配列（空配列で配信者・全体の設定に従う）
+   * @return {Promise<Settings>}
+   */
+  async setReminderOffsets(schedule, offsets) {
+    return await this.updateReminderOverride(schedule, { enabled: true, offsets });
+  }
+
+  /**
+   * 配信予定ごとのリマインダーの上書き設定を更新します
+   * 開始予定から1日以上過ぎた配信予定の上書き設定は、このとき削除します
+   * @param {Schedule} schedule - 配信予定
+   * @param {Object} changes - 変更する項目 { enabled, offsets }
+   * @return {Promise<Settings>}
+   * @private
+   */
+  async updateReminderOverride(schedule, changes) {
+    const expiredBefore = Date.now() - 24 * 60 * 60 * 1000;
+    const overrides = Object.fromEntries(
+      Object.entries(this.settings.reminderOverrides)
+        .filter(([, override]) => !override.scheduledStartTime ||
+          new Date(override.scheduledStartTime).getTime() >= expiredBefore)
+    );
+    const key = ReminderManager.getScheduleKey(schedule);
+    overrides[key] = {
+      ...overrides[key],
+      ...changes,
+      scheduledStartTime: schedule.scheduledStartTime
+    };
+    return await this.updateSetting('reminderOverrides', overrides);
+  }
+
   /**
    * イベントリスナーを登録します
    * @param {string} event - イベント名
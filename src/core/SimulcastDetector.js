@@ -0,0 +1,159 @@
+/**
+ * 同時配信（サイマル配信）検出クラス
+ * 複数のプラットフォームで同時に始まった同じ配信を検出し、1つのグループにまとめます。
+ * 配信者（人物）の紐付けがあればそれを使い、なければタイトルの類似度と開始時刻の近さで判定します
+ */
+
+// デフォルトの開始時刻の差の許容範囲（分）
+export const DEFAULT_SIMULCAST_WINDOW_MINUTES = 10;
+
+// デフォルトのタイトルの類似度のしきい値（0〜1）
+export const DEFAULT_TITLE_SIMILARITY = 0.6;
+
+class SimulcastDetector {
+  /**
+   * @param {Object} [options] - オプション
+   * @param {number} [options.windowMinutes] - 同時配信とみなす開始時刻の差の許容範囲（分）
+   * @param {number} [options.titleSimilarity] - 同時配信とみなすタイトルの類似度のしきい値（0〜1）
+   */
+  constructor(options = {}) {
+    const windowMinutes = Number.isFinite(options.windowMinutes)
+      ? options.windowMinutes
+      : DEFAULT_SIMULCAST_WINDOW_MINUTES;
+    this.windowMs = Math.max(0, windowMinutes) * 60 * 1000;
+    this.titleSimilarity = Number.isFinite(options.titleSimilarity)
+      ? options.titleSimilarity
+      : DEFAULT_TITLE_SIMILARITY;
+  }
+
+  /**
+   * 比較用にタイトルを正規化します（全角・半角の統一、小文字化、空白・記号の除去）
+   * @param {string} title - タイトル
+   * @return {string} - 正規化したタイトル
+   */
+  static normalizeTitle(title) {
+    return (title || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/[\s\p{P}\p{S}]+/gu, '');
+  }
+
+  /**
+   * 2つのタイトルの類似度を計算します（文字のバイグラムによるダイス係数）
+   * @param {string} a - タイトル
+   * @param {string} b - タイトル
+   * @return {number} - 類似度（0〜1）
+   */
+  static getTitleSimilarity(a, b) {
+    const left = SimulcastDetector.normalizeTitle(a);
+    const right = SimulcastDetector.normalizeTitle(b);
+    if (!left || !right) {
+      return 0;
+    }
+    if (left === right) {
+      return 1;
+    }
+    if (left.length < 2 || right.length < 2) {
+      return 0;
+    }
+
+    const toBigrams = text => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.substring(i, i + 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+      }
+      return counts;
+    };
+    const leftBigrams = toBigrams(left);
+    const rightBigrams = toBigrams(right);
+
+    let overlap = 0;
+    leftBigrams.forEach((count, bigram) => {
+      overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+    });
+    return (2 * overlap) / (left.length - 1 + right.length - 1);
+  }
+
+  /**
+   * 2つのストリームが同じ配信の同時配信かどうかを判定します
+   * 同じプラットフォームのストリームは対象外です。両方に配信者（人物）が紐付けられていればその一致で判定し、
+   * そうでなければタイトルの類似度と開始時刻の差で判定します
+   * @param {Stream} a - ストリーム
+   * @param {Stream} b - ストリーム
+   * @return {boolean} - 同時配信の場合true
+   */
+  isSimulcast(a, b) {
+    if (a.platformType === b.platformType) {
+      return false;
+    }
+    if (a.streamerId && b.streamerId) {
+      return a.streamerId === b.streamerId;
+    }
+    if (!this.isWithinWindow(a, b)) {
+      return false;
+    }
+    return SimulcastDetector.getTitleSimilarity(a.title, b.title) >= this.titleSimilarity;
+  }
+
+  /**
+   * 2つのストリームの開始時刻の差が許容範囲内かどうかを判定します
+   * @param {Stream} a - ストリーム
+   * @param {Stream} b - ストリーム
+   * @return {boolean} - 許容範囲内の場合true（どちらかの開始時刻が不明な場合false）
+   */
+  isWithinWindow(a, b) {
+    const startedA = a.startedAt ? new Date(a.startedAt).getTime() : NaN;
+    const startedB = b.startedAt ? new Date(b.startedAt).getTime() : NaN;
+    return !Number.isNaN(startedA) && !Number.isNaN(startedB) && Math.abs(startedA - startedB) <= this.windowMs;
+  }
+
+  /**
+   * 新しいストリームのうち、通知済みのストリームの同時配信であるものを取り除きます
+   * 別のプラットフォームでの配信開始が次回以降の取得で見つかった場合に、同じ配信を2回通知しないようにします。
+   * 配信者（人物）の紐付けで判定する場合も、開始時刻の差が許容範囲内の通知済みのストリームだけを対象にします
+   * @param {Array<Stream>} streams - 新しいストリームの配列
+   * @param {Array<Stream>} notifiedStreams - 前回までに通知したストリームの配列
+   * @return {Array<Stream>} - 通知済みの配信の同時配信ではないストリームの配列（入力の順序を保ちます）
+   */
+  excludeNotifiedSimulcasts(streams, notifiedStreams = []) {
+    return streams.filter(stream => !notifiedStreams.some(notified =>
+      this.isWithinWindow(stream, notified) && this.isSimulcast(stream, notified)));
+  }
+
+  /**
+   * ストリームを同時配信ごとのグループにまとめます
+   * 1つのグループには1つのプラットフォームにつき1つのストリームだけが入ります。グループとグループ内の順序は入力の順序に従います
+   * @param {Array<Stream>} streams - ストリームの配列
+   * @return {Array<Array<Stream>>} - グループの配列（同時配信でないストリームは1件のグループ）
+   */
+  group(streams) {
+    const groups = [];
+
+    streams.forEach(stream => {
+      const group = groups.find(members =>
+        members.every(member => member.platformType !== stream.platformType) &&
+        members.some(member => this.isSimulcast(member, stream)));
+
+      if (group) {
+        group.push(stream);
+      } else {
+        groups.push([stream]);
+      }
+    });
+    return groups;
+  }
+
+  /**
+   * グループの中から、通知のクリックで開くストリームを選びます
+   * @param {Array<Stream>} group - 同時配信のグループ
+   * @param {string} [preferredPlatform=''] - 優先するプラットフォーム種別（空文字でグループの先頭）
+   * @return {Stream} - 選ばれたストリーム
+   */
+  static pickPreferred(group, preferredPlatform = '') {
+    return (preferredPlatform && group.find(stream => stream.platformType === preferredPlatform)) || group[0];
+  }
+}
+
+export default SimulcastDetector;
@@ -0,0 +1,169 @@
+/**
+ * ストリーム差分検出クラス
+ * 連続する2つのストリーム一覧を比較し、配信開始・終了・タイトル変更・カテゴリ変更・
+ * 視聴者数の節目到達といった変化を検出します
+ */
+import { DATA_EVENTS } from '../utils/EventTypes';
+
+// 変化の種別
+export const STREAM_CHANGE_TYPES = {
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+  TITLE_CHANGED: 'titleChanged',
+  CATEGORY_CHANGED: 'categoryChanged',
+  VIEWER_MILESTONE: 'viewerMilestone',
+};
+
+// 変化の種別と発火するイベント名の対応
+export const STREAM_CHANGE_EVENTS = {
+  [STREAM_CHANGE_TYPES.ONLINE]: DATA_EVENTS.STREAM_ADDED,
+  [STREAM_CHANGE_TYPES.OFFLINE]: DATA_EVENTS.STREAM_REMOVED,
+  [STREAM_CHANGE_TYPES.TITLE_CHANGED]: DATA_EVENTS.STREAM_TITLE_CHANGED,
+  [STREAM_CHANGE_TYPES.CATEGORY_CHANGED]: DATA_EVENTS.STREAM_CATEGORY_CHANGED,
+  [STREAM_CHANGE_TYPES.VIEWER_MILESTONE]: DATA_EVENTS.STREAM_VIEWER_MILESTONE,
+};
+
+// デフォルトの視聴者数の節目
+export const DEFAULT_VIEWER_MILESTONES = [100, 500, 1000, 5000, 10000];
+
+class StreamDiffEngine {
+  /**
+   * @param {Object} [options] - オプション
+   * @param {Array<number>} [options.viewerMilestones] - 検出する視聴者数の節目
+   */
+  constructor(options = {}) {
+    this.viewerMilestones = [...(options.viewerMilestones || DEFAULT_VIEWER_MILESTONES)]
+      .filter(value => Number.isFinite(value) && value > 0)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * ストリームの識別キーを取得します
+   * @param {Stream|Object} stream - ストリーム
+   * @return {string} - 識別キー
+   */
+  static getStreamKey(stream) {
+    return `${stream.platformType}_${stream.id}`;
+  }
+
+  /**
+   * 今回確認できなかったストリームを前回の状態のまま引き継ぎます
+   * 取得に失敗したプラットフォームと確認に失敗したチャンネルは、配信が終わったかどうかわからないため、
+   * 前回のストリームを残して配信終了（と次回の配信開始）を誤って検出しないようにします。
+   * platformType・id・channelId を持つ配信予定（Schedule）の引き継ぎにも使います
+   * @param {Array<Stream>} previousStreams - 前回のストリーム配列
+   * @param {Array<Stream>} currentStreams - 今回取得したストリーム配列
+   * @param {Object} [unconfirmed] - 確認できなかった対象
+   * @param {Array<string>} [unconfirmed.platforms] - 取得に失敗したプラットフォーム
+   * @param {Object<string, Array<string>>} [unconfirmed.channels] - プラットフォームごとの確認に失敗したチャンネルID
+   * @return {Array<Stream>} - 引き継いだストリームを加えたストリーム配列
+   */
+  static carryOverUnconfirmed(previousStreams = [], currentStreams = [], unconfirmed = {}) {
+    const platforms = new Set(unconfirmed.platforms || []);
+    const channels = unconfirmed.channels || {};
+    const currentKeys = new Set(currentStreams.map(stream => StreamDiffEngine.getStreamKey(stream)));
+
+    const carriedOver = previousStreams.filter(previous => {
+      if (currentKeys.has(StreamDiffEngine.getStreamKey(previous))) return false;
+      if (platforms.has(previous.platformType)) return true;
+      return (channels[previous.platformType] || []).includes(String(previous.channelId));
+    });
+    return [...currentStreams, ...carriedOver];
+  }
+
+  /**
+   * 2つのストリーム一覧を比較し、変化の一覧を返します
+   * @param {Array<Stream>} previousStreams - 前回のストリーム配列
+   * @param {Array<Stream>} currentStreams - 今回のストリーム配列
+   * @param {Object} [options] - オプション
+   * @param {Array<string>} [options.platforms] - 今回取得対象としたプラットフォーム（これ以外は終了扱いにしない）
+   * @return {Array<Object>} - 変化の配列 { type, stream, previous, milestone }
+   */
+  diff(previousStreams = [], currentStreams = [], options = {}) {
+    const changes = [];
+    const previousMap = new Map(
+      previousStreams.map(stream => [StreamDiffEngine.getStreamKey(stream), stream])
+    );
+    const currentKeys = new Set();
+
+    currentStreams.forEach(stream => {
+      const key = StreamDiffEngine.getStreamKey(stream);
+      currentKeys.add(key);
+      const previous = previousMap.get(key);
+
+      if (!previous) {
+        changes.push({ type: STREAM_CHANGE_TYPES.ONLINE, stream, previous: null });
+        return;
+      }
+
+      if ((previous.title || '') !== (stream.title || '')) {
+        changes.push({ type: STREAM_CHANGE_TYPES.TITLE_CHANGED, stream, previous });
+      }
+
+      if ((previous.gameOrCategory || '') !== (stream.gameOrCategory || '')) {
+        changes.push({ type: STREAM_CHANGE_TYPES.CATEGORY_CHANGED, stream, previous });
+      }
+
+      const milestone = this.getCrossedMilestone(previous.viewerCount, stream.viewerCount);
+      if (milestone) {
+        changes.push({ type: STREAM_CHANGE_TYPES.VIEWER_MILESTONE, stream, previous, milestone });
+      }
+    });
+
+    previousStreams.forEach(previous => {
+      if (currentKeys.has(StreamDiffEngine.getStreamKey(previous))) return;
+      if (options.platforms && !options.platforms.includes(previous.platformType)) return;
+      changes.push({ type: STREAM_CHANGE_TYPES.OFFLINE, stream: previous, previous });
+    });
+
+    return changes;
+  }
+
+  /**
+   * 前回から今回の間に超えた最も大きい視聴者数の節目を返します
+   * @param {number} previousCount - 前回の視聴者数
+   * @param {number} currentCount - 今回の視聴者数
+   * @return {number|null} - 超えた節目（なければnull）
+   */
+  getCrossedMilestone(previousCount = 0, currentCount = 0) {
+    const crossed = this.viewerMilestones.filter(
+      milestone => previousCount < milestone && currentCount >= milestone
+    );
+    return crossed.length > 0 ? crossed[crossed.length - 1] : null;
+  }
+
+  /**
+   * 変化が配信者ごとのイベント購読条件に一致するかを判定します
+   * @param {Object} change - diff() が返す変化
+   * @param {Object} subscription - イベント購読設定
+   * @return {boolean} - 一致する場合true
+   */
+  static matchesSubscription(change, subscription) {
+    const { stream } = change;
+
+    if (subscription.enabled === false) return false;
+    if (!(subscription.events || []).includes(change.type)) return false;
+    if (subscription.platformType && subscription.platformType !== stream.platformType) return false;
+
+    // 配信者IDまたは配信者名で照合
+    const target = (subscription.channelId || subscription.streamerName || '').toLowerCase();
+    const identifiers = [stream.channelId, stream.streamerName]
+      .filter(Boolean)
+      .map(value => String(value).toLowerCase());
+    if (!target || !identifiers.includes(target)) return false;
+
+    if (change.type === STREAM_CHANGE_TYPES.CATEGORY_CHANGED && subscription.categories?.length) {
+      const category = (stream.gameOrCategory || '').toLowerCase();
+      return subscription.categories.some(value => value.toLowerCase() === category);
+    }
+
+    if (change.type === STREAM_CHANGE_TYPES.VIEWER_MILESTONE && subscription.viewerMilestones?.length) {
+      return subscription.viewerMilestones.some(value => change.milestone >= value
+        && change.previous.viewerCount < value);
+    }
+
+    return true;
+  }
+}
+
+export default StreamDiffEngine;
@@ -0,0 +1,398 @@
+/**
+ * 配信履歴管理クラス
+ * 配信セッション（開始・終了・視聴者数・タイトル/カテゴリ変更）をIndexedDBに記録し、
+ * 配信者ごとのタイムラインを提供します
+ */
+import Singleton from '../utils/Singleton';
+import EventEmitter from '../utils/EventEmitter';
+import { StreamSession } from './models';
+
+const DB_NAME = 'MPStreamNotifier';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+class StreamHistoryManager extends Singleton {
+  constructor() {
+    super();
+    this.eventEmitter = new EventEmitter();
+    this.db = null;
+    this.openSessions = new Map(); // 配信中セッションのキャッシュ（セッションID => StreamSession）
+    this.retentionDays = 180; // 履歴の保持日数
+  }
+
+  /**
+   * 配信者を一意に識別するキーを生成します
+   * @param {Stream|StreamSession|Object} stream - ストリームまたはセッション
+   * @return {string} - 配信者キー
+   */
+  static getStreamerKey(stream) {
+    return `${stream.platformType}:${stream.channelId || stream.streamerName}`;
+  }
+
+  /**
+   * 配信履歴マネージャーを初期化します
+   * データベースを開き、配信中のセッションを読み込みます
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.db = await this.openDatabase();
+
+      const liveSessions = await this.getSessionsByIndex('status', 'live');
+      this.openSessions = new Map(liveSessions.map(session => [session.id, session]));
+
+      await this.pruneOldSessions();
+      this.eventEmitter.emit('history:initialized');
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'HISTORY_INIT_ERROR',
+        message: '配信履歴の初期化に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * IndexedDBのデータベースを開きます
+   * @return {Promise<IDBDatabase>}
+   * @private
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDBが利用できません'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+          store.createIndex('streamerKey', 'streamerKey', { unique: false });
+          store.createIndex('status', 'status', { unique: false });
+          store.createIndex('startedAt', 'startedAt', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 現在のストリーム一覧を履歴に記録します
+   * 新しい配信はセッションを開始し、一覧から消えた配信はセッションを終了します
+   * @param {Array<Stream>} streams - 現在配信中のストリーム配列
+   * @param {Object} [options] - オプション
+   * @param {Array<string>} [options.platforms] - 今回取得対象としたプラットフォーム（これ以外のセッションは終了させない）
+   * @return {Promise<{started: Array<StreamSession>, ended: Array<StreamSession>}>}
+   */
+  async recordSnapshot(streams, options = {}) {
+    if (!this.db) {
+      return { started: [], ended: [] };
+    }
+
+    const now = Date.now();
+    const started = [];
+    const ended = [];
+    const updated = [];
+    const seenIds = new Set();
+
+    try {
+      for (const stream of streams) {
+        const sessionId = `${stream.platformType}_${stream.id}`;
+        seenIds.add(sessionId);
+
+        let session = this.openSessions.get(sessionId);
+        if (!session) {
+          const stored = await this.getSession(sessionId);
+          // 終了済みセッションが再び配信中になった場合は再開扱いとする
+          session = stored || this.createSession(sessionId, stream, now);
+          session.status = 'live';
+          session.endedAt = null;
+          if (!stored) {
+            started.push(session);
+          }
+        }
+
+        this.applyStreamToSession(session, stream, now);
+        this.openSessions.set(sessionId, session);
+        updated.push(session);
+      }
+
+      for (const [sessionId, session] of this.openSessions.entries()) {
+        if (seenIds.has(sessionId)) continue;
+        if (options.platforms && !options.platforms.includes(session.platformType)) continue;
+
+        // 最後に確認できた時刻を終了時刻とする
+        session.status = 'ended';
+        session.endedAt = session.lastSeenAt || now;
+        this.openSessions.delete(sessionId);
+        ended.push(session);
+        updated.push(session);
+      }
+
+      await this.putSessions(updated);
+
+      if (updated.length > 0) {
+        this.eventEmitter.emit('history:updated', { started, ended });
+      }
+
+      return { started, ended };
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'HISTORY_RECORD_ERROR',
+        message: '配信履歴の記録に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 新しいセッションを作成します
+   * @param {string} sessionId - セッションID
+   * @param {Stream} stream - ストリーム
+   * @param {number} now - 現在時刻
+   * @return {StreamSession} - 作成したセッション
+   * @private
+   */
+  createSession(sessionId, stream, now) {
+    return new StreamSession({
+      id: sessionId,
+      streamId: stream.id,
+      streamerKey: StreamHistoryManager.getStreamerKey(stream),
+      platformType: stream.platformType,
+      channelId: stream.channelId,
+      streamerName: stream.streamerName,
+      startedAt: stream.startedAt || now,
+      titleHistory: [{ title: stream.title, changedAt: stream.startedAt || now }],
+      categoryHistory: [{ category: stream.gameOrCategory, changedAt: stream.startedAt || now }]
+    });
+  }
+
+  /**
+   * ストリームの最新状態をセッションに反映します
+   * @param {StreamSession} session - 更新対象のセッション
+   * @param {Stream} stream - 最新のストリーム
+   * @param {number} now - 現在時刻
+   * @private
+   */
+  applyStreamToSession(session, stream, now) {
+    const viewerCount = stream.viewerCount || 0;
+
+    session.streamerName = stream.streamerName || session.streamerName;
+    session.url = stream.url || session.url;
+    session.thumbnailUrl = stream.thumbnailUrl || session.thumbnailUrl;
+    session.lastSeenAt = now;
+
+    // 視聴者数の統計を更新
+    session.peakViewerCount = Math.max(session.peakViewerCount, viewerCount);
+    session.viewerSampleCount += 1;
+    session.viewerCountTotal += viewerCount;
+    session.averageViewerCount = Math.round(session.viewerCountTotal / session.viewerSampleCount);
+
+    // タイトル・カテゴリの変更を記録
+    const lastTitle = session.titleHistory[session.titleHistory.length - 1];
+    if (!lastTitle || lastTitle.title !== stream.title) {
+      session.titleHistory.push({ title: stream.title, changedAt: now });
+    }
+
+    const lastCategory = session.categoryHistory[session.categoryHistory.length - 1];
+    if (!lastCategory || lastCategory.category !== stream.gameOrCategory) {
+      session.categoryHistory.push({ category: stream.gameOrCategory, changedAt: now });
+    }
+  }
+
+  /**
+   * 配信者のタイムライン（セッション履歴）を取得します
+   * @param {string} streamerKey - 配信者キー
+   * @param {Object} [options] - オプション
+   * @param {number} [options.limit=50] - 取得する最大件数
+   * @param {number} [options.since] - この時刻以降に開始したセッションのみ取得
+   * @return {Promise<Array<StreamSession>>} - 開始日時の新しい順のセッション配列
+   */
+  async getTimeline(streamerKey, options = {}) {
+    const limit = options.limit || 50;
+    const sessions = await this.getSessionsByIndex('streamerKey', streamerKey);
+
+    return sessions
+      .filter(session => !options.since || session.startedAt >= options.since)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * 履歴が存在する配信者の一覧を取得します
+   * @return {Promise<Array<Object>>} - 最終配信日時の新しい順の配信者情報配列
+   */
+  async getStreamers() {
+    const sessions = await this.getAllSessions();
+    const streamers = new Map();
+
+    sessions.forEach(session => {
+      const current = streamers.get(session.streamerKey);
+      if (!current) {
+        streamers.set(session.streamerKey, {
+          streamerKey: session.streamerKey,
+          streamerName: session.streamerName,
+          platformType: session.platformType,
+          channelId: session.channelId,
+          sessionCount: 1,
+          lastStartedAt: session.startedAt,
+          isLive: session.status === 'live'
+        });
+        return;
+      }
+
+      current.sessionCount += 1;
+      current.isLive = current.isLive || session.status === 'live';
+      if (session.startedAt > current.lastStartedAt) {
+        current.lastStartedAt = session.startedAt;
+        current.streamerName = session.streamerName;
+      }
+    });
+
+    return Array.from(streamers.values()).sort((a, b) => b.lastStartedAt - a.lastStartedAt);
+  }
+
+  /**
+   * 保持期間を過ぎた終了済みセッションを削除します
+   * @return {Promise<number>} - 削除した件数
+   */
+  async pruneOldSessions() {
+    const threshold = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const sessions = await this.getSessionsByIndex('status', 'ended');
+    const expiredIds = sessions
+      .filter(session => (session.endedAt || session.startedAt) < threshold)
+      .map(session => session.id);
+
+    if (expiredIds.length === 0) return 0;
+
+    await this.runTransaction('readwrite', store => {
+      expiredIds.forEach(id => store.delete(id));
+    });
+    return expiredIds.length;
+  }
+
+  /**
+   * 全ての履歴を削除します
+   * @return {Promise<void>}
+   */
+  async clearHistory() {
+    await this.runTransaction('readwrite', store => store.clear());
+    this.openSessions.clear();
+    this.eventEmitter.emit('history:cleared');
+  }
+
+  /**
+   * セッションを1件取得します
+   * @param {string} sessionId - セッションID
+   * @return {Promise<StreamSession|null>}
+   * @private
+   */
+  async getSession(sessionId) {
+    const result = await this.runRequest(store => store.get(sessionId));
+    return result ? new StreamSession(result) : null;
+  }
+
+  /**
+   * インデックスに一致するセッションを取得します
+   * @param {string} indexName - インデックス名
+   * @param {*} value - 検索値
+   * @return {Promise<Array<StreamSession>>}
+   * @private
+   */
+  async getSessionsByIndex(indexName, value) {
+    const results = await this.runRequest(store => store.index(indexName).getAll(value));
+    return (results || []).map(data => new StreamSession(data));
+  }
+
+  /**
+   * 全てのセッションを取得します
+   * @return {Promise<Array<StreamSession>>}
+   * @private
+   */
+  async getAllSessions() {
+    const results = await this.runRequest(store => store.getAll());
+    return (results || []).map(data => new StreamSession(data));
+  }
+
+  /**
+   * 複数のセッションを保存します
+   * @param {Array<StreamSession>} sessions - 保存するセッション配列
+   * @return {Promise<void>}
+   * @private
+   */
+  async putSessions(sessions) {
+    if (sessions.length === 0) return;
+    await this.runTransaction('readwrite', store => {
+      sessions.forEach(session => store.put({ ...session }));
+    });
+  }
+
+  /**
+   * 読み取り専用のリクエストを実行し、結果を返します
+   * @param {Function} createRequest - オブジェクトストアを受け取りIDBRequestを返す関数
+   * @return {Promise<*>}
+   * @private
+   */
+  runRequest(createRequest) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('配信履歴データベースが初期化されていません'));
+        return;
+      }
+
+      const transaction = this.db.transaction(SESSION_STORE, 'readonly');
+      const request = createRequest(transaction.objectStore(SESSION_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * トランザクションを実行し、完了を待ちます
+   * @param {string} mode - トランザクションモード
+   * @param {Function} callback - オブジェクトストアを受け取る関数
+   * @return {Promise<void>}
+   * @private
+   */
+  runTransaction(mode, callback) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('配信履歴データベースが初期化されていません'));
+        return;
+      }
+
+      const transaction = this.db.transaction(SESSION_STORE, mode);
+      callback(transaction.objectStore(SESSION_STORE));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * イベントリスナーを登録します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  on(event, callback) {
+    this.eventEmitter.on(event, callback);
+  }
+
+  /**
+   * イベントリスナーを解除します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  off(event, callback) {
+    this.eventEmitter.off(event, callback);
+  }
+}
+
+export default StreamHistoryManager;
@@ -0,0 +1,315 @@
+/**
+ * 配信者（人物）管理クラス
+ * 複数のプラットフォームのアカウントを1人の配信者としてまとめ、ストリームへの紐付けや同時配信のグループ化を担当します
+ */
+import Singleton from '../utils/Singleton';
+import EventEmitter from '../utils/EventEmitter';
+import { Stream, Streamer } from './models';
+
+const STORAGE_KEY = 'streamers';
+
+class StreamerManager extends Singleton {
+  constructor() {
+    super();
+    this.eventEmitter = new EventEmitter();
+    this.streamers = []; // Array<Streamer>
+    this.accountIndex = new Map(); // アカウントのキーと配信者の対応
+  }
+
+  /**
+   * 配信者を初期化します
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.loadStreamers();
+      this.eventEmitter.emit('streamers:initialized');
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'STREAMERS_INIT_ERROR',
+        message: '配信者の初期化に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * アカウントを識別するキーを作成します（チャンネルIDの大文字・小文字は区別しない）
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @return {string} - アカウントのキー
+   */
+  static getAccountKey(platformType, channelId) {
+    return `${platformType}:${String(channelId).toLowerCase()}`;
+  }
+
+  /**
+   * 配信者をストレージから読み込みます
+   * 他の画面（オプションページなど）での変更を反映するため、取得処理の前にも呼び出します
+   * @return {Promise<Array<Streamer>>} - 配信者の配列
+   */
+  async loadStreamers() {
+    const data = await new Promise((resolve) => {
+      chrome.storage.local.get(STORAGE_KEY, (result) => {
+        resolve(result[STORAGE_KEY] || []);
+      });
+    });
+    
+    this.setStreamers(data);
+    return this.streamers;
+  }
+
+  /**
+   * 配信者を設定し、アカウントの索引を作り直します
+   * @param {Array<Streamer|Object>} streamers - 配信者の配列
+   */
+  setStreamers(streamers) {
+    this.streamers = streamers.map(streamer => new Streamer(streamer));
+    this.accountIndex = new Map();
+    this.streamers.forEach(streamer => {
+      streamer.accounts.forEach(account => {
+        this.accountIndex.set(StreamerManager.getAccountKey(account.platformType, account.channelId), streamer);
+      });
+    });
+  }
+
+  /**
+   * 配信者をストレージに保存します
+   * @return {Promise<void>}
+   * @private
+   */
+  async saveStreamers() {
+    try {
+      this.setStreamers(this.streamers);
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [STORAGE_KEY]: this.streamers }, resolve);
+      });
+      this.eventEmitter.emit('streamers:updated', this.getStreamers());
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'STREAMERS_SAVE_ERROR',
+        message: '配信者の保存に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * すべての配信者を取得します
+   * @return {Array<Streamer>} - 配信者の配列
+   */
+  getStreamers() {
+    return [...this.streamers];
+  }
+
+  /**
+   * 配信者を取得します
+   * @param {string} streamerId - 配信者ID
+   * @return {Streamer|null} - 配信者（見つからない場合null）
+   */
+  getStreamer(streamerId) {
+    return this.streamers.find(streamer => streamer.id === streamerId) || null;
+  }
+
+  /**
+   * 配信者に付けられたすべてのタグを取得します
+   * @return {Array<string>} - タグの配列（重複なし、名前順）
+   */
+  getTags() {
+    return [...new Set(this.streamers.flatMap(streamer => streamer.tags))]
+      .sort((a, b) => a.localeCompare(b, 'ja'));
+  }
+
+  /**
+   * アカウントが紐付けられた配信者を取得します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @return {Streamer|null} - 配信者（紐付けがない場合null）
+   */
+  findStreamerByAccount(platformType, channelId) {
+    return this.accountIndex.get(StreamerManager.getAccountKey(platformType, channelId)) || null;
+  }
+
+  /**
+   * 配信者を作成します
+   * 指定したアカウントが他の配信者に紐付けられている場合は、その紐付けを外します
+   * @param {Object} data - 配信者の情報 { name, avatarUrl, accounts, isFavorite, tags }
+   * @return {Promise<Streamer>} - 作成した配信者
+   */
+  async createStreamer(data) {
+    const streamer = new Streamer({
+      ...data,
+      id: `streamer-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`
+    });
+    
+    this.detachAccounts(streamer.accounts);
+    this.streamers.push(streamer);
+    await this.saveStreamers();
+    return streamer;
+  }
+
+  /**
+   * 配信者の情報を更新します
+   * @param {string} streamerId - 配信者ID
+   * @param {Object} changes - 変更する項目 { name, avatarUrl, isFavorite, tags }
+   * @return {Promise<Streamer|null>} - 更新後の配信者（見つからない場合null）
+   */
+  async updateStreamer(streamerId, changes) {
+    const index = this.streamers.findIndex(streamer => streamer.id === streamerId);
+    if (index === -1) {
+      return null;
+    }
+    
+    // IDと紐付けたアカウントは linkAccount / unlinkAccount でのみ変更する
+    const current = this.streamers[index];
+    this.streamers[index] = new Streamer({ ...current, ...changes, id: current.id, accounts: current.accounts });
+    await this.saveStreamers();
+    return this.streamers[index];
+  }
+
+  /**
+   * 配信者を削除します（紐付けたアカウントは紐付けのない状態に戻ります）
+   * @param {string} streamerId - 配信者ID
+   * @return {Promise<void>}
+   */
+  async removeStreamer(streamerId) {
+    this.streamers = this.streamers.filter(streamer => streamer.id !== streamerId);
+    await this.saveStreamers();
+  }
+
+  /**
+   * 配信者にアカウントを紐付けます
+   * アカウントは1人の配信者にだけ紐付けられるため、他の配信者の紐付けは外します
+   * @param {string} streamerId - 配信者ID
+   * @param {{platformType: string, channelId: string}} account - アカウント
+   * @return {Promise<Streamer|null>} - 更新後の配信者（見つからない場合null）
+   */
+  async linkAccount(streamerId, account) {
+    const streamer = this.getStreamer(streamerId);
+    if (!streamer) {
+      return null;
+    }
+    
+    this.detachAccounts([account]);
+    streamer.accounts.push({ platformType: account.platformType, channelId: account.channelId });
+    await this.saveStreamers();
+    return streamer;
+  }
+
+  /**
+   * 配信者からアカウントの紐付けを外します
+   * @param {string} streamerId - 配信者ID
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - 配信者（チャンネル）ID
+   * @return {Promise<void>}
+   */
+  async unlinkAccount(streamerId, platformType, channelId) {
+    const streamer = this.getStreamer(streamerId);
+    if (!streamer) {
+      return;
+    }
+    
+    const key = StreamerManager.getAccountKey(platformType, channelId);
+    streamer.accounts = streamer.accounts
+      .filter(account => StreamerManager.getAccountKey(account.platformType, account.channelId) !== key);
+    await this.saveStreamers();
+  }
+
+  /**
+   * 配信者のお気に入り状態を設定します
+   * @param {string} streamerId - 配信者ID
+   * @param {boolean} isFavorite - お気に入りにする場合true
+   * @return {Promise<Streamer|null>} - 更新後の配信者（見つからない場合null）
+   */
+  async setFavorite(streamerId, isFavorite) {
+    return await this.updateStreamer(streamerId, { isFavorite });
+  }
+
+  /**
+   * アカウントを既存の配信者から外します（保存はしません）
+   * @param {Array<{platformType: string, channelId: string}>} accounts - アカウントの配列
+   * @private
+   */
+  detachAccounts(accounts) {
+    const keys = new Set(accounts.map(account => StreamerManager.getAccountKey(account.platformType, account.channelId)));
+    this.streamers.forEach(streamer => {
+      streamer.accounts = streamer.accounts
+        .filter(account => !keys.has(StreamerManager.getAccountKey(account.platformType, account.channelId)));
+    });
+  }
+
+  /**
+   * ストリームに配信者を紐付けます
+   * 紐付けた配信者のIDを streamerId に設定し、配信者のお気に入り状態とタグをストリームに反映します
+   * @param {Array<Stream>} streams - ストリームの配列
+   * @return {Array<Stream>} - 配信者を紐付けたストリームの配列（元の配列は変更しません）
+   */
+  annotateStreams(streams) {
+    return streams.map(stream => {
+      const streamer = this.findStreamerByAccount(stream.platformType, stream.channelId);
+      if (!streamer) {
+        return stream;
+      }
+      return new Stream({
+        ...stream,
+        streamerId: streamer.id,
+        isFavorite: stream.isFavorite || streamer.isFavorite,
+        tags: [...new Set([...(stream.tags || []), ...streamer.tags])]
+      });
+    });
+  }
+
+  /**
+   * ストリームを配信者ごとにまとめます
+   * 同じ配信者の同時配信（サイマル配信）は1つのグループになり、紐付けのないストリームはそれぞれ1つのグループになります
+   * グループの順序は、各グループで最初に現れたストリームの順序に従います
+   * @param {Array<Stream>} streams - ストリームの配列
+   * @return {Array<{key: string, streamer: (Streamer|null), name: string, avatarUrl: string, isFavorite: boolean, streams: Array<Stream>}>} - グループの配列
+   */
+  groupStreams(streams) {
+    const groups = new Map();
+    
+    streams.forEach(stream => {
+      const streamer = this.findStreamerByAccount(stream.platformType, stream.channelId);
+      const key = streamer ? streamer.id : StreamerManager.getAccountKey(stream.platformType, stream.channelId || stream.id);
+      
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          streamer,
+          name: streamer ? streamer.name || stream.streamerName : stream.streamerName,
+          avatarUrl: streamer ? streamer.avatarUrl : '',
+          isFavorite: false,
+          streams: []
+        });
+      }
+      const group = groups.get(key);
+      group.streams.push(stream);
+      group.isFavorite = group.isFavorite || stream.isFavorite || !!(streamer && streamer.isFavorite);
+    });
+    
+    return [...groups.values()];
+  }
+
+  /**
+   * イベントリスナーを登録します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  on(event, callback) {
+    this.eventEmitter.on(event, callback);
+  }
+
+  /**
+   * イベントリスナーを解除します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  off(event, callback) {
+    this.eventEmitter.off(event, callback);
+  }
+}
+
+export default StreamerManager;
@@ -5,6 +5,12 @@
 import Singleton from '../utils/Singleton';
 import EventEmitter from '../utils/EventEmitter';
 import { Filter } from './models';
+import { SETTINGS_EVENTS, UI_EVENTS } from '../utils/EventTypes';
+
+const STORAGE_KEY = 'viewState';
+
+// ポップアップを閉じても保持する表示状態の項目
+const PERSISTED_KEYS = ['activeGroup', 'filter', 'activeFilterId'];
 
 class ViewStateManager extends Singleton {
   constructor() {
@@ -23,6 +29,8 @@ class ViewStateManager extends Singleton {
       page: 1,
       itemsPerPage: 20,
       showFilterPanel: false,
+      activeGroup: '',        // 表示中のグループ（タグ）。空文字ですべて
+      activeFilterId: '',     // 適用中のフィルタープリセットのID。空文字でプリセットなし
       lastError: null,
       toast: {
         show: false,
@@ -44,6 +52,39 @@ class ViewStateManager extends Singleton {
     this.eventEmitter.emit('viewState:initialized', this.state);
   }
 
+  /**
+   * 保存されている表示状態（表示中のグループなど）を読み込みます
+   * @return {Promise<Object>} - 読み込み後の表示状態
+   */
+  async loadPersistedState() {
+    const saved = await new Promise((resolve) => {
+      chrome.storage.local.get(STORAGE_KEY, (result) => {
+        resolve(result[STORAGE_KEY] || {});
+      });
+    });
+    
+    // 読み込んだ値をそのまま保存し直さないよう、updateState を経由せずに反映する
+    PERSISTED_KEYS
+      .filter(key => key in saved)
+      .forEach(key => {
+        this.state[key] = key === 'filter' ? new Filter(saved[key]) : saved[key];
+      });
+    this.eventEmitter.emit('viewState:restored', this.state);
+    return this.getState();
+  }
+
+  /**
+   * 表示状態のうち保持する項目を保存します
+   * @return {Promise<void>}
+   * @private
+   */
+  async savePersistedState() {
+    const saved = PERSISTED_KEYS.reduce((values, key) => ({ ...values, [key]: this.state[key] }), {});
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [STORAGE_KEY]: saved }, resolve);
+    });
+  }
+
   /**
    * 表示状態を更新します
    * @param {Object} updates - 更新内容
@@ -75,6 +116,17 @@ class ViewStateManager extends Singleton {
           oldValue: oldState[key]
         });
       });
+      
+      // 保持する項目が変わった場合は保存
+      if (changedKeys.some(key => PERSISTED_KEYS.includes(key))) {
+        this.savePersistedState().catch(error => {
+          this.eventEmitter.emit('error', {
+            code: 'VIEW_STATE_SAVE_ERROR',
+            message: '表示状態の保存に失敗しました',
+            details: error
+          });
+        });
+      }
     }
   }
 
@@ -118,11 +170,162 @@ class ViewStateManager extends Singleton {
 
   /**
    * フィルター条件を設定します
+   * 保存済みフィルター（プリセット）は、指定がなければ現在のものを引き継ぎます。
+   * 条件が適用中のプリセットと異なる場合は、プリセットの適用を解除します
    * @param {Filter|Object} filter - フィルター条件
    */
   setFilter(filter) {
-    const newFilter = filter instanceof Filter ? filter : new Filter(filter);
-    this.updateState({ filter: newFilter });
+    const savedFilters = filter.savedFilters || this.state.filter.savedFilters;
+    const newFilter = new Filter({ ...filter, savedFilters });
+    const activePreset = savedFilters.find(preset => preset.id === this.state.activeFilterId);
+    const keepsPreset = !!activePreset &&
+      JSON.stringify(ViewStateManager.getConditions(activePreset)) === JSON.stringify(ViewStateManager.getConditions(newFilter));
+    
+    this.updateState({ filter: newFilter, activeFilterId: keepsPreset ? activePreset.id : '' });
+    this.eventEmitter.emit(UI_EVENTS.FILTER_APPLIED, this.state.filter);
+  }
+
+  /**
+   * フィルター条件を既定値に戻します（保存済みフィルターは残ります）
+   */
+  resetFilter() {
+    this.updateState({
+      filter: new Filter({ savedFilters: this.state.filter.savedFilters }),
+      activeFilterId: ''
+    });
+    this.eventEmitter.emit(UI_EVENTS.FILTER_REMOVED, this.state.filter);
+  }
+
+  /**
+   * フィルターの条件部分（ID・名前・保存済みフィルターを除いたもの）を取得します
+   * @param {Filter} filter - フィルター
+   * @return {Filter} - 条件だけのフィルター
+   * @private
+   */
+  static getConditions(filter) {
+    return new Filter({ ...filter, id: '', name: '', savedFilters: [] });
+  }
+
+  /**
+   * 保存済みフィルター（プリセット）を取得します
+   * @return {Array<Filter>} - プリセットの配列（表示順）
+   */
+  getFilterPresets() {
+    return [...this.state.filter.savedFilters];
+  }
+
+  /**
+   * 現在のフィルター条件をプリセットとして保存し、適用中にします
+   * 同じ名前のプリセットがある場合は、その条件を上書きします
+   * @param {string} name - プリセット名
+   * @return {Filter} - 保存したプリセット
+   */
+  saveFilterPreset(name) {
+    const presetName = (name || '').trim();
+    if (!presetName) {
+      throw new Error('プリセット名を入力してください');
+    }
+    
+    const savedFilters = this.getFilterPresets();
+    const index = savedFilters.findIndex(preset => preset.name === presetName);
+    const preset = new Filter({
+      ...ViewStateManager.getConditions(this.state.filter),
+      id: index === -1
+        ? `filter-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`
+        : savedFilters[index].id,
+      name: presetName
+    });
+    if (index === -1) {
+      savedFilters.push(preset);
+    } else {
+      savedFilters[index] = preset;
+    }
+    
+    this.updateFilterPresets(savedFilters, preset.id);
+    return preset;
+  }
+
+  /**
+   * プリセットの名前を変更します
+   * @param {string} presetId - プリセットID
+   * @param {string} name - 新しいプリセット名
+   */
+  renameFilterPreset(presetId, name) {
+    const presetName = (name || '').trim();
+    if (!presetName) {
+      throw new Error('プリセット名を入力してください');
+    }
+    
+    const savedFilters = this.getFilterPresets()
+      .map(preset => preset.id === presetId ? new Filter({ ...preset, name: presetName }) : preset);
+    this.updateFilterPresets(savedFilters, this.state.activeFilterId);
+  }
+
+  /**
+   * プリセットの表示順を変更します
+   * @param {string} presetId - プリセットID
+   * @param {number} offset - 移動量（-1 で1つ前、1 で1つ後ろ）
+   */
+  moveFilterPreset(presetId, offset) {
+    const savedFilters = this.getFilterPresets();
+    const index = savedFilters.findIndex(preset => preset.id === presetId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= savedFilters.length) {
+      return;
+    }
+    
+    const [preset] = savedFilters.splice(index, 1);
+    savedFilters.splice(target, 0, preset);
+    this.updateFilterPresets(savedFilters, this.state.activeFilterId);
+  }
+
+  /**
+   * プリセットを削除します（適用中のフィルター条件はそのまま残ります）
+   * @param {string} presetId - プリセットID
+   */
+  removeFilterPreset(presetId) {
+    const savedFilters = this.getFilterPresets().filter(preset => preset.id !== presetId);
+    this.updateFilterPresets(savedFilters, this.state.activeFilterId === presetId ? '' : this.state.activeFilterId);
+  }
+
+  /**
+   * プリセットに切り替えます
+   * @param {string} presetId - プリセットID（空文字でフィルター条件を既定値に戻す）
+   */
+  applyFilterPreset(presetId) {
+    const preset = this.state.filter.savedFilters.find(saved => saved.id === presetId);
+    if (!preset) {
+      this.resetFilter();
+      return;
+    }
+    
+    this.updateState({
+      filter: new Filter({ ...preset, savedFilters: this.state.filter.savedFilters }),
+      activeFilterId: preset.id
+    });
+    this.eventEmitter.emit(UI_EVENTS.FILTER_APPLIED, this.state.filter);
+  }
+
+  /**
+   * 保存済みフィルターを更新します
+   * @param {Array<Filter>} savedFilters - プリセットの配列
+   * @param {string} activeFilterId - 適用中のプリセットのID
+   * @private
+   */
+  updateFilterPresets(savedFilters, activeFilterId) {
+    this.updateState({
+      filter: new Filter({ ...this.state.filter, savedFilters }),
+      activeFilterId
+    });
+    this.eventEmitter.emit(SETTINGS_EVENTS.FILTER_SETTINGS_CHANGED, this.getFilterPresets());
+  }
+
+  /**
+   * 表示するグループ（タグ）を設定します（ポップアップを閉じても保持されます）
+   * @param {string} group - タグ（空文字ですべて）
+   */
+  setActiveGroup(group) {
+    this.updateState({ activeGroup: group || '' });
   }
 
   /**
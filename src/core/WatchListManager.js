@@ -0,0 +1,238 @@
+/**
+ * ウォッチリスト管理クラス
+ * プラットフォームごとに配信を確認するチャンネル（登録チャンネルの同期結果や手動追加分）を管理し、永続化を担当します
+ */
+import Singleton from '../utils/Singleton';
+import EventEmitter from '../utils/EventEmitter';
+import { WatchedChannel } from './models';
+
+const STORAGE_KEY = 'watchLists';
+
+class WatchListManager extends Singleton {
+  constructor() {
+    super();
+    this.eventEmitter = new EventEmitter();
+    this.watchLists = {}; // { [platformType]: { channels: Array<WatchedChannel>, syncedAt: number|null, sourceUserId?: string } }
+    this.syncInterval = 6 * 60 * 60 * 1000; // 同期結果を使う最大経過時間（ms）
+  }
+
+  /**
+   * ウォッチリストを初期化します
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.loadWatchLists();
+      this.eventEmitter.emit('watchList:initialized');
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'WATCH_LIST_INIT_ERROR',
+        message: 'ウォッチリストの初期化に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * ウォッチリストをストレージから読み込みます
+   * 他の画面（オプションページなど）での変更を反映するため、取得処理の前にも呼び出します
+   * @return {Promise<void>}
+   */
+  async loadWatchLists() {
+    const data = await new Promise((resolve) => {
+      chrome.storage.local.get(STORAGE_KEY, (result) => {
+        resolve(result[STORAGE_KEY] || {});
+      });
+    });
+    
+    this.watchLists = {};
+    Object.entries(data).forEach(([platformType, list]) => {
+      this.watchLists[platformType] = {
+        ...list,
+        channels: (list.channels || []).map(channel => new WatchedChannel({ ...channel, platformType })),
+        syncedAt: list.syncedAt || null
+      };
+    });
+  }
+
+  /**
+   * ウォッチリストをストレージに保存します
+   * @param {string} platformType - 変更されたプラットフォーム種別
+   * @return {Promise<void>}
+   * @private
+   */
+  async saveWatchLists(platformType) {
+    try {
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [STORAGE_KEY]: this.watchLists }, resolve);
+      });
+      this.eventEmitter.emit('watchList:updated', {
+        platformType,
+        channels: this.getChannels(platformType, { includeExcluded: true })
+      });
+    } catch (error) {
+      this.eventEmitter.emit('error', {
+        code: 'WATCH_LIST_SAVE_ERROR',
+        message: 'ウォッチリストの保存に失敗しました',
+        details: error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * プラットフォームのウォッチリストを取得します（なければ作成）
+   * @param {string} platformType - プラットフォーム種別
+   * @return {{channels: Array<WatchedChannel>, syncedAt: number|null}}
+   * @private
+   */
+  getList(platformType) {
+    if (!this.watchLists[platformType]) {
+      this.watchLists[platformType] = { channels: [], syncedAt: null };
+    }
+    return this.watchLists[platformType];
+  }
+
+  /**
+   * ウォッチリストのチャンネルを取得します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {Object} [options] - オプション
+   * @param {boolean} [options.includeExcluded=false] - 対象外にしたチャンネルも含めるか
+   * @return {Array<WatchedChannel>} - チャンネルの配列
+   */
+  getChannels(platformType, options = {}) {
+    const channels = this.watchLists[platformType] ? this.watchLists[platformType].channels : [];
+    return options.includeExcluded ? [...channels] : channels.filter(channel => !channel.excluded);
+  }
+
+  /**
+   * 配信を確認するチャンネルのIDを取得します
+   * @param {string} platformType - プラットフォーム種別
+   * @return {Array<string>} - チャンネルIDの配列
+   */
+  getActiveChannelIds(platformType) {
+    return this.getChannels(platformType).map(channel => channel.id);
+  }
+
+  /**
+   * 最後に同期した同期元のユーザーIDを取得します
+   * @param {string} platformType - プラットフォーム種別
+   * @return {string|null} - ユーザーID
+   */
+  getSourceUserId(platformType) {
+    const list = this.watchLists[platformType];
+    return (list && list.sourceUserId) || null;
+  }
+
+  /**
+   * 最後の同期から一定時間が経過しているかどうかを判定します
+   * @param {string} platformType - プラットフォーム種別
+   * @return {boolean} - 同期が必要な場合true
+   */
+  needsSync(platformType) {
+    const list = this.watchLists[platformType];
+    return !list || !list.syncedAt || Date.now() - list.syncedAt >= this.syncInterval;
+  }
+
+  /**
+   * 外部から取得したチャンネル一覧でウォッチリストを同期します
+   * 同じ追加元のチャンネルは一覧の内容に置き換え、対象外の設定は引き継ぎます。他の追加元のチャンネルは残します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {Array<Object>} channels - チャンネル情報 { id, name, thumbnailUrl }
+   * @param {string} [source='subscription'] - 追加元
+   * @param {Object} [details] - 同期元の情報（次回の定期同期で使う sourceUserId など）
+   * @return {Promise<Array<WatchedChannel>>} - 同期後のチャンネルの配列
+   */
+  async syncChannels(platformType, channels, source = 'subscription', details = {}) {
+    const list = this.getList(platformType);
+    const existing = new Map(list.channels.map(channel => [channel.id, channel]));
+    const syncedIds = new Set(channels.map(channel => channel.id));
+    
+    const synced = channels.map(channel => {
+      const previous = existing.get(channel.id);
+      return new WatchedChannel({
+        ...channel,
+        platformType,
+        source: previous && previous.source !== source ? previous.source : source,
+        excluded: previous ? previous.excluded : false,
+        addedAt: previous ? previous.addedAt : undefined
+      });
+    });
+    const others = list.channels.filter(channel => channel.source !== source && !syncedIds.has(channel.id));
+    
+    Object.assign(list, details);
+    list.channels = [...synced, ...others];
+    list.syncedAt = Date.now();
+    await this.saveWatchLists(platformType);
+    return list.channels;
+  }
+
+  /**
+   * チャンネルを手動で追加します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {Object} channel - チャンネル情報 { id, name, thumbnailUrl }
+   * @return {Promise<WatchedChannel>} - 追加したチャンネル（既にあればそのチャンネル）
+   */
+  async addChannel(platformType, channel) {
+    const list = this.getList(platformType);
+    const existing = list.channels.find(item => item.id === channel.id);
+    if (existing) {
+      return existing;
+    }
+    
+    const watchedChannel = new WatchedChannel({ source: 'manual', ...channel, platformType });
+    list.channels.push(watchedChannel);
+    await this.saveWatchLists(platformType);
+    return watchedChannel;
+  }
+
+  /**
+   * チャンネルをウォッチリストから削除します
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - チャンネルID
+   * @return {Promise<void>}
+   */
+  async removeChannel(platformType, channelId) {
+    const list = this.getList(platformType);
+    list.channels = list.channels.filter(channel => channel.id !== channelId);
+    await this.saveWatchLists(platformType);
+  }
+
+  /**
+   * チャンネルを配信確認の対象外にする（または戻す）
+   * @param {string} platformType - プラットフォーム種別
+   * @param {string} channelId - チャンネルID
+   * @param {boolean} excluded - 対象外にする場合true
+   * @return {Promise<void>}
+   */
+  async setExcluded(platformType, channelId, excluded) {
+    const channel = this.getList(platformType).channels.find(item => item.id === channelId);
+    if (!channel || channel.excluded === excluded) {
+      return;
+    }
+    
+    channel.excluded = excluded;
+    await this.saveWatchLists(platformType);
+  }
+
+  /**
+   * イベントリスナーを登録します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  on(event, callback) {
+    this.eventEmitter.on(event, callback);
+  }
+
+  /**
+   * イベントリスナーを解除します
+   * @param {string} event - イベント名
+   * @param {Function} callback - コールバック関数
+   */
+  off(event, callback) {
+    this.eventEmitter.off(event, callback);
+  }
+}
+
+export default WatchListManager;
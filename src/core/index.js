@@ -8,6 +8,15 @@ import ErrorManager from './ErrorManager';
 import ViewStateManager from './ViewStateManager';
 import SettingsManager from './SettingsManager';
 import NotificationManager from './NotificationManager';
+import StreamHistoryManager from './StreamHistoryManager';
+import NotificationRuleEngine from './NotificationRuleEngine';
+import WatchListManager from './WatchListManager';
+import StreamerManager from './StreamerManager';
+import SimulcastDetector from './SimulcastDetector';
+import FavoriteIndex from './FavoriteIndex';
+import FilterEngine from './FilterEngine';
+import ReminderManager from './ReminderManager';
+import RuntimeStateManager from './RuntimeStateManager';
 import * as Models from './models';
 
 export {
@@ -17,5 +26,14 @@ export {
   ViewStateManager,
   SettingsManager,
   NotificationManager,
+  StreamHistoryManager,
+  NotificationRuleEngine,
+  WatchListManager,
+  StreamerManager,
+  SimulcastDetector,
+  FavoriteIndex,
+  FilterEngine,
+  ReminderManager,
+  RuntimeStateManager,
   Models
 };
@@ -1,6 +1,8 @@
 /**
  * アプリケーションで使用する各種データモデルの定義
  */
+// 登録簿ではなくエントリポイントから読み込み、既定値を作る前に各プラットフォームが登録されているようにする
+import { createPlatformFlags } from '../platforms';
 
 /**
  * ストリーム情報のモデル
@@ -10,13 +12,18 @@ export class Stream {
     this.id = data.id || '';                  // ストリームID
     this.title = data.title || '';            // タイトル
     this.streamerName = data.streamerName || ''; // 配信者名
+    this.channelId = data.channelId || '';    // 配信者（チャンネル）ID
     this.thumbnailUrl = data.thumbnailUrl || ''; // サムネイルURL
-    this.platformType = data.platformType || ''; // プラットフォーム種別 ('twitch', 'youtube', 'twitcasting')
+    this.platformType = data.platformType || ''; // プラットフォーム種別（登録済みのプロバイダーのid）
+    this.platformLabel = data.platformLabel || ''; // プラットフォームの表示名（カスタムソース名など。空文字でプロバイダーの表示名）
     this.startedAt = data.startedAt || null;  // 配信開始日時
     this.viewerCount = data.viewerCount || 0; // 視聴者数
     this.gameOrCategory = data.gameOrCategory || ''; // ゲーム名またはカテゴリ
     this.url = data.url || '';                // 配信URL
     this.isFavorite = data.isFavorite || false; // お気に入り状態
+    this.streamerId = data.streamerId || '';  // 紐付けられた配信者（Streamer）のID（紐付けがない場合空文字）
+    this.tags = data.tags || [];              // 配信者（Streamer）・お気に入りに付けたタグ
+    this.language = data.language || '';      // 配信の言語（BCP 47 の言語タグ。不明な場合空文字）
     this.notified = data.notified || false;   // 通知済みフラグ
   }
 }
@@ -30,14 +37,129 @@ export class Schedule {
     this.title = data.title || '';            // タイトル
     this.streamerName = data.streamerName || ''; // 配信者名
     this.platformType = data.platformType || ''; // プラットフォーム種別
+    this.platformLabel = data.platformLabel || ''; // プラットフォームの表示名（カスタムソース名など。空文字でプロバイダーの表示名）
+    this.channelId = data.channelId || '';    // 配信者（チャンネル）ID
     this.scheduledStartTime = data.scheduledStartTime || null; // 予定開始時間
+    this.scheduledEndTime = data.scheduledEndTime || null; // 予定終了時間
+    this.isRecurring = data.isRecurring || false; // 繰り返し予定かどうか
     this.thumbnailUrl = data.thumbnailUrl || ''; // サムネイルURL
     this.gameOrCategory = data.gameOrCategory || ''; // ゲーム名またはカテゴリ
     this.url = data.url || '';                // URL
+    this.isFavorite = data.isFavorite || false; // お気に入り状態（表示時に設定）
+    this.tags = data.tags || [];              // 配信者（Streamer）・お気に入りに付けたタグ（表示時に設定）
     this.notified = data.notified || false;   // リマインダー通知済みフラグ
   }
 }
 
+/**
+ * 配信者（人物）のモデル
+ * 複数のプラットフォームのアカウントを1人の配信者としてまとめ、お気に入り状態を共有します
+ */
+export class Streamer {
+  constructor(data = {}) {
+    this.id = data.id || '';                  // 配信者ID
+    this.name = data.name || '';              // 表示名
+    this.avatarUrl = data.avatarUrl || '';    // アイコンURL
+    this.accounts = (data.accounts || []).map(account => ({ // 紐付けたアカウント
+      platformType: account.platformType || '', // プラットフォーム種別
+      channelId: account.channelId || ''      // 配信者（チャンネル）ID
+    }));
+    this.isFavorite = data.isFavorite || false; // お気に入り状態（すべてのアカウントで共有）
+    this.tags = data.tags || [];              // タグ（グループ）。ポップアップのタブ・フィルター・通知ルールで使う
+    this.reminderOffsets = data.reminderOffsets || []; // 配信予定のリマインダーの時間（開始の何分前。空配列で全体の設定）
+    this.createdAt = data.createdAt || Date.now(); // 作成日時
+  }
+}
+
+/**
+ * お気に入り配信者のモデル
+ * プラットフォームのアカウント（チャンネル）1件と、表示名・メモ・タグなどの付加情報を表します
+ */
+export class Favorite {
+  constructor(data = {}) {
+    // 以前の形式（配信者IDの文字列）はプラットフォームを指定しないお気に入りとして扱う
+    const source = typeof data === 'string' ? { channelId: data } : data;
+    this.platformType = source.platformType || ''; // プラットフォーム種別（空文字で全プラットフォーム）
+    this.channelId = source.channelId || '';  // 配信者（チャンネル）ID
+    this.displayName = source.displayName || ''; // 表示名
+    this.avatarUrl = source.avatarUrl || '';  // アイコンURL
+    this.addedAt = source.addedAt || Date.now(); // 追加日時
+    this.notes = source.notes || '';          // メモ
+    this.tags = source.tags || [];            // タグ
+  }
+}
+
+/**
+ * 監視対象チャンネルのモデル
+ * プラットフォームごとのウォッチリスト（登録チャンネルや手動追加したチャンネル）の1件を表します
+ */
+export class WatchedChannel {
+  constructor(data = {}) {
+    this.id = data.id || '';                  // チャンネルID
+    this.platformType = data.platformType || ''; // プラットフォーム種別
+    this.name = data.name || '';              // チャンネル名
+    this.thumbnailUrl = data.thumbnailUrl || ''; // アイコンURL
+    this.excluded = data.excluded || false;   // 配信確認の対象外フラグ
+    this.source = data.source || 'manual';    // 追加元 ('subscription', 'manual' など)
+    this.addedAt = data.addedAt || Date.now(); // 追加日時
+  }
+}
+
+/**
+ * カスタムソースのモデル
+ * 任意のRSS/Atomフィード・JSONエンドポイントから配信・配信予定を読み取るための定義を表します
+ */
+export class CustomFeed {
+  constructor(data = {}) {
+    this.id = data.id || '';                  // ソースID
+    this.name = data.name || '';              // ソース名（配信・配信予定のプラットフォーム表示名になる）
+    this.url = data.url || '';                // 取得するURL
+    this.format = data.format || 'json';      // 形式 ('json' or 'feed')
+    this.enabled = data.enabled !== false;    // 有効フラグ
+    this.itemsPath = data.itemsPath || '';    // 項目の配列を指すセレクター（JSONのみ、空文字でルート）
+    this.fields = {                           // 項目ごとの値を指すセレクター（JSONはJSONPath風、フィードは項目名または要素名）
+      id: '',
+      title: '',
+      url: '',
+      startTime: '',
+      endTime: '',
+      live: '',
+      streamerName: '',
+      thumbnailUrl: '',
+      category: '',
+      ...data.fields
+    };
+    this.liveValue = data.liveValue || '';    // 配信中を表す値（空文字で真と評価できる値）
+  }
+}
+
+/**
+ * 配信セッション履歴のモデル
+ * 1回の配信（開始から終了まで）の記録を表します
+ */
+export class StreamSession {
+  constructor(data = {}) {
+    this.id = data.id || '';                  // セッションID（プラットフォーム種別_ストリームID）
+    this.streamId = data.streamId || '';      // ストリームID
+    this.streamerKey = data.streamerKey || ''; // 配信者キー（プラットフォーム種別:配信者ID）
+    this.platformType = data.platformType || ''; // プラットフォーム種別
+    this.channelId = data.channelId || '';    // 配信者（チャンネル）ID
+    this.streamerName = data.streamerName || ''; // 配信者名
+    this.url = data.url || '';                // 配信URL
+    this.thumbnailUrl = data.thumbnailUrl || ''; // サムネイルURL
+    this.status = data.status || 'live';      // セッション状態 ('live' or 'ended')
+    this.startedAt = data.startedAt || null;  // 配信開始日時
+    this.endedAt = data.endedAt || null;      // 配信終了日時（配信中はnull）
+    this.lastSeenAt = data.lastSeenAt || null; // 最後に配信中を確認した日時
+    this.peakViewerCount = data.peakViewerCount || 0; // 最大視聴者数
+    this.averageViewerCount = data.averageViewerCount || 0; // 平均視聴者数
+    this.viewerSampleCount = data.viewerSampleCount || 0; // 視聴者数のサンプル数
+    this.viewerCountTotal = data.viewerCountTotal || 0; // 視聴者数の合計（平均算出用）
+    this.titleHistory = data.titleHistory || []; // タイトル変更履歴 [{ title, changedAt }]
+    this.categoryHistory = data.categoryHistory || []; // カテゴリ変更履歴 [{ category, changedAt }]
+  }
+}
+
 /**
  * 認証情報のモデル
  */
@@ -77,17 +199,55 @@ export class Settings {
     this.notifyOnlyFavorites = data.notifyOnlyFavorites || false; // お気に入りのみ通知
     this.notificationSound = data.notificationSound || true; // 通知音
     this.reminders = data.reminders || false; // リマインダー通知有効フラグ
-    this.reminderTime = data.reminderTime || 10; // リマインダー時間（分前）
+    this.reminderTime = data.reminderTime || 10; // リマインダー時間（分前。reminderOffsets のない以前の設定で使用）
+    this.reminderOffsets = data.reminderOffsets || [this.reminderTime]; // リマインダーの時間（開始の何分前、複数指定可）
+    this.reminderOverrides = data.reminderOverrides || {}; // 配信予定ごとのリマインダーの上書き { 'プラットフォーム種別:ID': { enabled, offsets, scheduledStartTime } }（reminders より優先）
+    this.eventSubscriptions = data.eventSubscriptions || []; // 配信者ごとのイベント通知購読設定
+    this.notificationRules = data.notificationRules || []; // 配信者・プラットフォームごとの通知ルール
+    this.quietHours = data.quietHours || { // おやすみモード（通知抑制時間帯）
+      enabled: false,
+      timezone: '',           // IANAタイムゾーン名（空文字でブラウザのタイムゾーン）
+      mode: 'queue',          // 'queue'（新規配信を終了後にまとめて通知） or 'suppress'（破棄）
+      allowFavorites: false,  // お気に入りの通知はおやすみモード中でも表示
+      windows: []             // [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }]
+    };
+    this.simulcastDetection = data.simulcastDetection || { // 同時配信（サイマル配信）の通知のまとめ
+      enabled: true,
+      windowMinutes: 10       // 紐付けのない配信を同時配信とみなす開始時刻の差（分）
+    };
+    this.preferredPlatform = data.preferredPlatform || ''; // 同時配信の通知のクリックで開くプラットフォーム（空文字で先頭の配信）
     
     // プラットフォーム設定
-    this.enabledPlatforms = data.enabledPlatforms || {
-      twitch: true,
-      youtube: true,
-      twitcasting: true
+    // 登録済みのプラットフォームの既定値に、保存されている設定を重ねる（後から追加されたプラットフォームは既定値になる）
+    this.enabledPlatforms = {
+      ...createPlatformFlags(provider => provider.enabledByDefault),
+      ...data.enabledPlatforms
     };
+    this.customFeeds = data.customFeeds || []; // カスタムソース（RSS/Atom・JSONフィード）の定義
     
     // お気に入り
-    this.favorites = data.favorites || []; // お気に入り配信者ID配列
+    this.favorites = (data.favorites || []).map(favorite => new Favorite(favorite)); // お気に入り配信者（Favorite）配列
+  }
+}
+
+/**
+ * 通知ルールのモデル
+ * 対象（プラットフォーム・配信者）に一致するストリームの通知条件を表します
+ */
+export class NotificationRule {
+  constructor(data = {}) {
+    this.id = data.id || '';                  // ルールID
+    this.name = data.name || '';              // ルール名
+    this.enabled = data.enabled !== false;    // 有効フラグ
+    this.platformType = data.platformType || ''; // 対象プラットフォーム（空文字で全プラットフォーム）
+    this.channelId = data.channelId || '';    // 対象の配信者IDまたは配信者名（空文字で全配信者）
+    this.streamerId = data.streamerId || '';  // 対象の配信者（Streamer）のID。紐付けたすべてのアカウントに適用（空文字で指定なし）
+    this.tags = data.tags || [];              // 対象のタグ（いずれかのタグを持つ配信者に適用。空配列で指定なし）
+    this.categories = data.categories || [];  // 通知するカテゴリ（空配列で全カテゴリ）
+    this.titleIncludes = data.titleIncludes || []; // タイトルに含むべきキーワード（いずれか）
+    this.titleExcludes = data.titleExcludes || []; // タイトルに含んではいけないキーワード
+    this.titleRegex = data.titleRegex || '';  // タイトルの正規表現
+    this.activeHours = data.activeHours || { start: '', end: '' }; // 通知する時間帯（HH:MM）
   }
 }
 
@@ -96,16 +256,23 @@ export class Settings {
  */
 export class Filter {
   constructor(data = {}) {
+    this.id = data.id || '';                  // プリセットID（保存時使用）
     this.name = data.name || '';              // フィルター名（保存時使用）
-    this.platforms = data.platforms || {      // プラットフォームフィルター
-      twitch: true,
-      youtube: true,
-      twitcasting: true
+    this.platforms = {                        // プラットフォームフィルター（既定ですべて表示）
+      ...createPlatformFlags(() => true),
+      ...data.platforms
     };
     this.showOnlyFavorites = data.showOnlyFavorites || false; // お気に入りのみ表示
+    this.showLive = data.showLive !== false;  // 配信中の配信を表示
+    this.showScheduled = data.showScheduled !== false; // 配信予定を表示
     this.searchText = data.searchText || '';  // 検索テキスト
     this.categories = data.categories || [];  // カテゴリ/ゲームフィルター
-    this.savedFilters = data.savedFilters || []; // 保存済みフィルター配列
+    this.tags = data.tags || [];              // タグフィルター（いずれかのタグを持つ配信者のみ表示。空配列ですべて）
+    this.viewerRange = { min: null, max: null, ...data.viewerRange }; // 視聴者数の範囲（null で制限なし）
+    this.uptimeRange = { min: null, max: null, ...data.uptimeRange }; // 配信開始からの経過時間の範囲（分、null で制限なし）
+    this.languages = data.languages || [];    // 言語フィルター（'ja' は 'ja-JP' にも一致。空配列ですべて）
+    this.savedFilters = (data.savedFilters || []) // 保存済みフィルター（プリセット）の配列。配列の順序が表示順
+      .map(saved => new Filter({ ...saved, savedFilters: [] }));
   }
 }
 
@@ -1,5 +1,10 @@
 import '../ui/styles/options.css';
-import { TwitchAPIClient } from '../api';
+import { TwitchAPIClient, YouTubeAPIClient, CustomFeedAPIClient } from '../api';
+import { DataManager, NotificationRuleEngine, WatchListManager, StreamerManager, ReminderManager } from '../core';
+import QuietHoursSchedule from '../core/QuietHoursSchedule';
+import { Favorite } from '../core/models';
+import YouTubeQuotaTracker from '../api/YouTubeQuotaTracker';
+import { getPlatform, getPlatformLabel, getPlatforms, getPlatformsWithCapability, createPlatformFlags } from '../platforms';
 
 // 設定マネージャークラス
 class SettingsManager {
@@ -7,17 +12,44 @@ class SettingsManager {
     this.defaultSettings = {
       updateInterval: 5, // 分単位での更新間隔
       startupRefresh: true, // 起動時に更新するかどうか
+      enabledPlatforms: createPlatformFlags(provider => provider.enabledByDefault), // 配信を確認するプラットフォーム
       enableNotifications: true, // 通知を有効にするかどうか
       notifyFavoritesOnly: false, // お気に入りのみ通知するかどうか
       notificationDuration: 10, // 通知表示時間（秒）
-      twitchClientId: '', // Twitch API Client ID
-      youtubeApiKey: '', // YouTube API Key
-      twitcastingClientId: '' // TwitCasting Client ID
+      simulcastDetection: { // 同時配信（サイマル配信）の通知のまとめ
+        enabled: true,
+        windowMinutes: 10
+      },
+      preferredPlatform: '', // 同時配信の通知のクリックで開くプラットフォーム
+      reminders: false, // 配信予定のリマインダーを通知するかどうか
+      reminderOffsets: [10], // リマインダーの時間（開始の何分前、複数指定可）
+      ...this.getPlatformSettingDefaults(), // 各プラットフォームのAPI設定（Client IDなど）
+      eventSubscriptions: [], // 配信者ごとのイベント通知購読設定
+      notificationRules: [], // 配信者・プラットフォームごとの通知ルール
+      customFeeds: [], // カスタムソース（RSS/Atom・JSONフィード）の定義
+      favorites: [], // お気に入り配信者
+      quietHours: { // おやすみモード（通知抑制時間帯）
+        enabled: false,
+        timezone: '',
+        mode: 'queue',
+        allowFavorites: false,
+        windows: []
+      }
     };
     
     this.settings = { ...this.defaultSettings };
   }
 
+  // 各プラットフォームの設定項目の既定値を取得
+  getPlatformSettingDefaults() {
+    return getPlatforms()
+      .flatMap(provider => provider.settingsSchema)
+      .reduce((defaults, field) => {
+        defaults[field.key] = field.default !== undefined ? field.default : '';
+        return defaults;
+      }, {});
+  }
+
   // 設定を保存
   async saveSettings(settings) {
     this.settings = { ...this.settings, ...settings };
@@ -72,11 +104,139 @@ class SettingsManager {
 class OptionsUIController {
   constructor() {
     this.settingsManager = new SettingsManager();
+    this.watchListManager = WatchListManager.getInstance();
+    this.streamerManager = StreamerManager.getInstance();
+    this.renderPlatformControls();
     this.initDomReferences();
     this.bindEvents();
     this.init();
   }
 
+  // 登録済みのプラットフォームから、プラットフォームごとの設定欄・選択肢・ウォッチリストを作成
+  renderPlatformControls() {
+    const enabledPlatformOptions = document.getElementById('enabledPlatformOptions');
+    const platformSettings = document.getElementById('platformSettings');
+    const platformSelects = [
+      document.getElementById('rulePlatform'),
+      document.getElementById('subscriptionPlatform'),
+      document.getElementById('streamerAccountPlatform'),
+      document.getElementById('preferredPlatform')
+    ];
+    this.enabledPlatformCheckboxes = [];
+    this.platformSettingInputs = {};
+    this.watchListElements = {};
+    
+    getPlatforms().forEach(provider => {
+      // 配信を確認するプラットフォーム
+      const toggle = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'enabledPlatform';
+      checkbox.value = provider.id;
+      toggle.appendChild(checkbox);
+      toggle.appendChild(document.createTextNode(` ${provider.displayName}`));
+      enabledPlatformOptions.appendChild(toggle);
+      this.enabledPlatformCheckboxes.push(checkbox);
+      
+      // 通知ルール・イベント通知・配信者のアカウント・同時配信の通知で優先するプラットフォーム
+      platformSelects.forEach(select => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.displayName;
+        select.appendChild(option);
+      });
+      
+      // API設定
+      provider.settingsSchema.forEach(field => {
+        const item = document.createElement('div');
+        item.className = 'setting-item';
+        const label = document.createElement('label');
+        label.htmlFor = field.key;
+        label.textContent = field.label;
+        const input = document.createElement('input');
+        input.type = field.type || 'text';
+        input.id = field.key;
+        input.placeholder = field.placeholder || '';
+        item.appendChild(label);
+        item.appendChild(input);
+        platformSettings.appendChild(item);
+        this.platformSettingInputs[field.key] = input;
+      });
+      
+      if (provider.watchList) {
+        this.renderWatchListControls(provider);
+      }
+    });
+    
+    // お気に入りの検索に対応しているプラットフォーム
+    const favoriteSearchPlatform = document.getElementById('favoriteSearchPlatform');
+    getPlatformsWithCapability('search').forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.displayName;
+      favoriteSearchPlatform.appendChild(option);
+    });
+  }
+  
+  // プラットフォームのウォッチリストの操作欄を作成
+  renderWatchListControls(provider) {
+    const container = document.getElementById('watchListContainer');
+    const { sync, manual } = provider.watchList;
+    const elements = {};
+    
+    const createButton = text => {
+      const button = document.createElement('button');
+      button.className = 'secondary';
+      button.textContent = text;
+      return button;
+    };
+    const createInput = placeholder => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = placeholder || '';
+      return input;
+    };
+    
+    const item = document.createElement('div');
+    item.className = 'setting-item';
+    const label = document.createElement('label');
+    label.textContent = provider.watchList.label || provider.displayName;
+    item.appendChild(label);
+    
+    if (sync) {
+      if (sync.sourceUser) {
+        const sourceLabel = document.createElement('label');
+        sourceLabel.textContent = sync.sourceUser.label;
+        elements.sourceUserInput = createInput(sync.sourceUser.placeholder);
+        item.appendChild(sourceLabel);
+        item.appendChild(elements.sourceUserInput);
+      }
+      elements.syncButton = createButton(sync.buttonLabel);
+      item.appendChild(elements.syncButton);
+    }
+    
+    if (manual) {
+      const manualLabel = document.createElement('label');
+      manualLabel.textContent = manual.label;
+      elements.addInput = createInput(manual.placeholder);
+      elements.addButton = createButton('追加');
+      item.appendChild(manualLabel);
+      item.appendChild(elements.addInput);
+      item.appendChild(elements.addButton);
+    }
+    
+    elements.status = document.createElement('div');
+    elements.status.className = 'watch-list-status';
+    item.appendChild(elements.status);
+    
+    elements.list = document.createElement('div');
+    elements.list.className = 'subscription-list';
+    
+    container.appendChild(item);
+    container.appendChild(elements.list);
+    this.watchListElements[provider.id] = elements;
+  }
+
   // DOM要素の参照を取得
   initDomReferences() {
     this.updateIntervalInput = document.getElementById('updateInterval');
@@ -84,14 +244,81 @@ class OptionsUIController {
     this.enableNotificationsCheckbox = document.getElementById('enableNotifications');
     this.notifyFavoritesOnlyCheckbox = document.getElementById('notifyFavoritesOnly');
     this.notificationDurationInput = document.getElementById('notificationDuration');
+    this.simulcastEnabledCheckbox = document.getElementById('simulcastEnabled');
+    this.simulcastWindowMinutesInput = document.getElementById('simulcastWindowMinutes');
+    this.remindersCheckbox = document.getElementById('reminders');
+    this.reminderOffsetsInput = document.getElementById('reminderOffsets');
+    this.preferredPlatformSelect = document.getElementById('preferredPlatform');
     this.twitchClientIdInput = document.getElementById('twitchClientId');
-    this.youtubeApiKeyInput = document.getElementById('youtubeApiKey');
-    this.twitcastingClientIdInput = document.getElementById('twitcastingClientId');
     this.twitchAuthButton = document.getElementById('twitchAuth');
     this.twitchAuthStatus = document.getElementById('twitchAuthStatus');
     this.saveButton = document.getElementById('saveSettings');
     this.resetButton = document.getElementById('resetSettings');
     this.statusMessage = document.getElementById('statusMessage');
+    this.quietHoursEnabledCheckbox = document.getElementById('quietHoursEnabled');
+    this.quietHoursTimezoneInput = document.getElementById('quietHoursTimezone');
+    this.quietHoursModeSelect = document.getElementById('quietHoursMode');
+    this.quietHoursAllowFavoritesCheckbox = document.getElementById('quietHoursAllowFavorites');
+    this.quietHoursWindowList = document.getElementById('quietHoursWindowList');
+    this.quietHoursDayCheckboxes = document.querySelectorAll('input[name="quietHoursDay"]');
+    this.quietHoursStartInput = document.getElementById('quietHoursStart');
+    this.quietHoursEndInput = document.getElementById('quietHoursEnd');
+    this.addQuietHoursWindowButton = document.getElementById('addQuietHoursWindow');
+    this.ruleList = document.getElementById('ruleList');
+    this.ruleNameInput = document.getElementById('ruleName');
+    this.ruleStreamerPersonSelect = document.getElementById('ruleStreamerPerson');
+    this.rulePlatformSelect = document.getElementById('rulePlatform');
+    this.ruleTagsInput = document.getElementById('ruleTags');
+    this.ruleStreamerInput = document.getElementById('ruleStreamer');
+    this.ruleCategoriesInput = document.getElementById('ruleCategories');
+    this.ruleTitleIncludesInput = document.getElementById('ruleTitleIncludes');
+    this.ruleTitleExcludesInput = document.getElementById('ruleTitleExcludes');
+    this.ruleTitleRegexInput = document.getElementById('ruleTitleRegex');
+    this.ruleActiveStartInput = document.getElementById('ruleActiveStart');
+    this.ruleActiveEndInput = document.getElementById('ruleActiveEnd');
+    this.testRuleButton = document.getElementById('testRule');
+    this.addRuleButton = document.getElementById('addRule');
+    this.rulePreview = document.getElementById('rulePreview');
+    this.subscriptionList = document.getElementById('subscriptionList');
+    this.subscriptionPlatformSelect = document.getElementById('subscriptionPlatform');
+    this.subscriptionStreamerInput = document.getElementById('subscriptionStreamer');
+    this.subscriptionEventCheckboxes = {
+      offline: document.getElementById('subscriptionOffline'),
+      titleChanged: document.getElementById('subscriptionTitleChanged'),
+      categoryChanged: document.getElementById('subscriptionCategoryChanged'),
+      viewerMilestone: document.getElementById('subscriptionViewerMilestone')
+    };
+    this.subscriptionCategoriesInput = document.getElementById('subscriptionCategories');
+    this.subscriptionMilestonesInput = document.getElementById('subscriptionMilestones');
+    this.addSubscriptionButton = document.getElementById('addSubscription');
+    this.historyStreamerSelect = document.getElementById('historyStreamer');
+    this.historyTimeline = document.getElementById('historyTimeline');
+    this.youtubeQuotaStatus = document.getElementById('youtubeQuota');
+    this.youtubeClientIdInput = document.getElementById('youtubeClientId');
+    this.youtubeAuthButton = document.getElementById('youtubeAuth');
+    this.youtubeAuthStatus = document.getElementById('youtubeAuthStatus');
+    this.favoriteList = document.getElementById('favoriteList');
+    this.favoriteSearchPlatformSelect = document.getElementById('favoriteSearchPlatform');
+    this.favoriteSearchQueryInput = document.getElementById('favoriteSearchQuery');
+    this.favoriteSearchButton = document.getElementById('favoriteSearch');
+    this.favoriteSearchResults = document.getElementById('favoriteSearchResults');
+    this.streamerList = document.getElementById('streamerList');
+    this.streamerNameInput = document.getElementById('streamerName');
+    this.streamerAccountPlatformSelect = document.getElementById('streamerAccountPlatform');
+    this.streamerAccountChannelInput = document.getElementById('streamerAccountChannel');
+    this.streamerTagsInput = document.getElementById('streamerTags');
+    this.streamerFavoriteCheckbox = document.getElementById('streamerFavorite');
+    this.addStreamerButton = document.getElementById('addStreamer');
+    this.customFeedList = document.getElementById('customFeedList');
+    this.customFeedNameInput = document.getElementById('customFeedName');
+    this.customFeedUrlInput = document.getElementById('customFeedUrl');
+    this.customFeedFormatSelect = document.getElementById('customFeedFormat');
+    this.customFeedItemsPathInput = document.getElementById('customFeedItemsPath');
+    this.customFeedFieldInputs = document.querySelectorAll('.custom-feed-fields input[data-field]');
+    this.customFeedLiveValueInput = document.getElementById('customFeedLiveValue');
+    this.testCustomFeedButton = document.getElementById('testCustomFeed');
+    this.addCustomFeedButton = document.getElementById('addCustomFeed');
+    this.customFeedPreview = document.getElementById('customFeedPreview');
   }
 
   // イベントハンドラを登録
@@ -99,6 +326,30 @@ class OptionsUIController {
     this.saveButton.addEventListener('click', () => this.saveSettings());
     this.resetButton.addEventListener('click', () => this.resetSettings());
     this.twitchAuthButton.addEventListener('click', () => this.authenticateWithTwitch());
+    this.youtubeAuthButton.addEventListener('click', () => this.authenticateWithYouTube());
+    Object.entries(this.watchListElements).forEach(([platformType, elements]) => {
+      if (elements.syncButton) {
+        elements.syncButton.addEventListener('click', () => this.syncWatchList(platformType));
+      }
+      if (elements.addButton) {
+        elements.addButton.addEventListener('click', () => this.addWatchedChannel(platformType));
+      }
+    });
+    this.addQuietHoursWindowButton.addEventListener('click', () => this.addQuietHoursWindow());
+    this.testRuleButton.addEventListener('click', () => this.previewRule());
+    this.addRuleButton.addEventListener('click', () => this.addRule());
+    this.addSubscriptionButton.addEventListener('click', () => this.addSubscription());
+    this.addStreamerButton.addEventListener('click', () => this.addStreamer());
+    this.favoriteSearchButton.addEventListener('click', () => this.searchFavoriteChannels());
+    this.favoriteSearchQueryInput.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        this.searchFavoriteChannels();
+      }
+    });
+    this.customFeedFormatSelect.addEventListener('change', () => this.updateCustomFeedPlaceholders());
+    this.testCustomFeedButton.addEventListener('click', () => this.previewCustomFeed());
+    this.addCustomFeedButton.addEventListener('click', () => this.addCustomFeed());
+    this.historyStreamerSelect.addEventListener('change', () => this.loadHistoryTimeline());
   }
 
   // 初期化
@@ -109,12 +360,71 @@ class OptionsUIController {
       
       // Twitch認証状態の確認
       await this.checkTwitchAuthStatus();
+      
+      // YouTube認証状態の確認
+      await this.checkYouTubeAuthStatus();
+      
+      // YouTube APIクォータの使用状況を表示
+      await this.renderYouTubeQuota();
+      
+      // ウォッチリストを表示
+      await this.watchListManager.loadWatchLists();
+      Object.keys(this.watchListElements).forEach(platformType => this.renderWatchList(platformType));
+      
+      // 配信者（複数プラットフォームのアカウントのまとめ）を表示
+      await this.streamerManager.loadStreamers();
+      this.renderStreamers();
+      
+      // 配信履歴のある配信者一覧を読み込み
+      await this.loadHistoryStreamers();
     } catch (error) {
       this.showStatusMessage('設定の読み込みに失敗しました', true);
       console.error('Failed to load settings:', error);
     }
   }
   
+  // YouTube APIクォータの使用状況を表示
+  async renderYouTubeQuota() {
+    try {
+      const tracker = new YouTubeQuotaTracker();
+      await tracker.load();
+      const summary = tracker.getSummary();
+      const strategyLabels = { search: '検索', feeds: 'チャンネルフィード' };
+      const streamsPlan = summary.plans.streams;
+      
+      this.youtubeQuotaStatus.innerHTML = '';
+      this.youtubeQuotaStatus.classList.toggle('warning', summary.projected > summary.limit * 0.9);
+      
+      const usage = document.createElement('div');
+      usage.textContent = `本日のクォータ使用量: ${summary.used.toLocaleString()} / ${summary.limit.toLocaleString()}` +
+        `（リセットまでの予測: ${summary.projected.toLocaleString()}）`;
+      
+      const bar = document.createElement('div');
+      bar.className = 'quota-bar';
+      const fill = document.createElement('div');
+      fill.className = 'quota-bar-fill';
+      fill.style.width = `${Math.min(100, summary.used / summary.limit * 100)}%`;
+      bar.appendChild(fill);
+      
+      const detail = document.createElement('div');
+      const resetTime = new Date(summary.resetAt).toLocaleString('ja-JP', {
+        month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+      let strategyText = '取得方法: 未取得';
+      if (streamsPlan && streamsPlan.strategy) {
+        strategyText = `取得方法: ${strategyLabels[streamsPlan.strategy] || streamsPlan.strategy}` +
+          `（${Math.round(streamsPlan.intervalMs / 60000)}分間隔）`;
+      } else if (streamsPlan) {
+        strategyText = '取得方法: クォータ不足のため停止中';
+      }
+      detail.textContent = `${strategyText} / リセット: ${resetTime}`;
+      
+      this.youtubeQuotaStatus.append(usage, bar, detail);
+    } catch (error) {
+      console.error('Failed to load YouTube quota:', error);
+    }
+  }
+  
   // Twitch認証状態の確認
   async checkTwitchAuthStatus() {
     try {
@@ -185,16 +495,1150 @@ class OptionsUIController {
     }
   }
 
+  // YouTube認証状態の確認
+  async checkYouTubeAuthStatus() {
+    try {
+      const result = await chrome.storage.local.get('youtube_auth');
+      const auth = result.youtube_auth;
+      if (auth && auth.isAuthorized && (!auth.expiresAt || auth.expiresAt > Date.now())) {
+        this.youtubeAuthStatus.textContent = `認証済み: ${auth.userName || 'Unknown'}`;
+        this.youtubeAuthStatus.classList.add('authenticated');
+      } else {
+        this.youtubeAuthStatus.textContent = auth && auth.isAuthorized ? '認証の有効期限切れ' : '未認証';
+        this.youtubeAuthStatus.classList.remove('authenticated');
+      }
+    } catch (error) {
+      console.error('YouTube認証状態の確認に失敗しました', error);
+      this.youtubeAuthStatus.textContent = '認証状態の確認に失敗';
+      this.youtubeAuthStatus.classList.remove('authenticated');
+    }
+  }
+  
+  // YouTubeでの認証を実行し、登録チャンネルを同期
+  async authenticateWithYouTube() {
+    try {
+      const clientId = this.youtubeClientIdInput.value.trim();
+      if (!clientId) {
+        this.showStatusMessage('YouTube OAuth Client IDを入力してください', true);
+        return;
+      }
+      
+      this.youtubeAuthButton.disabled = true;
+      this.youtubeAuthStatus.textContent = '認証中...';
+      
+      await this.settingsManager.saveSettings({
+        youtubeClientId: clientId
+      });
+      
+      const youtubeClient = new YouTubeAPIClient();
+      await youtubeClient.initialize({ clientId });
+      const authResult = await youtubeClient.authenticate();
+      
+      this.youtubeAuthStatus.textContent = `認証済み: ${authResult.userName}`;
+      this.youtubeAuthStatus.classList.add('authenticated');
+      this.showStatusMessage('YouTubeの認証に成功しました');
+      
+      // バックグラウンドに認証情報の再読み込みを依頼してから登録チャンネルを同期
+      await chrome.runtime.sendMessage({ type: 'auth_updated', platformType: 'youtube' });
+      await this.syncWatchList('youtube');
+    } catch (error) {
+      console.error('YouTube認証エラー:', error);
+      this.youtubeAuthStatus.textContent = '認証エラー';
+      this.youtubeAuthStatus.classList.remove('authenticated');
+      this.showStatusMessage(`YouTubeの認証に失敗しました: ${error.message}`, true);
+    } finally {
+      this.youtubeAuthButton.disabled = false;
+    }
+  }
+  
+  // ウォッチリストを表示
+  renderWatchList(platformType) {
+    const { list, status } = this.watchListElements[platformType];
+    const channels = this.watchListManager.getChannels(platformType, { includeExcluded: true });
+    const syncedAt = this.watchListManager.watchLists[platformType]?.syncedAt;
+    const activeCount = channels.filter(channel => !channel.excluded).length;
+    
+    status.textContent = channels.length > 0
+      ? `${channels.length}件中${activeCount}件を確認中` +
+        (syncedAt ? `（最終同期: ${new Date(syncedAt).toLocaleString('ja-JP')}）` : '')
+      : 'チャンネルがありません';
+    
+    list.innerHTML = '';
+    channels.forEach(channel => {
+      const item = document.createElement('div');
+      item.className = `subscription-item watch-list-item${channel.excluded ? ' disabled' : ''}`;
+      
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !channel.excluded;
+      checkbox.addEventListener('change', () => this.toggleWatchedChannel(platformType, channel.id, !checkbox.checked));
+      label.appendChild(checkbox);
+      
+      if (channel.thumbnailUrl) {
+        const icon = document.createElement('img');
+        icon.src = channel.thumbnailUrl;
+        icon.alt = '';
+        label.appendChild(icon);
+      }
+      label.appendChild(document.createTextNode(channel.name || channel.id));
+      
+      item.appendChild(label);
+      
+      // 手動で追加したチャンネルは削除できる
+      if (channel.source === 'manual') {
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '削除';
+        removeButton.addEventListener('click', () => this.removeWatchedChannel(platformType, channel.id));
+        item.appendChild(removeButton);
+      }
+      
+      list.appendChild(item);
+    });
+    
+    const { sourceUserInput } = this.watchListElements[platformType];
+    if (sourceUserInput && !sourceUserInput.value) {
+      sourceUserInput.value = this.watchListManager.getSourceUserId(platformType) || '';
+    }
+  }
+  
+  // ウォッチリストにチャンネルを手動で追加
+  async addWatchedChannel(platformType) {
+    const { addInput } = this.watchListElements[platformType];
+    let channelId = addInput.value.trim();
+    if (!channelId) {
+      this.showStatusMessage('ユーザーIDを入力してください', true);
+      return;
+    }
+    
+    // URLやIDの表記ゆれはプラットフォームごとの形式にそろえる
+    const { manual } = getPlatform(platformType).watchList;
+    if (manual.normalizeId) {
+      channelId = manual.normalizeId(channelId);
+      if (!channelId) {
+        this.showStatusMessage(manual.invalidMessage, true);
+        return;
+      }
+    }
+    
+    try {
+      await this.watchListManager.loadWatchLists();
+      await this.watchListManager.addChannel(platformType, { id: channelId, name: channelId });
+      addInput.value = '';
+      this.renderWatchList(platformType);
+    } catch (error) {
+      this.showStatusMessage('ウォッチリストの保存に失敗しました', true);
+      console.error('Failed to add watched channel:', error);
+    }
+  }
+  
+  // ウォッチリストからチャンネルを削除
+  async removeWatchedChannel(platformType, channelId) {
+    try {
+      await this.watchListManager.loadWatchLists();
+      await this.watchListManager.removeChannel(platformType, channelId);
+      this.renderWatchList(platformType);
+    } catch (error) {
+      this.showStatusMessage('ウォッチリストの保存に失敗しました', true);
+      console.error('Failed to remove watched channel:', error);
+    }
+  }
+  
+  // ウォッチリストのチャンネルを対象外にする（または戻す）
+  async toggleWatchedChannel(platformType, channelId, excluded) {
+    try {
+      await this.watchListManager.loadWatchLists();
+      await this.watchListManager.setExcluded(platformType, channelId, excluded);
+      this.renderWatchList(platformType);
+    } catch (error) {
+      this.showStatusMessage('ウォッチリストの保存に失敗しました', true);
+      console.error('Failed to update watch list:', error);
+    }
+  }
+  
+  // バックグラウンドにウォッチリストの同期を依頼
+  async syncWatchList(platformType) {
+    const { syncButton, sourceUserInput } = this.watchListElements[platformType];
+    syncButton.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'sync_watch_list',
+        platformType,
+        userId: sourceUserInput ? sourceUserInput.value.trim() || undefined : undefined
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'ウォッチリストの同期に失敗しました');
+      }
+      
+      await this.watchListManager.loadWatchLists();
+      this.renderWatchList(platformType);
+      this.showStatusMessage(`${response.data.length}件のチャンネルを同期しました`);
+    } catch (error) {
+      this.showStatusMessage(error.message, true);
+      console.error('Failed to sync watch list:', error);
+    } finally {
+      syncButton.disabled = false;
+    }
+  }
+  
+  // 現在のおやすみモード設定を取得
+  getQuietHours() {
+    return {
+      ...this.settingsManager.defaultSettings.quietHours,
+      ...this.settingsManager.getSetting('quietHours')
+    };
+  }
+  
+  // おやすみモードの時間帯一覧を表示
+  renderQuietHoursWindows() {
+    const dayLabels = ['日', '月', '火', '水', '木', '金', '土'];
+    const { windows } = this.getQuietHours();
+    
+    this.quietHoursWindowList.innerHTML = '';
+    windows.forEach((window, index) => {
+      const item = document.createElement('div');
+      item.className = 'subscription-item';
+      
+      const description = document.createElement('span');
+      const days = window.days.map(day => dayLabels[day]).join('・');
+      description.textContent = `${days} ${window.start} 〜 ${window.end}`;
+      
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '削除';
+      removeButton.addEventListener('click', () => this.removeQuietHoursWindow(index));
+      
+      item.append(description, removeButton);
+      this.quietHoursWindowList.appendChild(item);
+    });
+  }
+  
+  // おやすみモードの時間帯を追加
+  async addQuietHoursWindow() {
+    const days = Array.from(this.quietHoursDayCheckboxes)
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => parseInt(checkbox.value, 10));
+    const start = this.quietHoursStartInput.value;
+    const end = this.quietHoursEndInput.value;
+    
+    if (days.length === 0 || !start || !end) {
+      this.showStatusMessage('曜日と開始・終了時刻を指定してください', true);
+      return;
+    }
+    
+    const quietHours = this.getQuietHours();
+    await this.saveQuietHours({
+      ...quietHours,
+      windows: [...quietHours.windows, { days, start, end }]
+    });
+  }
+  
+  // おやすみモードの時間帯を削除
+  async removeQuietHoursWindow(index) {
+    const quietHours = this.getQuietHours();
+    await this.saveQuietHours({
+      ...quietHours,
+      windows: quietHours.windows.filter((_, i) => i !== index)
+    });
+  }
+  
+  // おやすみモード設定を保存してバックグラウンドに通知
+  async saveQuietHours(quietHours) {
+    try {
+      await this.settingsManager.saveSettings({ quietHours });
+      this.renderQuietHoursWindows();
+      chrome.runtime.sendMessage({ type: 'settings_updated' });
+    } catch (error) {
+      this.showStatusMessage('おやすみモードの保存に失敗しました', true);
+      console.error('Failed to save quiet hours:', error);
+    }
+  }
+  
+  // 通知ルール一覧を表示
+  renderRules() {
+    const rules = this.settingsManager.getSetting('notificationRules') || [];
+    
+    this.ruleList.innerHTML = '';
+    rules.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = `subscription-item${rule.enabled === false ? ' disabled' : ''}`;
+      
+      const description = document.createElement('span');
+      const target = [
+        rule.platformType || 'すべて',
+        rule.streamerId ? this.getStreamerName(rule.streamerId) : '',
+        (rule.tags || []).map(tag => `#${tag}`).join(' '),
+        rule.channelId
+      ].filter(Boolean).join(' / ');
+      description.textContent = `${rule.name || '名称未設定'} (${target})`;
+      
+      const toggleButton = document.createElement('button');
+      toggleButton.textContent = rule.enabled === false ? '有効化' : '無効化';
+      toggleButton.addEventListener('click', () => this.toggleRule(rule.id));
+      
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '削除';
+      removeButton.addEventListener('click', () => this.removeRule(rule.id));
+      
+      const actions = document.createElement('div');
+      actions.className = 'rule-actions';
+      actions.append(toggleButton, removeButton);
+      
+      item.append(description, actions);
+      this.ruleList.appendChild(item);
+    });
+  }
+  
+  // フォームから通知ルールを作成
+  getRuleFormValues() {
+    return {
+      id: `rule_${Date.now()}`,
+      name: this.ruleNameInput.value.trim(),
+      enabled: true,
+      platformType: this.rulePlatformSelect.value,
+      streamerId: this.ruleStreamerPersonSelect.value,
+      tags: this.parseListInput(this.ruleTagsInput.value),
+      channelId: this.ruleStreamerInput.value.trim(),
+      categories: this.parseListInput(this.ruleCategoriesInput.value),
+      titleIncludes: this.parseListInput(this.ruleTitleIncludesInput.value),
+      titleExcludes: this.parseListInput(this.ruleTitleExcludesInput.value),
+      titleRegex: this.ruleTitleRegexInput.value.trim(),
+      activeHours: {
+        start: this.ruleActiveStartInput.value,
+        end: this.ruleActiveEndInput.value
+      }
+    };
+  }
+  
+  // 通知ルールを追加
+  async addRule() {
+    const rule = this.getRuleFormValues();
+    const errors = NotificationRuleEngine.validateRule(rule);
+    if (errors.length > 0) {
+      this.showStatusMessage(errors[0], true);
+      return;
+    }
+    
+    await this.saveRules([...(this.settingsManager.getSetting('notificationRules') || []), rule]);
+    [
+      this.ruleNameInput,
+      this.ruleTagsInput,
+      this.ruleStreamerInput,
+      this.ruleCategoriesInput,
+      this.ruleTitleIncludesInput,
+      this.ruleTitleExcludesInput,
+      this.ruleTitleRegexInput,
+      this.ruleActiveStartInput,
+      this.ruleActiveEndInput
+    ].forEach(input => {
+      input.value = '';
+    });
+    this.ruleStreamerPersonSelect.value = '';
+    this.rulePreview.innerHTML = '';
+  }
+  
+  // 通知ルールの有効/無効を切り替え
+  async toggleRule(ruleId) {
+    const rules = (this.settingsManager.getSetting('notificationRules') || [])
+      .map(rule => rule.id === ruleId ? { ...rule, enabled: rule.enabled === false } : rule);
+    await this.saveRules(rules);
+  }
+  
+  // 通知ルールを削除
+  async removeRule(ruleId) {
+    const rules = (this.settingsManager.getSetting('notificationRules') || [])
+      .filter(rule => rule.id !== ruleId);
+    await this.saveRules(rules);
+  }
+  
+  // 通知ルールを保存してバックグラウンドに通知
+  async saveRules(notificationRules) {
+    try {
+      await this.settingsManager.saveSettings({ notificationRules });
+      this.renderRules();
+      chrome.runtime.sendMessage({ type: 'settings_updated' });
+    } catch (error) {
+      this.showStatusMessage('通知ルールの保存に失敗しました', true);
+      console.error('Failed to save notification rules:', error);
+    }
+  }
+  
+  // 編集中のルールを現在の配信に適用してプレビュー
+  async previewRule() {
+    const rule = this.getRuleFormValues();
+    const errors = NotificationRuleEngine.validateRule(rule);
+    if (errors.length > 0) {
+      this.showStatusMessage(errors[0], true);
+      return;
+    }
+    
+    try {
+      const dataManager = DataManager.getInstance();
+      await dataManager.loadStreams();
+      
+      // 配信者を対象にしたルールを評価できるよう、最新の紐付けを反映する
+      await this.streamerManager.loadStreamers();
+      const engine = new NotificationRuleEngine([rule]);
+      const targetStreams = this.streamerManager.annotateStreams(dataManager.getFilteredStreams())
+        .filter(stream => engine.getApplicableRules(stream).length > 0);
+      
+      this.rulePreview.innerHTML = '';
+      if (targetStreams.length === 0) {
+        this.rulePreview.textContent = '現在の配信にこのルールの対象はありません';
+        return;
+      }
+      
+      const passCount = targetStreams.filter(stream => engine.shouldNotify(stream)).length;
+      const summary = document.createElement('div');
+      summary.textContent = `対象 ${targetStreams.length}件中 ${passCount}件が通知されます`;
+      this.rulePreview.appendChild(summary);
+      
+      targetStreams.forEach(stream => {
+        const item = document.createElement('div');
+        item.className = `rule-preview-item ${engine.shouldNotify(stream) ? 'pass' : 'fail'}`;
+        item.textContent = `${stream.streamerName} (${getPlatformLabel(stream)}): ${stream.title} [${stream.gameOrCategory || '未設定'}]`;
+        this.rulePreview.appendChild(item);
+      });
+    } catch (error) {
+      this.showStatusMessage('配信データの読み込みに失敗しました', true);
+      console.error('Failed to preview notification rule:', error);
+    }
+  }
+  
+  // イベント購読一覧を表示
+  renderSubscriptions() {
+    const subscriptions = this.settingsManager.getSetting('eventSubscriptions') || [];
+    const eventLabels = {
+      offline: '配信終了',
+      titleChanged: 'タイトル変更',
+      categoryChanged: 'カテゴリ変更',
+      viewerMilestone: '視聴者数の節目'
+    };
+    
+    this.subscriptionList.innerHTML = '';
+    subscriptions.forEach(subscription => {
+      const item = document.createElement('div');
+      item.className = 'subscription-item';
+      
+      const description = document.createElement('span');
+      const events = subscription.events.map(event => eventLabels[event]).join('・');
+      const categories = subscription.categories.length > 0 ? ` [${subscription.categories.join(', ')}]` : '';
+      description.textContent = `${subscription.channelId} (${subscription.platformType}): ${events}${categories}`;
+      
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '削除';
+      removeButton.addEventListener('click', () => this.removeSubscription(subscription.id));
+      
+      item.append(description, removeButton);
+      this.subscriptionList.appendChild(item);
+    });
+  }
+  
+  // イベント購読を追加
+  async addSubscription() {
+    const channelId = this.subscriptionStreamerInput.value.trim();
+    const events = Object.entries(this.subscriptionEventCheckboxes)
+      .filter(([, checkbox]) => checkbox.checked)
+      .map(([event]) => event);
+    
+    if (!channelId) {
+      this.showStatusMessage('配信者IDまたは配信者名を入力してください', true);
+      return;
+    }
+    if (events.length === 0) {
+      this.showStatusMessage('通知するイベントを1つ以上選択してください', true);
+      return;
+    }
+    
+    const subscription = {
+      id: `subscription_${Date.now()}`,
+      platformType: this.subscriptionPlatformSelect.value,
+      channelId,
+      events,
+      categories: this.parseListInput(this.subscriptionCategoriesInput.value),
+      viewerMilestones: this.parseListInput(this.subscriptionMilestonesInput.value)
+        .map(value => parseInt(value, 10))
+        .filter(value => value > 0)
+    };
+    
+    await this.saveSubscriptions([
+      ...(this.settingsManager.getSetting('eventSubscriptions') || []),
+      subscription
+    ]);
+    this.subscriptionStreamerInput.value = '';
+    this.subscriptionCategoriesInput.value = '';
+    this.subscriptionMilestonesInput.value = '';
+  }
+  
+  // イベント購読を削除
+  async removeSubscription(subscriptionId) {
+    const subscriptions = (this.settingsManager.getSetting('eventSubscriptions') || [])
+      .filter(subscription => subscription.id !== subscriptionId);
+    await this.saveSubscriptions(subscriptions);
+  }
+  
+  // イベント購読を保存してバックグラウンドに通知
+  async saveSubscriptions(eventSubscriptions) {
+    try {
+      await this.settingsManager.saveSettings({ eventSubscriptions });
+      this.renderSubscriptions();
+      chrome.runtime.sendMessage({ type: 'settings_updated' });
+    } catch (error) {
+      this.showStatusMessage('イベント購読の保存に失敗しました', true);
+      console.error('Failed to save subscriptions:', error);
+    }
+  }
+  
+  // お気に入り配信者を取得（以前の形式の配信者IDも変換する）
+  getFavorites() {
+    return (this.settingsManager.getSetting('favorites') || []).map(favorite => new Favorite(favorite));
+  }
+  
+  // お気に入り配信者の一覧を表示
+  renderFavorites() {
+    this.favoriteList.innerHTML = '';
+    this.getFavorites().forEach(favorite => {
+      const item = document.createElement('div');
+      item.className = 'subscription-item streamer-item';
+      
+      const header = document.createElement('div');
+      header.className = 'streamer-header';
+      const name = document.createElement('span');
+      const platformLabel = favorite.platformType ? getPlatformLabel(favorite) : 'すべてのプラットフォーム';
+      name.textContent = `${favorite.displayName || favorite.channelId} (${platformLabel}: ${favorite.channelId})`;
+      if (favorite.avatarUrl) {
+        const avatar = document.createElement('img');
+        avatar.className = 'favorite-avatar';
+        avatar.src = favorite.avatarUrl;
+        avatar.alt = '';
+        name.prepend(avatar);
+      }
+      
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '削除';
+      removeButton.addEventListener('click', () => this.removeFavorite(favorite));
+      header.append(name, removeButton);
+      
+      // メモとタグは入力欄を離れたときに保存
+      const form = document.createElement('div');
+      form.className = 'streamer-account-form';
+      const notesInput = document.createElement('input');
+      notesInput.type = 'text';
+      notesInput.placeholder = 'メモ';
+      notesInput.value = favorite.notes;
+      notesInput.addEventListener('change', () => this.updateFavorite(favorite, { notes: notesInput.value.trim() }));
+      const tagsInput = document.createElement('input');
+      tagsInput.type = 'text';
+      tagsInput.placeholder = 'タグ（カンマ区切り）';
+      tagsInput.value = favorite.tags.join(', ');
+      tagsInput.addEventListener('change', () => this.updateFavorite(favorite, { tags: this.parseListInput(tagsInput.value) }));
+      form.append(notesInput, tagsInput);
+      
+      item.append(header, form);
+      this.favoriteList.appendChild(item);
+    });
+  }
+  
+  // 配信者を検索して結果を表示
+  async searchFavoriteChannels() {
+    const platformType = this.favoriteSearchPlatformSelect.value;
+    const query = this.favoriteSearchQueryInput.value.trim();
+    if (!query) {
+      this.showStatusMessage('検索する配信者名を入力してください', true);
+      return;
+    }
+    
+    this.favoriteSearchButton.disabled = true;
+    this.favoriteSearchResults.innerHTML = '';
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'search_channels', platformType, query });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '配信者の検索に失敗しました');
+      }
+      
+      if (response.data.length === 0) {
+        this.favoriteSearchResults.textContent = '配信者が見つかりませんでした';
+        return;
+      }
+      response.data.forEach(result => this.favoriteSearchResults.appendChild(this.createFavoriteSearchResult(result)));
+    } catch (error) {
+      this.showStatusMessage(error.message, true);
+      console.error('Failed to search channels:', error);
+    } finally {
+      this.favoriteSearchButton.disabled = false;
+    }
+  }
+  
+  // 検索結果の1件を作成
+  createFavoriteSearchResult(result) {
+    const item = document.createElement('div');
+    item.className = 'subscription-item';
+    
+    const name = document.createElement('span');
+    name.textContent = `${result.displayName} (${result.channelId})${result.isLive ? ' 配信中' : ''}`;
+    if (result.avatarUrl) {
+      const avatar = document.createElement('img');
+      avatar.className = 'favorite-avatar';
+      avatar.src = result.avatarUrl;
+      avatar.alt = '';
+      name.prepend(avatar);
+    }
+    
+    const isAdded = this.getFavorites().some(favorite =>
+      favorite.platformType === result.platformType && favorite.channelId === result.channelId);
+    const addButton = document.createElement('button');
+    addButton.textContent = isAdded ? '追加済み' : 'お気に入りに追加';
+    addButton.disabled = isAdded;
+    addButton.addEventListener('click', async () => {
+      addButton.disabled = true;
+      if (await this.addFavoriteFromSearch(result)) {
+        addButton.textContent = '追加済み';
+      } else {
+        addButton.disabled = false;
+      }
+    });
+    
+    item.append(name, addButton);
+    return item;
+  }
+  
+  // 検索結果の配信者をお気に入りに追加（ウォッチリストで確認するプラットフォームはウォッチリストにも追加）
+  async addFavoriteFromSearch(result) {
+    const favorites = [
+      ...this.getFavorites(),
+      new Favorite({
+        platformType: result.platformType,
+        channelId: result.channelId,
+        displayName: result.displayName,
+        avatarUrl: result.avatarUrl
+      })
+    ];
+    if (!await this.saveFavorites(favorites)) {
+      return false;
+    }
+    
+    const provider = getPlatform(result.platformType);
+    if (provider && provider.watchList && provider.watchList.manual) {
+      try {
+        await this.watchListManager.loadWatchLists();
+        await this.watchListManager.addChannel(result.platformType, {
+          id: result.watchId || result.channelId,
+          name: result.displayName,
+          thumbnailUrl: result.avatarUrl
+        });
+        this.renderWatchList(result.platformType);
+      } catch (error) {
+        this.showStatusMessage('ウォッチリストの保存に失敗しました', true);
+        console.error('Failed to add watched channel:', error);
+        return true;
+      }
+    }
+    this.showStatusMessage(`${result.displayName} をお気に入りに追加しました`);
+    return true;
+  }
+  
+  // お気に入り配信者のメモ・タグを更新
+  async updateFavorite(target, changes) {
+    const favorites = this.getFavorites().map(favorite =>
+      favorite.platformType === target.platformType && favorite.channelId === target.channelId
+        ? new Favorite({ ...favorite, ...changes })
+        : favorite
+    );
+    await this.saveFavorites(favorites);
+  }
+  
+  // お気に入り配信者を削除
+  async removeFavorite(target) {
+    const favorites = this.getFavorites().filter(favorite =>
+      !(favorite.platformType === target.platformType && favorite.channelId === target.channelId));
+    await this.saveFavorites(favorites);
+  }
+  
+  // お気に入り配信者を保存
+  async saveFavorites(favorites) {
+    try {
+      await this.settingsManager.saveSettings({ favorites });
+      this.renderFavorites();
+      chrome.runtime.sendMessage({ type: 'settings_updated' });
+      return true;
+    } catch (error) {
+      this.showStatusMessage('お気に入りの保存に失敗しました', true);
+      console.error('Failed to save favorites:', error);
+      return false;
+    }
+  }
+  
+  // 配信者IDから表示名を取得
+  getStreamerName(streamerId) {
+    const streamer = this.streamerManager.getStreamer(streamerId);
+    return streamer ? streamer.name : '削除済みの配信者';
+  }
+  
+  // 配信者の一覧と、通知ルールの対象の選択肢を表示
+  renderStreamers() {
+    const streamers = this.streamerManager.getStreamers();
+    
+    this.streamerList.innerHTML = '';
+    streamers.forEach(streamer => {
+      const item = document.createElement('div');
+      item.className = 'subscription-item streamer-item';
+      
+      const header = document.createElement('div');
+      header.className = 'streamer-header';
+      const name = document.createElement('span');
+      name.textContent = `${streamer.isFavorite ? '★ ' : ''}${streamer.name}${streamer.tags.map(tag => ` #${tag}`).join('')}`;
+      
+      const favoriteButton = document.createElement('button');
+      favoriteButton.textContent = streamer.isFavorite ? 'お気に入り解除' : 'お気に入り';
+      favoriteButton.addEventListener('click', () => this.toggleStreamerFavorite(streamer.id));
+      
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '削除';
+      removeButton.addEventListener('click', () => this.removeStreamer(streamer.id));
+      
+      const actions = document.createElement('div');
+      actions.className = 'rule-actions';
+      actions.append(favoriteButton, removeButton);
+      header.append(name, actions);
+      item.appendChild(header);
+      
+      // タグは入力欄を離れたときに保存
+      const tagsInput = document.createElement('input');
+      tagsInput.type = 'text';
+      tagsInput.placeholder = 'タグ（カンマ区切り）';
+      tagsInput.value = streamer.tags.join(', ');
+      tagsInput.addEventListener('change', () => this.updateStreamers(() =>
+        this.streamerManager.updateStreamer(streamer.id, { tags: this.parseListInput(tagsInput.value) })));
+      item.appendChild(tagsInput);
+      
+      // 配信予定のリマインダーの時間（空欄で全体の設定）
+      const reminderInput = document.createElement('input');
+      reminderInput.type = 'text';
+      reminderInput.placeholder = 'リマインダー（例: 1d, 1h, 5m。空欄で全体の設定）';
+      reminderInput.value = ReminderManager.stringifyOffsets(streamer.reminderOffsets);
+      reminderInput.addEventListener('change', () => this.updateStreamers(() =>
+        this.streamerManager.updateStreamer(streamer.id, { reminderOffsets: ReminderManager.parseOffsets(reminderInput.value) })));
+      item.appendChild(reminderInput);
+      
+      streamer.accounts.forEach(account => {
+        const row = document.createElement('div');
+        row.className = 'streamer-account';
+        const label = document.createElement('span');
+        label.textContent = `${getPlatformLabel(account)}: ${account.channelId}`;
+        const unlinkButton = document.createElement('button');
+        unlinkButton.textContent = '解除';
+        unlinkButton.addEventListener('click', () => this.unlinkStreamerAccount(streamer.id, account));
+        row.append(label, unlinkButton);
+        item.appendChild(row);
+      });
+      
+      // アカウントの追加欄
+      const form = document.createElement('div');
+      form.className = 'streamer-account-form';
+      const platformSelect = document.createElement('select');
+      getPlatforms().forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.displayName;
+        platformSelect.appendChild(option);
+      });
+      const channelInput = document.createElement('input');
+      channelInput.type = 'text';
+      channelInput.placeholder = '配信者（チャンネル）ID';
+      const linkButton = document.createElement('button');
+      linkButton.textContent = 'アカウントを追加';
+      linkButton.addEventListener('click', () => this.linkStreamerAccount(streamer.id, {
+        platformType: platformSelect.value,
+        channelId: channelInput.value.trim()
+      }));
+      form.append(platformSelect, channelInput, linkButton);
+      item.appendChild(form);
+      
+      this.streamerList.appendChild(item);
+    });
+    
+    // 通知ルールの対象の選択肢
+    const selected = this.ruleStreamerPersonSelect.value;
+    this.ruleStreamerPersonSelect.innerHTML = '<option value="">指定しない</option>';
+    streamers.forEach(streamer => {
+      const option = document.createElement('option');
+      option.value = streamer.id;
+      option.textContent = streamer.name;
+      this.ruleStreamerPersonSelect.appendChild(option);
+    });
+    this.ruleStreamerPersonSelect.value = streamers.some(streamer => streamer.id === selected) ? selected : '';
+    this.renderRules();
+  }
+  
+  // 配信者を追加
+  async addStreamer() {
+    const name = this.streamerNameInput.value.trim();
+    const channelId = this.streamerAccountChannelInput.value.trim();
+    if (!name) {
+      this.showStatusMessage('配信者名を入力してください', true);
+      return;
+    }
+    
+    await this.updateStreamers(() => this.streamerManager.createStreamer({
+      name,
+      isFavorite: this.streamerFavoriteCheckbox.checked,
+      tags: this.parseListInput(this.streamerTagsInput.value),
+      accounts: channelId ? [{ platformType: this.streamerAccountPlatformSelect.value, channelId }] : []
+    }));
+    this.streamerNameInput.value = '';
+    this.streamerAccountChannelInput.value = '';
+    this.streamerTagsInput.value = '';
+    this.streamerFavoriteCheckbox.checked = false;
+  }
+  
+  // 配信者にアカウントを紐付け
+  async linkStreamerAccount(streamerId, account) {
+    if (!account.channelId) {
+      this.showStatusMessage('配信者（チャンネル）IDを入力してください', true);
+      return;
+    }
+    await this.updateStreamers(() => this.streamerManager.linkAccount(streamerId, account));
+  }
+  
+  // 配信者からアカウントの紐付けを解除
+  async unlinkStreamerAccount(streamerId, account) {
+    await this.updateStreamers(() =>
+      this.streamerManager.unlinkAccount(streamerId, account.platformType, account.channelId));
+  }
+  
+  // 配信者のお気に入り状態を切り替え
+  async toggleStreamerFavorite(streamerId) {
+    const streamer = this.streamerManager.getStreamer(streamerId);
+    if (streamer) {
+      await this.updateStreamers(() => this.streamerManager.setFavorite(streamerId, !streamer.isFavorite));
+    }
+  }
+  
+  // 配信者を削除
+  async removeStreamer(streamerId) {
+    await this.updateStreamers(() => this.streamerManager.removeStreamer(streamerId));
+  }
+  
+  // 配信者を変更して表示を更新（他の画面での変更を上書きしないよう読み込み直してから変更する）
+  async updateStreamers(update) {
+    try {
+      await this.streamerManager.loadStreamers();
+      await update();
+      this.renderStreamers();
+      chrome.runtime.sendMessage({ type: 'settings_updated' });
+    } catch (error) {
+      this.showStatusMessage('配信者の保存に失敗しました', true);
+      console.error('Failed to update streamers:', error);
+    }
+  }
+  
+  // カスタムソース一覧を表示
+  renderCustomFeeds() {
+    const feeds = this.settingsManager.getSetting('customFeeds') || [];
+    const formatLabels = { json: 'JSON', feed: 'RSS / Atom' };
+    
+    this.customFeedList.innerHTML = '';
+    feeds.forEach(feed => {
+      const item = document.createElement('div');
+      item.className = `subscription-item${feed.enabled === false ? ' disabled' : ''}`;
+      
+      const description = document.createElement('span');
+      description.textContent = `${feed.name} (${formatLabels[feed.format] || feed.format}): ${feed.url}`;
+      
+      const toggleButton = document.createElement('button');
+      toggleButton.textContent = feed.enabled === false ? '有効化' : '無効化';
+      toggleButton.addEventListener('click', () => this.toggleCustomFeed(feed.id));
+      
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '削除';
+      removeButton.addEventListener('click', () => this.removeCustomFeed(feed.id));
+      
+      const actions = document.createElement('div');
+      actions.className = 'rule-actions';
+      actions.append(toggleButton, removeButton);
+      
+      item.append(description, actions);
+      this.customFeedList.appendChild(item);
+    });
+  }
+  
+  // 形式に応じて、フィールドの入力欄に既定のセレクターを表示
+  updateCustomFeedPlaceholders() {
+    const format = this.customFeedFormatSelect.value;
+    const defaults = CustomFeedAPIClient.getDefaultFields(format);
+    
+    this.customFeedFieldInputs.forEach(input => {
+      const selector = defaults[input.dataset.field];
+      input.placeholder = selector ? `${input.title}（既定: ${selector}）` : input.title;
+    });
+    this.customFeedItemsPathInput.disabled = format !== 'json';
+  }
+  
+  // フォームからカスタムソースを作成
+  getCustomFeedFormValues() {
+    const format = this.customFeedFormatSelect.value;
+    
+    return {
+      id: `feed-${Date.now().toString(36)}`, // 通知IDの区切り文字（_）を含まないIDにする
+      name: this.customFeedNameInput.value.trim(),
+      url: this.customFeedUrlInput.value.trim(),
+      format,
+      enabled: true,
+      itemsPath: format === 'json' ? this.customFeedItemsPathInput.value.trim() : '',
+      fields: Array.from(this.customFeedFieldInputs).reduce((fields, input) => {
+        fields[input.dataset.field] = input.value.trim();
+        return fields;
+      }, {}),
+      liveValue: this.customFeedLiveValueInput.value.trim()
+    };
+  }
+  
+  // ソースのホストへのアクセス許可を求める（ボタン操作の直後に呼び出す必要がある）
+  async requestCustomFeedPermission(feed) {
+    const origin = CustomFeedAPIClient.getOriginPattern(feed.url);
+    const granted = await chrome.permissions.request({ origins: [origin] });
+    if (!granted) {
+      this.showStatusMessage(`${origin} へのアクセスが許可されませんでした`, true);
+    }
+    return granted;
+  }
+  
+  // カスタムソースを追加
+  async addCustomFeed() {
+    const feed = this.getCustomFeedFormValues();
+    const errors = CustomFeedAPIClient.validateFeed(feed);
+    if (errors.length > 0) {
+      this.showStatusMessage(errors[0], true);
+      return;
+    }
+    if (!(await this.requestCustomFeedPermission(feed))) {
+      return;
+    }
+    
+    await this.saveCustomFeeds([...(this.settingsManager.getSetting('customFeeds') || []), feed]);
+    [
+      this.customFeedNameInput,
+      this.customFeedUrlInput,
+      this.customFeedItemsPathInput,
+      this.customFeedLiveValueInput,
+      ...this.customFeedFieldInputs
+    ].forEach(input => {
+      input.value = '';
+    });
+    this.customFeedPreview.innerHTML = '';
+  }
+  
+  // カスタムソースの有効/無効を切り替え
+  async toggleCustomFeed(feedId) {
+    const feeds = (this.settingsManager.getSetting('customFeeds') || [])
+      .map(feed => feed.id === feedId ? { ...feed, enabled: feed.enabled === false } : feed);
+    await this.saveCustomFeeds(feeds);
+  }
+  
+  // カスタムソースを削除（他のソースが使っていないホストへのアクセス許可も取り消す）
+  async removeCustomFeed(feedId) {
+    const currentFeeds = this.settingsManager.getSetting('customFeeds') || [];
+    const removed = currentFeeds.find(feed => feed.id === feedId);
+    const feeds = currentFeeds.filter(feed => feed.id !== feedId);
+    await this.saveCustomFeeds(feeds);
+    
+    const origin = removed && CustomFeedAPIClient.getOriginPattern(removed.url);
+    const stillUsed = feeds.some(feed => CustomFeedAPIClient.getOriginPattern(feed.url) === origin);
+    if (origin && !stillUsed) {
+      try {
+        await chrome.permissions.remove({ origins: [origin] });
+      } catch (error) {
+        console.warn('Failed to remove host permission:', error);
+      }
+    }
+  }
+  
+  // カスタムソースを保存してバックグラウンドに通知
+  async saveCustomFeeds(customFeeds) {
+    try {
+      await this.settingsManager.saveSettings({ customFeeds });
+      this.renderCustomFeeds();
+      chrome.runtime.sendMessage({ type: 'settings_updated' });
+    } catch (error) {
+      this.showStatusMessage('カスタムソースの保存に失敗しました', true);
+      console.error('Failed to save custom feeds:', error);
+    }
+  }
+  
+  // 編集中のソースを取得して、読み取れる配信・配信予定をプレビュー
+  async previewCustomFeed() {
+    const feed = this.getCustomFeedFormValues();
+    const errors = CustomFeedAPIClient.validateFeed(feed);
+    if (errors.length > 0) {
+      this.showStatusMessage(errors[0], true);
+      return;
+    }
+    if (!(await this.requestCustomFeedPermission(feed))) {
+      return;
+    }
+    
+    try {
+      const { live, upcoming, total } = await new CustomFeedAPIClient().previewFeed(feed);
+      
+      this.customFeedPreview.innerHTML = '';
+      const summary = document.createElement('div');
+      summary.textContent = `${total}件の項目から 配信中 ${live.length}件・配信予定 ${upcoming.length}件を読み取りました`;
+      this.customFeedPreview.appendChild(summary);
+      
+      [...live.map(item => ({ item, label: '配信中' })), ...upcoming.map(item => ({ item, label: '配信予定' }))]
+        .forEach(({ item, label }) => {
+          const element = document.createElement('div');
+          element.className = 'rule-preview-item pass';
+          const startTime = item.startTime ? ` ${this.formatDateTime(item.startTime)}` : '';
+          element.textContent = `[${label}${startTime}] ${item.title || item.url}`;
+          this.customFeedPreview.appendChild(element);
+        });
+    } catch (error) {
+      this.customFeedPreview.textContent = `取得に失敗しました: ${error.message}`;
+      console.error('Failed to preview custom feed:', error);
+    }
+  }
+  
+  // カンマ区切りの入力を配列に変換
+  parseListInput(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  
+  // バックグラウンドに配信履歴を問い合わせ
+  async requestHistory(params = {}) {
+    const response = await chrome.runtime.sendMessage({ type: 'get_history', ...params });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || '配信履歴の取得に失敗しました');
+    }
+    return response.data;
+  }
+  
+  // 配信履歴のある配信者一覧を読み込み
+  async loadHistoryStreamers() {
+    try {
+      const streamers = await this.requestHistory();
+      streamers.forEach(streamer => {
+        const option = document.createElement('option');
+        option.value = streamer.streamerKey;
+        option.textContent = `${streamer.streamerName} (${streamer.platformType}) - ${streamer.sessionCount}回`;
+        this.historyStreamerSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('配信履歴の読み込みに失敗しました', error);
+    }
+  }
+  
+  // 選択された配信者のタイムラインを表示
+  async loadHistoryTimeline() {
+    const streamerKey = this.historyStreamerSelect.value;
+    this.historyTimeline.innerHTML = '';
+    if (!streamerKey) return;
+    
+    try {
+      const sessions = await this.requestHistory({ streamerKey });
+      if (sessions.length === 0) {
+        this.historyTimeline.innerHTML = '<div class="history-empty">配信履歴はありません</div>';
+        return;
+      }
+      sessions.forEach(session => {
+        this.historyTimeline.appendChild(this.createHistorySessionElement(session));
+      });
+    } catch (error) {
+      this.showStatusMessage('配信履歴の取得に失敗しました', true);
+      console.error('配信履歴の取得に失敗しました', error);
+    }
+  }
+  
+  // 配信セッション1件分の要素を作成
+  createHistorySessionElement(session) {
+    const isLive = session.status === 'live';
+    const element = document.createElement('div');
+    element.className = `history-session${isLive ? ' live' : ''}`;
+    
+    const header = document.createElement('div');
+    header.className = 'history-session-header';
+    const period = document.createElement('span');
+    period.textContent = `${this.formatDateTime(session.startedAt)} 〜 ${isLive ? '配信中' : this.formatDateTime(session.endedAt)}`;
+    const duration = document.createElement('span');
+    duration.textContent = this.formatDuration((session.endedAt || Date.now()) - session.startedAt);
+    header.append(period, duration);
+    
+    const stats = document.createElement('div');
+    stats.className = 'history-session-stats';
+    stats.textContent = `最大視聴者数: ${session.peakViewerCount} / 平均視聴者数: ${session.averageViewerCount}`;
+    
+    const changes = document.createElement('ul');
+    changes.className = 'history-session-changes';
+    session.titleHistory.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `${this.formatDateTime(entry.changedAt)} タイトル: ${entry.title || 'タイトルなし'}`;
+      changes.appendChild(item);
+    });
+    session.categoryHistory.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `${this.formatDateTime(entry.changedAt)} カテゴリ: ${entry.category || '未設定'}`;
+      changes.appendChild(item);
+    });
+    
+    element.append(header, stats, changes);
+    return element;
+  }
+  
+  // 日時を表示用に整形
+  formatDateTime(timestamp) {
+    if (!timestamp) return '--';
+    return new Date(timestamp).toLocaleString('ja-JP', {
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+  
+  // 経過時間を表示用に整形
+  formatDuration(durationMs) {
+    const totalMinutes = Math.max(0, Math.floor(durationMs / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}時間${minutes}分` : `${minutes}分`;
+  }
+
   // フォームに設定値を反映
   populateForm(settings) {
     this.updateIntervalInput.value = settings.updateInterval;
     this.startupRefreshCheckbox.checked = settings.startupRefresh;
+    const enabledPlatforms = {
+      ...this.settingsManager.defaultSettings.enabledPlatforms,
+      ...settings.enabledPlatforms
+    };
+    this.enabledPlatformCheckboxes.forEach(checkbox => {
+      checkbox.checked = !!enabledPlatforms[checkbox.value];
+    });
+    Object.entries(this.platformSettingInputs).forEach(([key, input]) => {
+      input.value = settings[key] || '';
+    });
     this.enableNotificationsCheckbox.checked = settings.enableNotifications;
     this.notifyFavoritesOnlyCheckbox.checked = settings.notifyFavoritesOnly;
     this.notificationDurationInput.value = settings.notificationDuration;
-    this.twitchClientIdInput.value = settings.twitchClientId;
-    this.youtubeApiKeyInput.value = settings.youtubeApiKey;
-    this.twitcastingClientIdInput.value = settings.twitcastingClientId;
+    const simulcastDetection = {
+      ...this.settingsManager.defaultSettings.simulcastDetection,
+      ...settings.simulcastDetection
+    };
+    this.simulcastEnabledCheckbox.checked = simulcastDetection.enabled;
+    this.simulcastWindowMinutesInput.value = simulcastDetection.windowMinutes;
+    this.preferredPlatformSelect.value = settings.preferredPlatform || '';
+    this.remindersCheckbox.checked = !!settings.reminders;
+    this.reminderOffsetsInput.value = ReminderManager.stringifyOffsets(settings.reminderOffsets);
+    const quietHours = this.getQuietHours();
+    this.quietHoursEnabledCheckbox.checked = quietHours.enabled;
+    this.quietHoursTimezoneInput.value = quietHours.timezone;
+    this.quietHoursModeSelect.value = quietHours.mode;
+    this.quietHoursAllowFavoritesCheckbox.checked = quietHours.allowFavorites;
+    this.renderQuietHoursWindows();
+    this.renderRules();
+    this.renderSubscriptions();
+    this.renderFavorites();
+    this.renderCustomFeeds();
+    this.updateCustomFeedPlaceholders();
   }
 
   // フォームから設定値を取得
@@ -202,12 +1646,31 @@ class OptionsUIController {
     return {
       updateInterval: parseInt(this.updateIntervalInput.value, 10),
       startupRefresh: this.startupRefreshCheckbox.checked,
+      enabledPlatforms: this.enabledPlatformCheckboxes.reduce((platforms, checkbox) => {
+        platforms[checkbox.value] = checkbox.checked;
+        return platforms;
+      }, {}),
       enableNotifications: this.enableNotificationsCheckbox.checked,
       notifyFavoritesOnly: this.notifyFavoritesOnlyCheckbox.checked,
       notificationDuration: parseInt(this.notificationDurationInput.value, 10),
-      twitchClientId: this.twitchClientIdInput.value.trim(),
-      youtubeApiKey: this.youtubeApiKeyInput.value.trim(),
-      twitcastingClientId: this.twitcastingClientIdInput.value.trim()
+      simulcastDetection: {
+        enabled: this.simulcastEnabledCheckbox.checked,
+        windowMinutes: parseInt(this.simulcastWindowMinutesInput.value, 10) || 10
+      },
+      preferredPlatform: this.preferredPlatformSelect.value,
+      reminders: this.remindersCheckbox.checked,
+      reminderOffsets: ReminderManager.parseOffsets(this.reminderOffsetsInput.value),
+      ...Object.entries(this.platformSettingInputs).reduce((values, [key, input]) => {
+        values[key] = input.value.trim();
+        return values;
+      }, {}),
+      quietHours: {
+        ...this.getQuietHours(),
+        enabled: this.quietHoursEnabledCheckbox.checked,
+        timezone: this.quietHoursTimezoneInput.value.trim(),
+        mode: this.quietHoursModeSelect.value,
+        allowFavorites: this.quietHoursAllowFavoritesCheckbox.checked
+      }
     };
   }
 
@@ -215,6 +1678,15 @@ class OptionsUIController {
   async saveSettings() {
     try {
       const settings = this.getFormValues();
+      const { timezone } = settings.quietHours;
+      if (timezone && !QuietHoursSchedule.isValidTimezone(timezone)) {
+        this.showStatusMessage('タイムゾーンが正しくありません', true);
+        return;
+      }
+      if (settings.reminders && settings.reminderOffsets.length === 0) {
+        this.showStatusMessage('リマインダーの時間を入力してください（例: 1h, 10m）', true);
+        return;
+      }
       await this.settingsManager.saveSettings(settings);
       this.showStatusMessage('設定を保存しました');
       
@@ -256,5 +1728,5 @@ class OptionsUIController {
 
 // 設定ページの初期化
 document.addEventListener('DOMContentLoaded', () => {
-  const ui = new OptionsUIController();
+  new OptionsUIController();
 });
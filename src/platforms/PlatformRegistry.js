@@ -0,0 +1,133 @@
+/**
+ * 配信プラットフォームのプロバイダー登録簿
+ * 各プラットフォームは id・表示名・アイコン・色・対応機能・設定項目・APIクライアントの生成方法を宣言して登録します。
+ * モデルやコアモジュールからも参照するため、このモジュールは他のモジュールに依存しません
+ * （プロバイダーの登録は platforms/index.js が行います）
+ */
+
+/**
+ * @typedef {Object} PlatformSetting
+ * @property {string} key - 設定のキー（settings オブジェクトのプロパティ名）
+ * @property {string} label - 設定画面での表示名
+ * @property {string} [type='text'] - 入力欄の種類（'text' または 'password'）
+ * @property {string} [placeholder] - 入力欄のプレースホルダー
+ * @property {*} [default=''] - 既定値
+ */
+
+/**
+ * @typedef {Object} PlatformProvider
+ * @property {string} id - プラットフォーム種別（Stream.platformType などに入る値）
+ * @property {string} displayName - 表示名
+ * @property {string} icon - 通知などに使うアイコンのパス
+ * @property {string} color - テーマカラー
+ * @property {{schedules: boolean, auth: boolean, follows: boolean, search: boolean}} capabilities - 対応機能（配信予定・認証・フォロー取り込み・配信者の検索）
+ * @property {boolean} [enabledByDefault=true] - 初期状態で配信を確認するかどうか
+ * @property {Array<PlatformSetting>} [settingsSchema] - 設定画面のAPI設定に表示する項目
+ * @property {Object|null} [watchList] - ウォッチリストの設定（対応しない場合null）
+ * @property {function(): Object} createClient - APIクライアントを生成する関数
+ */
+
+const providers = new Map();
+
+/**
+ * プロバイダーを登録します
+ * @param {PlatformProvider} provider - プロバイダー
+ * @return {PlatformProvider} - 登録したプロバイダー
+ * @throws {Error} - id・createClientがない場合、または同じidが登録済みの場合
+ */
+export function registerPlatform(provider) {
+  if (!provider || !provider.id || typeof provider.createClient !== 'function') {
+    throw new Error('プラットフォームの登録には id と createClient が必要です');
+  }
+  if (providers.has(provider.id)) {
+    throw new Error(`プラットフォームは登録済みです: ${provider.id}`);
+  }
+
+  const normalized = {
+    displayName: provider.id,
+    icon: '/assets/icon128.png',
+    color: '#9147ff',
+    enabledByDefault: true,
+    settingsSchema: [],
+    watchList: null,
+    ...provider,
+    capabilities: {
+      schedules: false,
+      auth: false,
+      follows: false,
+      search: false,
+      ...provider.capabilities
+    }
+  };
+  providers.set(provider.id, normalized);
+  return normalized;
+}
+
+/**
+ * プロバイダーの登録を解除します
+ * @param {string} id - プラットフォーム種別
+ * @return {boolean} - 登録を解除した場合true
+ */
+export function unregisterPlatform(id) {
+  return providers.delete(id);
+}
+
+/**
+ * プロバイダーを取得します
+ * @param {string} id - プラットフォーム種別
+ * @return {PlatformProvider|null} - プロバイダー（未登録の場合null）
+ */
+export function getPlatform(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * 配信・配信予定のプラットフォームの表示名を取得します
+ * platformLabel（カスタムソース名など）があればそれを、なければプロバイダーの表示名を返します
+ * @param {{platformType: string, platformLabel: (string|undefined)}} item - ストリームまたはスケジュール
+ * @return {string} - 表示名（未登録のプラットフォームの場合はプラットフォーム種別）
+ */
+export function getPlatformLabel(item) {
+  if (item.platformLabel) {
+    return item.platformLabel;
+  }
+  const provider = getPlatform(item.platformType);
+  return provider ? provider.displayName : item.platformType;
+}
+
+/**
+ * 登録されているすべてのプロバイダーを登録順に取得します
+ * @return {Array<PlatformProvider>} - プロバイダーの配列
+ */
+export function getPlatforms() {
+  return [...providers.values()];
+}
+
+/**
+ * 登録されているプラットフォーム種別を取得します
+ * @return {Array<string>} - プラットフォーム種別の配列
+ */
+export function getPlatformIds() {
+  return [...providers.keys()];
+}
+
+/**
+ * 指定した機能に対応するプロバイダーを取得します
+ * @param {string} capability - 機能名（'schedules', 'auth', 'follows', 'search'）
+ * @return {Array<PlatformProvider>} - プロバイダーの配列
+ */
+export function getPlatformsWithCapability(capability) {
+  return getPlatforms().filter(provider => provider.capabilities[capability]);
+}
+
+/**
+ * プラットフォーム種別をキーとするフラグのオブジェクトを作成します
+ * @param {function(PlatformProvider): boolean} getValue - プロバイダーごとの値
+ * @return {Object<string, boolean>} - フラグのオブジェクト
+ */
+export function createPlatformFlags(getValue) {
+  return getPlatforms().reduce((flags, provider) => {
+    flags[provider.id] = !!getValue(provider);
+    return flags;
+  }, {});
+}
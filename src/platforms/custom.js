@@ -0,0 +1,21 @@
+/**
+ * カスタムソース プロバイダー
+ * 設定画面で定義したRSS/Atomフィード・JSONエンドポイントから配信・配信予定を読み取ります
+ */
+import CustomFeedAPIClient from '../api/CustomFeedAPIClient';
+
+export default {
+  id: 'custom',
+  displayName: 'カスタムソース',
+  icon: '/assets/icon128.png',
+  color: '#607d8b',
+  capabilities: {
+    schedules: true,
+    auth: false,
+    follows: false,
+    search: false
+  },
+  // ソースが未登録の間は何も取得しないため、既定で有効にしておく
+  enabledByDefault: true,
+  createClient: () => new CustomFeedAPIClient()
+};
@@ -0,0 +1,38 @@
+/**
+ * 配信プラットフォームのエントリポイント
+ * 各プラットフォームのプロバイダーを表示順に登録し、登録簿の関数をまとめてエクスポートします。
+ * プラットフォームを追加する場合は、プロバイダーのモジュールを作成してここに追加します。
+ * モデル（core/models）がここを読み込み、APIクライアントがモデルを読み込むため、
+ * プロバイダーはAPIクライアントを読み込み時ではなく呼び出し時に参照してください
+ */
+import {
+  registerPlatform,
+  unregisterPlatform,
+  getPlatform,
+  getPlatformLabel,
+  getPlatforms,
+  getPlatformIds,
+  getPlatformsWithCapability,
+  createPlatformFlags
+} from './PlatformRegistry';
+import twitch from './twitch';
+import youtube from './youtube';
+import twitcasting from './twitcasting';
+import niconico from './niconico';
+import kick from './kick';
+import openrec from './openrec';
+import showroom from './showroom';
+import custom from './custom';
+
+[twitch, youtube, twitcasting, niconico, kick, openrec, showroom, custom].forEach(registerPlatform);
+
+export {
+  registerPlatform,
+  unregisterPlatform,
+  getPlatform,
+  getPlatformLabel,
+  getPlatforms,
+  getPlatformIds,
+  getPlatformsWithCapability,
+  createPlatformFlags
+};
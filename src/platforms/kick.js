@@ -0,0 +1,27 @@
+/**
+ * Kick プロバイダー
+ */
+import KickAPIClient from '../api/KickAPIClient';
+
+export default {
+  id: 'kick',
+  displayName: 'Kick',
+  icon: '/assets/kick_icon.png',
+  color: '#53fc18',
+  capabilities: {
+    schedules: false,
+    auth: false,
+    follows: false,
+    search: true
+  },
+  enabledByDefault: false, // ウォッチリストにチャンネルを追加してから有効にする
+  watchList: {
+    manual: {
+      label: 'Kick チャンネルを追加',
+      placeholder: 'チャンネル名（例: xqc）またはチャンネルページのURL',
+      normalizeId: input => KickAPIClient.normalizeSlug(input),
+      invalidMessage: 'Kickのチャンネル名またはURLを入力してください'
+    }
+  },
+  createClient: () => new KickAPIClient()
+};
@@ -0,0 +1,27 @@
+/**
+ * ニコニコ生放送 プロバイダー
+ */
+import NiconicoAPIClient from '../api/NiconicoAPIClient';
+
+export default {
+  id: 'niconico',
+  displayName: 'ニコニコ生放送',
+  icon: '/assets/niconico_icon.png',
+  color: '#252525',
+  capabilities: {
+    schedules: true,
+    auth: false,
+    follows: false,
+    search: true
+  },
+  enabledByDefault: false, // ウォッチリストに放送元を追加してから有効にする
+  watchList: {
+    manual: {
+      label: 'ニコニコ生放送 コミュニティ・チャンネル・ユーザーを追加',
+      placeholder: '例: co1234567, ch2525, 12345678 またはページのURL',
+      normalizeId: input => NiconicoAPIClient.normalizeWatchId(input),
+      invalidMessage: 'コミュニティ・チャンネル・ユーザーのIDまたはURLを入力してください'
+    }
+  },
+  createClient: () => new NiconicoAPIClient()
+};
@@ -0,0 +1,27 @@
+/**
+ * OPENREC.tv プロバイダー
+ */
+import OpenrecAPIClient from '../api/OpenrecAPIClient';
+
+export default {
+  id: 'openrec',
+  displayName: 'OPENREC.tv',
+  icon: '/assets/openrec_icon.png',
+  color: '#f1792d',
+  capabilities: {
+    schedules: true,
+    auth: false,
+    follows: false,
+    search: true
+  },
+  enabledByDefault: false, // ウォッチリストにチャンネルを追加してから有効にする
+  watchList: {
+    manual: {
+      label: 'OPENREC.tv チャンネルを追加',
+      placeholder: 'チャンネルID またはチャンネルページのURL',
+      normalizeId: input => OpenrecAPIClient.normalizeChannelId(input),
+      invalidMessage: 'OPENRECのチャンネルIDまたはURLを入力してください'
+    }
+  },
+  createClient: () => new OpenrecAPIClient()
+};
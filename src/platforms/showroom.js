@@ -0,0 +1,27 @@
+/**
+ * SHOWROOM プロバイダー
+ */
+import ShowroomAPIClient from '../api/ShowroomAPIClient';
+
+export default {
+  id: 'showroom',
+  displayName: 'SHOWROOM',
+  icon: '/assets/showroom_icon.png',
+  color: '#ef5a8f',
+  capabilities: {
+    schedules: true,
+    auth: false,
+    follows: false,
+    search: true
+  },
+  enabledByDefault: false, // ウォッチリストにルームを追加してから有効にする
+  watchList: {
+    manual: {
+      label: 'SHOWROOM ルームを追加',
+      placeholder: 'ルームID またはルームページのURL',
+      normalizeId: input => ShowroomAPIClient.normalizeRoom(input),
+      invalidMessage: 'SHOWROOMのルームIDまたはURLを入力してください'
+    }
+  },
+  createClient: () => new ShowroomAPIClient()
+};
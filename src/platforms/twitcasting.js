@@ -0,0 +1,45 @@
+/**
+ * TwitCasting プロバイダー
+ */
+import TwitCastingAPIClient from '../api/TwitCastingAPIClient';
+
+export default {
+  id: 'twitcasting',
+  displayName: 'TwitCasting',
+  icon: '/assets/twitcasting_icon.png',
+  color: '#1e90ff',
+  capabilities: {
+    schedules: false,
+    auth: true,
+    follows: true,
+    search: true
+  },
+  settingsSchema: [
+    { key: 'twitcastingClientId', label: 'TwitCasting Client ID', placeholder: 'TwitCasting Client ID' },
+    { key: 'twitcastingClientSecret', label: 'TwitCasting Client Secret', type: 'password', placeholder: 'TwitCasting Client Secret' }
+  ],
+  watchList: {
+    label: 'TwitCasting サポート一覧',
+    sync: {
+      buttonLabel: 'サポート一覧を取り込む',
+      sourceUser: {
+        label: 'サポート一覧の取り込み元（ユーザーID、空欄で認証ユーザー）',
+        placeholder: '例: twitcasting_jp'
+      },
+      // サポート一覧を取り込んだことがあるか、認証済みの場合に同期する
+      canAutoSync: (client, sourceUserId) => !!sourceUserId || client.auth.isAuthorized,
+      fetchChannels: async (client, { userId }) => {
+        const sourceUserId = userId || client.auth.userId;
+        return {
+          channels: await client.getSupportingUsers(sourceUserId),
+          details: { sourceUserId }
+        };
+      }
+    },
+    manual: {
+      label: 'TwitCasting ユーザーを手動で追加',
+      placeholder: 'ユーザーID（例: twitcasting_jp）'
+    }
+  },
+  createClient: () => new TwitCastingAPIClient()
+};
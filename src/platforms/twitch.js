@@ -0,0 +1,21 @@
+/**
+ * Twitch プロバイダー
+ */
+import TwitchAPIClient from '../api/TwitchAPIClient';
+
+export default {
+  id: 'twitch',
+  displayName: 'Twitch',
+  icon: '/assets/twitch_icon.png',
+  color: '#9147ff',
+  capabilities: {
+    schedules: true,
+    auth: true,
+    follows: true,
+    search: true
+  },
+  settingsSchema: [
+    { key: 'twitchClientId', label: 'Twitch Client ID', placeholder: 'Twitch API Client ID' }
+  ],
+  createClient: () => new TwitchAPIClient()
+};
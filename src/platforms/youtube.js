@@ -0,0 +1,31 @@
+/**
+ * YouTube プロバイダー
+ */
+import YouTubeAPIClient from '../api/YouTubeAPIClient';
+
+export default {
+  id: 'youtube',
+  displayName: 'YouTube',
+  icon: '/assets/youtube_icon.png',
+  color: '#ff0000',
+  capabilities: {
+    schedules: true,
+    auth: true,
+    follows: true,
+    search: true
+  },
+  settingsSchema: [
+    { key: 'youtubeApiKey', label: 'YouTube API Key', placeholder: 'YouTube API Key' },
+    { key: 'youtubeClientId', label: 'YouTube OAuth Client ID', placeholder: 'Google OAuth Client ID' }
+  ],
+  watchList: {
+    label: 'YouTube 登録チャンネル（チェックを外したチャンネルは配信を確認しません）',
+    sync: {
+      buttonLabel: '登録チャンネルを同期',
+      // 登録チャンネルの取得には認証が必要
+      canAutoSync: client => client.auth.isAuthorized,
+      fetchChannels: async client => ({ channels: await client.getSubscriptions(), details: {} })
+    }
+  },
+  createClient: () => new YouTubeAPIClient()
+};
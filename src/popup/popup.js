@@ -1,9 +1,19 @@
 import './popup.css';
+import { StreamerManager, SettingsManager, ViewStateManager, FilterEngine, FavoriteIndex, ReminderManager } from '../core';
+import { Filter, Schedule, Stream } from '../core/models';
+import { BACKGROUND_EVENTS } from '../utils/EventTypes';
+import { getPlatform, getPlatformLabel, getPlatforms } from '../platforms';
 
 // UIコントローラークラス
 class UIController {
   constructor() {
+    this.streamerManager = StreamerManager.getInstance();
+    this.settingsManager = SettingsManager.getInstance();
+    this.viewStateManager = ViewStateManager.getInstance();
+    this.streams = [];
+    this.schedules = [];
     this.initDomReferences();
+    this.renderPlatformFilters();
     this.bindEvents();
     this.init();
   }
@@ -11,48 +21,623 @@ class UIController {
   // DOM要素の参照を取得
   initDomReferences() {
     this.refreshButton = document.getElementById('refreshButton');
+    this.viewModeButton = document.getElementById('viewModeButton');
+    this.viewTabs = document.querySelectorAll('.view-tab');
     this.filterButton = document.getElementById('filterButton');
     this.settingsButton = document.getElementById('settingsButton');
     this.filterPanel = document.getElementById('filterPanel');
+    this.platformFilters = document.getElementById('platformFilters');
+    this.tagFilters = document.getElementById('tagFilters');
     this.applyFiltersButton = document.getElementById('applyFilters');
     this.resetFiltersButton = document.getElementById('resetFilters');
+    this.filterPresetSelect = document.getElementById('filterPresetSelect');
+    this.filterPresetNameInput = document.getElementById('filterPresetName');
+    this.saveFilterPresetButton = document.getElementById('saveFilterPreset');
+    this.renameFilterPresetButton = document.getElementById('renameFilterPreset');
+    this.moveFilterPresetUpButton = document.getElementById('moveFilterPresetUp');
+    this.moveFilterPresetDownButton = document.getElementById('moveFilterPresetDown');
+    this.removeFilterPresetButton = document.getElementById('removeFilterPreset');
+    this.filterFavoritesCheckbox = document.getElementById('filterFavorites');
+    this.filterLiveCheckbox = document.getElementById('filterLive');
+    this.filterScheduledCheckbox = document.getElementById('filterScheduled');
+    this.filterSearchInput = document.getElementById('filterSearch');
+    this.filterCategoriesInput = document.getElementById('filterCategories');
+    this.filterLanguagesInput = document.getElementById('filterLanguages');
+    this.filterMinViewersInput = document.getElementById('filterMinViewers');
+    this.filterMaxViewersInput = document.getElementById('filterMaxViewers');
+    this.filterMinUptimeInput = document.getElementById('filterMinUptime');
+    this.filterMaxUptimeInput = document.getElementById('filterMaxUptime');
+    this.groupTabs = document.getElementById('groupTabs');
     this.loading = document.getElementById('loading');
     this.errorElement = document.getElementById('error');
     this.streamsContainer = document.getElementById('streamsContainer');
+    this.schedulesContainer = document.getElementById('schedulesContainer');
+    this.pagination = document.getElementById('pagination');
+    this.prevPageButton = document.getElementById('prevPage');
+    this.nextPageButton = document.getElementById('nextPage');
+    this.pageInfo = document.getElementById('pageInfo');
     this.lastUpdated = document.getElementById('lastUpdated');
     this.streamCount = document.getElementById('streamCount');
   }
 
+  // 登録済みのプラットフォームごとにフィルターのチェックボックスを作成
+  renderPlatformFilters() {
+    getPlatforms().forEach(provider => {
+      const label = document.createElement('label');
+      label.style.setProperty('--platform-color', provider.color);
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'filterPlatform';
+      checkbox.value = provider.id;
+      checkbox.checked = true;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(provider.displayName));
+      this.platformFilters.appendChild(label);
+    });
+    this.platformCheckboxes = this.platformFilters.querySelectorAll('input[name="filterPlatform"]');
+  }
+  
+  // 配信者・お気に入りのタグごとにフィルターのチェックボックスを作成（選択中のタグは、今は付いていなくても残す）
+  renderTagFilters(selectedTags) {
+    const tags = [...new Set([...this.getGroups(), ...selectedTags])];
+    this.tagFilters.querySelectorAll('label').forEach(label => label.remove());
+    this.tagFilters.classList.toggle('hidden', tags.length === 0);
+    tags.forEach(tag => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'filterTag';
+      checkbox.value = tag;
+      checkbox.checked = selectedTags.includes(tag);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(tag));
+      this.tagFilters.appendChild(label);
+    });
+  }
+  
+  // フィルターパネルで選択中のタグを取得
+  getCheckedTags() {
+    return [...this.tagFilters.querySelectorAll('input[name="filterTag"]')]
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value);
+  }
+
   // イベントハンドラの登録
   bindEvents() {
     this.refreshButton.addEventListener('click', () => this.refresh());
+    this.viewModeButton.addEventListener('click', () => this.toggleViewMode());
+    this.viewTabs.forEach(tab => tab.addEventListener('click', () => this.selectView(tab.dataset.view)));
+    this.prevPageButton.addEventListener('click', () => this.changePage(-1));
+    this.nextPageButton.addEventListener('click', () => this.changePage(1));
     this.filterButton.addEventListener('click', () => this.toggleFilterPanel());
     this.settingsButton.addEventListener('click', () => this.openSettings());
     this.applyFiltersButton.addEventListener('click', () => this.applyFilters());
     this.resetFiltersButton.addEventListener('click', () => this.resetFilters());
+    this.filterPresetSelect.addEventListener('change', () => this.switchFilterPreset(this.filterPresetSelect.value));
+    this.saveFilterPresetButton.addEventListener('click', () => this.saveFilterPreset());
+    this.renameFilterPresetButton.addEventListener('click', () => this.renameFilterPreset());
+    this.moveFilterPresetUpButton.addEventListener('click', () => this.moveFilterPreset(-1));
+    this.moveFilterPresetDownButton.addEventListener('click', () => this.moveFilterPreset(1));
+    this.removeFilterPresetButton.addEventListener('click', () => this.removeFilterPreset());
+    
+    // バックグラウンドでの更新完了を受け取って表示を更新
+    chrome.runtime.onMessage.addListener(message => this.handleBackgroundMessage(message));
+    
+    // 配信の経過時間と配信予定までの残り時間を1分ごとに更新
+    setInterval(() => this.updateTimes(), 60 * 1000);
   }
 
   // 初期化
-  init() {
+  async init() {
     this.showLoading();
-    // ここで後々DataManagerからデータを取得して表示する
-    // 仮実装としてはタイマーでloadingを非表示にするだけ
-    setTimeout(() => {
-      this.hideLoading();
-      this.showEmptyState();
-    }, 1000);
+    try {
+      // 前回表示していたグループ（タグ）とフィルターを復元
+      await this.viewStateManager.loadPersistedState();
+    } catch (error) {
+      console.error('Failed to load view state:', error);
+    }
+    this.fillFilterForm();
+    this.renderFilterPresets();
+    
+    try {
+      // 表示モードと1ページの表示件数は設定の値から始める
+      const settings = await this.settingsManager.loadSettings();
+      this.viewStateManager.setViewMode(settings.defaultView);
+      this.viewStateManager.setItemsPerPage(settings.maxItemsPerPage);
+    } catch (error) {
+      console.error('Failed to apply display settings:', error);
+    }
+    this.updateViewModeButton();
+    await this.loadData();
   }
 
   // 更新処理
-  refresh() {
+  async refresh() {
     this.showLoading();
-    // ここで後々DataManagerのrefreshメソッドを呼び出す
-    // 仮実装としてはタイマーでloadingを非表示にするだけ
-    setTimeout(() => {
-      this.hideLoading();
-      this.showEmptyState();
-      this.updateLastUpdated();
-    }, 1000);
+    try {
+      await chrome.runtime.sendMessage({ type: 'refresh' });
+    } catch (error) {
+      console.error('Failed to refresh streams:', error);
+    }
+    await this.loadData();
+  }
+
+  // バックグラウンドにデータを要求
+  async requestData(dataType) {
+    const response = await chrome.runtime.sendMessage({ type: 'get_data', dataType });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'バックグラウンドから応答がありません');
+    }
+    return response;
+  }
+
+  // バックグラウンドから配信・配信予定と最終更新時刻を取得し、配信者（人物）・設定とあわせて表示
+  async loadData() {
+    try {
+      const [streamsResponse, schedulesResponse] = await Promise.all([
+        this.requestData('streams'),
+        this.requestData('schedules'),
+        this.streamerManager.loadStreamers(),
+        this.settingsManager.loadSettings()
+      ]);
+      this.schedules = this.annotateSchedules(schedulesResponse.data);
+      this.setStreams(streamsResponse.data, streamsResponse.lastUpdated);
+    } catch (error) {
+      this.showError('配信情報の読み込みに失敗しました');
+      console.error('Failed to load streams:', error);
+    }
+  }
+
+  // 配信予定を読み込み直して表示
+  async loadSchedules() {
+    try {
+      const response = await this.requestData('schedules');
+      this.schedules = this.annotateSchedules(response.data);
+      this.renderCurrentView();
+    } catch (error) {
+      console.error('Failed to load schedules:', error);
+    }
+  }
+
+  // 配信を表示（配信者の紐付けとタグはオプションページでの最新の変更を反映する）
+  setStreams(streams, lastUpdated) {
+    this.streams = this.streamerManager.annotateStreams(streams.map(data => new Stream(data)));
+    this.hideLoading();
+    this.renderGroupTabs();
+    this.renderTagFilters(this.getCheckedTags());
+    this.renderCurrentView();
+    if (lastUpdated) {
+      this.updateLastUpdated(new Date(lastUpdated));
+    }
+  }
+
+  // 配信予定に配信者（人物）・お気に入りの状態とタグを反映
+  annotateSchedules(schedules) {
+    const favoriteIndex = new FavoriteIndex(this.settingsManager.getSettings().favorites);
+    return schedules.map(schedule => {
+      const streamer = this.streamerManager.findStreamerByAccount(schedule.platformType, schedule.channelId);
+      const favorite = favoriteIndex.find(schedule.platformType, schedule.channelId);
+      return new Schedule({
+        ...schedule,
+        isFavorite: !!favorite || !!(streamer && streamer.isFavorite),
+        tags: [...new Set([...(favorite ? favorite.tags : []), ...(streamer ? streamer.tags : [])])]
+      });
+    });
+  }
+
+  // バックグラウンドからのメッセージを処理
+  handleBackgroundMessage(message) {
+    if (message.type === BACKGROUND_EVENTS.UPDATE_COMPLETED) {
+      this.setStreams(message.data.streams || [], message.data.timestamp);
+      this.loadSchedules();
+    }
+  }
+
+  // 配信中と配信予定のタブを切り替え
+  selectView(view) {
+    this.viewStateManager.setCurrentView(view);
+    this.renderCurrentView();
+  }
+
+  // 表示中のタブの内容を表示
+  renderCurrentView() {
+    const { currentView } = this.viewStateManager.getState();
+    this.viewTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === currentView));
+    this.updateViewVisibility();
+    if (currentView === 'schedules') {
+      this.renderSchedules();
+    } else {
+      this.renderStreams();
+    }
+  }
+
+  // 表示中のタブの一覧だけを表示
+  updateViewVisibility() {
+    const showSchedules = this.viewStateManager.getState().currentView === 'schedules';
+    this.streamsContainer.classList.toggle('hidden', showSchedules);
+    this.schedulesContainer.classList.toggle('hidden', !showSchedules);
+    this.viewModeButton.classList.toggle('hidden', showSchedules);
+    if (showSchedules) {
+      this.pagination.classList.add('hidden');
+    }
+  }
+
+  // 配信者・お気に入りに付けたタグ（グループ）をすべて取得
+  getGroups() {
+    const favoriteTags = this.settingsManager.getSettings().favorites.flatMap(favorite => favorite.tags);
+    const streamTags = this.streams.flatMap(stream => stream.tags);
+    return [...new Set([...this.streamerManager.getTags(), ...favoriteTags, ...streamTags])]
+      .sort((a, b) => a.localeCompare(b, 'ja'));
+  }
+  
+  // 表示中のグループ（存在しなくなったグループは「すべて」として扱う）
+  getActiveGroup() {
+    const { activeGroup } = this.viewStateManager.getState();
+    return this.getGroups().includes(activeGroup) ? activeGroup : '';
+  }
+  
+  // グループ（タグ）のタブを表示
+  renderGroupTabs() {
+    const groups = this.getGroups();
+    const activeGroup = this.getActiveGroup();
+    
+    this.groupTabs.innerHTML = '';
+    this.groupTabs.classList.toggle('hidden', groups.length === 0);
+    [{ value: '', label: 'すべて' }, ...groups.map(group => ({ value: group, label: group }))].forEach(({ value, label }) => {
+      const tab = document.createElement('button');
+      tab.className = `group-tab${value === activeGroup ? ' active' : ''}`;
+      tab.textContent = label;
+      tab.addEventListener('click', () => this.selectGroup(value));
+      this.groupTabs.appendChild(tab);
+    });
+  }
+  
+  // 表示するグループを切り替え（ポップアップを閉じても保持する）
+  selectGroup(group) {
+    this.viewStateManager.setActiveGroup(group);
+    this.viewStateManager.setPage(1);
+    this.renderGroupTabs();
+    this.renderCurrentView();
+  }
+  
+  // 配信を配信者ごとにまとめて表示（同時配信は1枚のカードにまとめる）
+  renderStreams() {
+    const activeGroup = this.getActiveGroup();
+    const { filter } = this.viewStateManager.getState();
+    const filtered = new FilterEngine(filter).apply(this.streams);
+    const streams = new FilterEngine(new Filter({ tags: activeGroup ? [activeGroup] : [] })).apply(filtered);
+    if (streams.length === 0) {
+      this.showEmptyState(activeGroup, filtered.length < this.streams.length);
+      return;
+    }
+    
+    // 配信者ごとのカードを1ページの表示件数ずつ表示
+    const { viewMode, page, itemsPerPage } = this.viewStateManager.getState();
+    const groups = this.streamerManager.groupStreams(streams);
+    const totalPages = Math.max(1, Math.ceil(groups.length / itemsPerPage));
+    const currentPage = Math.min(page, totalPages);
+    if (currentPage !== page) {
+      this.viewStateManager.setPage(currentPage);
+    }
+    const settings = this.settingsManager.getSettings();
+    
+    this.streamsContainer.innerHTML = '';
+    this.streamsContainer.classList.toggle('grid', viewMode === 'grid');
+    this.streamsContainer.classList.toggle('list', viewMode === 'list');
+    groups
+      .slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage)
+      .forEach(group => this.streamsContainer.appendChild(this.createStreamerCard(group, settings)));
+    this.renderPagination(currentPage, totalPages);
+    this.streamCount.textContent = `${streams.length} 配信`;
+  }
+
+  // ページ送りを表示
+  renderPagination(currentPage, totalPages) {
+    this.pagination.classList.toggle('hidden', totalPages <= 1);
+    this.pageInfo.textContent = `${currentPage} / ${totalPages}`;
+    this.prevPageButton.disabled = currentPage <= 1;
+    this.nextPageButton.disabled = currentPage >= totalPages;
+  }
+
+  // ページを移動
+  changePage(offset) {
+    this.viewStateManager.setPage(this.viewStateManager.getState().page + offset);
+    this.renderStreams();
+    this.streamsContainer.parentElement.scrollTop = 0;
+  }
+
+  // グリッド表示とリスト表示を切り替え
+  toggleViewMode() {
+    const { viewMode } = this.viewStateManager.getState();
+    this.viewStateManager.setViewMode(viewMode === 'grid' ? 'list' : 'grid');
+    this.updateViewModeButton();
+    this.renderStreams();
+  }
+
+  // 表示モードの切り替えボタンの表示を更新（切り替え先のモードを表示）
+  updateViewModeButton() {
+    const { viewMode } = this.viewStateManager.getState();
+    this.viewModeButton.textContent = viewMode === 'grid' ? 'リスト表示' : 'グリッド表示';
+  }
+
+  // 配信開始からの経過時間を表示用の文字列に変換
+  formatUptime(startedAt) {
+    const minutes = FilterEngine.getUptimeMinutes({ startedAt });
+    if (minutes === null) {
+      return '';
+    }
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}時間${minutes % 60}分` : `${minutes}分`;
+  }
+
+  // 配信予定の開始までの残り時間を表示用の文字列に変換
+  formatCountdown(scheduledStartTime) {
+    const minutes = Math.ceil((new Date(scheduledStartTime).getTime() - Date.now()) / 60000);
+    if (minutes <= 0) {
+      return 'まもなく開始';
+    }
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor(minutes / 60) % 24;
+    if (days > 0) {
+      return `あと${days}日${hours}時間`;
+    }
+    return hours > 0 ? `あと${hours}時間${minutes % 60}分` : `あと${minutes}分`;
+  }
+
+  // 表示中の配信の経過時間と、配信予定までの残り時間を更新
+  updateTimes() {
+    this.streamsContainer.querySelectorAll('.stream-uptime').forEach(element => {
+      element.textContent = this.formatUptime(Number(element.dataset.startedAt));
+    });
+    this.schedulesContainer.querySelectorAll('.schedule-countdown').forEach(element => {
+      element.textContent = this.formatCountdown(Number(element.dataset.startTime));
+    });
+  }
+
+  // 日付ごとのまとまりに使うキー（ブラウザのタイムゾーンでの年月日）
+  getDayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  }
+
+  // 日付の見出し（今日・明日は相対的な表記を添える）
+  formatDayLabel(date) {
+    const label = date.toLocaleDateString('ja-JP', { month: 'long', day: 'numeric', weekday: 'short' });
+    const today = new Date();
+    const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    if (this.getDayKey(date) === this.getDayKey(today)) {
+      return `今日 ${label}`;
+    }
+    return this.getDayKey(date) === this.getDayKey(tomorrow) ? `明日 ${label}` : label;
+  }
+
+  // これから始まる配信予定を日付ごとにまとめて表示
+  renderSchedules() {
+    const now = new Date();
+    const activeGroup = this.getActiveGroup();
+    const { filter } = this.viewStateManager.getState();
+    const upcoming = this.schedules
+      .filter(schedule => schedule.scheduledStartTime && new Date(schedule.scheduledStartTime) > now)
+      .sort((a, b) => new Date(a.scheduledStartTime) - new Date(b.scheduledStartTime));
+    const filtered = new FilterEngine(filter).apply(upcoming, now);
+    const schedules = new FilterEngine(new Filter({ tags: activeGroup ? [activeGroup] : [] })).apply(filtered, now);
+    
+    this.schedulesContainer.innerHTML = '';
+    this.streamCount.textContent = `${schedules.length} 件の予定`;
+    if (schedules.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      emptyState.textContent = filtered.length < upcoming.length
+        ? 'フィルターの条件に一致する配信予定はありません'
+        : '予定されている配信はありません';
+      this.schedulesContainer.appendChild(emptyState);
+      return;
+    }
+    
+    const days = new Map();
+    schedules.forEach(schedule => {
+      const key = this.getDayKey(new Date(schedule.scheduledStartTime));
+      if (!days.has(key)) {
+        days.set(key, []);
+      }
+      days.get(key).push(schedule);
+    });
+    days.forEach(daySchedules => {
+      const section = document.createElement('section');
+      section.className = 'schedule-day';
+      const heading = document.createElement('h2');
+      heading.className = 'schedule-day-label';
+      heading.textContent = this.formatDayLabel(new Date(daySchedules[0].scheduledStartTime));
+      section.appendChild(heading);
+      daySchedules.forEach(schedule => section.appendChild(this.createScheduleItem(schedule)));
+      this.schedulesContainer.appendChild(section);
+    });
+  }
+
+  // 配信予定の項目を作成
+  createScheduleItem(schedule) {
+    const startTime = new Date(schedule.scheduledStartTime);
+    const provider = getPlatform(schedule.platformType);
+    const item = document.createElement('div');
+    item.className = 'schedule-item';
+    item.style.setProperty('--platform-color', provider ? provider.color : 'var(--primary-color)');
+    
+    const time = document.createElement('div');
+    time.className = 'schedule-time';
+    time.textContent = startTime.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+    
+    const info = document.createElement('div');
+    info.className = 'schedule-info';
+    const title = document.createElement('div');
+    title.className = 'stream-title';
+    title.textContent = schedule.title || 'タイトルなし';
+    title.title = schedule.title;
+    const details = document.createElement('div');
+    details.className = 'stream-details';
+    const channel = document.createElement('span');
+    channel.className = 'stream-channel';
+    channel.textContent = `${schedule.streamerName} ・ ${getPlatformLabel(schedule)}`;
+    const countdown = document.createElement('span');
+    countdown.className = 'schedule-countdown';
+    countdown.dataset.startTime = String(startTime.getTime());
+    countdown.textContent = this.formatCountdown(startTime);
+    details.append(channel, countdown);
+    info.append(title, details);
+    title.addEventListener('click', () => this.openStream(schedule));
+    
+    // この配信予定だけのリマインダーの時間（空欄で配信者・全体の設定）
+    const reminderForm = document.createElement('div');
+    reminderForm.className = 'schedule-reminder-form hidden';
+    const offsetsInput = document.createElement('input');
+    offsetsInput.type = 'text';
+    offsetsInput.placeholder = '例: 1d, 1h, 5m（空欄で既定の時間）';
+    offsetsInput.value = ReminderManager.stringifyOffsets(this.getScheduleOverride(schedule).offsets);
+    reminderForm.appendChild(offsetsInput);
+    info.appendChild(reminderForm);
+    
+    const reminder = document.createElement('button');
+    reminder.className = 'reminder-button';
+    this.updateReminderButton(reminder, schedule);
+    reminder.addEventListener('click', () => this.toggleReminder(schedule, reminder));
+    offsetsInput.addEventListener('change', () => this.updateReminderOffsets(schedule, offsetsInput.value, reminder));
+    
+    const editReminder = document.createElement('button');
+    editReminder.className = 'reminder-button';
+    editReminder.textContent = '⏰';
+    editReminder.title = 'リマインダーの時間を設定';
+    editReminder.addEventListener('click', () => {
+      reminderForm.classList.toggle('hidden');
+      offsetsInput.focus();
+    });
+    
+    item.append(time, info, reminder, editReminder);
+    return item;
+  }
+
+  // 配信予定ごとのリマインダーの上書き設定
+  getScheduleOverride(schedule) {
+    return this.settingsManager.getSettings().reminderOverrides[ReminderManager.getScheduleKey(schedule)] || {};
+  }
+
+  // 配信予定のリマインダーの時間（配信予定・配信者・全体の設定の順に優先）
+  getReminderOffsets(schedule) {
+    const streamer = this.streamerManager.findStreamerByAccount(schedule.platformType, schedule.channelId);
+    return this.settingsManager.getReminderOffsets(schedule, streamer);
+  }
+
+  // リマインダーのボタンの表示を更新
+  updateReminderButton(button, schedule) {
+    const offsets = this.getReminderOffsets(schedule);
+    const enabled = offsets.length > 0;
+    button.classList.toggle('active', enabled);
+    button.textContent = enabled ? '🔔' : '🔕';
+    button.title = enabled
+      ? `リマインダー: ${offsets.map(minutes => ReminderManager.formatMinutes(minutes)).join('・')}前（クリックでオフ）`
+      : 'リマインダー: オフ（クリックでオン）';
+  }
+
+  // 配信予定のリマインダーを切り替え（全体のリマインダー設定より優先される）
+  async toggleReminder(schedule, button) {
+    try {
+      await this.settingsManager.setReminderOverride(schedule, this.getReminderOffsets(schedule).length === 0);
+      this.updateReminderButton(button, schedule);
+      
+      // バックグラウンドの設定を更新
+      await chrome.runtime.sendMessage({ type: 'settings_updated' });
+    } catch (error) {
+      console.error('Failed to update reminder:', error);
+    }
+  }
+
+  // 配信予定のリマインダーの時間を変更（リマインダーはオンになる）
+  async updateReminderOffsets(schedule, value, button) {
+    try {
+      await this.settingsManager.setReminderOffsets(schedule, ReminderManager.parseOffsets(value));
+      this.updateReminderButton(button, schedule);
+      
+      // バックグラウンドの設定を更新
+      await chrome.runtime.sendMessage({ type: 'settings_updated' });
+    } catch (error) {
+      console.error('Failed to update reminder offsets:', error);
+    }
+  }
+
+  // 配信者のカードを作成
+  createStreamerCard(group, settings) {
+    const [mainStream] = group.streams;
+    const card = document.createElement('div');
+    card.className = 'stream-card';
+    
+    const thumbnailUrl = group.streams.map(stream => stream.thumbnailUrl).find(Boolean);
+    if (settings.showThumbnails && thumbnailUrl) {
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'stream-thumbnail';
+      const image = document.createElement('img');
+      image.src = thumbnailUrl;
+      image.alt = '';
+      thumbnail.appendChild(image);
+      card.appendChild(thumbnail);
+    }
+    
+    if (group.isFavorite) {
+      const favorite = document.createElement('span');
+      favorite.className = 'favorite-button active';
+      favorite.textContent = '★';
+      card.appendChild(favorite);
+    }
+    
+    const info = document.createElement('div');
+    info.className = 'stream-info';
+    
+    const title = document.createElement('div');
+    title.className = 'stream-title';
+    title.textContent = mainStream.title || 'タイトルなし';
+    title.title = mainStream.title;
+    
+    const details = document.createElement('div');
+    details.className = 'stream-details';
+    const channel = document.createElement('span');
+    channel.className = 'stream-channel';
+    channel.textContent = group.name;
+    details.appendChild(channel);
+    
+    // 同時配信は最も早く始まった配信からの経過時間を表示
+    const startedAt = Math.min(...group.streams.map(stream => new Date(stream.startedAt || NaN).getTime())
+      .filter(time => !Number.isNaN(time)));
+    if (Number.isFinite(startedAt)) {
+      const uptime = document.createElement('span');
+      uptime.className = 'stream-uptime';
+      uptime.dataset.startedAt = String(startedAt);
+      uptime.textContent = this.formatUptime(startedAt);
+      uptime.title = `配信開始: ${new Date(startedAt).toLocaleString()}`;
+      details.appendChild(uptime);
+    }
+    
+    // 配信中のプラットフォームごとに、視聴者数付きのリンクを表示
+    const platforms = document.createElement('div');
+    platforms.className = 'streamer-platforms';
+    group.streams.forEach(stream => {
+      const provider = getPlatform(stream.platformType);
+      const link = document.createElement('button');
+      link.className = 'platform-badge';
+      link.style.setProperty('--platform-color', provider ? provider.color : 'var(--primary-color)');
+      link.textContent = settings.showViewerCount
+        ? `${getPlatformLabel(stream)} ${stream.viewerCount.toLocaleString()}人`
+        : getPlatformLabel(stream);
+      link.title = stream.title;
+      link.addEventListener('click', () => this.openStream(stream));
+      platforms.appendChild(link);
+    });
+    
+    info.append(title, details, platforms);
+    card.appendChild(info);
+    return card;
+  }
+
+  // 配信ページを開く
+  openStream(stream) {
+    if (stream.url) {
+      chrome.tabs.create({ url: stream.url });
+    }
   }
 
   // フィルターパネルの表示/非表示を切り替え
@@ -65,40 +650,177 @@ class UIController {
     chrome.runtime.openOptionsPage();
   }
 
+  // カンマ区切りの入力を配列に変換
+  parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  
+  // 数値の入力を変換（空欄はnull）
+  parseNumber(value) {
+    return value === '' ? null : Math.max(0, Number(value));
+  }
+  
+  // フィルターパネルの入力からフィルター条件を作成
+  readFilterForm() {
+    return new Filter({
+      platforms: [...this.platformCheckboxes].reduce((platforms, checkbox) => ({
+        ...platforms,
+        [checkbox.value]: checkbox.checked
+      }), {}),
+      showOnlyFavorites: this.filterFavoritesCheckbox.checked,
+      showLive: this.filterLiveCheckbox.checked,
+      showScheduled: this.filterScheduledCheckbox.checked,
+      tags: this.getCheckedTags(),
+      searchText: this.filterSearchInput.value.trim(),
+      categories: this.parseList(this.filterCategoriesInput.value),
+      languages: this.parseList(this.filterLanguagesInput.value),
+      viewerRange: {
+        min: this.parseNumber(this.filterMinViewersInput.value),
+        max: this.parseNumber(this.filterMaxViewersInput.value)
+      },
+      uptimeRange: {
+        min: this.parseNumber(this.filterMinUptimeInput.value),
+        max: this.parseNumber(this.filterMaxUptimeInput.value)
+      }
+    });
+  }
+  
+  // 現在のフィルター条件をフィルターパネルに表示
+  fillFilterForm() {
+    const { filter } = this.viewStateManager.getState();
+    const toValue = value => value === null || value === undefined ? '' : String(value);
+    
+    this.platformCheckboxes.forEach(checkbox => {
+      checkbox.checked = filter.platforms[checkbox.value] !== false;
+    });
+    this.filterFavoritesCheckbox.checked = filter.showOnlyFavorites;
+    this.filterLiveCheckbox.checked = filter.showLive;
+    this.filterScheduledCheckbox.checked = filter.showScheduled;
+    this.renderTagFilters(filter.tags);
+    this.filterSearchInput.value = filter.searchText;
+    this.filterCategoriesInput.value = filter.categories.join(', ');
+    this.filterLanguagesInput.value = filter.languages.join(', ');
+    this.filterMinViewersInput.value = toValue(filter.viewerRange.min);
+    this.filterMaxViewersInput.value = toValue(filter.viewerRange.max);
+    this.filterMinUptimeInput.value = toValue(filter.uptimeRange.min);
+    this.filterMaxUptimeInput.value = toValue(filter.uptimeRange.max);
+  }
+  
+  // 保存済みフィルター（プリセット）の選択肢と、適用中のプリセットを表示
+  renderFilterPresets() {
+    const { activeFilterId } = this.viewStateManager.getState();
+    const presets = this.viewStateManager.getFilterPresets();
+    const activePreset = presets.find(preset => preset.id === activeFilterId);
+    
+    this.filterPresetSelect.innerHTML = '';
+    [{ id: '', name: '（プリセットなし）' }, ...presets].forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      this.filterPresetSelect.appendChild(option);
+    });
+    this.filterPresetSelect.value = activePreset ? activePreset.id : '';
+    this.filterPresetNameInput.value = activePreset ? activePreset.name : '';
+    
+    const index = activePreset ? presets.indexOf(activePreset) : -1;
+    this.moveFilterPresetUpButton.disabled = index <= 0;
+    this.moveFilterPresetDownButton.disabled = index === -1 || index === presets.length - 1;
+    this.removeFilterPresetButton.disabled = !activePreset;
+    this.renameFilterPresetButton.disabled = !activePreset;
+    this.filterButton.textContent = activePreset ? `フィルター: ${activePreset.name}` : 'フィルター';
+  }
+  
+  // フィルター条件の変更を画面に反映
+  updateFilterView() {
+    this.viewStateManager.setPage(1);
+    this.fillFilterForm();
+    this.renderFilterPresets();
+    this.renderCurrentView();
+  }
+  
   // フィルターを適用
   applyFilters() {
-    // 後々フィルターを適用する処理を実装する
+    this.viewStateManager.setFilter(this.readFilterForm());
     this.filterPanel.classList.add('hidden');
-    this.refresh();
+    this.updateFilterView();
   }
 
   // フィルターをリセット
   resetFilters() {
-    // フィルターの各チェックボックスをデフォルト値に戻す
-    document.getElementById('filterTwitch').checked = true;
-    document.getElementById('filterYouTube').checked = true;
-    document.getElementById('filterTwitCasting').checked = true;
-    document.getElementById('filterFavorites').checked = false;
-    document.getElementById('filterLive').checked = true;
-    document.getElementById('filterScheduled').checked = true;
+    this.viewStateManager.resetFilter();
+    this.updateFilterView();
+  }
+  
+  // プリセットに切り替え（空文字でフィルター条件を既定値に戻す）
+  switchFilterPreset(presetId) {
+    this.viewStateManager.applyFilterPreset(presetId);
+    this.updateFilterView();
+  }
+  
+  // パネルの条件をプリセットとして保存（同じ名前のプリセットは上書き）
+  saveFilterPreset() {
+    const name = this.filterPresetNameInput.value.trim();
+    if (!name) {
+      this.filterPresetNameInput.focus();
+      return;
+    }
+    this.viewStateManager.setFilter(this.readFilterForm());
+    this.viewStateManager.saveFilterPreset(name);
+    this.updateFilterView();
+  }
+  
+  // 適用中のプリセットの名前を変更
+  renameFilterPreset() {
+    const name = this.filterPresetNameInput.value.trim();
+    const { activeFilterId } = this.viewStateManager.getState();
+    if (!name || !activeFilterId) {
+      this.filterPresetNameInput.focus();
+      return;
+    }
+    this.viewStateManager.renameFilterPreset(activeFilterId, name);
+    this.renderFilterPresets();
+  }
+  
+  // 適用中のプリセットの表示順を変更
+  moveFilterPreset(offset) {
+    this.viewStateManager.moveFilterPreset(this.viewStateManager.getState().activeFilterId, offset);
+    this.renderFilterPresets();
+  }
+  
+  // 適用中のプリセットを削除（フィルター条件はそのまま残る）
+  removeFilterPreset() {
+    this.viewStateManager.removeFilterPreset(this.viewStateManager.getState().activeFilterId);
+    this.renderFilterPresets();
   }
 
   // ロード中表示
   showLoading() {
     this.loading.classList.remove('hidden');
     this.streamsContainer.classList.add('hidden');
+    this.schedulesContainer.classList.add('hidden');
     this.errorElement.classList.add('hidden');
   }
 
   // ロード中表示を消す
   hideLoading() {
     this.loading.classList.add('hidden');
-    this.streamsContainer.classList.remove('hidden');
+    this.updateViewVisibility();
   }
 
   // 配信がないときの表示
-  showEmptyState() {
-    this.streamsContainer.innerHTML = '<div class="empty-state">現在配信されているストリームはありません</div>';
+  showEmptyState(group = '', filtered = false) {
+    let message = '現在配信されているストリームはありません';
+    if (filtered) {
+      message = 'フィルターの条件に一致する配信はありません';
+    } else if (group) {
+      message = `「${group}」の配信者は現在配信していません`;
+    }
+    this.streamsContainer.innerHTML = '';
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = message;
+    this.streamsContainer.appendChild(emptyState);
+    this.pagination.classList.add('hidden');
     this.streamCount.textContent = '0 配信';
   }
 
@@ -110,15 +832,14 @@ class UIController {
   }
 
   // 最終更新時刻の更新
-  updateLastUpdated() {
-    const now = new Date();
-    const hours = now.getHours().toString().padStart(2, '0');
-    const minutes = now.getMinutes().toString().padStart(2, '0');
+  updateLastUpdated(date = new Date()) {
+    const hours = date.getHours().toString().padStart(2, '0');
+    const minutes = date.getMinutes().toString().padStart(2, '0');
     this.lastUpdated.textContent = `最終更新: ${hours}:${minutes}`;
   }
 }
 
 // 拡張機能の初期化
 document.addEventListener('DOMContentLoaded', () => {
-  const ui = new UIController();
+  new UIController();
 });
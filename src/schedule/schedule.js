@@ -0,0 +1,31 @@
+import { getPlatforms } from '../platforms';
+
+// 配信スケジュール画面のコントローラークラス
+class ScheduleController {
+  constructor() {
+    this.platformFilters = document.getElementById('platformFilters');
+    this.renderPlatformFilters();
+  }
+  
+  // 登録されているプラットフォームごとにフィルターのチェックボックスを作成
+  renderPlatformFilters() {
+    getPlatforms().forEach(provider => {
+      const label = document.createElement('label');
+      label.style.setProperty('--platform-color', provider.color);
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'filterPlatform';
+      checkbox.value = provider.id;
+      checkbox.checked = true;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(provider.displayName));
+      this.platformFilters.appendChild(label);
+    });
+    this.platformCheckboxes = this.platformFilters.querySelectorAll('input[name="filterPlatform"]');
+  }
+}
+
+// 配信スケジュール画面の初期化
+document.addEventListener('DOMContentLoaded', () => {
+  new ScheduleController();
+});
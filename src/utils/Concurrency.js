@@ -0,0 +1,36 @@
+/**
+ * 非同期処理の並列数制御ユーティリティ
+ * API呼び出しを一定の並列数に抑えながら一括実行するための関数を提供します
+ */
+
+/**
+ * 指定したミリ秒だけ待機します
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @return {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 配列の各要素に非同期関数を適用します。同時に実行する数は limit 件までに制限されます
+ * @param {Array} items - 処理対象の配列
+ * @param {number} limit - 最大並列数
+ * @param {function(*, number): Promise<*>} mapper - 各要素に適用する非同期関数
+ * @return {Promise<Array>} - 入力と同じ順序の結果配列
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
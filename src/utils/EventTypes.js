@@ -10,6 +10,9 @@ export const DATA_EVENTS = {
   STREAM_ADDED: 'stream:added',
   STREAM_REMOVED: 'stream:removed',
   STREAM_STATUS_CHANGED: 'stream:statusChanged',
+  STREAM_TITLE_CHANGED: 'stream:titleChanged',
+  STREAM_CATEGORY_CHANGED: 'stream:categoryChanged',
+  STREAM_VIEWER_MILESTONE: 'stream:viewerMilestone',
   
   // スケジュールデータ関連
   SCHEDULE_UPDATED: 'schedule:updated',
@@ -37,13 +40,15 @@ export const AUTH_EVENTS = {
   AUTH_STATUS_CHANGED: 'auth:statusChanged',
   AUTH_TOKEN_EXPIRED: 'auth:tokenExpired',
   AUTH_ERROR: 'auth:error',
-  
-  // プラットフォーム固有の認証イベント
-  TWITCH_AUTH_CHANGED: 'auth:twitchChanged',
-  YOUTUBE_AUTH_CHANGED: 'auth:youtubeChanged',
-  TWITCASTING_AUTH_CHANGED: 'auth:twitcastingChanged',
 };
 
+/**
+ * プラットフォーム固有の認証イベント名を取得します
+ * @param {string} platformType - プラットフォーム種別
+ * @return {string} - イベント名（例: 'auth:twitchChanged'）
+ */
+export const getPlatformAuthEvent = platformType => `auth:${platformType}Changed`;
+
 // UI関連イベント
 export const UI_EVENTS = {
   VIEW_CHANGED: 'ui:viewChanged',
@@ -0,0 +1,171 @@
+/**
+ * XMLフィード（Atom / RSS）パーサー
+ * Service Worker では DOMParser が使えないため、フィードの読み取りに必要な範囲のXMLを解析する簡易パーサーを提供します
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * XMLの文字参照・実体参照をデコードします
+ * @param {string} text - デコードする文字列
+ * @return {string} - デコード後の文字列
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.substring(2), 16)
+        : parseInt(entity.substring(1), 10);
+      return Number.isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * タグ内の属性文字列を解析します
+ * @param {string} source - 属性部分の文字列
+ * @return {Object<string, string>} - 属性名と値のオブジェクト
+ * @private
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * XML文字列を要素ツリーに変換します
+ * 宣言・コメント・DOCTYPEは読み飛ばし、CDATAはテキストとして扱います
+ * @param {string} xml - XML文字列
+ * @return {{name: string, attributes: Object, children: Array, text: string}} - ルート要素
+ * @throws {Error} - 要素の対応が取れない場合
+ */
+export function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closeName, openName, attributeSource, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closeName) {
+      if (current.name !== closeName) {
+        throw new Error(`XMLの解析に失敗しました: </${closeName}> に対応する開始タグがありません`);
+      }
+      stack.pop();
+    } else if (openName) {
+      const element = {
+        name: openName,
+        attributes: parseAttributes(attributeSource || ''),
+        children: [],
+        text: ''
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`XMLの解析に失敗しました: <${stack[stack.length - 1].name}> が閉じられていません`);
+  }
+  return root;
+}
+
+/**
+ * 指定した名前の子要素を取得します
+ * @param {Object} element - 親要素
+ * @param {string} name - 要素名（名前空間接頭辞を含む）
+ * @return {Object|null} - 最初に一致した子要素
+ */
+export function findChild(element, name) {
+  return (element && element.children.find(child => child.name === name)) || null;
+}
+
+/**
+ * 指定した名前の子要素をすべて取得します
+ * @param {Object} element - 親要素
+ * @param {string} name - 要素名
+ * @return {Array<Object>} - 一致した子要素の配列
+ */
+export function findChildren(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * 子要素のテキストを取得します
+ * @param {Object} element - 親要素
+ * @param {string} name - 要素名
+ * @return {string} - 前後の空白を除いたテキスト（要素がなければ空文字）
+ */
+export function getChildText(element, name) {
+  const child = findChild(element, name);
+  return child ? child.text.trim() : '';
+}
+
+/**
+ * Atom / RSS 2.0 フィードを共通の形式に変換します
+ * 各エントリーの element には元の要素が入っているため、拡張要素（yt:videoId など）はそこから読み取れます
+ * @param {string} xml - フィードのXML文字列
+ * @return {{title: string, entries: Array<{id: string, title: string, link: string, published: string, updated: string, author: string, element: Object}>}}
+ * @throws {Error} - Atom / RSS 以外の文書の場合
+ */
+export function parseFeed(xml) {
+  const document = parseXml(xml);
+  const atomFeed = findChild(document, 'feed');
+
+  if (atomFeed) {
+    return {
+      title: getChildText(atomFeed, 'title'),
+      entries: findChildren(atomFeed, 'entry').map(entry => {
+        const links = findChildren(entry, 'link');
+        const link = links.find(item => !item.attributes.rel || item.attributes.rel === 'alternate') || links[0];
+        return {
+          id: getChildText(entry, 'id'),
+          title: getChildText(entry, 'title'),
+          link: link ? link.attributes.href || '' : '',
+          published: getChildText(entry, 'published'),
+          updated: getChildText(entry, 'updated'),
+          author: getChildText(findChild(entry, 'author'), 'name'),
+          element: entry
+        };
+      })
+    };
+  }
+
+  const channel = findChild(findChild(document, 'rss'), 'channel');
+  if (channel) {
+    return {
+      title: getChildText(channel, 'title'),
+      entries: findChildren(channel, 'item').map(item => ({
+        id: getChildText(item, 'guid') || getChildText(item, 'link'),
+        title: getChildText(item, 'title'),
+        link: getChildText(item, 'link'),
+        published: getChildText(item, 'pubDate'),
+        updated: getChildText(item, 'pubDate'),
+        author: getChildText(item, 'author') || getChildText(item, 'dc:creator'),
+        element: item
+      }))
+    };
+  }
+
+  throw new Error('対応していないフィード形式です');
+}
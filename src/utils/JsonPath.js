@@ -0,0 +1,139 @@
+/**
+ * JSONPath 風セレクター
+ * カスタムソースのフィールド指定に使う、JSONPath のうち値の参照に必要な範囲の構文を解釈します
+ * 対応する構文: $（ルート、省略可）、.name、['name']、[0]、[-1]、[*]、.*、..name（再帰的な検索）
+ */
+
+/**
+ * セレクター文字列をトークンの配列に変換します
+ * @param {string} path - セレクター（例: '$.data.items[*].title'）
+ * @return {Array<{type: string, value: (string|number|undefined)}>} - トークンの配列
+ * @throws {Error} - 構文が正しくない場合
+ */
+export function parsePath(path) {
+  const source = (path || '').trim();
+  const tokens = [];
+  let index = source.startsWith('$') ? 1 : 0;
+
+  // 先頭の $ を省略した場合は、最初の名前をプロパティとして扱う
+  if (index === 0 && source && source[0] !== '.' && source[0] !== '[') {
+    const match = source.match(/^[^.[\]]+/);
+    tokens.push({ type: 'property', value: match[0] });
+    index = match[0].length;
+  }
+
+  while (index < source.length) {
+    const rest = source.substring(index);
+    let match;
+
+    if ((match = rest.match(/^\.\.([^.[\]]+)/))) {
+      tokens.push(match[1] === '*' ? { type: 'recursiveWildcard' } : { type: 'recursive', value: match[1] });
+    } else if ((match = rest.match(/^\.\*/)) || (match = rest.match(/^\[\*\]/))) {
+      tokens.push({ type: 'wildcard' });
+    } else if ((match = rest.match(/^\.([^.[\]]+)/))) {
+      tokens.push({ type: 'property', value: match[1] });
+    } else if ((match = rest.match(/^\[(-?\d+)\]/))) {
+      tokens.push({ type: 'index', value: parseInt(match[1], 10) });
+    } else if ((match = rest.match(/^\[\s*(?:'([^']*)'|"([^"]*)")\s*\]/))) {
+      tokens.push({ type: 'property', value: match[1] !== undefined ? match[1] : match[2] });
+    } else {
+      throw new Error(`セレクターを解釈できません: ${source}（${index + 1}文字目）`);
+    }
+    index += match[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * 値の子要素（配列の要素またはオブジェクトのプロパティの値）を取得します
+ * @param {*} value - 値
+ * @return {Array} - 子要素の配列
+ * @private
+ */
+function getChildren(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value !== null && typeof value === 'object' ? Object.values(value) : [];
+}
+
+/**
+ * 値とその子孫をすべて取得します
+ * @param {*} value - 値
+ * @return {Array} - 値自身と子孫の配列（深さ優先）
+ * @private
+ */
+function getDescendants(value) {
+  return [value, ...getChildren(value).flatMap(getDescendants)];
+}
+
+/**
+ * 値にトークンを1つ適用します
+ * @param {*} value - 値
+ * @param {{type: string, value: (string|number|undefined)}} token - トークン
+ * @return {Array} - 一致した値の配列
+ * @private
+ */
+function applyToken(value, token) {
+  switch (token.type) {
+    case 'property':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) && token.value in value
+        ? [value[token.value]]
+        : [];
+    case 'index': {
+      if (!Array.isArray(value)) {
+        return [];
+      }
+      const position = token.value < 0 ? value.length + token.value : token.value;
+      return position >= 0 && position < value.length ? [value[position]] : [];
+    }
+    case 'wildcard':
+      return getChildren(value);
+    case 'recursive':
+      return getDescendants(value).flatMap(item => applyToken(item, { type: 'property', value: token.value }));
+    case 'recursiveWildcard':
+      return getDescendants(value).slice(1);
+    default:
+      return [];
+  }
+}
+
+/**
+ * セレクターに一致する値をすべて取得します
+ * @param {*} data - 検索対象のデータ
+ * @param {string} path - セレクター（空文字または '$' の場合はデータ自身）
+ * @return {Array} - 一致した値の配列
+ * @throws {Error} - セレクターの構文が正しくない場合
+ */
+export function selectAll(data, path) {
+  return parsePath(path).reduce(
+    (values, token) => values.flatMap(value => applyToken(value, token)),
+    [data]
+  );
+}
+
+/**
+ * セレクターに最初に一致する値を取得します
+ * @param {*} data - 検索対象のデータ
+ * @param {string} path - セレクター
+ * @return {*} - 一致した値（一致しない場合undefined）
+ * @throws {Error} - セレクターの構文が正しくない場合
+ */
+export function selectFirst(data, path) {
+  return selectAll(data, path)[0];
+}
+
+/**
+ * セレクターの構文が正しいかどうかを判定します
+ * @param {string} path - セレクター
+ * @return {boolean} - 正しい場合true
+ */
+export function isValidPath(path) {
+  try {
+    parsePath(path);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * CustomFeedAPIClient のフィールドの対応付け・配信と配信予定の振り分けのテスト
+ */
+import CustomFeedAPIClient from '../../src/api/CustomFeedAPIClient';
+
+const NOW = Date.UTC(2024, 0, 10, 12);
+
+describe('CustomFeedAPIClient', () => {
+  test('JSONの項目をセレクターに従って読み取り、配信中と配信予定に振り分けること', () => {
+    const feed = {
+      id: 'feed-1',
+      name: '公式サイト',
+      url: 'https://example.com/schedule.json',
+      format: 'json',
+      itemsPath: '$.data.events[*]',
+      fields: { title: 'name', url: 'links.watch', startTime: 'start', live: 'status' },
+      liveValue: 'LIVE'
+    };
+    const payload = {
+      data: {
+        events: [
+          { name: '雑談', links: { watch: 'https://example.com/live/1' }, start: NOW / 1000 - 600, status: 'live' },
+          { name: '歌枠', links: { watch: 'https://example.com/live/2' }, start: '2024-01-11T12:00:00Z', status: 'upcoming' },
+          { name: '過去の配信', start: '2024-01-01T12:00:00Z', status: 'ended' }
+        ]
+      }
+    };
+
+    const { live, upcoming } = CustomFeedAPIClient.classifyItems(CustomFeedAPIClient.extractItems(feed, payload), NOW);
+
+    expect(live.map(item => item.title)).toEqual(['雑談']);
+    expect(live[0].startTime).toBe(NOW - 600000);
+    expect(upcoming).toHaveLength(1);
+    expect(upcoming[0]).toMatchObject({ title: '歌枠', url: 'https://example.com/live/2', startTime: Date.UTC(2024, 0, 11, 12) });
+  });
+
+  test('配信中フラグがない場合は開始・終了時刻から配信中を判定すること', () => {
+    const items = CustomFeedAPIClient.extractItems(
+      { format: 'json', fields: { endTime: 'end' } },
+      [
+        { title: '配信中', url: 'https://example.com/a', startTime: '2024-01-10T11:00:00Z', end: '2024-01-10T13:00:00Z' },
+        { title: '終了', url: 'https://example.com/b', startTime: '2024-01-10T09:00:00Z', end: '2024-01-10T10:00:00Z' }
+      ]
+    );
+    const { live, upcoming } = CustomFeedAPIClient.classifyItems(items, NOW);
+
+    expect(live.map(item => item.title)).toEqual(['配信中']);
+    expect(upcoming).toEqual([]);
+  });
+
+  test('フィードの項目名・要素名・属性を読み取ること', () => {
+    const xml = `<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/"><channel><title>告知</title>
+      <item><title>次回の配信</title><link>https://example.com/next</link>
+      <eventStart>2024-01-12T12:00:00Z</eventStart><media:thumbnail url="https://example.com/thumb.jpg"/></item>
+    </channel></rss>`;
+    const feed = {
+      id: 'feed-2',
+      name: 'ブログ',
+      format: 'feed',
+      fields: { startTime: 'eventStart', thumbnailUrl: 'media:thumbnail@url' }
+    };
+
+    const [item] = CustomFeedAPIClient.extractItems(feed, xml);
+    expect(item).toMatchObject({
+      title: '次回の配信',
+      url: 'https://example.com/next',
+      startTime: Date.UTC(2024, 0, 12, 12),
+      thumbnailUrl: 'https://example.com/thumb.jpg'
+    });
+
+    const schedule = new CustomFeedAPIClient().toSchedule(feed, item);
+    expect(schedule).toMatchObject({ platformType: 'custom', platformLabel: 'ブログ', channelId: 'feed-2' });
+    expect(schedule.id).toMatch(/^feed-2-[0-9a-z]+$/);
+  });
+
+  test('ソースの定義を検証すること', () => {
+    expect(CustomFeedAPIClient.validateFeed({ name: '公式', url: 'https://example.com/a.json', format: 'json' })).toEqual([]);
+    expect(CustomFeedAPIClient.validateFeed({ name: '', url: 'ftp://example.com', format: 'json' })).toHaveLength(2);
+    expect(CustomFeedAPIClient.validateFeed({
+      name: '公式', url: 'https://example.com/a.json', format: 'json', fields: { title: '$.items[' }
+    })).toEqual(['セレクターの形式が正しくありません: title']);
+    expect(CustomFeedAPIClient.getOriginPattern('https://example.com:8080/feed?x=1')).toBe('https://example.com:8080/*');
+  });
+});
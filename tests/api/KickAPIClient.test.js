@@ -0,0 +1,67 @@
+/**
+ * KickAPIClient のチャンネル名・配信情報変換のテスト
+ */
+import KickAPIClient from '../../src/api/KickAPIClient';
+
+describe('KickAPIClient', () => {
+  test('チャンネル名とURLをスラッグに正規化すること', () => {
+    expect(KickAPIClient.normalizeSlug('XQC')).toBe('xqc');
+    expect(KickAPIClient.normalizeSlug('https://kick.com/some-streamer?ref=1')).toBe('some-streamer');
+    expect(KickAPIClient.normalizeSlug('kick.com/streamer_01')).toBe('streamer_01');
+    expect(KickAPIClient.normalizeSlug('https://example.com/xqc')).toBeNull();
+  });
+
+  test('タイムゾーンのない日時をUTCとして扱うこと', () => {
+    expect(KickAPIClient.parseTime('2024-01-01 12:00:00')).toBe(Date.UTC(2024, 0, 1, 12));
+    expect(KickAPIClient.parseTime('2024-01-01T12:00:00+09:00')).toBe(Date.UTC(2024, 0, 1, 3));
+    expect(KickAPIClient.parseTime('')).toBeNull();
+  });
+
+  test('チャンネル情報をストリームに変換すること', () => {
+    const client = new KickAPIClient();
+    const stream = client.toStream({
+      slug: 'streamer',
+      user: { username: 'Streamer', profile_pic: 'https://example.com/icon.png' },
+      livestream: {
+        id: 123,
+        is_live: true,
+        session_title: '雑談',
+        viewer_count: 456,
+        created_at: '2024-01-01 12:00:00',
+        categories: [{ name: 'Just Chatting' }],
+        thumbnail: { url: 'https://example.com/thumb.jpg' }
+      }
+    });
+
+    expect(stream).toMatchObject({
+      id: '123',
+      title: '雑談',
+      streamerName: 'Streamer',
+      channelId: 'streamer',
+      thumbnailUrl: 'https://example.com/thumb.jpg',
+      platformType: 'kick',
+      startedAt: Date.UTC(2024, 0, 1, 12),
+      viewerCount: 456,
+      gameOrCategory: 'Just Chatting',
+      url: 'https://kick.com/streamer'
+    });
+  });
+
+  test('確認に失敗したチャンネルを記録し、配信していないチャンネルと区別すること', async () => {
+    const client = new KickAPIClient();
+    client.setChannelIds(['live', 'offline', 'down']);
+    client.getChannelLive = jest.fn(async slug => {
+      if (slug === 'down') {
+        throw new Error('503 Service Unavailable');
+      }
+      return slug === 'live' ? { id: '1', channelId: 'live' } : null;
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const streams = await client.getStreams();
+
+    expect(streams.map(stream => stream.channelId)).toEqual(['live']);
+    expect(client.getFailedChannelIds('getStreams')).toEqual(['down']);
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * NiconicoAPIClient の放送元ID・検索条件のテスト
+ */
+import NiconicoAPIClient from '../../src/api/NiconicoAPIClient';
+
+describe('NiconicoAPIClient', () => {
+  test('放送元IDとURLを正規化すること', () => {
+    expect(NiconicoAPIClient.normalizeWatchId('co1234567')).toBe('co1234567');
+    expect(NiconicoAPIClient.normalizeWatchId(' CH2525 ')).toBe('ch2525');
+    expect(NiconicoAPIClient.normalizeWatchId('https://com.nicovideo.jp/community/co1234567')).toBe('co1234567');
+    expect(NiconicoAPIClient.normalizeWatchId('https://www.nicovideo.jp/user/98765?ref=pc')).toBe('98765');
+    expect(NiconicoAPIClient.normalizeWatchId('98765')).toBe('98765');
+    expect(NiconicoAPIClient.normalizeWatchId('https://ch.nicovideo.jp/example')).toBeNull();
+  });
+
+  test('番組の状態と放送元で絞り込む検索条件を作成すること', () => {
+    const filter = NiconicoAPIClient.buildJsonFilter('onair', ['co1', 'ch2', '3', 'invalid']);
+
+    expect(filter).toEqual({
+      type: 'and',
+      filters: [
+        { type: 'equal', field: 'liveStatus', value: 'onair' },
+        {
+          type: 'or',
+          filters: [
+            { type: 'equal', field: 'communityId', value: 1 },
+            { type: 'equal', field: 'channelId', value: 2 },
+            { type: 'equal', field: 'userId', value: 3 }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('開始時刻の範囲を検索条件に含めること', () => {
+    const filter = NiconicoAPIClient.buildJsonFilter('reserved', ['co1'], {
+      from: '2024-01-01T00:00:00.000Z',
+      to: '2024-01-08T00:00:00.000Z'
+    });
+
+    expect(filter.filters[2]).toEqual({
+      type: 'range',
+      field: 'startTime',
+      from: '2024-01-01T00:00:00.000Z',
+      include_lower: true,
+      to: '2024-01-08T00:00:00.000Z',
+      include_upper: true
+    });
+  });
+});
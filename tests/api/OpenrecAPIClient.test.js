@@ -0,0 +1,36 @@
+/**
+ * OpenrecAPIClient のチャンネルID・枠データ変換のテスト
+ */
+import OpenrecAPIClient from '../../src/api/OpenrecAPIClient';
+
+describe('OpenrecAPIClient', () => {
+  test('チャンネルIDとURLを正規化すること', () => {
+    expect(OpenrecAPIClient.normalizeChannelId('streamer_01')).toBe('streamer_01');
+    expect(OpenrecAPIClient.normalizeChannelId('https://www.openrec.tv/user/streamer_01/supporters')).toBe('streamer_01');
+    expect(OpenrecAPIClient.normalizeChannelId('https://www.openrec.tv/live/abc')).toBeNull();
+  });
+
+  test('予約中の枠をスケジュールに変換すること', () => {
+    const client = new OpenrecAPIClient();
+    const schedule = client.toSchedule({
+      id: 'movie1',
+      title: '耐久配信',
+      onair_status: 0,
+      schedule_at: '2024-01-01T21:00:00+09:00',
+      channel: { id: 'streamer_01', nickname: '配信者', icon_image_url: 'https://example.com/icon.png' },
+      game: { title: 'Minecraft' }
+    });
+
+    expect(schedule).toMatchObject({
+      id: 'movie1',
+      title: '耐久配信',
+      streamerName: '配信者',
+      platformType: 'openrec',
+      channelId: 'streamer_01',
+      scheduledStartTime: Date.UTC(2024, 0, 1, 12),
+      thumbnailUrl: 'https://example.com/icon.png',
+      gameOrCategory: 'Minecraft',
+      url: 'https://www.openrec.tv/live/movie1'
+    });
+  });
+});
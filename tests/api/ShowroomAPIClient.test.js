@@ -0,0 +1,42 @@
+/**
+ * ShowroomAPIClient のルーム指定・ルーム情報変換のテスト
+ */
+import ShowroomAPIClient from '../../src/api/ShowroomAPIClient';
+
+describe('ShowroomAPIClient', () => {
+  test('ルームIDとURLを正規化すること', () => {
+    expect(ShowroomAPIClient.normalizeRoom('123456')).toBe('123456');
+    expect(ShowroomAPIClient.normalizeRoom('https://www.showroom-live.com/r/room_key')).toBe('room_key');
+    expect(ShowroomAPIClient.normalizeRoom('https://www.showroom-live.com/room/profile?room_id=123456')).toBe('123456');
+  });
+
+  test('配信中のルームと次回の配信予定を変換すること', () => {
+    const client = new ShowroomAPIClient();
+    const profile = {
+      room_id: 123456,
+      room_name: 'ルーム名',
+      main_name: '配信者',
+      room_url_key: 'room_key',
+      image: 'https://example.com/room.jpg',
+      is_onlive: true,
+      current_live_started_at: 1704110400,
+      view_num: 789,
+      genre_name: 'アイドル'
+    };
+
+    expect(client.toStream(profile)).toMatchObject({
+      id: '123456_1704110400000',
+      streamerName: '配信者',
+      channelId: '123456',
+      platformType: 'showroom',
+      startedAt: 1704110400000,
+      viewerCount: 789,
+      url: 'https://www.showroom-live.com/r/room_key'
+    });
+    expect(client.toSchedule(profile, { epoch: 1704196800, text: '1/2 21:00' })).toMatchObject({
+      id: '123456_1704196800',
+      platformType: 'showroom',
+      scheduledStartTime: 1704196800000
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * TwitCastingAPIClient の配信状態確認・サポーター一覧取得のテスト
+ */
+import TwitCastingAPIClient from '../../src/api/TwitCastingAPIClient';
+
+const createResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: { get: name => (name === 'content-type' ? 'application/json' : null) },
+  json: async () => body
+});
+
+const createCurrentLive = (screenId, userId) => ({
+  movie: { id: `movie-${userId}`, title: `${screenId}の配信`, created: 1704110400, current_view_count: 12 },
+  broadcaster: { id: userId, screen_id: screenId, name: `${screenId}の名前` }
+});
+
+describe('TwitCastingAPIClient', () => {
+  let client;
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome = {
+      identity: { getRedirectURL: () => 'https://extension.example/twitcasting' },
+      storage: {
+        local: {
+          get: jest.fn(async key => ({ [key]: storage[key] })),
+          set: jest.fn(async items => {
+            Object.assign(storage, JSON.parse(JSON.stringify(items)));
+          })
+        }
+      }
+    };
+    client = new TwitCastingAPIClient();
+    client.auth.accessToken = 'token';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    delete global.fetch;
+  });
+
+  test('確認するユーザーごとに配信状態を取得し、配信していないユーザー（404）を除くこと', async () => {
+    client.setChannelIds(['live_user', 'offline_user', 'live_user']);
+    global.fetch = jest.fn(async url => (url.includes('/users/live_user/')
+      ? createResponse(200, createCurrentLive('live_user', '1001'))
+      : createResponse(404, { error: { code: 404 } })));
+
+    const streams = await client.getStreams();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(streams).toHaveLength(1);
+    expect(streams[0]).toMatchObject({
+      id: 'movie-1001',
+      title: 'live_userの配信',
+      channelId: '1001',
+      platformType: 'twitcasting',
+      startedAt: 1704110400000,
+      url: 'https://twitcasting.tv/live_user/movie/movie-1001'
+    });
+    expect(client.getFailedChannelIds('getStreams')).toEqual([]);
+  });
+
+  test('404以外のエラーは確認に失敗したユーザーとして、わかればユーザーIDで記録すること', async () => {
+    client.setChannelIds(['known_user', 'unknown_user']);
+    global.fetch = jest.fn(async url => (url.includes('/users/known_user/')
+      ? createResponse(200, createCurrentLive('known_user', '2001'))
+      : createResponse(404)));
+    await client.getStreams();
+
+    global.fetch = jest.fn(async () => createResponse(500));
+    const streams = await client.getStreams();
+
+    expect(streams).toEqual([]);
+    expect(client.getFailedChannelIds('getStreams')).toEqual(['2001', 'unknown_user']);
+  });
+
+  test('サービスワーカーの再起動後も、確認に失敗したユーザーを保存した対応からユーザーIDで記録すること', async () => {
+    client.setChannelIds(['known_user']);
+    global.fetch = jest.fn(async () => createResponse(200, createCurrentLive('known_user', '2001')));
+    await client.getStreams();
+
+    // 再起動後の新しいクライアント（メモリ上の対応は空）
+    storage.twitcasting_auth = { accessToken: 'token' };
+    const restarted = new TwitCastingAPIClient();
+    expect(restarted.userIdsByScreenId.size).toBe(0);
+    await restarted.initialize();
+    restarted.setChannelIds(['known_user', 'unknown_user']);
+    global.fetch = jest.fn(async () => createResponse(500));
+
+    expect(await restarted.getStreams()).toEqual([]);
+    expect(restarted.getFailedChannelIds('getStreams')).toEqual(['2001', 'unknown_user']);
+  });
+
+  test('サポート中のユーザーをページごとにすべて取得すること', async () => {
+    const supporting = Array.from({ length: 25 }, (_, index) => ({
+      screen_id: `user_${index}`,
+      name: `ユーザー${index}`,
+      image: `https://example.com/${index}.png`
+    }));
+    global.fetch = jest.fn(async url => {
+      const { searchParams } = new URL(url);
+      const offset = Number(searchParams.get('offset'));
+      const limit = Number(searchParams.get('limit'));
+      return createResponse(200, { total: supporting.length, supporting: supporting.slice(offset, offset + limit) });
+    });
+
+    const users = await client.getSupportingUsers('me');
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls.map(([url]) => new URL(url).searchParams.get('offset'))).toEqual(['0', '20']);
+    expect(users).toHaveLength(25);
+    expect(users[24]).toEqual({ id: 'user_24', name: 'ユーザー24', thumbnailUrl: 'https://example.com/24.png' });
+  });
+});
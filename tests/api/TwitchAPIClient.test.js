@@ -0,0 +1,231 @@
+/**
+ * TwitchAPIClient のフォロー一覧・配信・スケジュール取得のテスト
+ */
+import TwitchAPIClient from '../../src/api/TwitchAPIClient';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2024, 0, 1, 12);
+
+const createResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: { get: name => (name === 'content-type' ? 'application/json' : null) },
+  json: async () => body
+});
+
+const createSegment = (id, startTime, overrides = {}) => ({
+  id,
+  start_time: new Date(startTime).toISOString(),
+  end_time: new Date(startTime + 2 * 60 * 60 * 1000).toISOString(),
+  title: `配信 ${id}`,
+  canceled_until: null,
+  category: { name: 'Just Chatting' },
+  is_recurring: true,
+  ...overrides
+});
+
+const createSchedulePage = (broadcasterId, segments, { vacation = null, cursor = null } = {}) => ({
+  data: {
+    segments,
+    broadcaster_id: broadcasterId,
+    broadcaster_name: `配信者${broadcasterId}`,
+    broadcaster_login: `streamer${broadcasterId}`,
+    vacation
+  },
+  pagination: cursor ? { cursor } : {}
+});
+
+const createFollow = index => ({
+  broadcaster_id: String(index),
+  broadcaster_login: `streamer${index}`,
+  broadcaster_name: `配信者${index}`,
+  followed_at: '2023-12-01T00:00:00Z'
+});
+
+describe('TwitchAPIClient', () => {
+  let client;
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome = {
+      identity: { getRedirectURL: () => 'https://extension.example/twitch' },
+      storage: {
+        local: {
+          get: jest.fn(async key => ({ [key]: storage[key] })),
+          set: jest.fn(async items => {
+            Object.assign(storage, JSON.parse(JSON.stringify(items)));
+          })
+        }
+      }
+    };
+    client = new TwitchAPIClient();
+    client.clientId = 'client-id';
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('キャンセルされた枠と休止期間中の枠を除き、繰り返し枠を個別の配信予定として返すこと', async () => {
+    global.fetch = jest.fn(async () => createResponse(200, createSchedulePage('1001', [
+      createSegment('s1', now + DAY),
+      createSegment('s2', now + 2 * DAY, { canceled_until: new Date(now + 3 * DAY).toISOString() }),
+      createSegment('s3', now + 4 * DAY),
+      createSegment('s4', now + 5 * DAY, { is_recurring: false, category: null })
+    ], {
+      vacation: {
+        start_time: new Date(now + 3 * DAY).toISOString(),
+        end_time: new Date(now + 5 * DAY).toISOString()
+      }
+    })));
+
+    const schedules = await client.getSchedules({ broadcasterIds: ['1001'] });
+
+    expect(schedules.map(schedule => schedule.id)).toEqual(['s1', 's4']);
+    expect(schedules[0]).toMatchObject({
+      title: '配信 s1',
+      streamerName: '配信者1001',
+      channelId: '1001',
+      platformType: 'twitch',
+      gameOrCategory: 'Just Chatting',
+      url: 'https://twitch.tv/streamer1001/schedule',
+      isRecurring: true
+    });
+    expect(schedules[1]).toMatchObject({ gameOrCategory: '', isRecurring: false });
+  });
+
+  test('取得期間より後の枠を除き、期間に達したら次のページを取得しないこと', async () => {
+    global.fetch = jest.fn(async () => createResponse(200, createSchedulePage('1001', [
+      createSegment('s1', now + DAY),
+      createSegment('s2', now + 8 * DAY)
+    ], { cursor: 'next' })));
+
+    const schedules = await client.getSchedules({ broadcasterIds: ['1001'] });
+
+    expect(schedules.map(schedule => schedule.id)).toEqual(['s1']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch = jest.fn(async () => createResponse(200, createSchedulePage('1001', [
+      createSegment('s1', now + DAY),
+      createSegment('s2', now + 8 * DAY)
+    ])));
+    expect((await client.getSchedules({ broadcasterIds: ['1001'], horizonDays: 10 })).map(schedule => schedule.id))
+      .toEqual(['s1', 's2']);
+  });
+
+  test('カーソルで次のページを取得し、開始時刻順に並べること', async () => {
+    global.fetch = jest.fn(async url => {
+      const { searchParams } = new URL(url);
+      if (searchParams.get('broadcaster_id') === '1002') {
+        return createResponse(200, createSchedulePage('1002', [createSegment('b1', now + 2 * 60 * 60 * 1000)]));
+      }
+      return searchParams.get('after') === 'page-2'
+        ? createResponse(200, createSchedulePage('1001', [createSegment('a2', now + 2 * DAY)]))
+        : createResponse(200, createSchedulePage('1001', [createSegment('a1', now + DAY)], { cursor: 'page-2' }));
+    });
+
+    const schedules = await client.getSchedules({ broadcasterIds: ['1001', '1002'] });
+
+    expect(schedules.map(schedule => schedule.id)).toEqual(['b1', 'a1', 'a2']);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('スケジュールのない配信者（404）は予定なしとし、取得に失敗した配信者は確認に失敗したIDとして記録すること', async () => {
+    global.fetch = jest.fn(async url => {
+      const broadcasterId = new URL(url).searchParams.get('broadcaster_id');
+      if (broadcasterId === 'no-schedule') return createResponse(404);
+      if (broadcasterId === 'down') return createResponse(500);
+      return createResponse(200, createSchedulePage(broadcasterId, [createSegment('s1', now + DAY)]));
+    });
+
+    const schedules = await client.getSchedules({ broadcasterIds: ['1001', 'no-schedule', 'down'] });
+
+    expect(schedules.map(schedule => schedule.channelId)).toEqual(['1001']);
+    expect(client.getFailedChannelIds('getSchedules')).toEqual(['down']);
+  });
+
+  test('フォロー中の配信者をカーソルで全ページ取得し、認証ユーザーのものとして保存すること', async () => {
+    client.auth.userId = 'me';
+    global.fetch = jest.fn(async url => {
+      const { pathname, searchParams } = new URL(url);
+      expect(pathname).toBe('/helix/channels/followed');
+      expect(searchParams.get('user_id')).toBe('me');
+      return searchParams.get('after') === 'page-2'
+        ? createResponse(200, { data: [createFollow(3)], pagination: {} })
+        : createResponse(200, { data: [createFollow(1), createFollow(2)], pagination: { cursor: 'page-2' } });
+    });
+
+    const channels = await client.syncFollowedChannels();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(channels.map(channel => channel.id)).toEqual(['1', '2', '3']);
+    expect(channels[0]).toEqual({ id: '1', login: 'streamer1', name: '配信者1', followedAt: '2023-12-01T00:00:00Z' });
+    expect(storage.twitch_followed_channels).toMatchObject({ userId: 'me', syncedAt: now });
+  });
+
+  test('保存済みのフォロー一覧は、同じユーザーのもので最大経過時間内なら再取得せずに使うこと', async () => {
+    client.auth.userId = 'me';
+    storage.twitch_followed_channels = {
+      userId: 'me',
+      channels: [{ id: '1', login: 'streamer1', name: '配信者1' }],
+      syncedAt: now - 30 * 60 * 1000
+    };
+    global.fetch = jest.fn(async () => createResponse(200, { data: [createFollow(2)], pagination: {} }));
+
+    expect((await client.getSyncedFollowedChannels()).map(channel => channel.id)).toEqual(['1']);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    // 最大経過時間を過ぎた場合
+    expect((await client.getSyncedFollowedChannels({ maxAge: 10 * 60 * 1000 })).map(channel => channel.id)).toEqual(['2']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    // 別のユーザーで認証し直した場合
+    storage.twitch_followed_channels = { ...storage.twitch_followed_channels, userId: 'someone-else' };
+    expect((await client.getSyncedFollowedChannels()).map(channel => channel.id)).toEqual(['2']);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('認証済みの場合はフォロー中の配信者のライブ配信（/streams/followed）を全ページ取得すること', async () => {
+    client.auth.userId = 'me';
+    jest.spyOn(client, 'checkTokenExpiration').mockResolvedValue(true);
+    const createLive = index => ({
+      id: `live-${index}`,
+      user_id: String(index),
+      user_login: `streamer${index}`,
+      user_name: `配信者${index}`,
+      title: '雑談',
+      game_name: 'Just Chatting',
+      viewer_count: 10,
+      started_at: '2024-01-01T11:00:00Z',
+      thumbnail_url: 'https://example.com/{width}x{height}.jpg',
+      language: 'ja'
+    });
+    global.fetch = jest.fn(async url => {
+      const { pathname, searchParams } = new URL(url);
+      expect(pathname).toBe('/helix/streams/followed');
+      expect(searchParams.get('user_id')).toBe('me');
+      return searchParams.get('after') === 'page-2'
+        ? createResponse(200, { data: [createLive(2)], pagination: {} })
+        : createResponse(200, { data: [createLive(1)], pagination: { cursor: 'page-2' } });
+    });
+
+    const streams = await client.getStreams();
+
+    expect(streams.map(stream => stream.channelId)).toEqual(['1', '2']);
+    expect(streams[0]).toMatchObject({
+      platformType: 'twitch',
+      thumbnailUrl: 'https://example.com/320x180.jpg',
+      url: 'https://twitch.tv/streamer1'
+    });
+
+    // ユーザーを指定した場合は /streams を使う
+    global.fetch = jest.fn(async () => createResponse(200, { data: [] }));
+    await client.getStreams({ userId: '1' });
+    expect(new URL(global.fetch.mock.calls[0][0]).pathname).toBe('/helix/streams');
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * YouTubeQuotaTracker クラスのテスト
+ */
+import YouTubeQuotaTracker from '../../src/api/YouTubeQuotaTracker';
+
+describe('YouTubeQuotaTracker', () => {
+  // 2024-01-10 12:00 PST（UTC-8）
+  const noon = new Date('2024-01-10T20:00:00Z');
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new YouTubeQuotaTracker({ dailyLimit: 10000, reserveRatio: 0 });
+    tracker.ensureCurrentDay(noon);
+  });
+
+  test('太平洋時間の0時を日付の区切りとすること', () => {
+    // UTCでは11日だが太平洋時間ではまだ10日
+    expect(YouTubeQuotaTracker.getQuotaDay(new Date('2024-01-11T07:59:00Z'))).toBe('2024-01-10');
+    expect(YouTubeQuotaTracker.getQuotaDay(new Date('2024-01-11T08:00:00Z'))).toBe('2024-01-11');
+    expect(YouTubeQuotaTracker.getNextResetTime(noon)).toBe(Date.parse('2024-01-11T08:00:00Z'));
+  });
+
+  test('夏時間の切り替え日もリセット時刻を正しく求めること', () => {
+    // 2024-03-10 は夏時間開始日（翌0時はPDT = UTC-7）
+    expect(YouTubeQuotaTracker.getNextResetTime(new Date('2024-03-10T20:00:00Z')))
+      .toBe(Date.parse('2024-03-11T07:00:00Z'));
+  });
+
+  test('エンドポイントごとの消費ユニットを記録し、日付が変わるとリセットすること', () => {
+    tracker.record(YouTubeQuotaTracker.getEndpointName('https://www.googleapis.com/youtube/v3/search?part=snippet'), noon);
+    tracker.record('videos', noon);
+
+    expect(tracker.getRemaining(noon)).toBe(10000 - 101);
+    expect(tracker.getSummary(noon).byEndpoint).toEqual({ search: 100, videos: 1 });
+    expect(tracker.getRemaining(new Date('2024-01-11T08:00:00Z'))).toBe(10000);
+  });
+
+  test('予算内で続けられる最初の取得方法を選ぶこと', () => {
+    // リセットまで12時間、1分間隔で720回
+    const candidates = [{ strategy: 'search', cost: 101 }, { strategy: 'uploads', cost: 10 }];
+    const plan = tracker.planCycle('streams', candidates, 60 * 1000, noon);
+
+    expect(plan).toEqual({ strategy: 'uploads', cost: 10, intervalMs: 60 * 1000 });
+  });
+
+  test('どの方法も続けられない場合は最も安い方法で取得間隔を延ばすこと', () => {
+    const plan = tracker.planCycle('streams', [{ strategy: 'search', cost: 101 }], 60 * 1000, noon);
+
+    // 10000 / 101 = 99回を12時間で割り振る
+    expect(plan.strategy).toBe('search');
+    expect(plan.intervalMs).toBe(Math.ceil(12 * 60 * 60 * 1000 / 99));
+    expect(tracker.getSummary(noon).projected).toBeLessThanOrEqual(10000);
+  });
+
+  test('クォータを使い切った場合はリセットまで取得しないこと', () => {
+    tracker.markExhausted(noon);
+    const plan = tracker.planCycle('streams', [{ strategy: 'search', cost: 101 }], 60 * 1000, noon);
+
+    expect(plan.strategy).toBeNull();
+    expect(plan.intervalMs).toBe(12 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * APIManager クラスのテスト
+ */
+import APIManager from '../../src/core/APIManager';
+import { Stream } from '../../src/core/models';
+
+const createClient = (getStreams, failedChannelIds = []) => ({
+  getStreams: jest.fn(getStreams),
+  getFailedChannelIds: jest.fn(() => failedChannelIds)
+});
+
+describe('APIManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    APIManager.destroyInstance();
+    manager = APIManager.getInstance();
+  });
+
+  test('一部のプラットフォームの取得に失敗した場合、成功したプラットフォームと失敗したチャンネルを返すこと', async () => {
+    manager.apiClients = {
+      twitch: createClient(async () => [new Stream({ id: 's1', platformType: 'twitch', channelId: 'c1' })]),
+      kick: createClient(async () => [], ['down']),
+      youtube: createClient(async () => {
+        throw new Error('503 Service Unavailable');
+      })
+    };
+    const errors = [];
+    manager.on('error', error => errors.push(error));
+
+    const result = await manager.getStreams(['twitch', 'kick', 'youtube']);
+
+    expect(result.streams.map(stream => stream.id)).toEqual(['s1']);
+    expect(result.platforms).toEqual(['twitch', 'kick']);
+    expect(result.failedPlatforms).toEqual(['youtube']);
+    expect(result.failedChannels).toEqual({ kick: ['down'] });
+    expect(errors.map(error => error.source)).toEqual(['youtube']);
+  });
+
+  test('すべてのプラットフォームの取得に失敗した場合はエラーにすること', async () => {
+    manager.apiClients = {
+      youtube: createClient(async () => {
+        throw new Error('timeout');
+      })
+    };
+    manager.on('error', () => {});
+
+    await expect(manager.getStreams(['youtube'])).rejects.toThrow('すべてのプラットフォームのストリーム取得に失敗しました');
+  });
+
+  test('スケジュールの取得でも、成功したプラットフォームと確認に失敗した配信者を返すこと', async () => {
+    manager.apiClients = {
+      twitch: {
+        getSchedules: jest.fn(async () => []),
+        getFailedChannelIds: jest.fn(operation => (operation === 'getSchedules' ? ['broadcaster-1'] : []))
+      },
+      youtube: {
+        getSchedules: jest.fn(async () => {
+          throw new Error('quotaExceeded');
+        })
+      }
+    };
+    manager.on('error', () => {});
+
+    const result = await manager.getSchedules(['twitch', 'youtube']);
+
+    expect(result.platforms).toEqual(['twitch']);
+    expect(result.failedPlatforms).toEqual(['youtube']);
+    expect(result.failedChannels).toEqual({ twitch: ['broadcaster-1'] });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * FavoriteIndex クラスのテスト
+ */
+import FavoriteIndex from '../../src/core/FavoriteIndex';
+import { Favorite, Settings, Stream } from '../../src/core/models';
+
+describe('FavoriteIndex', () => {
+  test('以前の形式（配信者IDの文字列）のお気に入りをプラットフォームを指定しないお気に入りに変換すること', () => {
+    const settings = new Settings({ favorites: ['12345', { platformType: 'twitch', channelId: '678', notes: 'メモ' }] });
+
+    expect(settings.favorites[0]).toBeInstanceOf(Favorite);
+    expect(settings.favorites[0]).toMatchObject({ platformType: '', channelId: '12345', tags: [] });
+    expect(settings.favorites[1]).toMatchObject({ platformType: 'twitch', channelId: '678', notes: 'メモ' });
+  });
+
+  test('プラットフォームとチャンネルIDでお気に入りを検索すること', () => {
+    const index = new FavoriteIndex([
+      { platformType: 'kick', channelId: 'Streamer' },
+      '12345'
+    ]);
+
+    expect(index.find('kick', 'streamer')).toMatchObject({ platformType: 'kick', channelId: 'Streamer' });
+    expect(index.find('twitch', 'streamer')).toBeNull();
+    expect(index.find('youtube', '12345')).toMatchObject({ platformType: '', channelId: '12345' });
+    expect(index.find('kick', '')).toBeNull();
+  });
+
+  test('お気に入りに一致するストリームだけ isFavorite を設定し、元のストリームは変更しないこと', () => {
+    const index = new FavoriteIndex([{ platformType: 'twitch', channelId: '1' }]);
+    const favorite = new Stream({ id: 'a', platformType: 'twitch', channelId: '1' });
+    const other = new Stream({ id: 'b', platformType: 'twitch', channelId: '2' });
+
+    const [resolvedFavorite, resolvedOther] = index.annotate([favorite, other]);
+    expect(resolvedFavorite.isFavorite).toBe(true);
+    expect(resolvedFavorite).toBeInstanceOf(Stream);
+    expect(favorite.isFavorite).toBe(false);
+    expect(resolvedOther).toBe(other);
+  });
+
+  test('お気に入りのタグをストリームのタグに重複なく追加すること', () => {
+    const index = new FavoriteIndex([{ platformType: 'twitch', channelId: '1', tags: ['歌', '雑談'] }]);
+
+    const [resolved] = index.annotate([new Stream({ id: 'a', platformType: 'twitch', channelId: '1', tags: ['雑談'] })]);
+    expect(resolved.tags).toEqual(['雑談', '歌']);
+  });
+});
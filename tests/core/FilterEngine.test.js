@@ -0,0 +1,88 @@
+/**
+ * FilterEngine クラスのテスト
+ */
+import FilterEngine from '../../src/core/FilterEngine';
+import { Schedule, Stream } from '../../src/core/models';
+
+const now = new Date('2024-01-01T12:00:00Z');
+
+const createStream = (overrides = {}) => new Stream({
+  id: 'stream-1',
+  title: '【雑談】のんびり話す',
+  streamerName: 'テスト配信者',
+  channelId: 'channel-1',
+  platformType: 'twitch',
+  gameOrCategory: 'Just Chatting',
+  viewerCount: 500,
+  startedAt: new Date('2024-01-01T11:00:00Z').getTime(),
+  language: 'ja',
+  ...overrides
+});
+
+const createSchedule = (overrides = {}) => new Schedule({
+  id: 'schedule-1',
+  title: '歌枠',
+  platformType: 'youtube',
+  scheduledStartTime: new Date('2024-01-01T20:00:00Z').getTime(),
+  ...overrides
+});
+
+describe('FilterEngine', () => {
+  test('条件を指定しない場合はすべて一致すること', () => {
+    const engine = new FilterEngine();
+
+    expect(engine.apply([createStream(), createSchedule()], now)).toHaveLength(2);
+  });
+
+  test('プラットフォーム・お気に入り・配信中/配信予定で絞り込むこと', () => {
+    expect(new FilterEngine({ platforms: { twitch: false } }).matches(createStream(), now)).toBe(false);
+    expect(new FilterEngine({ platforms: { twitch: false } }).matches(createStream({ platformType: 'unknown' }), now)).toBe(true);
+    expect(new FilterEngine({ showOnlyFavorites: true }).matches(createStream(), now)).toBe(false);
+    expect(new FilterEngine({ showOnlyFavorites: true }).matches(createStream({ isFavorite: true }), now)).toBe(true);
+
+    const liveOnly = new FilterEngine({ showScheduled: false });
+    expect(liveOnly.apply([createStream(), createSchedule()], now).map(item => item.id)).toEqual(['stream-1']);
+    const scheduledOnly = new FilterEngine({ showLive: false });
+    expect(scheduledOnly.apply([createStream(), createSchedule()], now).map(item => item.id)).toEqual(['schedule-1']);
+  });
+
+  test('検索テキストはすべての語を含むものに、カテゴリは大文字・小文字を区別せず一致させること', () => {
+    expect(new FilterEngine({ searchText: '雑談 テスト' }).matches(createStream(), now)).toBe(true);
+    expect(new FilterEngine({ searchText: '雑談 ゲーム' }).matches(createStream(), now)).toBe(false);
+    expect(new FilterEngine({ searchText: 'ＪＵＳＴ' }).matches(createStream(), now)).toBe(true);
+    expect(new FilterEngine({ categories: ['just chatting'] }).matches(createStream(), now)).toBe(true);
+    expect(new FilterEngine({ categories: ['Minecraft'] }).matches(createStream(), now)).toBe(false);
+  });
+
+  test('視聴者数と経過時間の範囲は配信中の配信にだけ適用すること', () => {
+    expect(new FilterEngine({ viewerRange: { min: 100, max: 1000 } }).matches(createStream(), now)).toBe(true);
+    expect(new FilterEngine({ viewerRange: { min: 1000 } }).matches(createStream(), now)).toBe(false);
+    expect(new FilterEngine({ uptimeRange: { max: 30 } }).matches(createStream(), now)).toBe(false);
+    expect(new FilterEngine({ uptimeRange: { min: 60, max: 90 } }).matches(createStream(), now)).toBe(true);
+    expect(new FilterEngine({ uptimeRange: { min: 10 } }).matches(createStream({ startedAt: null }), now)).toBe(false);
+    expect(new FilterEngine({ viewerRange: { min: 1000 } }).matches(createSchedule(), now)).toBe(true);
+  });
+
+  test('言語は地域の指定にも一致し、言語が不明なものは一致しないこと', () => {
+    const engine = new FilterEngine({ languages: ['JA'] });
+
+    expect(engine.matches(createStream(), now)).toBe(true);
+    expect(engine.matches(createStream({ language: 'ja-JP' }), now)).toBe(true);
+    expect(engine.matches(createStream({ language: 'jam' }), now)).toBe(false);
+    expect(engine.matches(createStream({ language: '' }), now)).toBe(false);
+  });
+
+  test('言語の指定は言語のない配信予定には適用しないこと', () => {
+    const engine = new FilterEngine({ languages: ['en'] });
+
+    expect(engine.apply([createStream(), createSchedule()], now).map(item => item.id)).toEqual(['schedule-1']);
+    expect(new FilterEngine({ languages: ['en'], showLive: false }).matches(createSchedule(), now)).toBe(true);
+  });
+
+  test('タグはいずれかに一致すれば表示すること', () => {
+    const engine = new FilterEngine({ tags: ['歌', 'ゲーム'] });
+
+    expect(engine.matches(createStream({ tags: ['ゲーム'] }), now)).toBe(true);
+    expect(engine.matches(createStream({ tags: ['雑談'] }), now)).toBe(false);
+  });
+});
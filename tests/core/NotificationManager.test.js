@@ -0,0 +1,93 @@
+/**
+ * NotificationManager のおやすみモードのテスト
+ */
+import NotificationManager from '../../src/core/NotificationManager';
+
+// 2024-01-01 は月曜日。月曜 23:30 JST（おやすみモード中）
+const QUIET_TIME = new Date('2024-01-01T14:30:00Z');
+
+const createQuietHours = (overrides = {}) => ({
+  enabled: true,
+  timezone: 'Asia/Tokyo',
+  mode: 'queue',
+  allowFavorites: true,
+  windows: [{ days: [1], start: '23:00', end: '07:00' }],
+  ...overrides
+});
+
+describe('NotificationManager', () => {
+  let manager;
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome = {
+      notifications: {
+        create: jest.fn((id, options, callback) => callback(id))
+      },
+      storage: {
+        local: {
+          get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+          set: jest.fn((items, callback) => {
+            Object.assign(storage, JSON.parse(JSON.stringify(items)));
+            callback();
+          }),
+          remove: jest.fn((key, callback) => {
+            delete storage[key];
+            callback();
+          })
+        }
+      }
+    };
+    jest.useFakeTimers({ now: QUIET_TIME });
+    NotificationManager.destroyInstance();
+    manager = NotificationManager.getInstance();
+    manager.settings = { quietHours: createQuietHours() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('おやすみモード中は新規配信の通知だけをキューに追加し、ほかの通知は破棄すること', async () => {
+    const newStream = { title: '新しい配信が開始されました', contextMessage: '配信者A', message: '雑談' };
+    const reminder = { title: 'まもなく配信が始まります', contextMessage: '配信者B', message: '歌枠' };
+
+    expect(await manager.showNotification('stream-twitch-1', newStream, null, { isNewStream: true })).toBe(false);
+    expect(await manager.showNotification('schedule-youtube-1', reminder)).toBe(false);
+
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+    expect((await manager.getDigestQueue()).map(item => item.title)).toEqual(['配信者A']);
+  });
+
+  test('お気に入りを表示する設定では、おやすみモード中もお気に入り配信者の通知を表示すること', async () => {
+    const options = { title: '新しい配信が開始されました', message: '雑談' };
+
+    expect(await manager.showNotification('stream-twitch-1', options, null, { isFavorite: true, isNewStream: true }))
+      .toBe(true);
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+
+    manager.settings = { quietHours: createQuietHours({ allowFavorites: false }) };
+    expect(await manager.showNotification('stream-twitch-2', options, null, { isFavorite: true, isNewStream: true }))
+      .toBe(false);
+    expect(await manager.getDigestQueue()).toHaveLength(1);
+  });
+
+  test('おやすみモード中はまとめて通知する配信をお気に入りとそれ以外に分けること', () => {
+    const favorite = [{ id: 'f1', isFavorite: true }, { id: 'f2', isFavorite: false }];
+    const others = [[{ id: 'o1', isFavorite: false }], [{ id: 'o2', isFavorite: false }]];
+    const groups = [others[0], favorite, others[1]];
+
+    expect(manager.splitForQuietHours(groups, QUIET_TIME)).toEqual([[favorite], others]);
+    expect(manager.splitForQuietHours(others, QUIET_TIME)).toEqual([others]);
+    expect(manager.splitForQuietHours(groups, new Date('2024-01-01T03:00:00Z'))).toEqual([groups]);
+  });
+
+  test('破棄する設定では新規配信の通知もキューに追加しないこと', async () => {
+    manager.settings = { quietHours: createQuietHours({ mode: 'suppress' }) };
+
+    expect(await manager.showNotification('stream-twitch-1', { title: '新しい配信' }, null, { isNewStream: true }))
+      .toBe(false);
+    expect(await manager.getDigestQueue()).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * NotificationRuleEngine クラスのテスト
+ */
+import NotificationRuleEngine from '../../src/core/NotificationRuleEngine';
+import { Stream } from '../../src/core/models';
+
+const createStream = (overrides = {}) => new Stream({
+  id: 'stream-1',
+  title: '【雑談】のんびり話す',
+  streamerName: 'テスト配信者',
+  channelId: 'channel-1',
+  platformType: 'twitch',
+  gameOrCategory: 'Just Chatting',
+  ...overrides
+});
+
+describe('NotificationRuleEngine', () => {
+  test('ルールがない場合は常に通知対象とすること', () => {
+    const engine = new NotificationRuleEngine([]);
+
+    expect(engine.shouldNotify(createStream())).toBe(true);
+  });
+
+  test('対象外の配信者やプラットフォームにはルールを適用しないこと', () => {
+    const engine = new NotificationRuleEngine([
+      { platformType: 'youtube', categories: ['Minecraft'] },
+      { channelId: 'channel-2', categories: ['Minecraft'] }
+    ]);
+
+    expect(engine.getApplicableRules(createStream())).toHaveLength(0);
+    expect(engine.shouldNotify(createStream())).toBe(true);
+  });
+
+  test('配信者（人物）を対象にしたルールは紐付けたすべてのアカウントに適用すること', () => {
+    const engine = new NotificationRuleEngine([{ streamerId: 'streamer-1', categories: ['Minecraft'] }]);
+
+    expect(engine.getApplicableRules(createStream({ streamerId: 'streamer-1' }))).toHaveLength(1);
+    expect(engine.getApplicableRules(createStream({ platformType: 'youtube', streamerId: 'streamer-1' }))).toHaveLength(1);
+    expect(engine.getApplicableRules(createStream())).toHaveLength(0);
+  });
+
+  test('カテゴリとタイトルのキーワード条件を評価すること', () => {
+    const engine = new NotificationRuleEngine([{
+      channelId: 'channel-1',
+      categories: ['just chatting'],
+      titleIncludes: ['雑談'],
+      titleExcludes: ['メン限']
+    }]);
+
+    expect(engine.shouldNotify(createStream())).toBe(true);
+    expect(engine.shouldNotify(createStream({ gameOrCategory: 'Minecraft' }))).toBe(false);
+    expect(engine.shouldNotify(createStream({ title: '【雑談】メン限' }))).toBe(false);
+  });
+
+  test('正規表現でタイトルを判定し、不正な正規表現は検証エラーとすること', () => {
+    const engine = new NotificationRuleEngine([{ titleRegex: '^【(歌|雑談)】' }]);
+
+    expect(engine.shouldNotify(createStream())).toBe(true);
+    expect(engine.shouldNotify(createStream({ title: 'ゲーム実況' }))).toBe(false);
+    expect(NotificationRuleEngine.validateRule({ titleRegex: '(' })).toHaveLength(1);
+  });
+
+  test('日付をまたぐ時間帯を正しく判定すること', () => {
+    const engine = new NotificationRuleEngine([{ activeHours: { start: '22:00', end: '02:00' } }]);
+
+    expect(engine.shouldNotify(createStream(), new Date(2024, 0, 1, 23, 30))).toBe(true);
+    expect(engine.shouldNotify(createStream(), new Date(2024, 0, 2, 1, 0))).toBe(true);
+    expect(engine.shouldNotify(createStream(), new Date(2024, 0, 2, 12, 0))).toBe(false);
+  });
+
+  test('開始時刻と終了時刻が同じ時間帯は24時間として判定すること', () => {
+    const engine = new NotificationRuleEngine([{ activeHours: { start: '09:00', end: '09:00' } }]);
+
+    expect(engine.shouldNotify(createStream(), new Date(2024, 0, 1, 9, 0))).toBe(true);
+    expect(engine.shouldNotify(createStream(), new Date(2024, 0, 1, 8, 59))).toBe(true);
+    expect(engine.shouldNotify(createStream(), new Date(2024, 0, 1, 21, 0))).toBe(true);
+  });
+
+  test('タグを指定したルールはいずれかのタグを持つストリームにだけ適用すること', () => {
+    const engine = new NotificationRuleEngine([{ tags: ['歌', 'ゲーム'], categories: ['Singing'] }]);
+
+    expect(engine.getApplicableRules(createStream({ tags: ['歌'] }))).toHaveLength(1);
+    expect(engine.shouldNotify(createStream({ tags: ['歌'] }))).toBe(false);
+    expect(engine.shouldNotify(createStream({ tags: ['雑談'] }))).toBe(true);
+  });
+
+  test('無効化されたルールは評価しないこと', () => {
+    const engine = new NotificationRuleEngine([{ enabled: false, categories: ['Minecraft'] }]);
+
+    expect(engine.shouldNotify(createStream())).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * QuietHoursSchedule クラスのテスト
+ */
+import QuietHoursSchedule from '../../src/core/QuietHoursSchedule';
+
+describe('QuietHoursSchedule', () => {
+  // 2024-01-01 は月曜日
+  const weeknights = {
+    enabled: true,
+    timezone: 'Asia/Tokyo',
+    windows: [{ days: [1, 2, 3, 4, 5], start: '23:00', end: '07:00' }]
+  };
+
+  test('無効化されている場合は常におやすみモード外とすること', () => {
+    const schedule = new QuietHoursSchedule({ ...weeknights, enabled: false });
+
+    expect(schedule.isQuietAt(new Date('2024-01-01T15:00:00Z'))).toBe(false);
+  });
+
+  test('タイムゾーンを考慮して日付をまたぐ時間帯を判定すること', () => {
+    const schedule = new QuietHoursSchedule(weeknights);
+
+    // 月曜 23:30 JST
+    expect(schedule.isQuietAt(new Date('2024-01-01T14:30:00Z'))).toBe(true);
+    // 火曜 06:59 JST（月曜開始の時間帯の続き）
+    expect(schedule.isQuietAt(new Date('2024-01-01T21:59:00Z'))).toBe(true);
+    // 火曜 07:00 JST
+    expect(schedule.isQuietAt(new Date('2024-01-01T22:00:00Z'))).toBe(false);
+    // 日曜 23:30 JST（対象外の曜日）
+    expect(schedule.isQuietAt(new Date('2023-12-31T14:30:00Z'))).toBe(false);
+  });
+
+  test('開始時刻と終了時刻が同じ時間帯は開始から24時間とすること', () => {
+    const schedule = new QuietHoursSchedule({
+      enabled: true,
+      timezone: 'Asia/Tokyo',
+      windows: [{ days: [1], start: '09:00', end: '09:00' }]
+    });
+
+    // 月曜 09:00 JST
+    expect(schedule.isQuietAt(new Date('2024-01-01T00:00:00Z'))).toBe(true);
+    // 火曜 08:59 JST
+    expect(schedule.isQuietAt(new Date('2024-01-01T23:59:00Z'))).toBe(true);
+    // 火曜 09:00 JST
+    expect(schedule.isQuietAt(new Date('2024-01-02T00:00:00Z'))).toBe(false);
+  });
+
+  test('おやすみモードの終了時刻を返すこと', () => {
+    const schedule = new QuietHoursSchedule(weeknights);
+
+    expect(schedule.getQuietEndTime(new Date('2024-01-01T14:30:00Z')))
+      .toEqual(new Date('2024-01-01T22:00:00Z'));
+    expect(schedule.getQuietEndTime(new Date('2024-01-01T12:00:00Z'))).toBeNull();
+  });
+
+  test('連続する時間帯はまとめて終了時刻を計算すること', () => {
+    const schedule = new QuietHoursSchedule({
+      enabled: true,
+      timezone: 'UTC',
+      windows: [
+        { days: [1], start: '22:00', end: '23:00' },
+        { days: [1], start: '23:00', end: '01:00' }
+      ]
+    });
+
+    expect(schedule.getQuietEndTime(new Date('2024-01-01T22:15:00Z')))
+      .toEqual(new Date('2024-01-02T01:00:00Z'));
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * ReminderManager クラスのテスト
+ */
+import ReminderManager from '../../src/core/ReminderManager';
+import DataManager from '../../src/core/DataManager';
+import { Schedule } from '../../src/core/models';
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2024-01-02T20:00:00Z').getTime();
+
+const createSchedule = (overrides = {}) => new Schedule({
+  id: 'video-1',
+  title: '歌枠',
+  platformType: 'youtube',
+  channelId: 'UCa',
+  scheduledStartTime: start,
+  ...overrides
+});
+
+describe('ReminderManager', () => {
+  let manager;
+  let storage;
+  let alarms;
+
+  beforeEach(() => {
+    storage = {};
+    alarms = new Map();
+    global.chrome = {
+      alarms: {
+        getAll: jest.fn(callback => callback([...alarms.values()])),
+        create: jest.fn((name, { when }) => alarms.set(name, { name, scheduledTime: when })),
+        clear: jest.fn((name, callback) => callback(alarms.delete(name)))
+      },
+      storage: {
+        local: {
+          get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+          set: jest.fn((items, callback) => {
+            Object.assign(storage, JSON.parse(JSON.stringify(items)));
+            callback();
+          })
+        }
+      }
+    };
+    ReminderManager.destroyInstance();
+    manager = ReminderManager.getInstance();
+  });
+
+  test('リマインダーの時間の入力を分に変換し、入力欄用の文字列に戻せること', () => {
+    expect(ReminderManager.parseOffsets('1d, 1h、5m 10 1.5h x')).toEqual([1440, 90, 60, 10, 5]);
+    expect(ReminderManager.parseOffsets('')).toEqual([]);
+    expect(ReminderManager.stringifyOffsets([1440, 90, 60, 5])).toBe('1d, 90m, 1h, 5m');
+    expect(ReminderManager.formatMinutes(1530)).toBe('1日1時間30分');
+    expect(ReminderManager.formatMinutes(0)).toBe('0分');
+  });
+
+  test('リマインダーごとに通知済みの状態を記録し、それぞれの時刻に通知すること', async () => {
+    const schedules = [createSchedule()];
+    const getOffsets = () => [1440, 60, 5];
+
+    const first = manager.getDueReminders(schedules, getOffsets, new Date(start - 2 * HOUR));
+    expect(first).toHaveLength(1);
+    expect(first[0].offsetMinutes).toBe(1440);
+    await manager.markDelivered(first[0]);
+
+    expect(manager.getDueReminders(schedules, getOffsets, new Date(start - 2 * HOUR))).toHaveLength(0);
+    const second = manager.getDueReminders(schedules, getOffsets, new Date(start - 30 * 60 * 1000));
+    expect(second.map(reminder => reminder.offsets)).toEqual([[60]]);
+  });
+
+  test('同時に対象になったリマインダーは開始に最も近いものだけを通知し、すべて通知済みにすること', async () => {
+    const schedules = [createSchedule()];
+    const getOffsets = () => [1440, 60, 5];
+
+    const [reminder] = manager.getDueReminders(schedules, getOffsets, new Date(start - 3 * 60 * 1000));
+    expect(reminder.offsetMinutes).toBe(5);
+    expect(reminder.offsets).toEqual([1440, 60, 5]);
+    await manager.markDelivered(reminder);
+
+    expect(manager.getDueReminders(schedules, getOffsets, new Date(start - 60 * 1000))).toHaveLength(0);
+    expect(manager.getDueReminders(schedules, getOffsets, new Date(start + 60 * 1000))).toHaveLength(0);
+  });
+
+  test('開始予定時刻が変更された配信予定のリマインダーを再び通知対象にすること', async () => {
+    const getOffsets = () => [60];
+    const [reminder] = manager.getDueReminders([createSchedule()], getOffsets, new Date(start - 30 * 60 * 1000));
+    await manager.markDelivered(reminder);
+
+    const rescheduled = createSchedule({ scheduledStartTime: start + 2 * HOUR });
+    expect(manager.getDueReminders([rescheduled], getOffsets, new Date(start + 30 * 60 * 1000))).toHaveLength(0);
+    expect(manager.getDueReminders([rescheduled], getOffsets, new Date(start + 90 * 60 * 1000))).toHaveLength(1);
+
+    expect(await manager.reconcile([rescheduled])).toEqual(['youtube:video-1@60']);
+    expect(storage.reminderDeliveries).toEqual({});
+  });
+
+  test('取得に失敗したプラットフォーム・配信者の配信予定の通知済みの状態は残し、再び通知しないこと', async () => {
+    const getOffsets = () => [1440, 60];
+    const now = new Date(start - 30 * 60 * 1000);
+    const [reminder] = manager.getDueReminders([createSchedule()], getOffsets, now);
+    await manager.markDelivered(reminder, now);
+
+    // YouTube の取得に失敗した回・チャンネル単位で失敗した回
+    expect(await manager.reconcile([], { platforms: ['youtube'] })).toEqual([]);
+    expect(await manager.reconcile([], { channels: { youtube: ['UCa'] } })).toEqual([]);
+    expect(await manager.reconcile([], { channels: { youtube: ['UCb'] }, platforms: ['twitch'] }))
+      .toEqual(['youtube:video-1@1440', 'youtube:video-1@60']);
+  });
+
+  test('取得に失敗した回の次の正常な回で、通知済みのリマインダーを再び通知しないこと', async () => {
+    const getOffsets = () => [1440, 60];
+    const now = new Date(start - 30 * 60 * 1000);
+    const [reminder] = manager.getDueReminders([createSchedule()], getOffsets, now);
+    await manager.markDelivered(reminder, now);
+
+    await manager.reconcile([], { platforms: ['youtube'] });
+    await manager.reconcile([createSchedule()]);
+    expect(manager.getDueReminders([createSchedule()], getOffsets, new Date(start - 20 * 60 * 1000))).toEqual([]);
+  });
+
+  test('保存した通知済みの状態を読み込み直せること', async () => {
+    const [reminder] = manager.getDueReminders([createSchedule()], () => [60], new Date(start - 30 * 60 * 1000));
+    await manager.markDelivered(reminder);
+
+    ReminderManager.destroyInstance();
+    const restored = ReminderManager.getInstance();
+    await restored.initialize();
+    expect(restored.isDelivered(createSchedule(), 60)).toBe(true);
+    expect(restored.isDelivered(createSchedule(), 5)).toBe(false);
+  });
+
+  test('未通知のリマインダーごとにアラームを設定し、配信予定の変更に合わせて設定し直すこと', async () => {
+    alarms.set('fetchStreamData', { name: 'fetchStreamData', scheduledTime: 0 });
+    alarms.set('reminder:youtube:old@10', { name: 'reminder:youtube:old@10', scheduledTime: start });
+    const getOffsets = () => [1440, 60, 5];
+    const now = new Date(start - 2 * HOUR);
+
+    const first = await manager.syncAlarms([createSchedule()], getOffsets, now);
+    expect(first.removed).toEqual(['reminder:youtube:old@10']);
+    expect(first.created).toEqual(['reminder:youtube:video-1@60', 'reminder:youtube:video-1@5']);
+    expect(alarms.get('reminder:youtube:video-1@5').scheduledTime).toBe(start - 5 * 60 * 1000);
+    expect(alarms.has('fetchStreamData')).toBe(true);
+
+    expect(await manager.syncAlarms([createSchedule()], getOffsets, now)).toEqual({ created: [], removed: [] });
+
+    const rescheduled = createSchedule({ scheduledStartTime: start + HOUR });
+    const second = await manager.syncAlarms([rescheduled], () => [60], now);
+    expect(second.removed).toEqual(['reminder:youtube:video-1@60', 'reminder:youtube:video-1@5']);
+    expect(second.created).toEqual(['reminder:youtube:video-1@60']);
+    expect(alarms.get('reminder:youtube:video-1@60').scheduledTime).toBe(start);
+    expect(ReminderManager.isReminderAlarm('reminder:youtube:video-1@60')).toBe(true);
+    expect(ReminderManager.isReminderAlarm('fetchStreamData')).toBe(false);
+  });
+
+  test('取得に失敗したプラットフォーム・配信者の配信予定を引き継ぎ、リマインダーのアラームを残すこと', async () => {
+    DataManager.destroyInstance();
+    const dataManager = DataManager.getInstance();
+    const getOffsets = () => [60];
+    const now = new Date(start - 2 * HOUR);
+    const twitchSchedule = createSchedule({ id: 'segment-1', platformType: 'twitch', channelId: '1001' });
+
+    await dataManager.replaceSchedules([createSchedule(), twitchSchedule]);
+    await manager.syncAlarms(dataManager.schedules, getOffsets, now);
+    expect([...alarms.keys()]).toEqual(['reminder:youtube:video-1@60', 'reminder:twitch:segment-1@60']);
+
+    // Twitch の取得に失敗した回
+    await dataManager.replaceSchedules([createSchedule()], { platforms: ['twitch'] });
+    expect(await manager.syncAlarms(dataManager.schedules, getOffsets, now)).toEqual({ created: [], removed: [] });
+    expect(alarms.has('reminder:twitch:segment-1@60')).toBe(true);
+
+    // 配信者単位で失敗した回・正常に取得して配信予定がなくなった回
+    await dataManager.replaceSchedules([createSchedule()], { channels: { twitch: ['1001'] } });
+    expect(dataManager.schedules.map(schedule => schedule.id)).toEqual(['video-1', 'segment-1']);
+    await dataManager.replaceSchedules([createSchedule()]);
+    expect((await manager.syncAlarms(dataManager.schedules, getOffsets, now)).removed)
+      .toEqual(['reminder:twitch:segment-1@60']);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * RuntimeStateManager クラスのテスト
+ */
+import RuntimeStateManager, { DEFAULT_LOCK_TTL_MS } from '../../src/core/RuntimeStateManager';
+
+const createStorageArea = (storage) => ({
+  get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+  set: jest.fn((items, callback) => {
+    Object.assign(storage, JSON.parse(JSON.stringify(items)));
+    callback();
+  })
+});
+
+describe('RuntimeStateManager', () => {
+  let manager;
+  let sessionStorage;
+
+  beforeEach(() => {
+    sessionStorage = {};
+    global.chrome = {
+      storage: {
+        session: createStorageArea(sessionStorage),
+        local: createStorageArea({})
+      }
+    };
+    RuntimeStateManager.destroyInstance();
+    manager = RuntimeStateManager.getInstance();
+  });
+
+  test('有効期限内のロックがある間は、サービスワーカーの再起動後もロックを取得できないこと', async () => {
+    const now = new Date('2024-01-01T12:00:00Z');
+    const token = await manager.acquireLock(DEFAULT_LOCK_TTL_MS, now);
+    expect(token).toBeTruthy();
+
+    // サービスワーカーの再起動
+    RuntimeStateManager.destroyInstance();
+    const restarted = RuntimeStateManager.getInstance();
+    expect(await restarted.acquireLock(DEFAULT_LOCK_TTL_MS, new Date(now.getTime() + 60 * 1000))).toBeNull();
+
+    // 期限切れのロックは上書きできる
+    const expiredAt = new Date(now.getTime() + DEFAULT_LOCK_TTL_MS + 1);
+    const nextToken = await restarted.acquireLock(DEFAULT_LOCK_TTL_MS, expiredAt);
+    expect(nextToken).toBeTruthy();
+    expect(nextToken).not.toBe(token);
+
+    // 古いトークンでは新しいロックを解放しない
+    expect(await restarted.releaseLock(token)).toBe(false);
+    expect(await restarted.releaseLock(nextToken)).toBe(true);
+    expect(await restarted.acquireLock(DEFAULT_LOCK_TTL_MS, expiredAt)).toBeTruthy();
+  });
+
+  test('同時に呼び出されたロックの取得は1つだけ成功すること', async () => {
+    const tokens = await Promise.all([manager.acquireLock(), manager.acquireLock()]);
+    expect(tokens.filter(Boolean)).toHaveLength(1);
+  });
+
+  test('最終更新日時と連続失敗回数を保存し、再起動後に読み込めること', async () => {
+    expect(await manager.recordFailure()).toBe(1);
+    expect(await manager.recordFailure()).toBe(2);
+    const updatedAt = new Date('2024-01-01T12:00:00Z');
+    await manager.recordSuccess(updatedAt);
+
+    RuntimeStateManager.destroyInstance();
+    const restarted = RuntimeStateManager.getInstance();
+    expect(restarted.getLastUpdateTime()).toBeNull();
+    await restarted.loadState();
+    expect(restarted.getLastUpdateTime()).toEqual(updatedAt);
+    expect(restarted.getState().updateAttempts).toBe(0);
+  });
+
+  test('session ストレージが使えない場合は local ストレージに保存すること', async () => {
+    const localStorage = {};
+    global.chrome = { storage: { local: createStorageArea(localStorage) } };
+
+    await manager.recordFailure();
+    expect(localStorage.backgroundRuntimeState.updateAttempts).toBe(1);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * SimulcastDetector クラスのテスト
+ */
+import SimulcastDetector from '../../src/core/SimulcastDetector';
+import { Stream } from '../../src/core/models';
+
+const START = Date.UTC(2024, 0, 10, 12);
+
+const createStream = (overrides = {}) => new Stream({
+  id: 'stream-1',
+  title: '【歌枠】お昼の歌配信！',
+  streamerName: 'テスト配信者',
+  channelId: 'channel-1',
+  platformType: 'twitch',
+  startedAt: START,
+  ...overrides
+});
+
+describe('SimulcastDetector', () => {
+  test('記号や全角・半角の違いを無視してタイトルの類似度を計算すること', () => {
+    expect(SimulcastDetector.getTitleSimilarity('【歌枠】お昼の歌配信！', '[歌枠] お昼の歌配信!!')).toBe(1);
+    expect(SimulcastDetector.getTitleSimilarity('ＡＰＥＸ ランク', 'apex ランク #1')).toBeGreaterThan(0.6);
+    expect(SimulcastDetector.getTitleSimilarity('雑談', 'マイクラ建築')).toBe(0);
+  });
+
+  test('紐付けた配信者が同じなら、タイトルや開始時刻が違っても同時配信とみなすこと', () => {
+    const detector = new SimulcastDetector();
+    const twitch = createStream({ streamerId: 'streamer-1' });
+
+    expect(detector.isSimulcast(twitch, createStream({
+      id: 'yt-1', platformType: 'youtube', title: '別のタイトル', startedAt: START + 3600000, streamerId: 'streamer-1'
+    }))).toBe(true);
+    expect(detector.isSimulcast(twitch, createStream({ platformType: 'youtube', streamerId: 'streamer-2' }))).toBe(false);
+  });
+
+  test('紐付けがない場合はタイトルの類似度と開始時刻の差で判定すること', () => {
+    const detector = new SimulcastDetector({ windowMinutes: 5 });
+    const twitch = createStream();
+
+    expect(detector.isSimulcast(twitch, createStream({ platformType: 'youtube', startedAt: START + 4 * 60000 }))).toBe(true);
+    expect(detector.isSimulcast(twitch, createStream({ platformType: 'youtube', startedAt: START + 6 * 60000 }))).toBe(false);
+    expect(detector.isSimulcast(twitch, createStream({ platformType: 'youtube', title: 'ゲーム実況' }))).toBe(false);
+    expect(detector.isSimulcast(twitch, createStream({ id: 'stream-2' }))).toBe(false);
+  });
+
+  test('同時配信をまとめ、優先するプラットフォームのストリームを選ぶこと', () => {
+    const detector = new SimulcastDetector();
+    const streams = [
+      createStream({ id: 't1' }),
+      createStream({ id: 'k1', platformType: 'kick', title: 'まったく別の配信' }),
+      createStream({ id: 'y1', platformType: 'youtube' })
+    ];
+
+    const groups = detector.group(streams);
+    expect(groups.map(group => group.map(stream => stream.id))).toEqual([['t1', 'y1'], ['k1']]);
+    expect(SimulcastDetector.pickPreferred(groups[0], 'youtube').id).toBe('y1');
+    expect(SimulcastDetector.pickPreferred(groups[0], 'kick').id).toBe('t1');
+  });
+
+  test('前回までの取得で通知した配信の同時配信を、後の取得で見つかった新しいストリームから取り除くこと', () => {
+    const detector = new SimulcastDetector();
+    // 1回目の取得でTwitchの配信を通知済み
+    const notified = [
+      createStream({ id: 't1', streamerId: 'streamer-1' }),
+      createStream({ id: 't2', channelId: 'channel-2', title: 'マイクラ建築' })
+    ];
+    // 2回目の取得で別のプラットフォームの配信が見つかった
+    const streams = [
+      createStream({ id: 'y1', platformType: 'youtube', streamerId: 'streamer-1', title: '歌枠', startedAt: START + 3 * 60000 }),
+      createStream({ id: 'k1', platformType: 'kick', channelId: 'channel-2', title: 'マイクラ建築', startedAt: START + 2 * 60000 }),
+      createStream({ id: 'y2', platformType: 'youtube', streamerId: 'streamer-1', startedAt: START + 60 * 60000 }),
+      createStream({ id: 'k2', platformType: 'kick', channelId: 'channel-3', title: 'ゲーム実況' })
+    ];
+
+    expect(detector.excludeNotifiedSimulcasts(streams, notified).map(stream => stream.id)).toEqual(['y2', 'k2']);
+    expect(detector.excludeNotifiedSimulcasts(streams, []).map(stream => stream.id)).toEqual(['y1', 'k1', 'y2', 'k2']);
+  });
+});
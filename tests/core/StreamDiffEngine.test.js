@@ -0,0 +1,140 @@
+/**
+ * StreamDiffEngine クラスのテスト
+ */
+import StreamDiffEngine, { STREAM_CHANGE_TYPES } from '../../src/core/StreamDiffEngine';
+import { Stream } from '../../src/core/models';
+
+const createStream = (overrides = {}) => new Stream({
+  id: 'stream-1',
+  title: '初見歓迎',
+  streamerName: 'テスト配信者',
+  channelId: 'channel-1',
+  platformType: 'twitch',
+  viewerCount: 50,
+  gameOrCategory: 'Minecraft',
+  ...overrides
+});
+
+describe('StreamDiffEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new StreamDiffEngine();
+  });
+
+  test('新しく現れたストリームを配信開始として検出すること', () => {
+    const changes = engine.diff([], [createStream()]);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].type).toBe(STREAM_CHANGE_TYPES.ONLINE);
+  });
+
+  test('消えたストリームを配信終了として検出すること', () => {
+    const changes = engine.diff([createStream()], []);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].type).toBe(STREAM_CHANGE_TYPES.OFFLINE);
+    expect(changes[0].stream.id).toBe('stream-1');
+  });
+
+  test('取得対象外のプラットフォームのストリームは配信終了にしないこと', () => {
+    const changes = engine.diff([createStream()], [], { platforms: ['youtube'] });
+
+    expect(changes).toHaveLength(0);
+  });
+
+  test('1つのプラットフォームの取得に失敗した回では配信終了にせず、次の回で配信開始にもしないこと', () => {
+    const twitchStream = createStream();
+    const youtubeStream = createStream({ id: 'video-1', platformType: 'youtube', channelId: 'UCa' });
+
+    // YouTube の取得に失敗した回
+    const failedPoll = StreamDiffEngine.carryOverUnconfirmed(
+      [twitchStream, youtubeStream],
+      [twitchStream],
+      { platforms: ['youtube'] }
+    );
+    expect(failedPoll.map(stream => stream.id)).toEqual(['stream-1', 'video-1']);
+    expect(engine.diff([twitchStream, youtubeStream], failedPoll, { platforms: ['twitch'] })).toEqual([]);
+
+    // 次の正常な回
+    expect(engine.diff(failedPoll, [twitchStream, youtubeStream], { platforms: ['twitch', 'youtube'] })).toEqual([]);
+  });
+
+  test('確認に失敗したチャンネルのストリームだけを引き継ぐこと', () => {
+    const failedChannel = createStream({ id: 'stream-2', channelId: 'channel-2' });
+    const endedChannel = createStream({ id: 'stream-3', channelId: 'channel-3' });
+
+    const streams = StreamDiffEngine.carryOverUnconfirmed(
+      [createStream(), failedChannel, endedChannel],
+      [createStream()],
+      { channels: { twitch: ['channel-2'] } }
+    );
+    const changes = engine.diff([createStream(), failedChannel, endedChannel], streams, { platforms: ['twitch'] });
+
+    expect(streams.map(stream => stream.id)).toEqual(['stream-1', 'stream-2']);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ type: STREAM_CHANGE_TYPES.OFFLINE, stream: { id: 'stream-3' } });
+  });
+
+  test('タイトルとカテゴリの変更を検出すること', () => {
+    const changes = engine.diff(
+      [createStream()],
+      [createStream({ title: '雑談', gameOrCategory: 'Just Chatting' })]
+    );
+
+    expect(changes.map(change => change.type)).toEqual([
+      STREAM_CHANGE_TYPES.TITLE_CHANGED,
+      STREAM_CHANGE_TYPES.CATEGORY_CHANGED
+    ]);
+    expect(changes[0].previous.title).toBe('初見歓迎');
+  });
+
+  test('超えた節目のうち最も大きい値で視聴者数の節目を検出すること', () => {
+    const changes = engine.diff(
+      [createStream({ viewerCount: 90 })],
+      [createStream({ viewerCount: 600 })]
+    );
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].type).toBe(STREAM_CHANGE_TYPES.VIEWER_MILESTONE);
+    expect(changes[0].milestone).toBe(500);
+  });
+
+  test('変化がなければ何も検出しないこと', () => {
+    expect(engine.diff([createStream()], [createStream()])).toEqual([]);
+  });
+
+  describe('matchesSubscription', () => {
+    const subscription = {
+      platformType: 'twitch',
+      channelId: 'channel-1',
+      events: [STREAM_CHANGE_TYPES.CATEGORY_CHANGED],
+      categories: ['just chatting']
+    };
+
+    test('指定カテゴリへの変更のみ一致すること', () => {
+      const [matching] = engine.diff(
+        [createStream()],
+        [createStream({ gameOrCategory: 'Just Chatting' })]
+      );
+      const [other] = engine.diff(
+        [createStream()],
+        [createStream({ gameOrCategory: 'Apex Legends' })]
+      );
+
+      expect(StreamDiffEngine.matchesSubscription(matching, subscription)).toBe(true);
+      expect(StreamDiffEngine.matchesSubscription(other, subscription)).toBe(false);
+    });
+
+    test('別の配信者や購読していないイベントには一致しないこと', () => {
+      const [change] = engine.diff(
+        [createStream({ channelId: 'channel-2' })],
+        [createStream({ channelId: 'channel-2', gameOrCategory: 'Just Chatting' })]
+      );
+      const [offline] = engine.diff([createStream()], []);
+
+      expect(StreamDiffEngine.matchesSubscription(change, subscription)).toBe(false);
+      expect(StreamDiffEngine.matchesSubscription(offline, subscription)).toBe(false);
+    });
+  });
+});
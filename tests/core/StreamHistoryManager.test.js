@@ -0,0 +1,127 @@
+/**
+ * StreamHistoryManager クラスのテスト
+ */
+import { IDBFactory } from 'fake-indexeddb';
+import StreamHistoryManager from '../../src/core/StreamHistoryManager';
+import { Stream } from '../../src/core/models';
+
+const MINUTE = 60 * 1000;
+const start = new Date('2024-01-01T12:00:00Z').getTime();
+
+const createStream = (overrides = {}) => new Stream({
+  id: 'stream-1',
+  title: '初見歓迎',
+  streamerName: 'テスト配信者',
+  channelId: 'channel-1',
+  platformType: 'twitch',
+  startedAt: start,
+  viewerCount: 100,
+  gameOrCategory: 'Minecraft',
+  ...overrides
+});
+
+describe('StreamHistoryManager', () => {
+  let manager;
+  let now;
+
+  // 指定した時刻にスナップショットを記録する
+  const recordAt = (minutes, streams, options) => {
+    now = start + minutes * MINUTE;
+    return manager.recordSnapshot(streams, options);
+  };
+
+  beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    now = start;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    StreamHistoryManager.destroyInstance();
+    manager = StreamHistoryManager.getInstance();
+    await manager.initialize();
+  });
+
+  afterEach(() => {
+    manager.db.close();
+    Date.now.mockRestore();
+  });
+
+  test('新しい配信のセッションを開始し、配信者のタイムラインに記録すること', async () => {
+    const { started, ended } = await recordAt(0, [createStream()], { platforms: ['twitch'] });
+
+    expect(started.map(session => session.id)).toEqual(['twitch_stream-1']);
+    expect(ended).toEqual([]);
+
+    const [session] = await manager.getTimeline('twitch:channel-1');
+    expect(session).toMatchObject({
+      status: 'live',
+      startedAt: start,
+      peakViewerCount: 100,
+      titleHistory: [{ title: '初見歓迎', changedAt: start }]
+    });
+  });
+
+  test('配信中のセッションにタイトル・カテゴリの変更と視聴者数をまとめること', async () => {
+    await recordAt(0, [createStream()], { platforms: ['twitch'] });
+    const { started } = await recordAt(5, [createStream({ title: '雑談', viewerCount: 300 })], { platforms: ['twitch'] });
+    await recordAt(10, [createStream({ title: '雑談', gameOrCategory: 'Just Chatting', viewerCount: 200 })], { platforms: ['twitch'] });
+
+    expect(started).toEqual([]);
+    const sessions = await manager.getTimeline('twitch:channel-1');
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].titleHistory.map(entry => entry.title)).toEqual(['初見歓迎', '雑談']);
+    expect(sessions[0].categoryHistory.map(entry => entry.category)).toEqual(['Minecraft', 'Just Chatting']);
+    expect(sessions[0].peakViewerCount).toBe(300);
+    expect(sessions[0].averageViewerCount).toBe(200);
+    expect(sessions[0].lastSeenAt).toBe(start + 10 * MINUTE);
+  });
+
+  test('一覧から消えた配信のセッションを最後に確認した時刻で終了すること', async () => {
+    await recordAt(0, [createStream()], { platforms: ['twitch'] });
+    await recordAt(5, [createStream()], { platforms: ['twitch'] });
+    const { ended } = await recordAt(10, [], { platforms: ['twitch'] });
+
+    expect(ended.map(session => session.id)).toEqual(['twitch_stream-1']);
+    const [session] = await manager.getTimeline('twitch:channel-1');
+    expect(session.status).toBe('ended');
+    expect(session.endedAt).toBe(start + 5 * MINUTE);
+  });
+
+  test('取得に成功しなかったプラットフォームのセッションは終了しないこと', async () => {
+    const youtubeStream = createStream({ id: 'video-1', platformType: 'youtube', channelId: 'UCa' });
+    await recordAt(0, [createStream(), youtubeStream], { platforms: ['twitch', 'youtube'] });
+    const { ended } = await recordAt(5, [createStream()], { platforms: ['twitch'] });
+
+    expect(ended).toEqual([]);
+    const [session] = await manager.getTimeline('youtube:UCa');
+    expect(session.status).toBe('live');
+  });
+
+  test('終了したセッションの配信が再び現れた場合は同じセッションを再開すること', async () => {
+    await recordAt(0, [createStream()], { platforms: ['twitch'] });
+    await recordAt(5, [], { platforms: ['twitch'] });
+    const { started } = await recordAt(10, [createStream({ viewerCount: 150 })], { platforms: ['twitch'] });
+
+    expect(started).toEqual([]);
+    const sessions = await manager.getTimeline('twitch:channel-1');
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ status: 'live', endedAt: null, startedAt: start, peakViewerCount: 150 });
+  });
+
+  test('再初期化後も配信中のセッションを引き継ぎ、配信者ごとに集計すること', async () => {
+    await recordAt(0, [createStream(), createStream({ id: 'stream-2', channelId: 'channel-2' })], { platforms: ['twitch'] });
+    await recordAt(5, [createStream()], { platforms: ['twitch'] });
+    manager.db.close();
+
+    // サービスワーカーの再起動
+    StreamHistoryManager.destroyInstance();
+    manager = StreamHistoryManager.getInstance();
+    await manager.initialize();
+    const { ended } = await recordAt(10, [], { platforms: ['twitch'] });
+
+    expect(ended.map(session => session.id)).toEqual(['twitch_stream-1']);
+    const streamers = await manager.getStreamers();
+    expect(streamers.map(streamer => [streamer.streamerKey, streamer.sessionCount, streamer.isLive])).toEqual([
+      ['twitch:channel-1', 1, false],
+      ['twitch:channel-2', 1, false]
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * StreamerManager クラスのテスト
+ */
+import StreamerManager from '../../src/core/StreamerManager';
+import { Stream } from '../../src/core/models';
+
+describe('StreamerManager', () => {
+  let manager;
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome = {
+      storage: {
+        local: {
+          get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+          set: jest.fn((items, callback) => {
+            Object.assign(storage, JSON.parse(JSON.stringify(items)));
+            callback();
+          })
+        }
+      }
+    };
+    StreamerManager.destroyInstance();
+    manager = StreamerManager.getInstance();
+  });
+
+  test('アカウントは1人の配信者にだけ紐付けること', async () => {
+    const first = await manager.createStreamer({
+      name: '配信者A',
+      accounts: [{ platformType: 'twitch', channelId: '1001' }, { platformType: 'youtube', channelId: 'UCa' }]
+    });
+    const second = await manager.createStreamer({ name: '配信者B', accounts: [] });
+
+    await manager.linkAccount(second.id, { platformType: 'youtube', channelId: 'UCA' });
+
+    expect(manager.findStreamerByAccount('youtube', 'UCa').id).toBe(second.id);
+    expect(manager.getStreamer(first.id).accounts).toEqual([{ platformType: 'twitch', channelId: '1001' }]);
+
+    // 保存した内容を読み込み直しても紐付けが変わらないこと
+    await manager.loadStreamers();
+    expect(manager.findStreamerByAccount('twitch', '1001').name).toBe('配信者A');
+  });
+
+  test('ストリームに配信者とお気に入り状態を紐付けること', async () => {
+    const streamer = await manager.createStreamer({
+      name: '配信者A',
+      isFavorite: true,
+      accounts: [{ platformType: 'twitch', channelId: '1001' }]
+    });
+
+    const [linked, unlinked] = manager.annotateStreams([
+      new Stream({ id: 's1', platformType: 'twitch', channelId: '1001' }),
+      new Stream({ id: 's2', platformType: 'twitch', channelId: '2002' })
+    ]);
+
+    expect(linked).toMatchObject({ streamerId: streamer.id, isFavorite: true });
+    expect(unlinked).toMatchObject({ streamerId: '', isFavorite: false });
+  });
+
+  test('配信者のタグをストリームに反映し、タグの一覧を重複なく返すこと', async () => {
+    await manager.createStreamer({ name: '配信者A', tags: ['歌', 'VTuber'], accounts: [{ platformType: 'twitch', channelId: '1001' }] });
+    await manager.createStreamer({ name: '配信者B', tags: ['VTuber'], accounts: [] });
+
+    const [linked] = manager.annotateStreams([
+      new Stream({ id: 's1', platformType: 'twitch', channelId: '1001', tags: ['歌'] })
+    ]);
+
+    expect(linked.tags).toEqual(['歌', 'VTuber']);
+    expect(manager.getTags()).toHaveLength(2);
+    expect(manager.getTags()).toEqual(expect.arrayContaining(['歌', 'VTuber']));
+  });
+
+  test('同じ配信者の同時配信を1つのグループにまとめること', async () => {
+    const streamer = await manager.createStreamer({
+      name: '配信者A',
+      accounts: [{ platformType: 'twitch', channelId: '1001' }, { platformType: 'youtube', channelId: 'UCa' }]
+    });
+
+    const groups = manager.groupStreams([
+      new Stream({ id: 's1', platformType: 'twitch', channelId: '1001', streamerName: 'a_twitch' }),
+      new Stream({ id: 's2', platformType: 'kick', channelId: 'other', streamerName: '別の配信者' }),
+      new Stream({ id: 's3', platformType: 'youtube', channelId: 'UCa', streamerName: 'A Channel', isFavorite: true })
+    ]);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toMatchObject({ key: streamer.id, name: '配信者A', isFavorite: true });
+    expect(groups[0].streams.map(stream => stream.id)).toEqual(['s1', 's3']);
+    expect(groups[1]).toMatchObject({ key: 'kick:other', streamer: null, name: '別の配信者' });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * ViewStateManager クラスのテスト（フィルタープリセット）
+ */
+import ViewStateManager from '../../src/core/ViewStateManager';
+
+describe('ViewStateManager', () => {
+  let manager;
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome = {
+      storage: {
+        local: {
+          get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+          set: jest.fn((items, callback) => {
+            Object.assign(storage, JSON.parse(JSON.stringify(items)));
+            callback();
+          })
+        }
+      }
+    };
+    ViewStateManager.destroyInstance();
+    manager = ViewStateManager.getInstance();
+  });
+
+  test('フィルターをプリセットとして保存し、同じ名前では上書きすること', () => {
+    manager.setFilter({ searchText: '雑談' });
+    const first = manager.saveFilterPreset('雑談');
+    manager.setFilter({ searchText: '雑談 まったり' });
+    const second = manager.saveFilterPreset('雑談');
+
+    expect(second.id).toBe(first.id);
+    expect(manager.getFilterPresets()).toHaveLength(1);
+    expect(manager.getFilterPresets()[0].searchText).toBe('雑談 まったり');
+    expect(manager.getState().activeFilterId).toBe(first.id);
+    expect(() => manager.saveFilterPreset(' ')).toThrow();
+  });
+
+  test('プリセットの並べ替え・切り替えと、条件の変更による適用解除', () => {
+    manager.setFilter({ searchText: 'A' });
+    const a = manager.saveFilterPreset('A');
+    manager.setFilter({ searchText: 'B' });
+    const b = manager.saveFilterPreset('B');
+
+    manager.moveFilterPreset(b.id, -1);
+    expect(manager.getFilterPresets().map(preset => preset.name)).toEqual(['B', 'A']);
+
+    manager.applyFilterPreset(a.id);
+    expect(manager.getState().filter.searchText).toBe('A');
+    expect(manager.getState().filter.savedFilters).toHaveLength(2);
+
+    manager.setFilter({ searchText: 'A' });
+    expect(manager.getState().activeFilterId).toBe(a.id);
+    manager.setFilter({ searchText: 'C' });
+    expect(manager.getState().activeFilterId).toBe('');
+    expect(manager.getFilterPresets()).toHaveLength(2);
+  });
+
+  test('タグを指定したフィルターをプリセットとして保存し、切り替えで復元すること', () => {
+    manager.setFilter({ tags: ['歌'], showLive: false });
+    const preset = manager.saveFilterPreset('歌枠の予定');
+    manager.resetFilter();
+    expect(manager.getState().filter.tags).toEqual([]);
+
+    manager.applyFilterPreset(preset.id);
+    expect(manager.getState().filter.tags).toEqual(['歌']);
+    expect(manager.getFilterPresets()[0].tags).toEqual(['歌']);
+  });
+
+  test('適用中のプリセットとフィルターを保存し、読み込み直せること', async () => {
+    manager.setFilter({ languages: ['ja'] });
+    const preset = manager.saveFilterPreset('日本語');
+    await Promise.resolve();
+
+    ViewStateManager.destroyInstance();
+    const restored = ViewStateManager.getInstance();
+    await restored.loadPersistedState();
+
+    expect(restored.getState().activeFilterId).toBe(preset.id);
+    expect(restored.getState().filter.languages).toEqual(['ja']);
+    expect(restored.getFilterPresets()[0].name).toBe('日本語');
+  });
+});
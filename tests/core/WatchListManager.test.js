@@ -0,0 +1,58 @@
+/**
+ * WatchListManager クラスのテスト
+ */
+import WatchListManager from '../../src/core/WatchListManager';
+
+describe('WatchListManager', () => {
+  let manager;
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome = {
+      storage: {
+        local: {
+          get: jest.fn((key, callback) => callback({ [key]: storage[key] })),
+          set: jest.fn((items, callback) => {
+            Object.assign(storage, JSON.parse(JSON.stringify(items)));
+            callback();
+          })
+        }
+      }
+    };
+    WatchListManager.destroyInstance();
+    manager = WatchListManager.getInstance();
+  });
+
+  test('同期時に対象外の設定と手動追加したチャンネルを引き継ぐこと', async () => {
+    await manager.syncChannels('youtube', [
+      { id: 'UC1', name: 'チャンネル1' },
+      { id: 'UC2', name: 'チャンネル2' }
+    ]);
+    await manager.setExcluded('youtube', 'UC1', true);
+    await manager.addChannel('youtube', { id: 'UC9', name: '手動追加' });
+
+    // UC2 の登録を解除、UC3 を新しく登録
+    await manager.syncChannels('youtube', [
+      { id: 'UC1', name: 'チャンネル1（改名）' },
+      { id: 'UC3', name: 'チャンネル3' }
+    ]);
+
+    const channels = manager.getChannels('youtube', { includeExcluded: true });
+    expect(channels.map(channel => channel.id)).toEqual(['UC1', 'UC3', 'UC9']);
+    expect(channels[0]).toMatchObject({ name: 'チャンネル1（改名）', excluded: true });
+    expect(manager.getActiveChannelIds('youtube')).toEqual(['UC3', 'UC9']);
+  });
+
+  test('保存した内容を読み込み直せること', async () => {
+    await manager.syncChannels('youtube', [{ id: 'UC1', name: 'チャンネル1' }]);
+
+    WatchListManager.destroyInstance();
+    const reloaded = WatchListManager.getInstance();
+    await reloaded.loadWatchLists();
+
+    expect(reloaded.getActiveChannelIds('youtube')).toEqual(['UC1']);
+    expect(reloaded.needsSync('youtube')).toBe(false);
+    expect(reloaded.needsSync('twitcasting')).toBe(true);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * データモデルのテスト
+ */
+import { Settings, Filter } from '../../src/core/models';
+
+describe('models', () => {
+  test('モデルだけを読み込んだ場合も、登録されているプラットフォームから既定値を作ること', () => {
+    const settings = new Settings();
+    expect(settings.enabledPlatforms).toMatchObject({ twitch: true, youtube: true, twitcasting: true });
+    expect(Object.keys(settings.enabledPlatforms)).toEqual(
+      expect.arrayContaining(['niconico', 'kick', 'openrec', 'showroom', 'custom'])
+    );
+    expect(Object.values(new Filter().platforms).every(Boolean)).toBe(true);
+    expect(Object.keys(new Filter().platforms)).toEqual(Object.keys(settings.enabledPlatforms));
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * PlatformRegistry のテスト
+ */
+import {
+  registerPlatform,
+  unregisterPlatform,
+  getPlatform,
+  getPlatformIds,
+  getPlatformsWithCapability,
+  createPlatformFlags
+} from '../../src/platforms/PlatformRegistry';
+import { Settings, Filter } from '../../src/core/models';
+
+describe('PlatformRegistry', () => {
+  const createClient = () => ({});
+
+  beforeEach(() => {
+    getPlatformIds().forEach(unregisterPlatform);
+    registerPlatform({ id: 'alpha', displayName: 'Alpha', capabilities: { schedules: true }, createClient });
+    registerPlatform({ id: 'beta', enabledByDefault: false, createClient });
+  });
+
+  test('既定値を補ってプロバイダーを登録すること', () => {
+    expect(getPlatformIds()).toEqual(['alpha', 'beta']);
+    expect(getPlatform('beta')).toMatchObject({
+      displayName: 'beta',
+      settingsSchema: [],
+      watchList: null,
+      capabilities: { schedules: false, auth: false, follows: false, search: false }
+    });
+    expect(getPlatform('unknown')).toBeNull();
+  });
+
+  test('idの重複やcreateClientのないプロバイダーは登録しないこと', () => {
+    expect(() => registerPlatform({ id: 'alpha', createClient })).toThrow();
+    expect(() => registerPlatform({ id: 'gamma' })).toThrow();
+  });
+
+  test('対応機能でプロバイダーを絞り込むこと', () => {
+    expect(getPlatformsWithCapability('schedules').map(provider => provider.id)).toEqual(['alpha']);
+  });
+
+  test('登録済みのプラットフォームから設定とフィルターの既定値を作ること', () => {
+    expect(createPlatformFlags(provider => provider.enabledByDefault)).toEqual({ alpha: true, beta: false });
+    // 保存済みの設定にないプラットフォームは既定値で補う
+    expect(new Settings({ enabledPlatforms: { alpha: false } }).enabledPlatforms).toEqual({ alpha: false, beta: false });
+    expect(new Filter().platforms).toEqual({ alpha: true, beta: true });
+  });
+});
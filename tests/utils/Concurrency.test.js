@@ -0,0 +1,26 @@
+/**
+ * Concurrency ユーティリティのテスト
+ */
+import { mapWithConcurrency } from '../../src/utils/Concurrency';
+
+describe('mapWithConcurrency', () => {
+  test('同時実行数を制限し、入力と同じ順序で結果を返すこと', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('空の配列では空の結果を返すこと', async () => {
+    await expect(mapWithConcurrency([], 3, async item => item)).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * FeedParser のテスト
+ */
+import { parseXml, parseFeed, getChildText, decodeEntities } from '../../src/utils/FeedParser';
+
+const youtubeFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <link rel="self" href="https://www.youtube.com/feeds/videos.xml?channel_id=UC123"/>
+  <title>テストチャンネル</title>
+  <entry>
+    <id>yt:video:abc123</id>
+    <yt:videoId>abc123</yt:videoId>
+    <yt:channelId>UC123</yt:channelId>
+    <title>【歌枠】Tom &amp; Jerry &#x1F3A4;</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=abc123"/>
+    <author><name>テスト配信者</name></author>
+    <published>2024-01-10T10:00:00+00:00</published>
+    <updated>2024-01-10T11:00:00+00:00</updated>
+  </entry>
+</feed>`;
+
+describe('FeedParser', () => {
+  test('実体参照と文字参照をデコードすること', () => {
+    expect(decodeEntities('a &lt;b&gt; &quot;c&quot; &#39;d&#39; &unknown;')).toBe('a <b> "c" \'d\' &unknown;');
+  });
+
+  test('Atomフィードのエントリーと拡張要素を読み取ること', () => {
+    const feed = parseFeed(youtubeFeed);
+
+    expect(feed.title).toBe('テストチャンネル');
+    expect(feed.entries).toHaveLength(1);
+    expect(feed.entries[0]).toMatchObject({
+      id: 'yt:video:abc123',
+      title: '【歌枠】Tom & Jerry 🎤',
+      link: 'https://www.youtube.com/watch?v=abc123',
+      author: 'テスト配信者',
+      published: '2024-01-10T10:00:00+00:00'
+    });
+    expect(getChildText(feed.entries[0].element, 'yt:videoId')).toBe('abc123');
+  });
+
+  test('RSSフィードとCDATAを読み取ること', () => {
+    const feed = parseFeed(`<rss version="2.0"><channel><title>番組表</title>
+      <item><title><![CDATA[<b>夜の雑談</b>]]></title><link>https://example.com/1</link>
+      <pubDate>Wed, 10 Jan 2024 12:00:00 GMT</pubDate></item></channel></rss>`);
+
+    expect(feed.entries[0]).toMatchObject({
+      id: 'https://example.com/1',
+      title: '<b>夜の雑談</b>',
+      published: 'Wed, 10 Jan 2024 12:00:00 GMT'
+    });
+  });
+
+  test('タグの対応が取れないXMLはエラーとすること', () => {
+    expect(() => parseXml('<feed><entry></feed>')).toThrow();
+    expect(() => parseFeed('<html></html>')).toThrow('対応していないフィード形式です');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * JsonPath のテスト
+ */
+import { parsePath, selectAll, selectFirst, isValidPath } from '../../src/utils/JsonPath';
+
+const data = {
+  channel: { name: '公式' },
+  data: {
+    items: [
+      { title: '雑談', 'start-time': '2024-01-10T12:00:00Z', tags: ['talk'] },
+      { title: '歌枠', 'start-time': '2024-01-11T12:00:00Z', tags: ['music', 'live'] }
+    ]
+  }
+};
+
+describe('JsonPath', () => {
+  test('ドット記法・ブラケット記法・添字でたどること', () => {
+    expect(selectFirst(data, '$.channel.name')).toBe('公式');
+    expect(selectFirst(data, "$.data.items[1]['start-time']")).toBe('2024-01-11T12:00:00Z');
+    expect(selectFirst(data, '$.data.items[-1].tags[0]')).toBe('music');
+    expect(selectFirst(data.data.items[0], 'title')).toBe('雑談');
+  });
+
+  test('ワイルドカードと再帰的な検索で複数の値を取得すること', () => {
+    expect(selectAll(data, '$.data.items[*].title')).toEqual(['雑談', '歌枠']);
+    expect(selectAll(data, '$.data.items.*.title')).toEqual(['雑談', '歌枠']);
+    expect(selectAll(data, '$..tags[*]')).toEqual(['talk', 'music', 'live']);
+  });
+
+  test('ルートの指定や存在しないパスを扱うこと', () => {
+    expect(selectAll(data, '$')).toEqual([data]);
+    expect(selectAll(data, '')).toEqual([data]);
+    expect(selectAll(data, '$.data.missing.title')).toEqual([]);
+    expect(selectFirst(data, '$.data.items[5]')).toBeUndefined();
+  });
+
+  test('構文の誤りを検出すること', () => {
+    expect(() => parsePath('$.items[')).toThrow();
+    expect(isValidPath('$.items[abc]')).toBe(false);
+    expect(isValidPath('$..title')).toBe(true);
+  });
+});